@@ -0,0 +1,125 @@
+// ============================================================================
+// ARCHIVO: idempotency.js
+// PROPÓSITO: Middleware de json-server que impide crear pedidos duplicados
+// ============================================================================
+// Se carga con la opción --middlewares del script "server" (package.json):
+//   json-server --watch src/state/db.json --port 3000 --middlewares server/idempotency.js
+//
+// REGLA: Un POST /orders con cabecera Idempotency-Key solo crea UN pedido.
+// - Si ya existe un pedido con ese idempotencyKey → 200 con el pedido
+//   original (y cabecera Idempotent-Replayed: true). No se crea otro.
+// - Si otro POST con la misma clave se está procesando ahora mismo → se
+//   espera a que termine y se responde igual que en el caso anterior.
+// - Sin cabecera → la petición sigue normal (comportamiento de siempre).
+//
+// El cliente (jsonService.createOrder) envía la clave en la cabecera Y en el
+// campo idempotencyKey del pedido, que es el que se busca en db.json.
+//
+// NOTA: Es un archivo de Node (CommonJS), no del navegador: no se importa
+// desde src/. package.json declara "type": "commonjs".
+// ============================================================================
+
+/**
+ * CONSTANTE: IDEMPOTENCY_HEADER
+ * -----------------------------
+ * Misma cabecera que IDEMPOTENCY_HEADER en src/services/httpClient.js
+ */
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+/**
+ * CONSTANTE: PROTECTED_ROUTES
+ * ---------------------------
+ * Colecciones en las que un POST repetido no debe crear dos recursos
+ */
+const PROTECTED_ROUTES = ['/orders'];
+
+/**
+ * VARIABLE: inFlight
+ * ------------------
+ * Clave → Promise que se resuelve cuando termina el POST que la está usando.
+ * Evita la carrera "dos POST con la misma clave llegan a la vez y ninguno
+ * encuentra todavía el pedido en db.json".
+ */
+const inFlight = new Map();
+
+/**
+ * FUNCIÓN HELPER: findByKey(req, key)
+ * ------------------------------------
+ * Busca en la base de datos de json-server (req.app.db, instancia de lowdb)
+ * un recurso de la colección con ese idempotencyKey
+ */
+function findByKey(req, key) {
+    const collection = req.path.slice(1);
+    return req.app.db.get(collection).find({ idempotencyKey: key }).value();
+}
+
+/**
+ * FUNCIÓN HELPER: replay(res, resource)
+ * --------------------------------------
+ * Responde con el recurso original en lugar de crear uno nuevo.
+ * 200 (no 201) porque no se ha creado nada.
+ */
+function replay(res, resource) {
+    res.set('Idempotent-Replayed', 'true');
+    res.set('Access-Control-Expose-Headers', 'Idempotent-Replayed');
+    res.status(200).json(resource);
+}
+
+/**
+ * FUNCIÓN HELPER: handle(req, res, next, key)
+ * --------------------------------------------
+ * FLUJO:
+ * 1. Si ya existe un recurso con la clave → replay
+ * 2. Si hay un POST en curso con la clave → esperar y volver al paso 1
+ *    (si aquel POST falló, este ocupa su lugar)
+ * 3. Si no → marcar la clave como "en curso" y dejar que json-server cree
+ *    el recurso; al terminar la respuesta se libera la clave
+ */
+function handle(req, res, next, key) {
+    // 1. Ya procesado
+    const existing = findByKey(req, key);
+    if (existing) {
+        replay(res, existing);
+        return;
+    }
+
+    // 2. En curso: esperar a que termine y comprobar de nuevo
+    if (inFlight.has(key)) {
+        inFlight.get(key).then(() => handle(req, res, next, key));
+        return;
+    }
+
+    // 3. Primera petición con esta clave
+    let release;
+    inFlight.set(key, new Promise(resolve => {
+        release = resolve;
+    }));
+
+    const done = () => {
+        if (inFlight.has(key)) {
+            inFlight.delete(key);
+            release();
+        }
+    };
+    // 'finish': respuesta enviada; 'close': el cliente cortó la conexión
+    res.on('finish', done);
+    res.on('close', done);
+
+    next();
+}
+
+/**
+ * EXPORT: idempotency(req, res, next)
+ * -----------------------------------
+ * Middleware de Express (json-server 0.x usa Express por debajo)
+ */
+module.exports = function idempotency(req, res, next) {
+    const key = req.get(IDEMPOTENCY_HEADER);
+
+    if (req.method !== 'POST' || !key || !PROTECTED_ROUTES.includes(req.path)) {
+        next();
+        return;
+    }
+
+    handle(req, res, next, key);
+};
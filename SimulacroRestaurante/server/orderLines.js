@@ -0,0 +1,69 @@
+// ============================================================================
+// ARCHIVO: orderLines.js
+// PROPÓSITO: Middleware de json-server con las líneas de los pedidos que
+//            contienen un producto (para "Customers also ordered")
+// ============================================================================
+// Se carga con la opción --middlewares del script "server" (package.json):
+//   json-server ... --middlewares server/idempotency.js server/orderLines.js
+//
+// PROBLEMA: La ficha del producto (productDetail.js) solo necesita saber qué
+// productos se pidieron juntos, pero GET /orders devuelve los pedidos
+// completos de TODOS los clientes (nombre, email, dirección...) a cualquier
+// visitante, invitados incluidos.
+//
+// SOLUCIÓN: GET /order-lines?productId=p001 responde solo con los pedidos
+// que contienen ese producto y, de cada uno, lo justo para contar:
+//   [{ "status": "delivered", "items": [{ "productId": "p001" }, { "productId": "6c99" }] }]
+// Ni id del pedido, ni usuario, ni precios.
+//
+// NOTA: Es un archivo de Node (CommonJS), no del navegador: no se importa
+// desde src/. package.json declara "type": "commonjs".
+// ============================================================================
+
+/**
+ * CONSTANTE: ORDER_LINES_ROUTE
+ * ----------------------------
+ * Misma ruta que API_URLS.ORDER_LINES en src/utils/constants.js
+ */
+const ORDER_LINES_ROUTE = '/order-lines';
+
+/**
+ * FUNCIÓN HELPER: getLines(order)
+ * --------------------------------
+ * Ids de producto de un pedido. Los pedidos más antiguos de db.json
+ * guardan la lista en order.products en lugar de order.items
+ */
+function getLines(order) {
+    return (order.items || order.products || []).map(item => ({ productId: item.productId }));
+}
+
+/**
+ * EXPORT: orderLines(req, res, next)
+ * ----------------------------------
+ * Middleware de Express (json-server 0.x usa Express por debajo)
+ *
+ * FLUJO:
+ * 1. Cualquier otra petición sigue su camino (next)
+ * 2. Sin ?productId= → 400
+ * 3. Pedidos de req.app.db (lowdb) que contienen el producto → solo
+ *    status e items[].productId
+ */
+module.exports = function orderLines(req, res, next) {
+    if (req.method !== 'GET' || req.path !== ORDER_LINES_ROUTE) {
+        next();
+        return;
+    }
+
+    const productId = req.query.productId;
+    if (!productId) {
+        res.status(400).json({ error: 'productId is required' });
+        return;
+    }
+
+    const orders = req.app.db.get('orders').value() || [];
+    const lines = orders
+        .map(order => ({ status: order.status, items: getLines(order) }))
+        .filter(order => order.items.some(item => String(item.productId) === String(productId)));
+
+    res.status(200).json(lines);
+};
@@ -0,0 +1,58 @@
+// ============================================================================
+// ARCHIVO: popularity.js
+// PROPÓSITO: Middleware de json-server con las unidades pedidas de cada
+//            producto (orden "Most popular" del menú)
+// ============================================================================
+// Se carga con la opción --middlewares del script "server" (package.json):
+//   json-server ... --middlewares server/idempotency.js server/orderLines.js server/popularity.js
+//
+// PROBLEMA: Igual que en orderLines.js: ordenar por popularidad solo necesita
+// cuántas unidades se pidieron de cada producto, pero GET /orders devuelve
+// los pedidos completos de TODOS los clientes a cualquier visitante.
+//
+// SOLUCIÓN: GET /popularity responde con las unidades agregadas, separadas
+// por el estado (tal cual está guardado) de los pedidos:
+//   { "p001": { "delivered": 3, "Canceled": 1 }, "6c99": { "pending": 2 } }
+// Ni pedidos, ni usuarios, ni precios. El cliente (menuSort.getPopularity)
+// descarta los estados que no cuentan con normalizeStatus() de
+// src/utils/orderStatus.js: así las reglas de estados viven en un solo sitio.
+//
+// NOTA: Es un archivo de Node (CommonJS), no del navegador: no se importa
+// desde src/. package.json declara "type": "commonjs".
+// ============================================================================
+
+/**
+ * CONSTANTE: POPULARITY_ROUTE
+ * ---------------------------
+ * Misma ruta que API_URLS.POPULARITY en src/utils/constants.js
+ */
+const POPULARITY_ROUTE = '/popularity';
+
+/**
+ * EXPORT: popularity(req, res, next)
+ * ----------------------------------
+ * Middleware de Express (json-server 0.x usa Express por debajo)
+ *
+ * FLUJO:
+ * 1. Cualquier otra petición sigue su camino (next)
+ * 2. Recorre los pedidos de req.app.db (lowdb); los más antiguos guardan
+ *    la lista en order.products en lugar de order.items
+ * 3. Suma quantity (1 si falta) por producto y estado del pedido
+ */
+module.exports = function popularity(req, res, next) {
+    if (req.method !== 'GET' || req.path !== POPULARITY_ROUTE) {
+        next();
+        return;
+    }
+
+    const units = {};
+    (req.app.db.get('orders').value() || []).forEach(order => {
+        const status = String(order.status || '');
+        (order.items || order.products || []).forEach(item => {
+            const byStatus = units[item.productId] || (units[item.productId] = {});
+            byStatus[status] = (byStatus[status] || 0) + (Number(item.quantity) || 1);
+        });
+    });
+
+    res.status(200).json(units);
+};
@@ -2,59 +2,122 @@
 // ARCHIVO: Card.js
 // PROPÓSITO: Componente de tarjeta de producto (UI reutilizable)
 // ============================================================================
-// PATRÓN: Component Pattern - Función asíncrona que retorna HTML string
+// PATRÓN: Component Pattern - Función pura que retorna HTML (SafeHtml)
 // SE USA EN: menu.js (para renderizar cada producto del menú)
+//            productDetail.js (ProductTags: iconos de alérgenos y dietas)
 // ============================================================================
+// NOTA: El componente NO pide datos a la API. Recibe el producto ya cargado
+//       (menu.js tiene todos en memoria), así un menú de 200 productos se
+//       pinta con 1 petición en lugar de 201 y filtrar/buscar no usa la red.
+// ============================================================================
+
+/**
+ * IMPORT: html
+ * ------------
+ * ORIGEN: ../utils/html.js
+ * PROPÓSITO: Tagged template que escapa los datos interpolados
+ * POR QUÉ: Nombre, descripción e imagen los escribe un admin;
+ *          sin escapar, un '<img onerror=...>' se ejecutaría en cada cliente
+ */
+import { html } from '../utils/html.js';
+
+/**
+ * IMPORT: isOutOfStock
+ * --------------------
+ * ORIGEN: ../utils/stock.js
+ * PROPÓSITO: Saber si el producto está agotado (badge + botón desactivado)
+ */
+import { isOutOfStock } from '../utils/stock.js';
+
+/**
+ * IMPORT: hasOptions
+ * ------------------
+ * ORIGEN: ../utils/productOptions.js
+ * PROPÓSITO: Avisar de que el producto se personaliza (tamaño, extras...)
+ */
+import { hasOptions } from '../utils/productOptions.js';
+
+/**
+ * IMPORT: isCombo
+ * ---------------
+ * ORIGEN: ../utils/combo.js
+ * PROPÓSITO: Los combos muestran sus huecos ("Burger + Drink")
+ */
+import { isCombo } from '../utils/combo.js';
+
+/**
+ * IMPORTS: alérgenos y dietas
+ * ---------------------------
+ * ORIGEN: ../utils/dietary.js
+ * PROPÓSITO: Iconos de alérgenos ("Contains gluten") y dietas ("Vegan")
+ */
+import { getAllergens, getDietaryTags } from '../utils/dietary.js';
 
 /**
- * IMPORT: JsonService
- * -------------------
- * ORIGEN: ../services/JsonService.js
- * PROPÓSITO: Obtener datos del producto desde la API
- * FLUJO: Card.js → JsonService → API → retorna datos del producto
+ * IMPORT: highlight
+ * -----------------
+ * ORIGEN: ../utils/search.js
+ * PROPÓSITO: Marcar en nombre y descripción las palabras buscadas
  */
-import JsonService from '../services/JsonService.js';
+import { highlight } from '../utils/search.js';
 
 /**
- * FUNCIÓN EXPORTADA: Card(productId, isAdmin)
- * --------------------------------------------
+ * FUNCIÓN EXPORTADA: Card(product, isAdmin, matchTerms, isFavorite)
+ * ------------------------------------------------------------------
  * PROPÓSITO: Generar HTML de una tarjeta de producto
  * 
  * PARÁMETROS:
- *   - productId: string|number - ID del producto a mostrar
+ *   - product: Object - Producto tal como lo devuelve la API
+ *     { id, name, price, category, img, description, stock, optionGroups? }
+ *     Los combos llegan ya expandidos (expandCombo en menu.js): su stock
+ *     y sus optionGroups salen de los productos componentes
  *   - isAdmin: boolean (default false) - Si es true, muestra botones admin
+ *   - matchTerms: Array<string> (default []) - Palabras que encontró la
+ *     búsqueda (searchProducts().terms); se resaltan con <mark>
+ *   - isFavorite: boolean (default false) - Corazón relleno si el usuario
+ *     lo tiene en favoritos (favoritesService)
  * 
- * RETORNA: Promise<string>
- *   - String con HTML completo de la tarjeta
+ * RETORNA: SafeHtml
+ *   - HTML completo de la tarjeta, con los datos ya escapados (síncrono)
+ *   - Se puede asignar a innerHTML o unir con .join('')
  * 
  * SE USA EN:
- *   - menu.js: await Card(product.id, isAdmin)
+ *   - menu.js: products.map(product => Card(product, isAdmin, terms, isFavorite))
  *   - Se genera una tarjeta por cada producto
  * 
  * CARACTERÍSTICAS:
  *   - Muestra imagen, nombre, precio, descripción del producto
  *   - Badge con categoría (Burgers, Sides, Drinks)
- *   - Botón "Add to order" para todos los usuarios
+ *   - Badge "Out of stock" si stock <= 0
+ *   - Botón "Add to order" para todos los usuarios (desactivado si está agotado)
+ *   - Texto "Customizable" si tiene optionGroups (el botón abre el selector)
+ *   - En combos, texto "Meal deal: Burger + Drink" con los huecos
+ *   - Iconos de alérgenos y dietas (el nombre va en title / aria-label)
+ *   - Imagen y nombre enlazan a la ficha del producto (#menu/product/:id)
+ *   - Corazón para guardar/quitar de favoritos (aria-pressed)
  *   - Botones "Edit" y "Delete" solo para admins
  * 
  * FLUJO COMPLETO:
- * 1. Recibe productId
- * 2. Crea instancia de JsonService
- * 3. Hace GET a /products/{productId}
- * 4. Mapea datos de la API a estructura interna
- * 5. Si isAdmin=true: agrega botones de edición/eliminación
- * 6. Genera HTML con template string
- * 7. Retorna HTML completo
+ * 1. Recibe el producto completo
+ * 2. Mapea datos de la API a estructura interna
+ * 3. Si isAdmin=true: agrega botones de edición/eliminación
+ * 4. Genera HTML con el tag html`` (escapa cada dato interpolado)
+ * 5. Retorna HTML completo
  * 
  * ESTRUCTURA DEL HTML RETORNADO:
- * <article class="card product">
+ * <article class="card product [sold-out]">
  *   <span class="badge">Categoria</span>
- *   <img src="..." />
+ *   <!-- Si está agotado: -->
+ *   <span class="badge out-of-stock">Out of stock</span>
+ *   <button class="favorite-btn [active]" aria-pressed="...">♡ / ♥</button>
+ *   <a href="#menu/product/:id"><img src="..." /></a>
  *   <div class="product-info">
- *     <h3>Nombre</h3>
+ *     <a href="#menu/product/:id"><h3>Nombre</h3></a>
  *     <p>$Precio</p>
  *     <p>Descripción</p>
- *     <button class="add-to-cart-btn">Add to order</button>
+ *     <!-- Si tiene opciones (o es combo: "Meal deal: Burger + Drink"): -->
+ *     <p class="product-options-note">Customizable</p>
+ *     <button class="add-to-cart-btn" [disabled]>Add to order</button>
  *     <!-- Si isAdmin: -->
  *     <button class="edit-product-btn">Edit</button>
  *     <button class="delete-product-btn">Delete</button>
@@ -62,7 +125,8 @@ import JsonService from '../services/JsonService.js';
  * </article>
  * 
  * EVENTOS (No se manejan aquí, sino en menu.js):
- * - Click en "Add to order" → menu.js.addToCart()
+ * - Click en "Add to order" → menu.js.addToCart() (o el selector de opciones)
+ * - Click en el corazón → favoritesService.toggleFavorite() (desde menu.js)
  * - Click en "Edit" → menu.js.openProductModal()
  * - Click en "Delete" → menu.js.deleteProduct()
  * 
@@ -73,32 +137,35 @@ import JsonService from '../services/JsonService.js';
  * 4. Agregar más condiciones si tienes más roles
  * 5. Considerar usar un template engine (Handlebars, Mustache) para proyectos grandes
  */
-export async function Card(productId, isAdmin = false) {
-    // 1. Crear instancia del servicio de API
-    const service = new JsonService();
-    
-    // 2. Obtener datos del producto desde la API
-    //    Esto hace: GET /products/{productId}
-    const product_response = await service.getProductById(productId);
-
-    // 3. Mapear datos de la API a estructura interna
+export function Card(product, isAdmin = false, matchTerms = [], isFavorite = false) {
+    // 1-2. Mapear datos de la API a estructura interna
     //    POR QUÉ: Separar datos de la API de la lógica de UI
     //    BENEFICIO: Si la API cambia, solo modificamos aquí
     const data = {
-        id: product_response.id,
-        category: product_response.category,     // Ej: "Burgers"
-        imageUrl: product_response.img,           // URL de la imagen
-        title: product_response.name,             // Nombre del producto
-        price: product_response.price,            // Precio numérico
-        description: product_response.description, // Descripción corta
-        stock: product_response.stock             // Stock disponible (no se usa en UI)
+        id: product.id,
+        category: product.category,     // Ej: "Burgers"
+        imageUrl: product.img,           // URL de la imagen
+        title: product.name,             // Nombre del producto
+        price: product.price,            // Precio numérico
+        description: product.description, // Descripción corta
+        stock: product.stock,            // Stock disponible
+        soldOut: isOutOfStock(product),  // true si no quedan unidades
+        customizable: hasOptions(product), // true si tiene grupos de opciones
+        slots: isCombo(product) ? (product.slots || []).map(slot => slot.name) : null,
+        allergens: getAllergens(product),  // [{ id, name, icon }]
+        dietary: getDietaryTags(product)   // [{ id, name, icon }]
     };
 
-    // 4. LÓGICA CONDICIONAL: Botones de administración
+    // Texto bajo la descripción: huecos del combo o aviso de opciones
+    const optionsNote = data.slots
+        ? `Meal deal: ${data.slots.join(' + ')}`
+        : data.customizable && 'Customizable';
+
+    // 3. LÓGICA CONDICIONAL: Botones de administración
     //    Si isAdmin=true → generar HTML de botones Edit y Delete
     //    Si isAdmin=false → adminControls = '' (string vacío)
     const adminControls = isAdmin
-        ? `
+        ? html`
             <div class="admin-product-actions">
                 <button class="button small tertiary edit-product-btn" data-id="${data.id}">
                     Edit
@@ -110,18 +177,28 @@ export async function Card(productId, isAdmin = false) {
         `
         : '';
 
-    // 5. Retornar HTML completo de la tarjeta
-    //    NOTA: Se usa template string con ${} para inyectar datos
-    return `
-        <article class="card product">
+    // 4. Retornar HTML completo de la tarjeta
+    //    NOTA: html`` escapa cada ${} (texto y atributos) y valida la URL de src
+    return html`
+        <article class="card product ${data.soldOut ? 'sold-out' : ''}">
             <span class="badge">${data.category}</span>
-            <img src="${data.imageUrl}" alt="${data.title}" class="product-image">
+            ${data.soldOut && html`<span class="badge out-of-stock">Out of stock</span>`}
+            ${FavoriteButton(data.id, isFavorite)}
+            <a href="#menu/product/${encodeURIComponent(data.id)}" class="product-link">
+                <img src="${data.imageUrl}" alt="${data.title}" class="product-image">
+            </a>
             <div class="product-info">
-                <h3 class="product-title">${data.title}</h3>
+                <a href="#menu/product/${encodeURIComponent(data.id)}" class="product-link">
+                    <h3 class="product-title">${highlight(data.title, matchTerms)}</h3>
+                </a>
                 <p class="product-price">$ ${data.price}</p>
-                <p class="product-description">${data.description}</p>
+                <p class="product-description">${highlight(data.description, matchTerms)}</p>
+                ${optionsNote && html`<p class="product-options-note">${optionsNote}</p>`}
+                ${ProductTags(data)}
 
-                <button class="button secondary add-to-cart-btn" data-id="${data.id}">
+                <button class="button secondary add-to-cart-btn" data-id="${data.id}"
+                        ${data.customizable && html`aria-haspopup="dialog"`}
+                        ${data.soldOut ? 'disabled' : ''}>
                     <svg class="button-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                         <circle cx="9" cy="21" r="1" stroke="currentColor" stroke-width="2"/>
                         <circle cx="20" cy="21" r="1" stroke="currentColor" stroke-width="2"/>
@@ -139,3 +216,52 @@ export async function Card(productId, isAdmin = false) {
         </article>
     `;
 }
+
+/**
+ * FUNCIÓN EXPORTADA: FavoriteButton(productId, isFavorite)
+ * ---------------------------------------------------------
+ * PROPÓSITO: Corazón para guardar el producto en favoritos
+ *
+ * RETORNA: SafeHtml - <button class="favorite-btn"> con data-id, aria-pressed
+ *          y una etiqueta que dice lo que hará el click
+ *
+ * SE USA EN: Card() (menu.js lo vuelve a pintar tras cada click)
+ */
+export function FavoriteButton(productId, isFavorite = false) {
+    const label = isFavorite ? 'Remove from favorites' : 'Save to favorites';
+
+    return html`
+        <button type="button" class="favorite-btn ${isFavorite ? 'active' : ''}" data-id="${productId}"
+                aria-pressed="${isFavorite ? 'true' : 'false'}" aria-label="${label}" title="${label}">
+            ${isFavorite ? '♥' : '♡'}
+        </button>
+    `;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: ProductTags(product)
+ * ----------------------------------------
+ * PROPÓSITO: Fila de iconos de alérgenos y dietas
+ *
+ * PARÁMETROS:
+ *   - product: Object - { allergens, dietary } ya resueltos con dietary.js
+ *
+ * RETORNA: SafeHtml | '' - Vacío si el producto no tiene etiquetas
+ *
+ * SE USA EN: Card() y productDetail.js
+ */
+export function ProductTags({ allergens = [], dietary = [] }) {
+    if (allergens.length === 0 && dietary.length === 0) return '';
+
+    return html`
+        <ul class="product-tags">
+            ${dietary.map(tag => html`
+                <li class="product-tag dietary" title="${tag.name}" aria-label="${tag.name}">${tag.icon}</li>
+            `)}
+            ${allergens.map(tag => html`
+                <li class="product-tag allergen" title="Contains ${tag.name.toLowerCase()}"
+                    aria-label="Contains ${tag.name.toLowerCase()}">${tag.icon}</li>
+            `)}
+        </ul>
+    `;
+}
@@ -0,0 +1,99 @@
+// ============================================================================
+// ARCHIVO: Dialog.js
+// PROPÓSITO: Diálogo modal de confirmación reutilizable (Aceptar / Cancelar)
+// ============================================================================
+// PATRÓN: Component Pattern - Función que crea el modal y devuelve una Promise
+// SE USA EN: main.js (aviso de cierre de sesión por inactividad)
+//            menu.js (cambios de precio/disponibilidad antes del checkout y
+//                     selector de opciones del producto, con OptionGroups.js)
+// ESTILOS: Reutiliza .modal-backdrop / .modal del modal de productos
+// ============================================================================
+
+/**
+ * FUNCIÓN EXPORTADA: openDialog(options)
+ * ---------------------------------------
+ * PROPÓSITO: Mostrar un diálogo modal y esperar la decisión del usuario
+ *
+ * PARÁMETROS:
+ *   - options.title: String - Título del diálogo (se asigna con textContent)
+ *   - options.body: String | HTMLElement - Mensaje o contenido del diálogo
+ *   - options.confirmText: String - Texto del botón principal (default 'OK')
+ *   - options.cancelText: String - Texto del botón secundario (default 'Cancel')
+ *
+ * RETORNA: Object
+ *   - element: HTMLElement - Backdrop insertado en el body (para actualizar su contenido)
+ *   - close(value): Cierra el diálogo resolviendo result con value
+ *   - result: Promise<boolean> - true si confirma, false si cancela o cierra
+ *
+ * CIERRE:
+ * - Botón de confirmar → true
+ * - Botón de cancelar, botón × o tecla Escape → false
+ * - close(value) desde fuera (ej: el tiempo se agotó)
+ *
+ * EJEMPLO DE USO:
+ * const { result } = openDialog({ title: 'Delete?', body: 'This cannot be undone.' });
+ * if (await result) { ... }
+ */
+export function openDialog({ title, body, confirmText = 'OK', cancelText = 'Cancel' }) {
+    // 1. Crear backdrop y estructura del modal
+    const backdrop = document.createElement('div');
+    backdrop.classList.add('modal-backdrop');
+    backdrop.innerHTML = `
+        <div class="modal" role="dialog" aria-modal="true">
+            <div class="modal-header">
+                <h2 class="modal-title"></h2>
+                <button type="button" class="modal-close" data-action="cancel" aria-label="Close">&times;</button>
+            </div>
+            <div class="dialog-body"></div>
+            <div class="modal-actions">
+                <button type="button" class="button tertiary" data-action="cancel"></button>
+                <button type="button" class="button primary" data-action="confirm"></button>
+            </div>
+        </div>
+    `;
+
+    // 2. Rellenar textos con textContent (sin interpretar HTML)
+    backdrop.querySelector('.modal-title').textContent = title;
+    backdrop.querySelector('.modal-actions [data-action="cancel"]').textContent = cancelText;
+    backdrop.querySelector('[data-action="confirm"]').textContent = confirmText;
+
+    const bodyContainer = backdrop.querySelector('.dialog-body');
+    if (body instanceof HTMLElement) {
+        bodyContainer.appendChild(body);
+    } else {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = body;
+        bodyContainer.appendChild(paragraph);
+    }
+
+    // 3. Promise que se resuelve al cerrar el diálogo
+    let resolveResult;
+    const result = new Promise(resolve => {
+        resolveResult = resolve;
+    });
+
+    const handleKeydown = e => {
+        if (e.key === 'Escape') close(false);
+    };
+
+    function close(value = false) {
+        if (!backdrop.isConnected) return;
+        document.removeEventListener('keydown', handleKeydown);
+        backdrop.remove();
+        resolveResult(value);
+    }
+
+    // 4. Eventos de los botones (delegación por data-action)
+    backdrop.addEventListener('click', e => {
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        if (action === 'confirm') close(true);
+        if (action === 'cancel') close(false);
+    });
+    document.addEventListener('keydown', handleKeydown);
+
+    // 5. Mostrar y enfocar la acción principal
+    document.body.appendChild(backdrop);
+    backdrop.querySelector('[data-action="confirm"]').focus();
+
+    return { element: backdrop, close, result };
+}
@@ -14,7 +14,8 @@
  * FLUJO: authService.js → Navbar.js → *muestra datos de usuario*
  */
 import { logout } from '../services/authService.js';
-import { getCurrentUser } from '../services/authService.js';
+import { getCurrentUser, isAdmin, hasRole } from '../services/authService.js';
+import { ROLES } from '../utils/constants.js';
 
 /**
  * FUNCIÓN EXPORTADA: Navbar()
@@ -29,20 +30,21 @@ import { getCurrentUser } from '../services/authService.js';
  * CARACTERÍSTICAS:
  * - Muestra logo y nombre de la app
  * - Links de navegación: Menu, My Orders, Profile
- * - Botón de Logout
+ * - Botón de Logout (o link "Log in" si es un invitado en una ruta pública)
+ * - Si es cocina o admin: muestra link adicional "Kitchen"
  * - Si es admin: muestra link adicional "Admin"
  * 
  * FLUJO DE RENDERIZADO:
  * 1. Crea elemento <header>
  * 2. Inyecta HTML base con logo y links
- * 3. Obtiene usuario actual desde localStorage
- * 4. Si es admin: agrega link "Admin"
+ * 3. Obtiene usuario actual de la sesión validada
+ * 4. Si es cocina/admin: agrega link "Kitchen"; si es admin: agrega link "Admin"
  * 5. Agrega botón "Logout"
  * 6. Asigna evento click al botón logout
  * 7. Retorna el elemento completo
  * 
  * CONDICIONAL DE ADMIN:
- * - Verifica user.role === 'admin'
+ * - Usa isAdmin() de authService (role === ROLES.ADMIN)
  * - Si es admin: inserta link #dashboard antes del logout
  * - Si no es admin: solo muestra logout
  * 
@@ -79,12 +81,24 @@ export function Navbar() {
     `;
 
     // 3. Obtener usuario autenticado actual
-    //    Si no hay usuario (imposible llegar aquí sin auth), retorna null
+    //    Si no hay usuario (invitado viendo una ruta pública como #menu), retorna null
     const user = getCurrentUser();
     
     // 4. Obtener referencia al elemento <nav> donde agregaremos items dinámicos
     const nav = header.querySelector('.nav');
 
+    // INVITADO: en lugar de "Log out" mostramos un link a #login
+    // returnTo hace que tras el login vuelva a la página actual
+    if (!user) {
+        const loginLink = document.createElement('a');
+        loginLink.href = `#login?returnTo=${encodeURIComponent(window.location.hash || '#menu')}`;
+        loginLink.classList.add('nav-link');
+        loginLink.style.marginLeft = '1rem';
+        loginLink.textContent = 'Log in';
+        nav.appendChild(loginLink);
+        return header;
+    }
+
     // 5. Crear botón de logout (se insertará después)
     //    Lo creamos aquí para poder insertarlo al final del nav
     const logoutBtn = document.createElement('button');
@@ -94,9 +108,19 @@ export function Navbar() {
     logoutBtn.style.color = 'var(--color-error)'; // Color rojo para logout
     logoutBtn.textContent = 'Log out';
 
-    // 6. LÓGICA CONDICIONAL: Si es admin, agregar link de Admin Dashboard
-    //    ORDEN: Menu, Orders, Profile, Admin, Logout
-    if (user && user.role === 'admin') {
+    // 6. LÓGICA CONDICIONAL: Tablero de cocina para personal de cocina y admin
+    //    ORDEN: Menu, Orders, Profile, Kitchen, Admin, Logout
+    //    (los roles coinciden con los de la ruta '#kitchen' en router.js)
+    if (hasRole([ROLES.KITCHEN, ROLES.ADMIN])) {
+        const kitchenLink = document.createElement('a');
+        kitchenLink.href = '#kitchen';
+        kitchenLink.classList.add('nav-link');
+        kitchenLink.textContent = 'Kitchen';
+        nav.appendChild(kitchenLink);
+    }
+
+    //    Si es admin, agregar link de Admin Dashboard
+    if (isAdmin()) {
         // Crear link al panel de administración
         const adminLink = document.createElement('a');
         adminLink.href = '#dashboard'; // Ruta del dashboard
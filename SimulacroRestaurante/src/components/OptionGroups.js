@@ -0,0 +1,75 @@
+// ============================================================================
+// ARCHIVO: OptionGroups.js
+// PROPÓSITO: Campos del selector de opciones de un producto (tamaño, extras,
+//            huecos de combo) y lectura de lo marcado
+// ============================================================================
+// PATRÓN: Component Pattern - Función pura que retorna HTML (SafeHtml)
+// SE USA EN: menu.js (diálogo "Add to order") y productDetail.js (ficha del producto)
+// ESTILOS: .option-group / .option-choice / .option-price
+// ============================================================================
+
+/**
+ * IMPORT: html
+ * ------------
+ * ORIGEN: ../utils/html.js
+ * PROPÓSITO: Nombres y precios de las opciones los escribe un admin (escape)
+ */
+import { html } from '../utils/html.js';
+
+/**
+ * IMPORTS: opciones de producto
+ * -----------------------------
+ * ORIGEN: ../utils/productOptions.js
+ * PROPÓSITO: Tipos de grupo y conversión de la selección en opciones elegidas
+ */
+import { OPTION_GROUP_TYPE, getOptionGroups, resolveOptions } from '../utils/productOptions.js';
+
+/**
+ * FUNCIÓN EXPORTADA: OptionGroups(product, selection)
+ * ----------------------------------------------------
+ * PROPÓSITO: Un fieldset por grupo de opciones del producto
+ *
+ * PARÁMETROS:
+ *   - product: Object - Producto con optionGroups (combos ya expandidos)
+ *   - selection: Object - { [groupId]: [optionId, ...] } marcadas al abrir
+ *     (normalmente getDefaultSelection(product))
+ *
+ * RETORNA: SafeHtml - Radios para grupos 'single' y checkboxes para
+ *          'multiple' (name = id del grupo, value = id de la opción).
+ *          Se inserta dentro de un <form> para leerlo con readOptions()
+ */
+export function OptionGroups(product, selection = {}) {
+    return html`
+        ${getOptionGroups(product).map(group => html`
+            <fieldset class="option-group">
+                <legend class="label">${group.name}</legend>
+                ${(group.options || []).map(option => html`
+                    <label class="option-choice">
+                        <input type="${group.type === OPTION_GROUP_TYPE.SINGLE ? 'radio' : 'checkbox'}"
+                               name="${group.id}" value="${option.id}"
+                               ${(selection[group.id] || []).includes(option.id) ? 'checked' : ''}>
+                        <span>${option.name}</span>
+                        ${Number(option.price) > 0
+            && html`<span class="option-price">+$${Number(option.price).toFixed(2)}</span>`}
+                    </label>
+                `)}
+            </fieldset>
+        `)}
+    `;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: readOptions(form, product)
+ * ----------------------------------------------
+ * PROPÓSITO: Opciones marcadas ahora mismo en el formulario
+ *
+ * RETORNA: Array - Opciones elegidas (resolveOptions), en el orden del producto
+ */
+export function readOptions(form, product) {
+    const formData = new FormData(form);
+    const selection = {};
+    getOptionGroups(product).forEach(group => {
+        selection[group.id] = formData.getAll(group.id);
+    });
+    return resolveOptions(product, selection);
+}
@@ -2,68 +2,90 @@
 // ARCHIVO: orderCard.js
 // PROPÓSITO: Componente de tarjeta de pedido (muestra resumen de una orden)
 // ============================================================================
-// PATRÓN: Component Pattern - Función asíncrona que retorna HTML string
+// PATRÓN: Component Pattern - Función pura que retorna HTML (SafeHtml)
 // SE USA EN: orderView.js (para listar pedidos del usuario)
 // ============================================================================
+// NOTA: El componente NO pide datos a la API. orderView ya obtiene los
+//       pedidos completos con getOrders(); volver a pedir cada uno por ID
+//       sería una petición extra por tarjeta (problema N+1).
+// ============================================================================
 
 /**
- * IMPORT: JsonService
- * -------------------
- * ORIGEN: ../services/JsonService.js
- * PROPÓSITO: Obtener datos del pedido desde la API
- * FLUJO: OrderCard.js → JsonService → API → retorna datos del pedido
+ * IMPORT: html
+ * ------------
+ * ORIGEN: ../utils/html.js
+ * PROPÓSITO: Tagged template que escapa los datos interpolados
+ * POR QUÉ: Los nombres de producto del pedido vienen de la API
  */
-import JsonService from '../services/JsonService.js';
+import { html } from '../utils/html.js';
 
 /**
- * FUNCIÓN EXPORTADA: OrderCard(orderId)
+ * IMPORT: normalizeStatus, STATUS_LABELS
  * --------------------------------------
+ * ORIGEN: ../utils/orderStatus.js
+ * PROPÓSITO: Mostrar siempre un estado válido ('Processing' antiguo → 'preparing')
+ *            con su texto legible en el badge
+ */
+import { normalizeStatus, STATUS_LABELS } from '../utils/orderStatus.js';
+
+/**
+ * IMPORT: describeOptions
+ * -----------------------
+ * ORIGEN: ../utils/productOptions.js
+ * PROPÓSITO: Texto de las opciones elegidas en cada item ('Large, Bacon')
+ */
+import { describeOptions } from '../utils/productOptions.js';
+
+/**
+ * FUNCIÓN EXPORTADA: OrderCard(order)
+ * ------------------------------------
  * PROPÓSITO: Generar HTML de una tarjeta de pedido
  * 
  * PARÁMETROS:
- *   - orderId: string|number - ID del pedido a mostrar
+ *   - order: Object - Pedido tal como lo devuelve la API
  * 
- * RETORNA: Promise<string>
- *   - String con HTML completo de la tarjeta del pedido
+ * RETORNA: SafeHtml
+ *   - HTML completo de la tarjeta del pedido, datos escapados (síncrono)
  * 
  * SE USA EN:
- *   - orderView.js: await OrderCard(order.id)
+ *   - orderView.js: orders.map(order => OrderCard(order))
  *   - Se genera una tarjeta por cada pedido del usuario
  * 
  * CARACTERÍSTICAS:
  *   - Muestra ID del pedido
  *   - Fecha y hora de creación
- *   - Lista de productos con cantidad
+ *   - Lista de productos con cantidad (y opciones elegidas, si las hay)
  *   - Precio total
  *   - Estado del pedido (pending, preparing, ready, delivered)
  *   - Icono de estado visual
  * 
  * FLUJO COMPLETO:
- * 1. Recibe orderId
- * 2. Crea instancia de JsonService
- * 3. Hace GET a /orders/{orderId}
- * 4. Mapea datos de la API a estructura interna
- * 5. Genera HTML con lista de items
- * 6. Aplica estilos según estado (pending, delivered, etc.)
- * 7. Retorna HTML completo
+ * 1. Recibe el pedido completo
+ * 2. Mapea datos de la API a estructura interna
+ * 3. Genera HTML con lista de items
+ * 4. Aplica estilos según estado (pending, delivered, etc.)
+ * 5. Retorna HTML completo
  * 
  * ESTRUCTURA DEL PEDIDO:
  * {
  *   id: 'o001',
  *   userId: 'u001',
  *   user: { name: 'John', email: 'john@email.com' },
- *   items: [{ productId, name, price, quantity }, ...],
+ *   items: [{ productId, name, price, quantity, options? }, ...],
+ *   // price: precio unitario con opciones; options: [{ group, name, price }]
  *   total: 59.99,
  *   status: 'pending',
  *   createdAt: '2024-06-15T14:30:00Z'
  * }
  * 
- * ESTADOS POSIBLES:
- * - pending: Pedido recibido, esperando preparación
+ * ESTADOS POSIBLES (ver utils/orderStatus.js):
+ * - pending: Pedido recibido, esperando confirmación
+ * - confirmed: Confirmado por el restaurante
  * - preparing: En cocina
  * - ready: Listo para recoger/entregar
  * - delivered: Entregado al cliente
  * - cancelled: Cancelado
+ * - refunded: Reembolsado tras la entrega
  * 
  * CÓMO REUTILIZAR EN OTROS PROYECTOS:
  * 1. Copiar esta función
@@ -72,20 +94,13 @@ import JsonService from '../services/JsonService.js';
  * 4. Agregar más estados si necesitas
  * 5. Considerar agregar botones de acción (cancelar, rastrear, etc.)
  */
-export async function OrderCard(orderId) {
-    // 1. Crear instancia del servicio de API
-    const service = new JsonService();
-    
-    // 2. Obtener datos del pedido desde la API
-    //    Esto hace: GET /orders/{orderId}
-    const order = await service.getOrderById(orderId);
-
-    // 3. Mapear datos de la API a estructura interna
+export function OrderCard(order) {
+    // 1-2. Mapear datos de la API a estructura interna
     //    POR QUÉ: Separar datos de la API de la lógica de UI
     //    BENEFICIO: Si la API cambia, solo modificamos aquí
     const data = {
         id: order.id,                                    // ID único del pedido
-        status: order.status,                            // Estado actual (pending, delivered, etc.)
+        status: normalizeStatus(order.status),           // Estado actual (pending, delivered, etc.)
         createdAt: order.createdAt,                      // Timestamp de creación
         total: order.total,                              // Precio total del pedido
         userName: order.user?.name || 'Guest',           // Nombre del usuario (con fallback)
@@ -93,10 +108,10 @@ export async function OrderCard(orderId) {
         items: order.items || []                         // Array de productos pedidos
     };
 
-    // 4. Retornar HTML completo de la tarjeta del pedido
+    // 3. Retornar HTML completo de la tarjeta del pedido
     //    ESTRUCTURA: article > icono de estado + info del pedido + acciones
-    //    NOTA: Se usa .map() para generar HTML de cada item
-    return `
+    //    NOTA: Se usa .map() para generar HTML de cada item (cada uno con html``)
+    return html`
         <article class="list-item">
             <!-- Icono de estado visual (color según status en CSS) -->
             <div class="status-icon ${data.status}">
@@ -116,8 +131,10 @@ export async function OrderCard(orderId) {
 
             <!-- Información principal del pedido -->
             <div class="order-info">
-                <!-- ID del pedido con formato #o001 -->
-                <h3 class="order-id">Order \#${data.id}</h3>
+                <!-- ID del pedido con formato #o001 (enlace al detalle #orders/:id) -->
+                <h3 class="order-id">
+                    <a href="#orders/${data.id}" class="link">Order \#${data.id}</a>
+                </h3>
                 
                 <!-- Fecha de creación y cantidad de items -->
                 <p class="order-meta">
@@ -129,19 +146,21 @@ export async function OrderCard(orderId) {
                 <div class="detail-items">
                     ${data.items
         .map(
-            item => `
+            item => html`
                         <div class="detail-item">
                             <!-- Cantidad del producto -->
                             <span class="item-quantity">${item.quantity}x</span>
                             <div>
                                 <!-- Nombre del producto -->
                                 <div class="item-title">${item.name}</div>
+                                <!-- Opciones elegidas (pedidos antiguos no tienen) -->
+                                ${item.options?.length > 0
+        && html`<div class="item-note">${describeOptions(item.options)}</div>`}
                                 <!-- Precio unitario -->
                                 <div class="item-note">$ ${item.price.toFixed(2)}</div>
                             </div>
                         </div>`
-        )
-        .join('') /* .join('') convierte array de strings en un solo string HTML */}
+        ) /* html`` une el array de SafeHtml sin separador */}
                 </div>
             </div>
 
@@ -152,7 +171,7 @@ export async function OrderCard(orderId) {
                 
                 <!-- Badge con estado (pending, delivered, etc.) -->
                 <span class="status-badge ${data.status}">
-                    ${data.status}
+                    ${STATUS_LABELS[data.status]}
                 </span>
             </div>
         </article>
@@ -23,6 +23,20 @@ import { Navbar } from "./components/Navbar.js";
  */
 import { router } from "./router/router.js";
 
+/**
+ * IMPORTS: Cierre de sesión por inactividad
+ * ------------------------------------------
+ * - isAuthenticated / logout: ./services/authService.js (estado y cierre de sesión)
+ * - onSessionChange: ./services/authService.js (login/logout en otra pestaña)
+ * - createIdleTimer: ./utils/idleTimer.js (detecta inactividad del usuario)
+ * - openDialog: ./components/Dialog.js (aviso "¿Sigues ahí?" con cuenta atrás)
+ * - SESSION_CONFIG: ./utils/constants.js (tiempos configurables)
+ */
+import { isAuthenticated, logout, onSessionChange } from "./services/authService.js";
+import { createIdleTimer } from "./utils/idleTimer.js";
+import { openDialog } from "./components/Dialog.js";
+import { SESSION_CONFIG } from "./utils/constants.js";
+
 /**
  * CONSTANTE: app
  * --------------
@@ -32,46 +46,138 @@ import { router } from "./router/router.js";
 const app = document.getElementById('app');
 
 /**
- * FUNCIÓN EXPORTADA: render(viewNode)
- * ------------------------------------
+ * FUNCIÓN EXPORTADA: render(viewNode, options)
+ * ---------------------------------------------
  * PROPÓSITO: Función central de renderizado que actualiza el contenido del DOM
  * PARÁMETROS:
  *   - viewNode: Elemento DOM (o string HTML) que representa la vista a mostrar
+ *   - options.navbar: Boolean (default true) - Si se muestra el Navbar
+ *     El router lo toma de la definición de la ruta (navbar: false en login/register)
  * 
  * FLUJO:
  * 1. Limpia el contenedor principal (#app)
- * 2. Verifica la ruta actual para decidir si mostrar el Navbar
- * 3. Agrega Navbar si corresponde (no en login/register)
- * 4. Agrega el contenido de la vista
+ * 2. Agrega Navbar si la ruta lo permite
+ * 3. Agrega el contenido de la vista
  * 
  * SE USA EN: router.js cuando cambia la ruta
  * 
  * CÓMO REUTILIZAR EN OTROS PROYECTOS:
- * - Adaptar la lógica de noNavbarRoutes según tus rutas
+ * - Declarar navbar: false en las rutas que no deben mostrar navegación
  * - Cambiar Navbar por tu componente de navegación
  * - Mantener la estructura: limpiar, agregar nav, agregar contenido
  */
-export function render(viewNode) {
+export function render(viewNode, { navbar = true } = {}) {
     // 1. Limpiar todo el contenido anterior del contenedor principal
     app.innerHTML = '';
 
-    // 2. Identificar la ruta actual del navegador (después del #)
-    //    Si no hay hash, asumimos que es #login
-    const currentPath = window.location.hash || '#login';
-
-    // 3. Definir en qué rutas NO queremos mostrar el Navbar
-    //    (rutas de autenticación son más limpias sin navegación)
-    const noNavbarRoutes = ['#login', '#register'];
-
-    // 4. Solo agregar Navbar si la ruta actual NO está en la lista de exclusión
-    if (!noNavbarRoutes.includes(currentPath)) {
+    // 2. Solo agregar Navbar si la ruta actual lo permite
+    //    (las rutas de autenticación declaran navbar: false en router.js)
+    if (navbar) {
         app.appendChild(Navbar());
     }
 
-    // 5. Agregar el contenido de la vista actual
+    // 3. Agregar el contenido de la vista actual
     app.appendChild(viewNode);
 }
 
+/**
+ * CONSTANTE: idleTimer
+ * --------------------
+ * Temporizador de inactividad de la sesión (ver utils/idleTimer.js)
+ * - onWarning: abre el diálogo de aviso con cuenta atrás
+ * - onTimeout: cierra la sesión con logout({ reason: 'idle' })
+ * - syncKey: la actividad en cualquier pestaña mantiene viva la sesión en
+ *   todas (el logout sí se propaga, ver onSessionChange más abajo)
+ */
+const idleTimer = createIdleTimer({
+    timeout: SESSION_CONFIG.IDLE_TIMEOUT_MS,
+    warningBefore: SESSION_CONFIG.IDLE_WARNING_MS,
+    syncKey: 'lastActivity',
+    onWarning: showIdleWarning,
+    onTimeout: () => {
+        // Cerrar el aviso (si sigue abierto) y terminar la sesión
+        if (idleDialog) idleDialog.close(false);
+        logout({ reason: 'idle' });
+    }
+});
+
+// Diálogo de aviso abierto (null si no se está mostrando)
+let idleDialog = null;
+
+/**
+ * FUNCIÓN HELPER: showIdleWarning(remainingMs)
+ * ---------------------------------------------
+ * PROPÓSITO: Avisar al usuario de que su sesión se cerrará por inactividad
+ * 
+ * FLUJO:
+ * 1. Abre un diálogo con la cuenta atrás en segundos
+ * 2. "Stay signed in" → reinicia el temporizador de inactividad
+ * 3. "Log out" → cierra la sesión inmediatamente
+ * 4. Si no responde, onTimeout del idleTimer cierra la sesión
+ */
+function showIdleWarning(remainingMs) {
+    let secondsLeft = Math.ceil(remainingMs / 1000);
+
+    const message = document.createElement('p');
+    const updateMessage = () => {
+        message.textContent = `You have been inactive for a while. For your security you will be logged out in ${secondsLeft} seconds.`;
+    };
+    updateMessage();
+
+    idleDialog = openDialog({
+        title: 'Are you still there?',
+        body: message,
+        confirmText: 'Stay signed in',
+        cancelText: 'Log out'
+    });
+
+    // Cuenta atrás visible dentro del diálogo
+    const countdownId = setInterval(() => {
+        secondsLeft = Math.max(0, secondsLeft - 1);
+        updateMessage();
+    }, 1000);
+
+    idleDialog.result.then(stayed => {
+        clearInterval(countdownId);
+        idleDialog = null;
+
+        // Si el timeout ya cerró la sesión, no hay nada más que hacer
+        if (!isAuthenticated()) return;
+
+        if (stayed) {
+            idleTimer.reset();
+        } else {
+            idleTimer.stop();
+            logout();
+        }
+    });
+}
+
+/**
+ * FUNCIÓN HELPER: syncIdleTimer()
+ * --------------------------------
+ * PROPÓSITO: Activar el temporizador de inactividad solo mientras hay sesión
+ * 
+ * SE EJECUTA: Después de cada navegación (router ya validó la sesión)
+ */
+function syncIdleTimer() {
+    if (isAuthenticated()) {
+        idleTimer.start();
+    } else {
+        idleTimer.stop();
+    }
+}
+
+/**
+ * FUNCIÓN HELPER: navigate()
+ * ---------------------------
+ * PROPÓSITO: Ejecutar el router y después sincronizar el temporizador de inactividad
+ */
+async function navigate() {
+    await router();
+    syncIdleTimer();
+}
+
 /**
  * EVENT LISTENERS: Inicialización del Router
  * -------------------------------------------
@@ -81,7 +187,8 @@ export function render(viewNode) {
  * LOAD: Se dispara cuando se carga la página por primera vez
  *       Asegura que se renderice la vista inicial
  * 
- * AMBOS llaman a router() que decide qué vista mostrar
+ * AMBOS llaman a navigate(), que ejecuta router() para decidir qué vista
+ * mostrar y luego arranca o detiene el temporizador de inactividad
  * 
  * CÓMO FUNCIONA EN UNA SPA:
  * - Usuario hace click en un link: <a href="#menu">Menu</a>
@@ -89,5 +196,27 @@ export function render(viewNode) {
  * - Se dispara 'hashchange' -> se ejecuta router()
  * - router() lee el nuevo hash y renderiza la vista correspondiente
  */
-window.addEventListener('hashchange', router);
-window.addEventListener('load', router);
+window.addEventListener('hashchange', navigate);
+window.addEventListener('load', navigate);
+
+/**
+ * SINCRONIZACIÓN DE SESIÓN ENTRE PESTAÑAS
+ * ----------------------------------------
+ * Login o logout en otra pestaña → esta pestaña se actualiza al momento:
+ * 1. Se cierra el aviso de inactividad si estaba abierto
+ * 2. Login estando en #login/#register → ir a #menu (ya hay sesión)
+ * 3. En cualquier otro caso se vuelve a ejecutar el router: repinta el
+ *    Navbar y, si la ruta necesita sesión y ya no la hay, sus guards
+ *    redirigen a #login
+ */
+onSessionChange(({ loggedIn }) => {
+    if (idleDialog) idleDialog.close(false);
+
+    const onAuthPage = /^#(login|register)\b/.test(window.location.hash);
+    if (loggedIn && onAuthPage) {
+        window.location.hash = '#menu';   // hashchange → navigate()
+        return;
+    }
+
+    navigate();
+});
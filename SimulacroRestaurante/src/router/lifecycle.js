@@ -0,0 +1,57 @@
+// ============================================================================
+// ARCHIVO: lifecycle.js
+// PROPÓSITO: Limpieza de vistas al salir de una ruta (timers, listeners...)
+// ============================================================================
+// PROBLEMA: Las vistas son funciones que devuelven un nodo DOM. Cuando el
+// router pinta otra ruta, el nodo desaparece pero un setInterval o un
+// listener en window creado por la vista seguiría vivo (y haciendo fetch).
+//
+// SOLUCIÓN: La vista registra su limpieza con onLeave() y el router la
+// ejecuta con runLeaveHandlers() antes de mostrar la siguiente ruta.
+//
+// SE USA EN: router.js (runLeaveHandlers) y vistas con polling (kitchenView.js)
+// ============================================================================
+
+/**
+ * VARIABLE: leaveHandlers
+ * -----------------------
+ * Funciones de limpieza registradas por la vista actual
+ */
+let leaveHandlers = [];
+
+/**
+ * FUNCIÓN EXPORTADA: onLeave(handler)
+ * ------------------------------------
+ * PROPÓSITO: Registrar una función que se ejecutará al abandonar la ruta actual
+ *
+ * PARÁMETROS:
+ *   - handler: Function - Limpieza (ej: () => clearInterval(intervalId))
+ *
+ * EJEMPLO DE USO (dentro de una vista):
+ * const intervalId = setInterval(refresh, 15000);
+ * onLeave(() => clearInterval(intervalId));
+ */
+export function onLeave(handler) {
+    leaveHandlers.push(handler);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: runLeaveHandlers()
+ * --------------------------------------
+ * PROPÓSITO: Ejecutar y olvidar las limpiezas de la vista anterior
+ *
+ * SE EJECUTA: Al principio de cada router(), antes de pintar la nueva ruta
+ * ERRORES: Un fallo en una limpieza se loguea y no impide las demás
+ */
+export function runLeaveHandlers() {
+    const handlers = leaveHandlers;
+    leaveHandlers = [];
+
+    handlers.forEach(handler => {
+        try {
+            handler();
+        } catch (error) {
+            console.error('View cleanup error:', error);
+        }
+    });
+}
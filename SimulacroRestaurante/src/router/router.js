@@ -28,45 +28,238 @@ import { render } from '../main.js';
  * - Siguen el patrón de componentes funcionales
  */
 import { menuView } from '../views/menu.js';           // Vista del menú de productos
+import { productDetailView } from '../views/productDetail.js'; // Ficha de un producto
 import { LoginView } from '../views/login.js';          // Vista de inicio de sesión
 import { RegisterView } from '../views/register.js';    // Vista de registro
 import { orderView } from "../views/order.js";          // Vista de pedidos del usuario
 import { AdminDashboardView } from '../views/adminDashboardView.js'; // Panel de administración
+import { ProfileView } from '../views/profile.js';     // Perfil del usuario
+import { AdminUsersView } from '../views/adminUsersView.js'; // Gestión de usuarios y roles
+import { AdminCategoriesView } from '../views/adminCategoriesView.js'; // Gestión de categorías del menú
+import { KitchenView } from '../views/kitchenView.js';   // Tablero de cocina
 
 /**
- * IMPORT: getCurrentUser function
- * -------------------------------
+ * IMPORT: runLeaveHandlers
+ * ------------------------
+ * ORIGEN: ./lifecycle.js
+ * PROPÓSITO: Ejecutar la limpieza (timers, listeners) registrada por la vista
+ *            anterior con onLeave() antes de pintar la siguiente
+ */
+import { runLeaveHandlers } from './lifecycle.js';
+
+/**
+ * IMPORTS: checkAccess, validateSession
+ * -------------------------------------
  * ORIGEN: ../services/authService.js
- * PROPÓSITO: Obtener el usuario autenticado actual desde localStorage
- * SE USA: Para proteger rutas (verificar si el usuario puede acceder)
+ * PROPÓSITO:
+ * - validateSession: Comprobar el token de sesión contra la API antes de cada ruta
+ * - checkAccess: Evaluar las reglas de acceso (auth, roles) declaradas en cada ruta
+ * SE USA: Para proteger rutas de forma centralizada antes de ejecutar la vista
  */
-import { getCurrentUser } from '../services/authService.js';
+import { checkAccess, validateSession } from '../services/authService.js';
+
+/**
+ * CONSTANTE: APP_NAME
+ * -------------------
+ * Nombre de la app que se añade al título de la pestaña (document.title)
+ */
+const APP_NAME = 'RestorApp';
 
 /**
  * OBJETO: routes
  * --------------
- * ESTRUCTURA: { hash: función_de_vista }
- * PROPÓSITO: Mapear cada ruta (hash) con su vista correspondiente
+ * ESTRUCTURA: { patrón_de_hash: definición_de_ruta }
+ * PROPÓSITO: Mapear cada ruta (hash) con su vista y sus metadatos
+ * 
+ * DEFINICIÓN DE RUTA:
+ * - view: Función de vista que se ejecuta (obligatorio)
+ * - title: Título de la pestaña del navegador ("Menu | RestorApp")
+ * - auth: true si la ruta requiere sesión iniciada
+ * - roles: Array de roles permitidos (ej: ['admin'], ['kitchen', 'admin']); implica auth
+ * - navbar: false para ocultar el Navbar (login, registro)
  * 
  * CÓMO FUNCIONA:
  * - Usuario navega a #menu -> se ejecuta menuView()
  * - Usuario navega a #login -> se ejecuta LoginView()
+ * - Usuario navega a #orders/e4c1 -> se ejecuta orderView({ params: { id: 'e4c1' } })
+ * 
+ * GUARDS (PROTECCIÓN DE RUTAS):
+ * - El router evalúa auth/roles ANTES de ejecutar la vista
+ * - Sin sesión -> redirige a #login?returnTo=<ruta original>
+ * - Con sesión pero sin rol -> redirige a #menu
+ * - Las vistas protegidas pueden asumir que hay usuario
+ * 
+ * PARÁMETROS DE RUTA:
+ * - Un segmento que empieza por ':' es un parámetro (ej: '#orders/:id')
+ * - El valor capturado llega a la vista en params (ej: params.id)
+ * 
+ * QUERY STRING:
+ * - Todo lo que va después de '?' se parsea como query string
+ * - Ejemplo: #menu?category=Drinks&q=cola -> query = { category: 'Drinks', q: 'cola' }
+ * - La ruta se busca SIN el query string (#menu)
  * 
  * CÓMO REUTILIZAR EN OTROS PROYECTOS:
  * 1. Crear archivo router.js similar
- * 2. Definir tus rutas: const routes = { '#home': HomeView, '#about': AboutView }
- * 3. Crear las funciones de vista correspondientes
+ * 2. Definir tus rutas: const routes = { '#home': { view: HomeView, title: 'Home' } }
+ * 3. Crear las funciones de vista correspondientes (reciben { params, query })
  * 4. Usar la misma lógica del router() function
  */
 const routes = {
-    '#menu': menuView,               // Ruta del menú principal
-    '#login': LoginView,             // Ruta de autenticación
-    '#register': RegisterView,       // Ruta de registro de usuarios
-    '#orders': orderView,            // Ruta de pedidos del usuario
-    '#dashboard': AdminDashboardView, // Ruta del panel de administración (solo admin)
-    '#profile': async () => '<h1>Profile View (Work in Progress)</h1>' // Placeholder para perfil
+    // Ruta del menú principal (pública, acepta ?category=&q=)
+    '#menu': { view: menuView, title: 'Menu' },
+    '#menu/product/:id': { view: productDetailView, title: 'Product' },
+
+    // Rutas de autenticación (sin Navbar)
+    '#login': { view: LoginView, title: 'Login', navbar: false },
+    '#register': { view: RegisterView, title: 'Sign up', navbar: false },
+
+    // Pedidos del usuario (historial y detalle)
+    '#orders': { view: orderView, title: 'My Orders', auth: true },
+    '#orders/:id': { view: orderView, title: 'Order', auth: true },
+
+    // Panel de administración (solo admin)
+    '#dashboard': { view: AdminDashboardView, title: 'Admin Dashboard', auth: true, roles: ['admin'] },
+    '#admin/users': { view: AdminUsersView, title: 'Users', auth: true, roles: ['admin'] },
+    '#admin/categories': { view: AdminCategoriesView, title: 'Categories', auth: true, roles: ['admin'] },
+
+    // Tablero de cocina (personal de cocina y admin)
+    '#kitchen': { view: KitchenView, title: 'Kitchen', auth: true, roles: ['kitchen', 'admin'] },
+
+    // Perfil del usuario (editar nombre, email y contraseña)
+    '#profile': { view: ProfileView, title: 'Profile', auth: true }
 };
 
+/**
+ * FUNCIÓN EXPORTADA: parseHash(hash)
+ * -----------------------------------
+ * PROPÓSITO: Separar un hash en su ruta y su query string
+ * 
+ * PARÁMETROS:
+ *   - hash: String - Hash completo (ej: '#menu?category=Drinks&q=cola')
+ * 
+ * RETORNA: Object
+ *   - path: String - Ruta sin query string (ej: '#menu')
+ *   - query: Object - Parámetros del query string (ej: { category: 'Drinks', q: 'cola' })
+ * 
+ * SE USA EN:
+ * - router(): Para buscar la ruta y pasar el query a la vista
+ * - main.js: Para decidir si mostrar el Navbar según la ruta
+ */
+export function parseHash(hash) {
+    // 1. Separar la parte de la ruta de la parte del query string
+    const separatorIndex = hash.indexOf('?');
+    const path = separatorIndex === -1 ? hash : hash.slice(0, separatorIndex);
+    const queryString = separatorIndex === -1 ? '' : hash.slice(separatorIndex + 1);
+
+    // 2. URLSearchParams decodifica los valores (%20, +, etc.)
+    const query = Object.fromEntries(new URLSearchParams(queryString));
+
+    return { path, query };
+}
+
+/**
+ * FUNCIÓN HELPER: matchRoute(path)
+ * ---------------------------------
+ * PROPÓSITO: Buscar la ruta que coincide con un path, capturando sus parámetros
+ * 
+ * PARÁMETROS:
+ *   - path: String - Ruta sin query string (ej: '#orders/e4c1')
+ * 
+ * RETORNA:
+ *   - { pattern, route, params } si alguna ruta coincide
+ *   - null si ninguna coincide (-> 404)
+ * 
+ * FLUJO:
+ * 1. Si hay coincidencia exacta (ej: '#menu'), se usa directamente
+ * 2. Si no, se compara segmento a segmento con cada patrón
+ * 3. Los segmentos ':nombre' aceptan cualquier valor y lo guardan en params
+ *    (un valor mal codificado, ej: '%E0', no coincide → 404 en vez de URIError)
+ * 4. Los demás segmentos deben ser idénticos
+ */
+function matchRoute(path) {
+    // 1. Coincidencia exacta: el caso más común y más rápido
+    if (routes[path]) {
+        return { pattern: path, route: routes[path], params: {} };
+    }
+
+    // 2. Comparación segmento a segmento contra los patrones con parámetros
+    const pathSegments = path.split('/');
+
+    for (const pattern of Object.keys(routes)) {
+        const patternSegments = pattern.split('/');
+
+        // Distinto número de segmentos: no puede coincidir
+        if (patternSegments.length !== pathSegments.length) continue;
+
+        const params = {};
+        const matches = patternSegments.every((segment, index) => {
+            if (segment.startsWith(':')) {
+                // Segmento dinámico: capturar el valor (decodificado)
+                try {
+                    params[segment.slice(1)] = decodeURIComponent(pathSegments[index]);
+                } catch (error) {
+                    if (error instanceof URIError) return false;
+                    throw error;
+                }
+                return pathSegments[index] !== '';
+            }
+            // Segmento fijo: debe ser idéntico
+            return segment === pathSegments[index];
+        });
+
+        if (matches) {
+            return { pattern, route: routes[pattern], params };
+        }
+    }
+
+    // 3. Ninguna ruta coincide
+    return null;
+}
+
+/**
+ * FUNCIÓN HELPER: getGuardRedirect(route, hash)
+ * ----------------------------------------------
+ * PROPÓSITO: Decidir si hay que redirigir antes de mostrar una ruta protegida
+ * 
+ * PARÁMETROS:
+ *   - route: Object - Definición de la ruta (auth, roles, ...)
+ *   - hash: String - Hash completo solicitado (para volver tras el login)
+ * 
+ * RETORNA:
+ *   - null si el usuario puede ver la ruta
+ *   - String con el hash al que hay que redirigir
+ * 
+ * REDIRECCIONES:
+ * - Sin sesión: '#login?returnTo=%23orders' -> LoginView vuelve a #orders al entrar
+ * - Sin permiso (rol): '#menu'
+ */
+function getGuardRedirect(route, hash) {
+    const access = checkAccess(route);
+
+    if (access.allowed) return null;
+
+    if (access.reason === 'unauthenticated') {
+        return `#login?returnTo=${encodeURIComponent(hash)}`;
+    }
+
+    return '#menu';
+}
+
+/**
+ * FUNCIÓN HELPER: redirect(hash)
+ * -------------------------------
+ * PROPÓSITO: Cambiar de ruta SIN dejar la ruta protegida en el historial
+ * 
+ * POR QUÉ location.replace():
+ * - Con location.hash = ..., el botón "atrás" volvería a la ruta protegida
+ *   y el guard redirigiría otra vez (bucle de navegación)
+ * - replace() sustituye la entrada actual y sigue disparando 'hashchange'
+ */
+function redirect(hash) {
+    const { pathname, search } = window.location;
+    window.location.replace(`${pathname}${search}${hash}`);
+}
+
 /**
  * FUNCIÓN EXPORTADA: router()
  * ----------------------------
@@ -74,13 +267,15 @@ const routes = {
  * 
  * FLUJO COMPLETO:
  * 1. Se detecta cambio en URL (hashchange event en main.js)
- * 2. Se ejecuta router()
- * 3. router() lee el hash actual (#menu, #login, etc.)
- * 4. Busca la función de vista correspondiente en el objeto 'routes'
- * 5. Ejecuta la función de vista (puede ser async para cargar datos)
- * 6. Obtiene el contenido DOM de la vista
- * 7. Llama a render() para mostrar el contenido
- * 8. Actualiza el estilo del navbar (link activo)
+ * 2. Se ejecuta router() y se limpia la vista anterior (runLeaveHandlers)
+ * 3. router() lee el hash actual (#menu, #orders/e4c1, #menu?q=cola, etc.)
+ * 4. Separa ruta y query string con parseHash()
+ * 5. Busca la ruta correspondiente con matchRoute() (captura parámetros)
+ * 6. Valida la sesión (token) y aplica los guards de la ruta (auth, roles); si no pasa, redirige
+ * 7. Ejecuta la función de vista con { params, query }
+ * 8. Obtiene el contenido DOM de la vista
+ * 9. Llama a render() para mostrar el contenido (con o sin Navbar)
+ * 10. Actualiza el título de la pestaña y el link activo del navbar
  * 
  * MANEJO DE ERRORES:
  * - Si la vista no existe -> muestra página 404
@@ -96,55 +291,89 @@ export async function router() {
     //    Si no hay hash (usuario acaba de entrar), usar '#register' como default
     const hash = window.location.hash || '#register';
 
-    // 2. Buscar la función de vista correspondiente al hash en el objeto routes
-    const viewFn = routes[hash];
-
-    // 3. Verificar si existe una ruta definida para ese hash
-    if (viewFn) {
-        try {
-            // 4. Ejecutar la función de vista (puede ser async para cargar datos de API)
-            //    La vista puede devolver:
-            //    - Un elemento DOM (createElement)
-            //    - Un string HTML (para placeholders)
-            const viewContent = await viewFn();
-
-            // 5. Renderizar en el contenedor principal usando render() de main.js
-            //    IMPORTANTE: render() espera un nodo DOM, no un string
-            if (typeof viewContent === 'string') {
-                // Si la vista devuelve HTML como string, lo convertimos a nodo DOM
-                const tempDiv = document.createElement('div');
-                tempDiv.innerHTML = viewContent;
-                render(tempDiv);
-            } else {
-                // Si ya es un nodo DOM, lo pasamos directamente
-                render(viewContent);
-            }
+    // 1b. La vista anterior deja de estar visible: parar sus timers/listeners
+    runLeaveHandlers();
+
+    // 2. Separar la ruta del query string y buscar la ruta que coincide
+    const { path, query } = parseHash(hash);
+    const match = matchRoute(path);
+
+    // 3. Si no existe ruta definida para ese hash, mostrar error 404
+    if (!match) {
+        renderError404();
+        return;
+    }
+
+    const { route, params } = match;
+
+    // 4. GUARDS: validar el token de sesión contra la API (expirado → sin sesión)
+    //    y verificar sesión y roles ANTES de ejecutar la vista
+    await validateSession();
+    const redirectTo = getGuardRedirect(route, hash);
+    if (redirectTo) {
+        redirect(redirectTo);
+        return;
+    }
+
+    try {
+        // 5. Ejecutar la función de vista (puede ser async para cargar datos de API)
+        //    Recibe los parámetros de la ruta y el query string
+        //    La vista puede devolver:
+        //    - Un elemento DOM (createElement)
+        //    - Un string HTML (para placeholders)
+        const viewContent = await route.view({ params, query });
 
-            // 6. Actualizar el estado visual del navbar (marcar link activo)
-            //    Mejora la UX mostrando al usuario dónde está
-            updateActiveNavLink(hash);
+        // 6. Renderizar en el contenedor principal usando render() de main.js
+        //    IMPORTANTE: render() espera un nodo DOM, no un string
+        //    La ruta decide si se muestra el Navbar (navbar: false lo oculta)
+        const renderOptions = { navbar: route.navbar !== false };
 
-        } catch (error) {
-            // Si hay error al cargar la vista (ej: API caída), mostrar error 404
-            console.error("Error loading view:", error);
-            renderError404();
+        if (typeof viewContent === 'string') {
+            // Si la vista devuelve HTML como string, lo convertimos a nodo DOM
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = viewContent;
+            render(tempDiv, renderOptions);
+        } else {
+            // Si ya es un nodo DOM, lo pasamos directamente
+            render(viewContent, renderOptions);
         }
-    } else {
-        // Si no existe ruta definida para ese hash, mostrar error 404
+
+        // 7. Actualizar el título de la pestaña con el de la ruta
+        updateDocumentTitle(route.title);
+
+        // 8. Actualizar el estado visual del navbar (marcar link activo)
+        //    Mejora la UX mostrando al usuario dónde está
+        updateActiveNavLink(path);
+
+    } catch (error) {
+        // Si hay error al cargar la vista (ej: API caída), mostrar error 404
+        console.error("Error loading view:", error);
         renderError404();
     }
 }
 
 /**
- * FUNCIÓN HELPER: updateActiveNavLink(hash)
+ * FUNCIÓN HELPER: updateDocumentTitle(title)
+ * -------------------------------------------
+ * PROPÓSITO: Mostrar el título de la ruta en la pestaña del navegador
+ * 
+ * EJEMPLO: title = 'My Orders' -> "My Orders | RestorApp"
+ */
+function updateDocumentTitle(title) {
+    document.title = title ? `${title} | ${APP_NAME}` : APP_NAME;
+}
+
+/**
+ * FUNCIÓN HELPER: updateActiveNavLink(path)
  * ------------------------------------------
  * PROPÓSITO: Actualizar estilo visual del navbar para indicar la ruta activa
  * PARÁMETROS:
- *   - hash: String con la ruta actual (ej: '#menu')
+ *   - path: String con la ruta actual sin query string (ej: '#menu', '#orders/e4c1')
  * 
  * FLUJO:
  * 1. Selecciona todos los links del navbar (.nav-link)
- * 2. Compara el href de cada link con el hash actual
+ * 2. Compara el href de cada link con la primera sección de la ruta
+ *    (así '#orders/e4c1' mantiene activo el link '#orders')
  * 3. Agrega clase 'active' al link que coincide
  * 4. Quita clase 'active' de los demás
  * 
@@ -157,14 +386,17 @@ export async function router() {
  * - Definir estilos CSS para .nav-link.active
  * - Llamar esta función después de cada cambio de ruta
  */
-function updateActiveNavLink(hash) {
+function updateActiveNavLink(path) {
     // Seleccionar todos los links de navegación del navbar
     const navLinks = document.querySelectorAll('.nav-link');
+
+    // Sección principal de la ruta: '#orders/e4c1' -> '#orders'
+    const section = path.split('/')[0];
     
     // Iterar sobre cada link
     navLinks.forEach(link => {
-        // Si el href del link coincide con el hash actual
-        if (link.getAttribute('href') === hash) {
+        // Si el href del link coincide con la sección actual
+        if (link.getAttribute('href') === section) {
             link.classList.add('active');  // Marcarlo como activo
         } else {
             link.classList.remove('active'); // Quitarle el estado activo
@@ -205,4 +437,5 @@ function renderError404() {
     
     // Renderizar el mensaje de error
     render(div);
+    updateDocumentTitle('Page not found');
 }
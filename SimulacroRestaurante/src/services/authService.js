@@ -14,7 +14,47 @@
  * PROPÓSITO: Obtener las URLs de los endpoints de la API
  * POR QUÉ: Evitar hardcodear URLs, facilitar cambios de servidor
  */
-import {API_URLS} from "../utils/constants.js";
+import {API_URLS, SESSION_CONFIG, ROLES} from "../utils/constants.js";
+
+/**
+ * IMPORT: hashPassword, verifyPassword
+ * ------------------------------------
+ * ORIGEN: ../utils/password.js
+ * PROPÓSITO: Guardar contraseñas como hash PBKDF2 con sal y verificarlas
+ * POR QUÉ: db.json no debe exponer credenciales en texto plano
+ */
+import {hashPassword, verifyPassword} from "../utils/password.js";
+
+/**
+ * IMPORT: http, NotFoundError, NetworkError
+ * -----------------------------------------
+ * ORIGEN: ./httpClient.js
+ * PROPÓSITO: Cliente HTTP compartido (timeouts, reintentos, errores tipados)
+ * POR QUÉ NotFoundError: Distinguir "el usuario/sesión ya no existe"
+ *                        de "el servidor no responde" al validar la sesión
+ * POR QUÉ NetworkError: Mostrar "sin conexión" en lugar del mensaje técnico
+ */
+import {http, NotFoundError, NetworkError} from "./httpClient.js";
+
+/**
+ * CONSTANTE: SESSION_TOKEN_KEY
+ * ----------------------------
+ * Clave de localStorage donde se guarda SOLO el token de sesión.
+ * Los datos del usuario (nombre, rol...) nunca se leen de localStorage:
+ * se obtienen de la API al validar el token, así nadie puede editarse
+ * el rol a mano desde las DevTools.
+ */
+const SESSION_TOKEN_KEY = 'sessionToken';
+
+/**
+ * ESTADO DEL MÓDULO: activeSession
+ * --------------------------------
+ * Caché en memoria de la sesión validada contra la API:
+ * { id, token, expiresAt, validatedAt, user }
+ * - null si no hay sesión o aún no se ha validado (ej: recién recargada la página)
+ * - validateSession() la rellena; getCurrentUser() la lee de forma síncrona
+ */
+let activeSession = null;
 
 /**
  * FUNCIÓN EXPORTADA: login(email, password)
@@ -23,7 +63,7 @@ import {API_URLS} from "../utils/constants.js";
  * 
  * PARÁMETROS:
  *   - email: String - Email del usuario
- *   - password: String - Contraseña en texto plano (en producción usar hash)
+ *   - password: String - Contraseña introducida (se compara contra el hash guardado)
  * 
  * RETORNA: Object
  *   - { success: true, user: {...} } si login exitoso
@@ -33,14 +73,21 @@ import {API_URLS} from "../utils/constants.js";
  * 1. Usuario escribe email/password en LoginView
  * 2. LoginView llama a login(email, password)
  * 3. Esta función busca el usuario en la API (GET /users?email=...)
- * 4. Valida que exista y que la contraseña coincida
- * 5. Si todo OK: guarda usuario en localStorage y retorna success:true
- * 6. Si falla: retorna success:false con mensaje de error
- * 
- * LOCALSTORAGE:
- * - Almacena el usuario autenticado para persistir la sesión
- * - Se usa en getCurrentUser() para verificar si hay sesión activa
- * - En producción real usar tokens JWT y cookies httpOnly
+ * 4. Valida que exista y que la contraseña coincida con verifyPassword()
+ * 5. Si la cuenta es legacy (texto plano), guarda el hash nuevo (migración)
+ * 6. Si todo OK: guarda usuario en localStorage y retorna success:true
+ * 7. Si falla: retorna success:false con mensaje de error
+ * 
+ * MIGRACIÓN DE CONTRASEÑAS LEGACY:
+ * - Usuarios creados antes del hashing tienen la contraseña en texto plano
+ * - En su siguiente login correcto se reemplaza por el hash (PATCH /users/:id)
+ * - Si el PATCH falla, el login sigue siendo válido (se reintenta la próxima vez)
+ * 
+ * SESIONES:
+ * - Crea un registro en /sessions { token, userId, createdAt, expiresAt }
+ * - En localStorage solo se guarda el token ('sessionToken')
+ * - validateSession() comprueba el token contra la API en cada recarga
+ * - En producción real usar tokens firmados (JWT) y cookies httpOnly
  * 
  * CÓMO REUTILIZAR EN OTROS PROYECTOS:
  * 1. Cambiar API_URLS.USERS por tu endpoint de usuarios
@@ -52,16 +99,9 @@ export async function login(email, password) {
     try {
         // 1. Hacer petición GET a la API para buscar usuario por email
         //    json-server soporta query params: ?email=valor
-        const response = await fetch(`${API_URLS.USERS}?email=${(email)}`);
-
-        // 2. Verificar que la petición HTTP fue exitosa (status 200-299)
-        if (!response.ok) {
-            throw new Error('Error de conexión con el servidor');
-        }
-
-        // 3. Convertir respuesta JSON a objeto JavaScript
-        //    json-server devuelve un array de usuarios que coinciden
-        const users = await response.json();
+        // 2. httpClient verifica el status HTTP y lanza error si falla
+        // 3. json-server devuelve un array de usuarios que coinciden
+        const users = await http.get(API_URLS.USERS, { query: { email } });
         const user = users[0]; // Tomar el primero (debe ser único)
 
         // 4. VALIDACIÓN 1: Verificar que el usuario existe
@@ -69,22 +109,28 @@ export async function login(email, password) {
             return { success: false, error: 'Usuario no encontrado' };
         }
 
-        // 5. VALIDACIÓN 2: Verificar que la contraseña coincide
+        // 5. VALIDACIÓN 2: Verificar que la contraseña coincide con el hash
         //    IMPORTANTE: En producción real, el backend debe comparar hashes
-        if (user.password !== password) {
+        const { valid, needsRehash } = await verifyPassword(password, user.password);
+        if (!valid) {
             return { success: false, error: 'Contraseña incorrecta' };
         }
 
-        // 6. ÉXITO: Crear sesión guardando usuario en localStorage
-        //    Hacemos una copia del objeto usuario
-        const sessionUser = { ...user };
-        
-        // 7. SEGURIDAD: Eliminar la contraseña antes de guardar
-        //    NUNCA almacenar contraseñas en localStorage
-        delete sessionUser.password;
-        
-        // 8. Persistir usuario en localStorage como JSON string
-        localStorage.setItem('activeUser', JSON.stringify(sessionUser));
+        // 5b. MIGRACIÓN: Cuenta legacy en texto plano → guardar el hash
+        if (needsRehash) {
+            await rehashPassword(user.id, password);
+        }
+
+        // 6. ÉXITO: Crear la sesión en la API (POST /sessions)
+        const session = await createSession(user.id);
+
+        // 7. SEGURIDAD: Eliminar la contraseña antes de cachear el usuario
+        //    NUNCA almacenar contraseñas en el cliente
+        const sessionUser = toSessionUser(user);
+
+        // 8. Guardar solo el token en localStorage y la sesión validada en memoria
+        localStorage.setItem(SESSION_TOKEN_KEY, session.token);
+        activeSession = { ...session, validatedAt: Date.now(), user: sessionUser };
 
         // 9. Retornar éxito con datos del usuario (sin contraseña)
         return { success: true, user: sessionUser };
@@ -92,16 +138,133 @@ export async function login(email, password) {
     } catch (error) {
         // MANEJO DE ERRORES: Capturar cualquier error (red, servidor, etc.)
         console.error('Login error:', error);
-        return { success: false, error: 'Ocurrió un error inesperado' };
+        return { success: false, error: toErrorMessage(error, 'Ocurrió un error inesperado') };
+    }
+}
+/**
+ * FUNCIÓN HELPER: normalizeRole(role)
+ * ------------------------------------
+ * PROPÓSITO: Unificar el nombre de los roles
+ * 
+ * POR QUÉ: Versiones antiguas del registro guardaban 'user' en lugar de
+ * 'customer'. Cualquier rol desconocido se trata como cliente.
+ */
+function normalizeRole(role) {
+    return Object.values(ROLES).includes(role) ? role : ROLES.CUSTOMER;
+}
+
+/**
+ * FUNCIÓN HELPER: toSessionUser(user)
+ * ------------------------------------
+ * PROPÓSITO: Copia del usuario sin la contraseña (lo que se cachea en memoria)
+ * El rol se normaliza (ver normalizeRole)
+ */
+function toSessionUser(user) {
+    const sessionUser = { ...user, role: normalizeRole(user.role) };
+    delete sessionUser.password;
+    return sessionUser;
+}
+
+/**
+ * FUNCIÓN HELPER: toErrorMessage(error, fallback)
+ * ------------------------------------------------
+ * PROPÓSITO: Convertir un error del cliente HTTP en un mensaje para la UI
+ * 
+ * - NetworkError (servidor caído, timeout) → mensaje de conexión
+ * - Cualquier otro error → fallback (los mensajes HTTP son técnicos)
+ */
+function toErrorMessage(error, fallback) {
+    if (error instanceof NetworkError) {
+        return 'No se pudo conectar con el servidor';
+    }
+    return fallback;
+}
+
+/**
+ * FUNCIÓN HELPER: generateToken()
+ * --------------------------------
+ * PROPÓSITO: Generar un token de sesión aleatorio e imposible de adivinar
+ * 
+ * RETORNA: String hexadecimal de 64 caracteres (32 bytes aleatorios)
+ * POR QUÉ getRandomValues: funciona también fuera de HTTPS (a diferencia de randomUUID)
+ */
+function generateToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * FUNCIÓN HELPER: createSession(userId)
+ * --------------------------------------
+ * PROPÓSITO: Registrar una sesión nueva en la API
+ * 
+ * RETORNA: Promise<Object> - Sesión creada { id, token, userId, createdAt, expiresAt }
+ * 
+ * EXPIRACIÓN:
+ * - expiresAt = ahora + SESSION_CONFIG.TTL_MS
+ * - A partir de esa fecha validateSession() rechaza el token
+ */
+async function createSession(userId) {
+    const now = Date.now();
+
+    return http.post(API_URLS.SESSIONS, {
+        token: generateToken(),
+        userId,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + SESSION_CONFIG.TTL_MS).toISOString()
+    });
+}
+
+/**
+ * FUNCIÓN HELPER: clearSession()
+ * -------------------------------
+ * PROPÓSITO: Olvidar la sesión en este navegador (token y caché en memoria)
+ * 
+ * NOTA: También elimina 'activeUser', la clave que usaban las versiones
+ * anteriores para guardar el usuario completo en localStorage
+ */
+function clearSession() {
+    localStorage.removeItem(SESSION_TOKEN_KEY);
+    localStorage.removeItem('activeUser');
+    activeSession = null;
+}
+
+/**
+ * FUNCIÓN HELPER: isExpired(session)
+ * -----------------------------------
+ * PROPÓSITO: Saber si una sesión ya superó su expiresAt
+ */
+function isExpired(session) {
+    return new Date(session.expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * FUNCIÓN HELPER: rehashPassword(userId, password)
+ * -------------------------------------------------
+ * PROPÓSITO: Reemplazar una contraseña legacy (texto plano) por su hash
+ * 
+ * SE USA EN: login() tras verificar correctamente una cuenta legacy
+ * 
+ * NOTA: Un fallo aquí no invalida el login; solo se registra en consola
+ * y la migración se reintentará en el siguiente inicio de sesión
+ */
+async function rehashPassword(userId, password) {
+    try {
+        await http.patch(`${API_URLS.USERS}/${userId}`, {
+            password: await hashPassword(password)
+        });
+    } catch (error) {
+        console.error('Password rehash error:', error);
     }
 }
+
 /**
  * FUNCIÓN EXPORTADA: register(userData)
  * --------------------------------------
  * PROPÓSITO: Registrar un nuevo usuario en el sistema
  * 
  * PARÁMETROS:
- *   - userData: Object - Datos del usuario { name, email, password, role }
+ *   - userData: Object - Datos del usuario { name, email, password }
  * 
  * RETORNA: Object
  *   - { success: true, user: {...} } si registro exitoso
@@ -118,6 +281,12 @@ export async function login(email, password) {
  * - Email único (no permitir duplicados)
  * - Backend debe validar: formato de email, longitud de contraseña, etc.
  * 
+ * SEGURIDAD:
+ * - La contraseña se guarda como hash PBKDF2 (ver utils/password.js)
+ * - El usuario devuelto no incluye la contraseña
+ * - El rol SIEMPRE es ROLES.CUSTOMER: se ignora cualquier role que llegue en userData
+ *   (solo un admin puede promocionar usuarios con updateUserRole())
+ * 
  * CÓMO REUTILIZAR EN OTROS PROYECTOS:
  * 1. Adaptar la estructura de userData según tu modelo de usuario
  * 2. Agregar más validaciones (ej: contraseña fuerte, términos aceptados)
@@ -127,8 +296,7 @@ export async function register(userData) {
     try {
         // 1. VALIDACIÓN PREVIA: Verificar si el email ya está registrado
         //    Esto evita intentar crear usuarios duplicados
-        const checkRef = await fetch(`${API_URLS.USERS}?email=${(userData.email)}`);
-        const existingUsers = await checkRef.json();
+        const existingUsers = await http.get(API_URLS.USERS, { query: { email: userData.email } });
 
         // 2. Si ya existe un usuario con ese email, rechazar el registro
         if (existingUsers.length > 0) {
@@ -136,21 +304,20 @@ export async function register(userData) {
         }
 
         // 3. CREAR USUARIO: Enviar POST con los datos del nuevo usuario
-        const response = await fetch(`${API_URLS.USERS}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json' // Indicar que enviamos JSON
-            },
-            body: JSON.stringify(userData) // Convertir objeto a JSON string
+        //    Solo se copian los campos permitidos: el rol lo decide el servidor (customer)
+        //    createdAt registra la fecha de alta (se muestra en el perfil)
+        //    httpClient envía el body como JSON y lanza error si la creación falla
+        // 4. Obtener el usuario recién creado (con ID generado por el servidor)
+        const newUser = await http.post(API_URLS.USERS, {
+            name: userData.name,
+            email: userData.email,
+            password: await hashPassword(userData.password),
+            role: ROLES.CUSTOMER,
+            createdAt: new Date().toISOString()
         });
 
-        // 4. Verificar que la creación fue exitosa
-        if (!response.ok) {
-            throw new Error('No se pudo crear el usuario');
-        }
-
-        // 5. Obtener el usuario recién creado (con ID generado por el servidor)
-        const newUser = await response.json();
+        // 5. Se elimina el hash de la contraseña antes de devolverlo
+        delete newUser.password;
         
         // 6. Retornar éxito con el usuario creado
         return { success: true, user: newUser };
@@ -158,23 +325,194 @@ export async function register(userData) {
     } catch (error) {
         // MANEJO DE ERRORES: Capturar errores de red, servidor, etc.
         console.error('Register error:', error);
-        return { success: false, error: error.message || 'Error al registrar usuario' };
+        return { success: false, error: toErrorMessage(error, 'Error al registrar usuario') };
     }
 }
 
 /**
- * FUNCIÓN EXPORTADA: logout()
- * ----------------------------
+ * FUNCIÓN EXPORTADA: updateProfile(userId, updates, currentPassword)
+ * -------------------------------------------------------------------
+ * PROPÓSITO: Actualizar los datos de la cuenta del usuario logueado
+ * 
+ * PARÁMETROS:
+ *   - userId: string - ID del usuario a actualizar
+ *   - updates: Object - Campos a cambiar { name, email, newPassword }
+ *     (los campos vacíos o iguales a los actuales se ignoran)
+ *   - currentPassword: String - Contraseña actual, obligatoria para confirmar
+ * 
+ * RETORNA: Object
+ *   - { success: true, user: {...} } si se guardaron los cambios
+ *   - { success: false, error: 'mensaje' } si falla
+ * 
+ * FLUJO COMPLETO:
+ * 1. ProfileView envía el formulario con la contraseña actual
+ * 2. Se obtiene el usuario actual de la API (GET /users/:id)
+ * 3. Se verifica la contraseña actual con verifyPassword() (igual que login)
+ * 4. Si cambia el email, se verifica que no lo use otra cuenta
+ * 5. Se envían SOLO los campos modificados con PATCH /users/:id
+ *    (la nueva contraseña se guarda hasheada)
+ * 6. Se actualiza el usuario de la sesión en memoria (sin contraseña)
+ * 
+ * SEGURIDAD:
+ * - Pedir la contraseña actual evita que alguien con la sesión abierta
+ *   cambie el email o la contraseña de otra persona
+ * - Igual que en login(), la contraseña nunca se guarda en el cliente
+ */
+export async function updateProfile(userId, updates, currentPassword) {
+    try {
+        // 1. Obtener el usuario actual desde la API
+        const user = await http.get(`${API_URLS.USERS}/${userId}`);
+
+        // 2. VALIDACIÓN: La contraseña actual debe coincidir
+        const { valid } = await verifyPassword(currentPassword || '', user.password);
+        if (!currentPassword || !valid) {
+            return { success: false, error: 'La contraseña actual no es correcta' };
+        }
+
+        // 3. Construir el PATCH solo con los campos que cambian
+        const changes = {};
+        if (updates.name && updates.name !== user.name) {
+            changes.name = updates.name;
+        }
+        if (updates.email && updates.email !== user.email) {
+            changes.email = updates.email;
+        }
+        if (updates.newPassword) {
+            changes.password = await hashPassword(updates.newPassword);
+        }
+
+        // Nada que guardar: devolvemos la sesión tal cual
+        if (Object.keys(changes).length === 0) {
+            return { success: true, user: getCurrentUser() };
+        }
+
+        // 4. VALIDACIÓN: El nuevo email no puede pertenecer a otra cuenta
+        if (changes.email) {
+            const existingUsers = await http.get(API_URLS.USERS, { query: { email: changes.email } });
+            if (existingUsers.some(u => u.id !== userId)) {
+                return { success: false, error: 'El correo electrónico ya está registrado' };
+            }
+        }
+
+        // 5. PATCH /users/:id con los cambios
+        const updatedUser = await http.patch(`${API_URLS.USERS}/${userId}`, changes);
+
+        // 6. Mantener la sesión en memoria sincronizada (sin contraseña)
+        const sessionUser = toSessionUser(updatedUser);
+        if (activeSession && activeSession.user.id === sessionUser.id) {
+            activeSession.user = sessionUser;
+        }
+
+        return { success: true, user: sessionUser };
+
+    } catch (error) {
+        // MANEJO DE ERRORES: Capturar errores de red, servidor, etc.
+        console.error('Update profile error:', error);
+        return { success: false, error: toErrorMessage(error, 'Error al actualizar el perfil') };
+    }
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getUsers()
+ * ------------------------------
+ * PROPÓSITO: Listar todas las cuentas (pantalla de gestión de usuarios)
+ * 
+ * RETORNA: Object
+ *   - { success: true, users: [...] } sin contraseñas y con el rol normalizado
+ *   - { success: false, error: 'mensaje' } si falla
+ * 
+ * SE USA EN:
+ * - adminUsersView.js: Tabla de usuarios (ruta protegida con roles: ['admin'])
+ */
+export async function getUsers() {
+    try {
+        const users = await http.get(API_URLS.USERS);
+        return { success: true, users: users.map(toSessionUser) };
+
+    } catch (error) {
+        console.error('Get users error:', error);
+        return { success: false, error: toErrorMessage(error, 'Error al cargar usuarios') };
+    }
+}
+
+/**
+ * FUNCIÓN EXPORTADA: updateUserRole(userId, role)
+ * ------------------------------------------------
+ * PROPÓSITO: Promocionar o degradar a un usuario (solo administradores)
+ * 
+ * PARÁMETROS:
+ *   - userId: string - ID del usuario a modificar
+ *   - role: string - Nuevo rol (uno de ROLES)
+ * 
+ * RETORNA: Object
+ *   - { success: true, user: {...} } con el usuario actualizado (sin contraseña)
+ *   - { success: false, error: 'mensaje' } si no se permite o falla
+ * 
+ * REGLAS:
+ * 1. Solo un admin puede cambiar roles
+ * 2. El rol debe existir en ROLES
+ * 3. Un admin no puede cambiar su propio rol (evita quedarse fuera del panel)
+ * 4. No se puede degradar al último admin (la app se quedaría sin administradores)
+ * 
+ * SEGURIDAD:
+ * - Igual que requireAdmin(), es validación del FRONTEND; un backend real
+ *   debe repetir estas comprobaciones en el endpoint
+ */
+export async function updateUserRole(userId, role) {
+    try {
+        // 1. Solo administradores
+        const currentUser = getCurrentUser();
+        if (!isAdmin()) {
+            return { success: false, error: 'Solo los administradores pueden cambiar roles' };
+        }
+
+        // 2. Rol válido
+        if (!Object.values(ROLES).includes(role)) {
+            return { success: false, error: `Rol desconocido: ${role}` };
+        }
+
+        // 3. No permitir cambiarse el rol a uno mismo
+        if (currentUser.id === userId) {
+            return { success: false, error: 'No puedes cambiar tu propio rol' };
+        }
+
+        // 4. Al degradar a un admin, comprobar que no sea el último
+        if (role !== ROLES.ADMIN) {
+            const admins = await http.get(API_URLS.USERS, { query: { role: ROLES.ADMIN } });
+            if (admins.some(admin => admin.id === userId) && admins.length <= 1) {
+                return { success: false, error: 'No se puede degradar al último administrador' };
+            }
+        }
+
+        // 5. PATCH /users/:id solo con el rol
+        const updatedUser = await http.patch(`${API_URLS.USERS}/${userId}`, { role });
+
+        return { success: true, user: toSessionUser(updatedUser) };
+
+    } catch (error) {
+        console.error('Update role error:', error);
+        return { success: false, error: toErrorMessage(error, 'Error al actualizar el rol') };
+    }
+}
+
+/**
+ * FUNCIÓN EXPORTADA: logout(options)
+ * -----------------------------------
  * PROPÓSITO: Cerrar la sesión del usuario actual
  * 
+ * PARÁMETROS:
+ *   - options.reason: String (opcional) - Motivo del cierre
+ *     'idle' → cierre automático por inactividad (LoginView lo explica)
+ * 
  * FLUJO:
- * 1. Usuario hace click en botón "Logout" del Navbar
- * 2. Navbar llama a logout()
- * 3. Esta función elimina el usuario de localStorage
- * 4. Redirige al usuario a la página de login
+ * 1. Usuario hace click en botón "Logout" del Navbar (o expira por inactividad)
+ * 2. Navbar (o main.js) llama a logout()
+ * 3. Esta función elimina la sesión en la API (DELETE /sessions/:id)
+ * 4. Olvida el token local y la caché en memoria
+ * 5. Redirige al usuario a la página de login
  * 
  * CÓMO FUNCIONA:
- * - localStorage.removeItem('activeUser') elimina la sesión
+ * - El DELETE se lanza sin esperar: aunque falle la red, el token local se borra
  * - window.location.hash = '#login' redirige al login
  * - El router detecta el cambio y renderiza LoginView
  * 
@@ -183,12 +521,130 @@ export async function register(userData) {
  * 2. Si usas cookies: hacer petición al backend para invalidar sesión
  * 3. Cambiar '#login' por tu ruta de autenticación
  */
-export function logout() {
-    // 1. Eliminar usuario de localStorage (cierra la sesión)
-    localStorage.removeItem('activeUser');
+export function logout({ reason } = {}) {
+    // 1. Invalidar la sesión en la API (sin bloquear el cierre local)
+    if (activeSession) {
+        http.delete(`${API_URLS.SESSIONS}/${activeSession.id}`)
+            .catch(error => console.error('Logout error:', error));
+    }
+
+    // 2. Eliminar token y caché local (cierra la sesión)
+    clearSession();
     
-    // 2. Redirigir a la página de login
-    window.location.hash = '#login';
+    // 3. Redirigir a la página de login (con el motivo si lo hay)
+    window.location.hash = reason ? `#login?reason=${reason}` : '#login';
+}
+
+/**
+ * FUNCIÓN EXPORTADA: onSessionChange(handler)
+ * --------------------------------------------
+ * PROPÓSITO: Enterarse de un login/logout hecho en OTRA pestaña
+ * 
+ * PARÁMETROS:
+ *   - handler: Function({ loggedIn }) - Se llama cuando cambia el token
+ *     guardado. loggedIn = true si ahora hay token (login en otra pestaña)
+ * 
+ * RETORNA: Function - Llamarla deja de escuchar
+ * 
+ * CÓMO FUNCIONA:
+ * - El navegador lanza el evento 'storage' en las DEMÁS pestañas del mismo
+ *   origen cuando una cambia localStorage (nunca en la que hizo el cambio)
+ * - Solo interesa la clave del token (o key null: localStorage.clear())
+ * - No hace falta limpiar activeSession: getCurrentUser() ya compara el
+ *   token en memoria con el de localStorage y devuelve null si no coinciden
+ * 
+ * SE USA EN: main.js (vuelve a ejecutar el router para repintar Navbar y vista)
+ */
+export function onSessionChange(handler) {
+    const listener = event => {
+        if (event.key !== SESSION_TOKEN_KEY && event.key !== null) return;
+        handler({ loggedIn: Boolean(localStorage.getItem(SESSION_TOKEN_KEY)) });
+    };
+
+    window.addEventListener('storage', listener);
+    return () => window.removeEventListener('storage', listener);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: validateSession()
+ * -------------------------------------
+ * PROPÓSITO: Comprobar el token guardado contra la API y cargar el usuario
+ * 
+ * RETORNA: Promise<Object|null>
+ *   - Usuario (sin contraseña) si el token es válido y no ha expirado
+ *   - null si no hay token, no existe en /sessions o ya expiró
+ * 
+ * SE USA EN:
+ * - router.js: Antes de evaluar los guards de cada ruta
+ * 
+ * FLUJO:
+ * 1. Lee el token de localStorage
+ * 2. Si coincide con la sesión en memoria, no expiró y se validó hace poco
+ *    (SESSION_CONFIG.REVALIDATE_MS), la reutiliza sin ir a la API
+ * 3. Si no, busca la sesión: GET /sessions?token=...
+ * 4. Si no existe o expiró → limpia el token y retorna null
+ * 5. Carga el usuario real: GET /users/:userId (el rol viene de la API)
+ * 6. Guarda la sesión validada en memoria y retorna el usuario
+ * 
+ * ERRORES DE RED:
+ * - Si la API no responde se mantiene la sesión en memoria (si la hay)
+ *   para no expulsar al usuario por un corte puntual
+ */
+export async function validateSession() {
+    // 1. Sin token no hay sesión
+    const token = localStorage.getItem(SESSION_TOKEN_KEY);
+    if (!token) {
+        clearSession();
+        return null;
+    }
+
+    // 2. Sesión en memoria reciente y vigente: no hace falta ir a la API
+    if (
+        activeSession &&
+        activeSession.token === token &&
+        !isExpired(activeSession) &&
+        Date.now() - activeSession.validatedAt < SESSION_CONFIG.REVALIDATE_MS
+    ) {
+        return activeSession.user;
+    }
+
+    try {
+        // 3. Buscar la sesión por token
+        const [session] = await http.get(API_URLS.SESSIONS, { query: { token } });
+
+        // 4. Token desconocido o expirado: cerrar sesión localmente
+        if (!session || isExpired(session)) {
+            if (session) {
+                // Limpieza del registro caducado en la API
+                http.delete(`${API_URLS.SESSIONS}/${session.id}`)
+                    .catch(error => console.error('Session cleanup error:', error));
+            }
+            clearSession();
+            return null;
+        }
+
+        // 5. Cargar el usuario dueño de la sesión (NotFoundError si se borró)
+        const user = await http.get(`${API_URLS.USERS}/${session.userId}`);
+
+        // 6. Guardar la sesión validada en memoria
+        activeSession = {
+            ...session,
+            validatedAt: Date.now(),
+            user: toSessionUser(user)
+        };
+        return activeSession.user;
+
+    } catch (error) {
+        // El usuario de la sesión ya no existe: la sesión no es válida
+        if (error instanceof NotFoundError) {
+            clearSession();
+            return null;
+        }
+
+        // Error de red: conservar la sesión en memoria si sigue vigente
+        console.error('Session validation error:', error);
+        return getCurrentUser();
+    }
 }
 
 /**
@@ -207,29 +663,30 @@ export function logout() {
  * - Menu: Para asociar pedidos al usuario actual
  * 
  * FLUJO:
- * 1. Lee 'activeUser' de localStorage
- * 2. Si existe, lo parsea de JSON a objeto
- * 3. Si no existe o hay error, retorna null
+ * 1. Lee la sesión validada en memoria (la rellena validateSession())
+ * 2. Comprueba que su token siga siendo el de localStorage y que no expiró
+ * 3. Si no hay sesión válida, retorna null
+ * 
+ * POR QUÉ ES SÍNCRONA:
+ * - Se llama desde muchos componentes al construir el HTML
+ * - El router ejecuta validateSession() antes de cada vista, así que
+ *   cuando una vista llama a getCurrentUser() la sesión ya está validada
  * 
  * CÓMO REUTILIZAR EN OTROS PROYECTOS:
  * - Esencial en cualquier app con autenticación
- * - Cambiar 'activeUser' por el nombre de tu clave en localStorage
  * - Si usas tokens JWT: decodificar el token para obtener datos
  */
 export function getCurrentUser() {
-    // 1. Intentar leer el usuario de localStorage
-    const userStr = localStorage.getItem('activeUser');
-    
-    // 2. Si no existe, no hay sesión activa
-    if (!userStr) return null;
-    
-    // 3. Intentar parsear el JSON almacenado
-    try {
-        return JSON.parse(userStr);
-    } catch (e) {
-        // Si hay error al parsear (localStorage corrupto), retornar null
+    // 1. Sin sesión validada en memoria no hay usuario
+    if (!activeSession) return null;
+
+    // 2. El token pudo borrarse (logout en otra pestaña) o la sesión expirar
+    if (localStorage.getItem(SESSION_TOKEN_KEY) !== activeSession.token || isExpired(activeSession)) {
         return null;
     }
+
+    // 3. Sesión válida: devolver el usuario cacheado
+    return activeSession.user;
 }
 
 /**
@@ -274,7 +731,7 @@ export function isAuthenticated() {
  * 
  * LÓGICA:
  * - Obtiene el usuario actual con getCurrentUser()
- * - Verifica que exista Y que tenga role === 'admin'
+ * - Verifica que exista Y que tenga role === ROLES.ADMIN
  * - Usa operadores booleanos para retornar true/false
  * 
  * CÓMO REUTILIZAR EN OTROS PROYECTOS:
@@ -284,8 +741,64 @@ export function isAuthenticated() {
  */
 export function isAdmin() {
     const user = getCurrentUser();
-    // Retorna true solo si hay usuario Y su role es 'admin'
-    return !!user && user.role === 'admin';
+    // Retorna true solo si hay usuario Y su role es admin
+    return !!user && user.role === ROLES.ADMIN;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: hasRole(roles)
+ * ----------------------------------
+ * PROPÓSITO: Verificar si el usuario actual tiene alguno de los roles indicados
+ * 
+ * PARÁMETROS:
+ *   - roles: Array<string> - Roles permitidos (ej: ['admin'])
+ * 
+ * RETORNA: Boolean
+ *   - true: Si hay usuario y su role está en la lista
+ *   - false: Si no hay usuario o su role no está permitido
+ * 
+ * SE USA EN:
+ * - checkAccess(): Para validar los roles declarados en cada ruta
+ */
+export function hasRole(roles) {
+    const user = getCurrentUser();
+    return !!user && roles.includes(user.role);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: checkAccess(rules)
+ * --------------------------------------
+ * PROPÓSITO: Evaluar las reglas de acceso de una ruta (guard declarativo)
+ * 
+ * PARÁMETROS:
+ *   - rules: Object - Metadatos de la ruta
+ *     - auth: boolean - La ruta requiere sesión iniciada
+ *     - roles: Array<string> - Roles que pueden entrar (implica auth)
+ * 
+ * RETORNA: Object
+ *   - { allowed: true } si el usuario puede entrar
+ *   - { allowed: false, reason: 'unauthenticated' } si no hay sesión
+ *   - { allowed: false, reason: 'forbidden' } si hay sesión pero el rol no es válido
+ * 
+ * SE USA EN:
+ * - router.js: Antes de ejecutar cada vista decide si renderiza o redirige
+ * - requireAuth() / requireAdmin(): Versiones imperativas para usar dentro de vistas
+ * 
+ * POR QUÉ DEVOLVER UN MOTIVO:
+ * - El router redirige a #login (con returnTo) si falta sesión
+ * - Pero a #menu si el usuario ya está logueado y no tiene permiso
+ */
+export function checkAccess({ auth = false, roles = null } = {}) {
+    // Cualquier ruta con roles requiere también sesión
+    if ((auth || roles) && !isAuthenticated()) {
+        return { allowed: false, reason: 'unauthenticated' };
+    }
+
+    if (roles && !hasRole(roles)) {
+        return { allowed: false, reason: 'forbidden' };
+    }
+
+    return { allowed: true };
 }
 
 /**
@@ -294,12 +807,13 @@ export function isAdmin() {
  * PROPÓSITO: Proteger rutas que requieren autenticación (middleware de ruta)
  * 
  * USO:
- * - Llamar al inicio de vistas protegidas: requireAuth()
- * - Si no hay usuario, redirige a login automáticamente
+ * - El router ya protege las rutas con auth: true (ver router.js)
+ * - Esta versión imperativa sirve para acciones dentro de una vista pública
+ * - Si no hay usuario, redirige a login (con returnTo a la ruta actual)
  * 
  * EJEMPLO:
- * export function ProfileView() {
- *     requireAuth(); // Protege la vista
+ * function handleCheckout() {
+ *     requireAuth(); // Detiene la acción si no hay sesión
  *     // ... resto del código
  * }
  * 
@@ -309,13 +823,13 @@ export function isAdmin() {
  * - Evita intentar renderizar vistas sin usuario
  * 
  * CÓMO REUTILIZAR EN OTROS PROYECTOS:
- * - Agregar al inicio de cualquier vista que requiera autenticación
+ * - Agregar al inicio de cualquier acción que requiera autenticación
  * - Combinar con try-catch en el router para manejar errores
  */
 export function requireAuth() {
-    if (!isAuthenticated()) {
-        // Si no hay usuario autenticado, redirigir a login
-        window.location.hash = '#login';
+    if (!checkAccess({ auth: true }).allowed) {
+        // Si no hay usuario autenticado, redirigir a login recordando dónde estaba
+        window.location.hash = `#login?returnTo=${encodeURIComponent(window.location.hash)}`;
         // Lanzar error para detener la ejecución
         throw new Error('Usuario no autenticado');
     }
@@ -324,22 +838,16 @@ export function requireAuth() {
 /**
  * FUNCIÓN EXPORTADA: requireAdmin()
  * ----------------------------------
- * PROPÓSITO: Proteger rutas que solo administradores pueden acceder
+ * PROPÓSITO: Proteger acciones que solo administradores pueden ejecutar
  * 
  * USO:
- * - Llamar al inicio de vistas de administración: requireAdmin()
+ * - Las rutas de admin se protegen con roles: ['admin'] en router.js
+ * - Llamar a requireAdmin() antes de acciones de admin en vistas compartidas
  * - Si el usuario no es admin, redirige a menu
  * 
- * EJEMPLO:
- * export function AdminDashboardView() {
- *     requireAdmin(); // Solo admins pueden entrar
- *     // ... resto del código
- * }
- * 
  * FLUJO:
- * 1. Obtiene usuario actual
- * 2. Verifica que exista Y que sea admin
- * 3. Si no cumple, redirige y lanza error
+ * 1. Evalúa checkAccess({ roles: ['admin'] })
+ * 2. Si no cumple, redirige y lanza error
  * 
  * SEGURIDAD:
  * - Esta es solo validación del FRONTEND
@@ -347,17 +855,13 @@ export function requireAuth() {
  * - Nunca confiar solo en validaciones del cliente
  * 
  * CÓMO REUTILIZAR EN OTROS PROYECTOS:
- * 1. Copiar para proteger rutas de admin
- * 2. Crear funciones similares para otros roles: requireModerator(), requireSuperAdmin()
- * 3. Generalizar: requireRole(role) para cualquier rol
+ * 1. Copiar para proteger acciones de admin
+ * 2. Para otros roles: checkAccess({ roles: ['moderator'] })
  */
 export function requireAdmin() {
-    const user = getCurrentUser();
-    
     // Si no hay usuario O no es admin, redirigir y lanzar error
-    if (!user || user.role !== 'admin') {
+    if (!checkAccess({ roles: ['admin'] }).allowed) {
         window.location.hash = '#menu';
         throw new Error('Acceso no autorizado. Sólo admin.');
     }
 }
-
@@ -0,0 +1,375 @@
+// ============================================================================
+// ARCHIVO: cartService.js
+// PROPÓSITO: Persistencia del carrito por usuario (localStorage + /carts)
+// ============================================================================
+// PROBLEMA: Antes había UNA sola clave 'shoppingCart' en localStorage para
+// todo el navegador: tras logout(), el siguiente usuario heredaba el carrito
+// del anterior.
+//
+// SOLUCIÓN:
+// - Un carrito por usuario:    'cart:user:<id>'
+// - Un carrito de invitado:    'cart:guest' (sin sesión)
+// - Al hacer login, el carrito de invitado se fusiona con el del usuario
+// - Los carritos de usuario se guardan también en /carts (id = userId),
+//   así el carrito sigue al usuario entre dispositivos
+//
+// FORMATO GUARDADO: { items: [{ product, quantity, options }], updatedAt: ISO date }
+// (options: opciones elegidas, ver utils/productOptions.js; los carritos
+// antiguos no las tienen y se tratan como [])
+// (updatedAt decide qué copia gana entre este dispositivo y el servidor)
+//
+// ENTRE PESTAÑAS: onCartChange() avisa cuando otra pestaña modifica el
+// carrito del usuario actual (evento 'storage' de localStorage)
+//
+// SE USA EN: menu.js (cargar/guardar carrito) y login.js (fusión al entrar)
+// ============================================================================
+
+/**
+ * IMPORTS: API_URLS, CART_CONFIG
+ * ------------------------------
+ * ORIGEN: ../utils/constants.js
+ * PROPÓSITO: Endpoint /carts y espera antes de sincronizar con el servidor
+ */
+import { API_URLS, CART_CONFIG } from '../utils/constants.js';
+
+/**
+ * IMPORTS: http, NotFoundError
+ * ----------------------------
+ * ORIGEN: ./httpClient.js
+ * PROPÓSITO: Peticiones a /carts. NotFoundError indica que el usuario
+ *            todavía no tiene carrito en el servidor (hay que crearlo)
+ */
+import { http, NotFoundError } from './httpClient.js';
+
+/**
+ * IMPORT: getCurrentUser
+ * ----------------------
+ * ORIGEN: ./authService.js
+ * PROPÓSITO: Saber de quién es el carrito (null = invitado)
+ */
+import { getCurrentUser } from './authService.js';
+
+/**
+ * IMPORT: getLineKey
+ * ------------------
+ * ORIGEN: ../utils/productOptions.js
+ * PROPÓSITO: Identificar cada línea por producto + opciones al fusionar
+ */
+import { getLineKey } from '../utils/productOptions.js';
+
+/**
+ * CONSTANTES: Claves de localStorage
+ * ----------------------------------
+ * - LEGACY_KEY: Clave global antigua (se migra al carrito de invitado)
+ * - GUEST_KEY: Carrito sin sesión
+ * - USER_KEY_PREFIX: Prefijo de los carritos de usuario
+ */
+const LEGACY_KEY = 'shoppingCart';
+const GUEST_KEY = 'cart:guest';
+const USER_KEY_PREFIX = 'cart:user:';
+
+/**
+ * VARIABLE: syncTimer
+ * -------------------
+ * Timeout pendiente de la siguiente sincronización con /carts
+ */
+let syncTimer = null;
+
+/**
+ * FUNCIÓN HELPER: storageKey(userId)
+ * -----------------------------------
+ * RETORNA: Clave de localStorage del carrito ('cart:guest' si no hay userId)
+ */
+function storageKey(userId) {
+    return userId ? `${USER_KEY_PREFIX}${userId}` : GUEST_KEY;
+}
+
+/**
+ * FUNCIÓN HELPER: readCart(key)
+ * ------------------------------
+ * PROPÓSITO: Leer un carrito de localStorage
+ *
+ * RETORNA: { items, updatedAt } (carrito vacío si no existe o está corrupto)
+ * Acepta también el formato antiguo (array de items sin updatedAt)
+ */
+function readCart(key) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(key));
+        if (Array.isArray(stored)) return { items: stored, updatedAt: null };
+        if (stored && Array.isArray(stored.items)) return stored;
+    } catch {
+        // Protección contra localStorage corrupto
+    }
+    return { items: [], updatedAt: null };
+}
+
+/**
+ * FUNCIÓN HELPER: writeCart(key, items, updatedAt)
+ * -------------------------------------------------
+ * Guarda el carrito con su fecha de modificación y la devuelve
+ */
+function writeCart(key, items, updatedAt = new Date().toISOString()) {
+    localStorage.setItem(key, JSON.stringify({ items, updatedAt }));
+    return updatedAt;
+}
+
+/**
+ * FUNCIÓN HELPER: migrateLegacyCart()
+ * ------------------------------------
+ * PROPÓSITO: Mover el carrito de la clave global 'shoppingCart' al de invitado
+ *
+ * No se sabe de quién era, así que NO se asigna a ningún usuario: si alguien
+ * hace login, se fusionará con su carrito como cualquier carrito de invitado.
+ */
+function migrateLegacyCart() {
+    const legacy = localStorage.getItem(LEGACY_KEY);
+    if (legacy === null) return;
+
+    localStorage.removeItem(LEGACY_KEY);
+    const { items } = readCart(GUEST_KEY);
+    if (items.length > 0) return;   // Ya había carrito de invitado: se conserva
+
+    try {
+        const legacyItems = JSON.parse(legacy);
+        if (Array.isArray(legacyItems) && legacyItems.length > 0) {
+            writeCart(GUEST_KEY, legacyItems);
+        }
+    } catch {
+        // Carrito antiguo corrupto: se descarta
+    }
+}
+
+/**
+ * FUNCIÓN HELPER: mergeItems(base, extra)
+ * ----------------------------------------
+ * PROPÓSITO: Unir dos listas de items sumando cantidades de la misma línea
+ *            (mismo producto Y mismas opciones)
+ *
+ * RETORNA: Array<{ product, quantity, options }> nuevo (no modifica los originales)
+ * Si una línea está en ambas, se conserva la copia de base
+ */
+function mergeItems(base, extra) {
+    const merged = base.map(item => ({ ...item }));
+
+    extra.forEach(item => {
+        const key = getLineKey(item.product, item.options);
+        const existing = merged.find(m => getLineKey(m.product, m.options) === key);
+        if (existing) {
+            existing.quantity += item.quantity;
+        } else {
+            merged.push({ ...item });
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * FUNCIÓN HELPER: fetchServerCart(userId)
+ * ----------------------------------------
+ * RETORNA: Promise<{ items, updatedAt } | null> - null si no tiene carrito guardado
+ */
+async function fetchServerCart(userId) {
+    try {
+        return await http.get(`${API_URLS.CARTS}/${userId}`);
+    } catch (error) {
+        if (error instanceof NotFoundError) return null;
+        throw error;
+    }
+}
+
+/**
+ * FUNCIÓN HELPER: pushServerCart(userId, items, updatedAt)
+ * ---------------------------------------------------------
+ * PROPÓSITO: Guardar el carrito del usuario en /carts/{userId}
+ *
+ * FLUJO:
+ * 1. PUT /carts/{userId} (reemplaza el carrito guardado)
+ * 2. Si aún no existe (404) → POST /carts con id = userId
+ */
+async function pushServerCart(userId, items, updatedAt) {
+    const cart = { id: userId, userId, items, updatedAt };
+
+    try {
+        await http.put(`${API_URLS.CARTS}/${userId}`, cart);
+    } catch (error) {
+        if (!(error instanceof NotFoundError)) throw error;
+        await http.post(API_URLS.CARTS, cart);
+    }
+}
+
+/**
+ * FUNCIÓN HELPER: scheduleSync(userId)
+ * -------------------------------------
+ * PROPÓSITO: Subir el carrito a /carts cuando el usuario deja de tocarlo
+ *
+ * Cada llamada reinicia la espera (CART_CONFIG.SYNC_DELAY_MS). Se sube lo
+ * que haya en localStorage en ese momento. Un fallo de red no afecta al
+ * carrito local: se vuelve a intentar en el siguiente cambio.
+ */
+function scheduleSync(userId) {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(() => {
+        syncTimer = null;
+        const { items, updatedAt } = readCart(storageKey(userId));
+        pushServerCart(userId, items, updatedAt)
+            .catch(error => console.error('Cart not synced', error));
+    }, CART_CONFIG.SYNC_DELAY_MS);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: loadCart()
+ * ------------------------------
+ * PROPÓSITO: Carrito del usuario actual (o de invitado) desde localStorage
+ *
+ * RETORNA: Array<{ product, quantity }> (síncrono, sin red)
+ *
+ * SE USA EN: menu.js (estado inicial del carrito)
+ */
+export function loadCart() {
+    migrateLegacyCart();
+    return readCart(storageKey(getCurrentUser()?.id)).items;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: saveCart(items)
+ * -----------------------------------
+ * PROPÓSITO: Guardar el carrito del usuario actual
+ *
+ * PARÁMETROS:
+ *   - items: Array<{ product, quantity }>
+ *
+ * FLUJO:
+ * 1. Si el carrito no cambió respecto a lo guardado, no hace nada
+ *    (menu.js guarda en cada repintado; así no se cambia updatedAt ni
+ *    se hacen peticiones inútiles)
+ * 2. Guarda en localStorage con la fecha actual (updatedAt)
+ * 3. Si hay sesión, programa la subida a /carts (scheduleSync)
+ *
+ * SE USA EN: menu.js (cada cambio del carrito, vía updateSidebarUI)
+ */
+export function saveCart(items) {
+    const userId = getCurrentUser()?.id;
+    const key = storageKey(userId);
+
+    // 1. Sin cambios
+    if (JSON.stringify(readCart(key).items) === JSON.stringify(items)) return;
+
+    // 2-3. Guardar y sincronizar
+    writeCart(key, items);
+    if (userId) scheduleSync(userId);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: onCartChange(handler)
+ * -----------------------------------------
+ * PROPÓSITO: Mantener el carrito igual en todas las pestañas abiertas
+ *
+ * PARÁMETROS:
+ *   - handler: Function(items) - Recibe el carrito nuevo cuando OTRA pestaña
+ *     lo cambia (añadir, vaciar, checkout...)
+ *
+ * RETORNA: Function - Llamarla deja de escuchar (ej: onLeave(stop))
+ *
+ * NOTAS:
+ * - La clave se calcula en cada evento: si el usuario cambia (login/logout
+ *   en otra pestaña) se escucha el carrito correcto
+ * - key null significa localStorage.clear() → carrito vacío
+ *
+ * SE USA EN: menu.js (repinta el sidebar con updateSidebarUI)
+ */
+export function onCartChange(handler) {
+    const listener = event => {
+        const key = storageKey(getCurrentUser()?.id);
+        if (event.key !== key && event.key !== null) return;
+        handler(readCart(key).items);
+    };
+
+    window.addEventListener('storage', listener);
+    return () => window.removeEventListener('storage', listener);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: refreshCart()
+ * ---------------------------------
+ * PROPÓSITO: Traer el carrito del servidor si es más reciente que el local
+ *            (el usuario lo cambió desde otro dispositivo)
+ *
+ * RETORNA: Promise<Array<{ product, quantity }>> - Carrito actualizado
+ *
+ * ERRORES: Sin conexión se devuelve el carrito local (no lanza)
+ *
+ * SE USA EN: menu.js (al cargar la vista)
+ */
+export async function refreshCart() {
+    const userId = getCurrentUser()?.id;
+    const key = storageKey(userId);
+    const local = readCart(key);
+    if (!userId) return local.items;
+
+    try {
+        const remote = await fetchServerCart(userId);
+        if (remote && (!local.updatedAt || remote.updatedAt > local.updatedAt)) {
+            writeCart(key, remote.items, remote.updatedAt);
+            return remote.items;
+        }
+    } catch (error) {
+        console.error('Cart not obtained', error);
+    }
+    return local.items;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: mergeGuestCart(user)
+ * ----------------------------------------
+ * PROPÓSITO: Al hacer login, no perder lo que se añadió como invitado
+ *
+ * PARÁMETROS:
+ *   - user: Object - Usuario que acaba de iniciar sesión ({ id })
+ *
+ * RETORNA: Promise<Array<{ product, quantity }>> - Carrito final del usuario
+ *
+ * FLUJO:
+ * 1. Carrito del usuario: el más reciente entre este dispositivo
+ *    (cart:user:<id>) y el servidor (/carts/<id>)
+ * 2. Se le suman los items del carrito de invitado
+ * 3. Se guarda (localStorage + /carts) y se vacía el de invitado
+ *
+ * ERRORES: Si /carts no responde se fusiona solo con el carrito local
+ *
+ * SE USA EN: login.js (tras un login correcto, antes de redirigir)
+ */
+export async function mergeGuestCart(user) {
+    migrateLegacyCart();
+    const key = storageKey(user.id);
+    const guest = readCart(GUEST_KEY);
+    let base = readCart(key);
+
+    // 1. ¿Hay una versión más reciente en el servidor?
+    try {
+        const remote = await fetchServerCart(user.id);
+        if (remote && (!base.updatedAt || remote.updatedAt > base.updatedAt)) {
+            base = remote;
+        }
+    } catch (error) {
+        console.error('Cart not obtained', error);
+    }
+
+    // Sin nada de invitado: solo se actualiza la copia local
+    if (guest.items.length === 0) {
+        writeCart(key, base.items, base.updatedAt || undefined);
+        return base.items;
+    }
+
+    // 2-3. Fusionar, guardar y olvidar el carrito de invitado
+    const items = mergeItems(base.items, guest.items);
+    const updatedAt = writeCart(key, items);
+    localStorage.removeItem(GUEST_KEY);
+
+    try {
+        await pushServerCart(user.id, items, updatedAt);
+    } catch (error) {
+        console.error('Cart not synced', error);
+    }
+    return items;
+}
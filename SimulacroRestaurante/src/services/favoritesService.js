@@ -0,0 +1,178 @@
+// ============================================================================
+// ARCHIVO: favoritesService.js
+// PROPÓSITO: Productos favoritos de cada usuario (colección /favorites)
+// ============================================================================
+// MODELO EN db.json (uno por usuario, id = userId, igual que /carts):
+//   { "id": "u1", "userId": "u1", "productIds": ["p001", "6c99"], "updatedAt": "..." }
+//
+// - Solo hay favoritos con sesión: sin usuario la lista está vacía y el
+//   corazón de la Card lleva a login
+// - Se guardan ids, no copias del producto: el menú y el perfil los
+//   cruzan con el catálogo actual (un producto borrado simplemente no sale)
+// - La última lista cargada se guarda en memoria (getFavorites) para que
+//   menu.js pinte las Cards de forma síncrona
+//
+// SE USA EN: menu.js (corazón de cada Card y filtro "Favorites") y
+//            profile.js (lista de favoritos en el sidebar)
+// ============================================================================
+
+/**
+ * IMPORT: API_URLS
+ * ----------------
+ * ORIGEN: ../utils/constants.js
+ * PROPÓSITO: Endpoint /favorites
+ */
+import { API_URLS } from '../utils/constants.js';
+
+/**
+ * IMPORTS: http, NotFoundError
+ * ----------------------------
+ * ORIGEN: ./httpClient.js
+ * PROPÓSITO: Peticiones a /favorites. NotFoundError indica que el usuario
+ *            todavía no tiene favoritos guardados (hay que crearlos)
+ */
+import { http, NotFoundError } from './httpClient.js';
+
+/**
+ * IMPORT: getCurrentUser
+ * ----------------------
+ * ORIGEN: ./authService.js
+ * PROPÓSITO: Saber de quién son los favoritos (null = invitado)
+ */
+import { getCurrentUser } from './authService.js';
+
+/**
+ * VARIABLE: cached
+ * ----------------
+ * Última lista conocida: { userId, ids: Set<string> }. Si cambia el
+ * usuario de la sesión, deja de valer (getFavorites devuelve vacío)
+ */
+let cached = { userId: null, ids: new Set() };
+
+/**
+ * VARIABLE: queue
+ * ---------------
+ * Cambios en curso. Cada toggleFavorite() espera al anterior: dos clicks
+ * rápidos en corazones distintos no se pisan (cada PUT lleva la lista entera)
+ */
+let queue = Promise.resolve();
+
+/**
+ * FUNCIÓN HELPER: favoritesUrl(userId)
+ * -------------------------------------
+ * RETORNA: String - URL de los favoritos del usuario (/favorites/{userId})
+ */
+function favoritesUrl(userId) {
+    return `${API_URLS.FAVORITES}/${userId}`;
+}
+
+/**
+ * FUNCIÓN HELPER: pushFavorites(userId, productIds)
+ * --------------------------------------------------
+ * PROPÓSITO: Guardar la lista en /favorites/{userId}
+ *
+ * FLUJO:
+ * 1. PUT /favorites/{userId} (reemplaza la lista guardada)
+ * 2. Si aún no existe (404) → POST /favorites con id = userId
+ */
+async function pushFavorites(userId, productIds) {
+    const favorites = { id: userId, userId, productIds, updatedAt: new Date().toISOString() };
+
+    try {
+        await http.put(favoritesUrl(userId), favorites);
+    } catch (error) {
+        if (!(error instanceof NotFoundError)) throw error;
+        await http.post(API_URLS.FAVORITES, favorites);
+    }
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getFavorites()
+ * ----------------------------------
+ * RETORNA: Set<string> - Ids favoritos del usuario actual según la última
+ *          carga (síncrono, sin red; vacío sin sesión o sin cargar)
+ */
+export function getFavorites() {
+    const userId = getCurrentUser()?.id;
+    return userId && cached.userId === userId ? new Set(cached.ids) : new Set();
+}
+
+/**
+ * FUNCIÓN EXPORTADA: loadFavorites()
+ * -----------------------------------
+ * PROPÓSITO: Traer del servidor los favoritos del usuario actual
+ *
+ * RETORNA: Promise<Set<string>> - Ids de los productos favoritos
+ *   - Sin sesión: vacío (sin petición)
+ *   - Sin favoritos guardados todavía (404): vacío
+ *
+ * LANZA: Errores de red (NetworkError...) tras loguearlos
+ * SE USA EN: menu.js (al cargar la vista) y profile.js
+ */
+export async function loadFavorites() {
+    const userId = getCurrentUser()?.id;
+    if (!userId) return new Set();
+
+    try {
+        const favorites = await http.get(favoritesUrl(userId));
+        cached = { userId, ids: new Set((favorites?.productIds || []).map(String)) };
+    } catch (error) {
+        if (!(error instanceof NotFoundError)) {
+            console.error('Favorites not obtained', error);
+            throw error;
+        }
+        cached = { userId, ids: new Set() };
+    }
+
+    return new Set(cached.ids);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: toggleFavorite(productId)
+ * ---------------------------------------------
+ * PROPÓSITO: Marcar o desmarcar un producto como favorito
+ *
+ * PARÁMETROS:
+ *   - productId: string|number
+ *
+ * RETORNA: Promise<Set<string>> - Lista de favoritos ya guardada
+ *          (favorites.has(id) dice cómo ha quedado el producto)
+ *
+ * LANZA:
+ *   - Error si no hay sesión (la vista lleva a login antes)
+ *   - Errores de red: la lista en memoria NO cambia (el corazón vuelve
+ *     a su estado anterior)
+ *
+ * FLUJO:
+ * 1. Espera a los cambios anteriores (queue)
+ * 2. Parte de la lista en memoria (o la carga si es de otro usuario)
+ * 3. Añade o quita el id y guarda la lista entera (pushFavorites)
+ * 4. Solo si se guardó, actualiza la lista en memoria
+ */
+export function toggleFavorite(productId) {
+    const task = queue.then(async () => {
+        const userId = getCurrentUser()?.id;
+        if (!userId) throw new Error('You must be logged in to save favorites');
+
+        try {
+            const ids = cached.userId === userId ? new Set(cached.ids) : await loadFavorites();
+            const id = String(productId);
+            if (ids.has(id)) {
+                ids.delete(id);
+            } else {
+                ids.add(id);
+            }
+
+            await pushFavorites(userId, [...ids]);
+            cached = { userId, ids };
+            return new Set(ids);
+        } catch (error) {
+            console.error(`Favorite ${productId} not updated`, error);
+            throw error;
+        }
+    });
+
+    // Un fallo no bloquea los cambios siguientes
+    queue = task.catch(() => {});
+    return task;
+}
@@ -0,0 +1,373 @@
+// ============================================================================
+// ARCHIVO: httpClient.js
+// PROPÓSITO: Cliente HTTP único sobre fetch() para toda la aplicación
+// ============================================================================
+// PATRÓN: Gateway / Adapter - Todas las peticiones a la API pasan por aquí
+// BENEFICIO: Una sola implementación de:
+//   - URL base configurable y query strings
+//   - Serialización/parseo de JSON
+//   - Errores tipados (NotFound, Validation, Conflict, Network...)
+//   - Timeouts con AbortController
+//   - Reintentos con backoff exponencial (solo en peticiones idempotentes
+//     o con cabecera Idempotency-Key)
+// SE USA EN: jsonService.js, productService.js y authService.js
+// ============================================================================
+
+/**
+ * IMPORT: API_URLS, HTTP_CONFIG
+ * -----------------------------
+ * ORIGEN: ../utils/constants.js
+ * PROPÓSITO: URL base del servidor y valores por defecto de timeout/reintentos
+ */
+import { API_URLS, HTTP_CONFIG } from "../utils/constants.js";
+
+// ============================================================================
+// ERRORES TIPADOS
+// ============================================================================
+// Permiten a las vistas reaccionar según el tipo de fallo:
+//   try { ... } catch (error) {
+//       if (error instanceof NotFoundError) { mostrar "no existe" }
+//       else if (error instanceof NetworkError) { mostrar "sin conexión" }
+//   }
+// ============================================================================
+
+/**
+ * CLASE: HttpError
+ * ----------------
+ * Respuesta HTTP con status de error (4xx/5xx). Base del resto de errores HTTP.
+ *
+ * PROPIEDADES:
+ * - status: Number - Código HTTP (404, 500...)
+ * - method / url: Petición que falló
+ * - data: Cuerpo de la respuesta de error (si lo había)
+ */
+export class HttpError extends Error {
+    constructor(message, { status, method, url, data } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.method = method;
+        this.url = url;
+        this.data = data;
+    }
+}
+
+/** 404 - El recurso no existe */
+export class NotFoundError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NotFoundError';
+    }
+}
+
+/** 400 / 422 - Datos enviados no válidos */
+export class ValidationError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ValidationError';
+    }
+}
+
+/** 409 - Conflicto con el estado actual del recurso (ej: duplicado) */
+export class ConflictError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ConflictError';
+    }
+}
+
+/**
+ * CLASE: NetworkError
+ * -------------------
+ * No hubo respuesta del servidor: sin conexión, servidor caído o timeout.
+ *
+ * PROPIEDADES:
+ * - timeout: Boolean - true si se canceló por superar el tiempo máximo
+ */
+export class NetworkError extends Error {
+    constructor(message, { method, url, timeout = false, cause } = {}) {
+        super(message);
+        this.name = 'NetworkError';
+        this.method = method;
+        this.url = url;
+        this.timeout = timeout;
+        this.cause = cause;
+    }
+}
+
+/**
+ * CONSTANTE: IDEMPOTENT_METHODS
+ * -----------------------------
+ * Métodos que se pueden repetir sin efectos secundarios extra.
+ * POST y PATCH NO se reintentan: podrían crear un pedido dos veces.
+ * EXCEPCIÓN: Si llevan la cabecera IDEMPOTENCY_HEADER, el servidor
+ * descarta los duplicados y sí se pueden reintentar.
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * CONSTANTE EXPORTADA: IDEMPOTENCY_HEADER
+ * ---------------------------------------
+ * Cabecera con la clave de idempotencia (ver utils/idempotency.js
+ * y server/idempotency.js)
+ */
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+/**
+ * CONSTANTE: RETRYABLE_STATUS
+ * ---------------------------
+ * Status HTTP transitorios que merece la pena reintentar
+ */
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+/**
+ * FUNCIÓN HELPER: createHttpError(response, method, url, data)
+ * -------------------------------------------------------------
+ * PROPÓSITO: Traducir un status HTTP a su clase de error
+ */
+function createHttpError(response, method, url, data) {
+    const details = { status: response.status, method, url, data };
+    const message = `${method} ${url} failed with HTTP ${response.status}`;
+
+    switch (response.status) {
+        case 404:
+            return new NotFoundError(message, details);
+        case 400:
+        case 422:
+            return new ValidationError(message, details);
+        case 409:
+            return new ConflictError(message, details);
+        default:
+            return new HttpError(message, details);
+    }
+}
+
+/**
+ * FUNCIÓN HELPER: sleep(ms)
+ * --------------------------
+ * Promise que se resuelve tras ms milisegundos (espera entre reintentos)
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * CLASE EXPORTADA: HttpClient
+ * ---------------------------
+ * PROPÓSITO: Hacer peticiones JSON con timeouts, reintentos y errores tipados
+ *
+ * CONSTRUCTOR (opciones):
+ * - baseURL: String - Se antepone a las rutas relativas ('/products')
+ * - timeout: Number - Milisegundos máximos por intento
+ * - retries: Number - Reintentos extra en peticiones idempotentes
+ * - retryDelay: Number - Espera base del backoff (se duplica en cada intento)
+ * - headers: Object - Cabeceras comunes a todas las peticiones
+ *
+ * MÉTODOS:
+ * - request(path, options): Petición genérica
+ * - get / post / put / patch / delete: Atajos por método HTTP
+ *
+ * CÓMO REUTILIZAR EN OTROS PROYECTOS:
+ * const api = new HttpClient({ baseURL: 'https://api.example.com' });
+ * const users = await api.get('/users', { query: { role: 'admin' } });
+ */
+export class HttpClient {
+    constructor({
+        baseURL = '',
+        timeout = HTTP_CONFIG.TIMEOUT_MS,
+        retries = HTTP_CONFIG.RETRIES,
+        retryDelay = HTTP_CONFIG.RETRY_DELAY_MS,
+        headers = {}
+    } = {}) {
+        this.baseURL = baseURL.replace(/\/$/, '');
+        this.timeout = timeout;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.headers = headers;
+    }
+
+    /**
+     * MÉTODO: buildUrl(path, query)
+     * ------------------------------
+     * PROPÓSITO: Construir la URL final
+     *
+     * - URLs absolutas (http://...) se usan tal cual (ej: API_URLS.PRODUCTS)
+     * - Rutas relativas se concatenan a baseURL
+     * - query: { category: 'Drinks', tags: ['a', 'b'] } → ?category=Drinks&tags=a&tags=b
+     *   (los valores undefined, null o '' se omiten)
+     */
+    buildUrl(path, query) {
+        const url = /^https?:\/\//.test(path)
+            ? path
+            : `${this.baseURL}/${String(path).replace(/^\//, '')}`;
+
+        if (!query) return url;
+
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            const values = Array.isArray(value) ? value : [value];
+            values
+                .filter(v => v !== undefined && v !== null && v !== '')
+                .forEach(v => params.append(key, v));
+        });
+
+        const queryString = params.toString();
+        if (!queryString) return url;
+        return `${url}${url.includes('?') ? '&' : '?'}${queryString}`;
+    }
+
+    /**
+     * MÉTODO: request(path, options)
+     * -------------------------------
+     * PROPÓSITO: Ejecutar una petición HTTP completa
+     *
+     * PARÁMETROS:
+     *   - path: String - Ruta relativa a baseURL o URL absoluta
+     *   - options.method: String - 'GET' por defecto
+     *   - options.query: Object - Parámetros del query string
+     *   - options.body: Object - Se envía como JSON
+     *   - options.headers: Object - Cabeceras extra
+     *   - options.timeout / options.retries: Sobrescriben los valores del cliente
+     *   - options.signal: AbortSignal - Permite cancelar desde fuera
+     *   - options.fullResponse: Boolean - Devolver { data, status, headers }
+     *     en lugar de solo los datos (útil para leer X-Total-Count)
+     *
+     * RETORNA: Promise<any>
+     *   - JSON parseado (null si la respuesta no tiene cuerpo)
+     *
+     * LANZA:
+     *   - NotFoundError / ValidationError / ConflictError / HttpError según el status
+     *   - NetworkError si no hubo respuesta (o se superó el timeout)
+     *
+     * FLUJO:
+     * 1. Construye URL, cabeceras y cuerpo
+     * 2. Ejecuta fetch con un AbortController que corta a los timeout ms
+     * 3. Si falla de forma transitoria (red o 5xx) y el método es idempotente
+     *    (o lleva IDEMPOTENCY_HEADER), espera retryDelay * 2^intento y lo
+     *    vuelve a intentar
+     * 4. Si la respuesta es de error, lanza el error tipado
+     * 5. Si es correcta, parsea el JSON y lo devuelve
+     */
+    async request(path, {
+        method = 'GET',
+        query,
+        body,
+        headers = {},
+        timeout = this.timeout,
+        retries = this.retries,
+        signal,
+        fullResponse = false
+    } = {}) {
+        method = method.toUpperCase();
+        const url = this.buildUrl(path, query);
+        const canRetry = IDEMPOTENT_METHODS.includes(method) || Boolean(headers[IDEMPOTENCY_HEADER]);
+        const maxRetries = canRetry ? retries : 0;
+
+        // 1. Cabeceras y cuerpo
+        const init = {
+            method,
+            headers: { Accept: 'application/json', ...this.headers, ...headers }
+        };
+        if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            // 2. Timeout por intento con AbortController
+            const controller = new AbortController();
+            let timedOut = false;
+            const timeoutId = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout);
+            const abortFromCaller = () => controller.abort();
+            signal?.addEventListener('abort', abortFromCaller);
+
+            let response;
+            try {
+                response = await fetch(url, { ...init, signal: controller.signal });
+            } catch (error) {
+                // Cancelada por quien llamó: no reintentar, propagar el AbortError
+                if (signal?.aborted) throw error;
+
+                const networkError = new NetworkError(
+                    timedOut
+                        ? `${method} ${url} timed out after ${timeout} ms`
+                        : `${method} ${url} failed: server unreachable`,
+                    { method, url, timeout: timedOut, cause: error }
+                );
+
+                // 3. Reintento con backoff si quedan intentos
+                if (attempt < maxRetries) {
+                    await sleep(this.retryDelay * 2 ** attempt);
+                    continue;
+                }
+                throw networkError;
+            } finally {
+                clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', abortFromCaller);
+            }
+
+            // 3. Status transitorio: reintentar si se puede
+            if (!response.ok && RETRYABLE_STATUS.includes(response.status) && attempt < maxRetries) {
+                await sleep(this.retryDelay * 2 ** attempt);
+                continue;
+            }
+
+            // 4-5. Parsear cuerpo (puede estar vacío: 204 o DELETE)
+            const text = await response.text();
+            let data = null;
+            if (text) {
+                try {
+                    data = JSON.parse(text);
+                } catch {
+                    data = text;
+                }
+            }
+
+            if (!response.ok) {
+                throw createHttpError(response, method, url, data);
+            }
+
+            return fullResponse
+                ? { data, status: response.status, headers: response.headers }
+                : data;
+        }
+    }
+
+    // ==== ATAJOS POR MÉTODO HTTP ====
+
+    get(path, options = {}) {
+        return this.request(path, { ...options, method: 'GET' });
+    }
+
+    post(path, body, options = {}) {
+        return this.request(path, { ...options, method: 'POST', body });
+    }
+
+    put(path, body, options = {}) {
+        return this.request(path, { ...options, method: 'PUT', body });
+    }
+
+    patch(path, body, options = {}) {
+        return this.request(path, { ...options, method: 'PATCH', body });
+    }
+
+    delete(path, options = {}) {
+        return this.request(path, { ...options, method: 'DELETE' });
+    }
+}
+
+/**
+ * EXPORT: http
+ * ------------
+ * Instancia compartida configurada con la URL base de json-server.
+ * Los servicios la importan en lugar de llamar a fetch() directamente.
+ *
+ * USO:
+ * import { http } from './httpClient.js';
+ * const products = await http.get(API_URLS.PRODUCTS);
+ * const order = await http.get('/orders/e4c1');
+ */
+export const http = new HttpClient({ baseURL: API_URLS.BASE_URL });
@@ -6,7 +6,12 @@
 // BENEFICIO: Centraliza TODAS las peticiones HTTP en un solo lugar
 // ============================================================================
 // ESTRUCTURA: Clase con métodos para cada operación CRUD
-// SE USA EN: Components (Card, OrderCard) y Views (menu, order, adminDashboard)
+// TRANSPORTE: Todas las peticiones usan el cliente compartido de httpClient.js
+//             (timeouts, reintentos y errores tipados)
+// CACHÉ: Los productos se guardan en una caché de módulo compartida por todas
+//        las instancias; las peticiones sueltas por ID se agrupan en una sola
+//        (GET /products?id=a&id=b) para evitar el problema N+1
+// SE USA EN: Views (menu, order, adminDashboard)
 // ============================================================================
 
 /**
@@ -14,10 +19,213 @@
  * ----------------
  * ORIGEN: ../utils/constants.js
  * FLUJO: constants.js -> jsonService.js
- * PROPÓSITO: Obtener las URLs de los endpoints
+ * PROPÓSITO: Obtener las URLs de los endpoints (y el tamaño de página por defecto)
  * POR QUÉ: Evitar hardcodear URLs en múltiples métodos
  */
-import {API_URLS} from "../utils/constants.js";
+import {API_URLS, ORDER_STATUS, PAGINATION_CONFIG} from "../utils/constants.js";
+
+/**
+ * IMPORT: canTransition, normalizeStatus, OrderStatusError
+ * --------------------------------------------------------
+ * ORIGEN: ../utils/orderStatus.js
+ * PROPÓSITO: Máquina de estados de los pedidos. updateOrderStatus() la
+ *            consulta antes de guardar para no permitir saltos inválidos
+ */
+import {canTransition, normalizeStatus, OrderStatusError} from "../utils/orderStatus.js";
+
+/**
+ * IMPORT: getAvailableStock, OutOfStockError
+ * ------------------------------------------
+ * ORIGEN: ../utils/stock.js
+ * PROPÓSITO: placeOrder() valida el stock del servidor antes de descontarlo
+ *            y lanza OutOfStockError con TODOS los productos que no llegan
+ */
+import {getAvailableStock, OutOfStockError} from "../utils/stock.js";
+
+/**
+ * IMPORT: sortCategories, getProductsUsingCategory, CategoryInUseError
+ * --------------------------------------------------------------------
+ * ORIGEN: ../utils/categories.js
+ * PROPÓSITO: Devolver las categorías en su orden y no borrar una que
+ *            todavía tenga productos (o huecos de combo)
+ */
+import {sortCategories, getProductsUsingCategory, CategoryInUseError} from "../utils/categories.js";
+
+/**
+ * IMPORT: http
+ * ------------
+ * ORIGEN: ./httpClient.js
+ * PROPÓSITO: Cliente HTTP compartido (sustituye a las llamadas directas a fetch)
+ * ERRORES: Los métodos propagan los errores tipados del cliente
+ *          (NotFoundError, NetworkError, ValidationError, ConflictError)
+ *          para que las vistas puedan distinguir "no existe" de "sin conexión"
+ */
+import {http, NotFoundError, IDEMPOTENCY_HEADER} from "./httpClient.js";
+
+// ============================================================================
+// CACHÉ Y AGRUPACIÓN DE PRODUCTOS (estado de módulo)
+// ============================================================================
+// Se declara FUERA de la clase porque cada vista hace new JsonService():
+// si la caché fuera una propiedad de instancia, no se compartiría.
+//
+// - productCache: id (string) → producto. La rellenan getProducts(),
+//   getProductById() y las operaciones CRUD de productos.
+// - pendingProductIds: id → { promise, resolve, reject } pedidos en el
+//   tick actual que aún no se han solicitado al servidor.
+// - productsRequest: Promise de GET /products en curso (evita pedir la
+//   lista dos veces si dos vistas la piden a la vez).
+// ============================================================================
+const productCache = new Map();
+let pendingProductIds = new Map();
+let batchScheduled = false;
+let productsRequest = null;
+
+/**
+ * FUNCIÓN HELPER: cacheProducts(products)
+ * ----------------------------------------
+ * Guarda uno o varios productos en la caché (clave = id como string)
+ */
+function cacheProducts(products) {
+    products.forEach(product => productCache.set(String(product.id), product));
+}
+
+/**
+ * FUNCIÓN HELPER: flushProductBatch()
+ * ------------------------------------
+ * PROPÓSITO: Resolver en UNA petición todos los IDs pedidos en el mismo tick
+ *
+ * FLUJO:
+ * 1. Toma los IDs pendientes y vacía la cola
+ * 2. GET /products?id=a&id=b&id=c (json-server filtra por varios valores)
+ * 3. Guarda el resultado en la caché
+ * 4. Resuelve cada promesa con su producto, o la rechaza con NotFoundError
+ *    si el servidor no lo devolvió
+ * 5. Si la petición falla, rechaza todas las promesas con el mismo error
+ */
+async function flushProductBatch() {
+    // 1. Vaciar la cola antes de la petición (nuevos IDs irán a otro lote)
+    const batch = pendingProductIds;
+    pendingProductIds = new Map();
+    batchScheduled = false;
+
+    try {
+        // 2-3. Una sola petición para todo el lote
+        const products = await http.get(API_URLS.PRODUCTS, {
+            query: { id: [...batch.keys()] }
+        });
+        cacheProducts(products);
+
+        // 4. Repartir resultados
+        batch.forEach((entry, id) => {
+            const product = productCache.get(id);
+            if (product) {
+                entry.resolve(product);
+            } else {
+                const url = `${API_URLS.PRODUCTS}/${id}`;
+                entry.reject(new NotFoundError(`Product ${id} not found`, {
+                    status: 404, method: 'GET', url
+                }));
+            }
+        });
+    } catch (error) {
+        // 5. Fallo de red o del servidor: afecta a todo el lote
+        batch.forEach(entry => entry.reject(error));
+    }
+}
+
+/**
+ * FUNCIÓN HELPER: loadProduct(id)
+ * --------------------------------
+ * PROPÓSITO: Encolar un ID en el lote actual y devolver su promesa
+ * Si el ID ya está en cola, se reutiliza la misma promesa.
+ * El lote se envía en un microtask: todas las llamadas síncronas
+ * (ej: un .map() sobre 200 IDs) acaban en la misma petición.
+ */
+function loadProduct(id) {
+    if (pendingProductIds.has(id)) {
+        return pendingProductIds.get(id).promise;
+    }
+
+    const entry = {};
+    entry.promise = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+    });
+    pendingProductIds.set(id, entry);
+
+    if (!batchScheduled) {
+        batchScheduled = true;
+        queueMicrotask(flushProductBatch);
+    }
+
+    return entry.promise;
+}
+
+/**
+ * FUNCIÓN HELPER: restoreStock(decremented)
+ * ------------------------------------------
+ * PROPÓSITO: Deshacer los descuentos de stock de un checkout fallido
+ *
+ * PARÁMETROS:
+ *   - decremented: Array<{ productId, quantity }> - Descuentos ya guardados
+ *
+ * FLUJO:
+ * 1. Por cada producto: GET del stock ACTUAL y PATCH con stock + quantity
+ *    (se suma sobre el valor actual, no se escribe el valor anterior, para
+ *    no pisar otros pedidos que hayan descontado mientras tanto)
+ * 2. Los errores se loguean pero NO se lanzan: el error que importa al
+ *    usuario es el que provocó el rollback, no el del rollback
+ */
+async function restoreStock(decremented) {
+    const results = await Promise.allSettled(decremented.map(async ({ productId, quantity }) => {
+        const url = `${API_URLS.PRODUCTS}/${productId}`;
+        const product = await http.get(url);
+        const restored = await http.patch(url, { stock: getAvailableStock(product) + quantity });
+        cacheProducts([restored]);
+    }));
+
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.error(`Stock of product ${decremented[index].productId} not restored`, result.reason);
+        }
+    });
+}
+
+/**
+ * FUNCIÓN HELPER: groupByProduct(items)
+ * --------------------------------------
+ * PROPÓSITO: Unidades pedidas de cada producto
+ *
+ * Un pedido puede tener varias líneas del mismo producto con distintas
+ * opciones ("Hamburguer Large" y "Hamburguer Regular"): el stock es del
+ * producto, así que se valida y descuenta la suma.
+ *
+ * Los combos (items con components) no tienen stock propio: cuentan las
+ * unidades de cada componente × unidades del combo.
+ *
+ * RETORNA: Array<{ productId, name, quantity }> - Una entrada por producto
+ */
+function groupByProduct(items) {
+    const groups = new Map();
+
+    items.forEach(item => {
+        const parts = Array.isArray(item.components)
+            ? item.components.map(component => ({
+                ...component,
+                quantity: component.quantity * item.quantity
+            }))
+            : [item];
+
+        parts.forEach(part => {
+            const id = String(part.productId);
+            const group = groups.get(id) || { productId: part.productId, name: part.name, quantity: 0 };
+            group.quantity += part.quantity;
+            groups.set(id, group);
+        });
+    });
+
+    return Array.from(groups.values());
+}
 
 /**
  * CLASE: JsonService
@@ -31,20 +239,31 @@ import {API_URLS} from "../utils/constants.js";
  * - Testing: Fácil de mockear en tests unitarios
  * 
  * MÉTODOS DISPONIBLES:
- * - getProducts(): Obtener todos los productos
- * - getProductById(id): Obtener un producto específico
+ * - getProducts(): Obtener todos los productos (y rellenar la caché)
+ * - getProductsPage(options): Una página de productos (_page/_limit/_sort/q) y el total
+ * - countProducts(filters): Nº de productos que cumplen los filtros (X-Total-Count)
+ * - getProductById(id): Obtener un producto específico (caché + lote)
+ * - getProductsByIds(ids): Obtener varios productos en una sola petición
+ * - clearProductCache(): Vaciar la caché (forzar recarga desde el servidor)
  * - getProductsIDs(): Obtener solo los IDs de productos
  * - createProduct(product): Crear nuevo producto (admin)
  * - updateProduct(id, updates): Actualizar producto (admin)
  * - deleteProduct(id): Eliminar producto (admin)
- * - createOrder(orderData): Crear un nuevo pedido
+ * - getCategories(): Obtener las categorías ordenadas por sortOrder
+ * - createCategory(category) / updateCategory(id, updates) / deleteCategory(id): CRUD (admin)
+ * - createOrder(orderData, options): Crear un nuevo pedido (siempre en estado 'pending')
+ * - placeOrder(orderData, options): Checkout completo (descuenta stock + crea el pedido)
+ * - updateOrderStatus(orderId, status, options): Cambiar el estado de un pedido
+ * - getOrders(filters): Obtener pedidos (opcionalmente filtrados, ej: { userId })
+ * - getOrderLines(productId): Productos de los pedidos que contienen uno (sin datos del cliente)
+ * - getPopularity(): Unidades pedidas de cada producto por estado (sin datos del cliente)
  * - getOrderById(orderId): Obtener un pedido específico
  * 
  * CÓMO REUTILIZAR EN OTROS PROYECTOS:
  * 1. Copiar la estructura de la clase
  * 2. Adaptar los métodos según tus endpoints
- * 3. Agregar más métodos según necesites (updateOrder, deleteOrder, etc.)
- * 4. Mantener el patrón async/await y try-catch
+ * 3. Agregar más métodos según necesites (deleteOrder, etc.)
+ * 4. Mantener el patrón async/await y try-catch (loguear y relanzar)
  */
 export default class JsonService {
     /**
@@ -79,7 +298,7 @@ export default class JsonService {
             return ids;
         } catch (error) {
             console.error('Product IDs not obtained', error);
-            throw new Error('Could not connect to the Products API.');
+            throw error;
         }
     }
 
@@ -95,37 +314,31 @@ export default class JsonService {
      *   - Objeto con datos del producto: { id, name, price, ... }
      * 
      * SE USA EN:
-     * - Card.js: Para obtener datos de un producto y mostrarlo
      * - Cualquier lugar que necesite detalles de un producto específico
+     *   (Card ya NO lo usa: recibe el producto completo)
      * 
      * FLUJO:
-     * 1. Hace GET a /products/{productId}
-     * 2. Valida que la respuesta sea exitosa (status 200)
-     * 3. Convierte JSON a objeto JavaScript
-     * 4. Retorna el producto
+     * 1. Si el producto está en caché, lo devuelve sin petición
+     * 2. Si no, lo encola en el lote actual (loadProduct)
+     * 3. Todos los IDs pedidos en el mismo tick se resuelven con
+     *    UNA petición: GET /products?id=a&id=b
      * 
      * MANEJO DE ERRORES:
-     * - Si el producto no existe: HTTP 404
-     * - Si hay error de red: catch captura el error
-     * - Siempre lanza Error con mensaje descriptivo
+     * - Si el producto no existe: lanza NotFoundError
+     * - Si hay error de red o timeout: lanza NetworkError (tras los reintentos)
      */
     async getProductById(productId) {
         try {
-            // GET /products/{productId}
-            const response = await fetch(`${API_URLS.PRODUCTS}/${productId}`);
-            
-            // Verificar que la petición fue exitosa
-            if (!response.ok) {
-                throw new Error(`Producto no encontrado (HTTP ${response.status})`);
-            }
-            
-            // Convertir respuesta a objeto
-            const product = await response.json();
-            
-            return product;
+            const id = String(productId);
+
+            // 1. Caché
+            if (productCache.has(id)) return productCache.get(id);
+
+            // 2-3. Petición agrupada
+            return await loadProduct(id);
         } catch (error) {
             console.error(`Product ${productId} not obtained`, error);
-            throw new Error('Could not connect to the Products API.');
+            throw error;
         }
     }
 
@@ -144,8 +357,9 @@ export default class JsonService {
      * 
      * FLUJO:
      * 1. Hace GET a /products (sin parámetros = todos)
-     * 2. Valida respuesta HTTP
-     * 3. Convierte JSON a array de objetos
+     *    Si ya hay una petición igual en curso, reutiliza su Promise
+     * 2. httpClient valida la respuesta y convierte el JSON a array
+     * 3. Guarda cada producto en la caché (getProductById no volverá a pedirlos)
      * 4. Retorna el array
      * 
      * HTTP STATUS CODES:
@@ -160,25 +374,185 @@ export default class JsonService {
      */
     async getProducts() {
         try {
-            // GET /products
-            const response = await fetch(`${API_URLS.PRODUCTS}`);
-            
-            // Verificar status HTTP
-            if (!response.ok) {
-                throw new Error(`Error HTTP ${response.status}`);
+            // 1. GET /products (una sola petición aunque se llame varias veces a la vez)
+            if (!productsRequest) {
+                productsRequest = http.get(API_URLS.PRODUCTS)
+                    .finally(() => { productsRequest = null; });
             }
-            
-            // Convertir respuesta JSON a array
-            const data = await response.json();
-            
-            return data;
+            const products = await productsRequest;
 
+            // 3. Rellenar la caché
+            cacheProducts(products);
+            return products;
         } catch (error) {
             console.error('Products not obtained', error);
-            throw new Error('Could not connect to the Products API.');
+            throw error;
+        }
+    }
+
+    /**
+     * MÉTODO: getProductsPage(options)
+     * ---------------------------------
+     * PROPÓSITO: Obtener UNA página de productos y el total que hay
+     * 
+     * PARÁMETROS (todos opcionales):
+     *   - options.page: Number - Página, empezando en 1 (_page)
+     *   - options.limit: Number - Productos por página (_limit, PAGINATION_CONFIG.PAGE_SIZE)
+     *   - options.sort: String - Campo por el que ordena json-server (_sort, ej: 'price')
+     *   - options.order: 'asc'|'desc' - Sentido del orden (_order, solo con sort)
+     *   - options.filters: Object - Filtros de json-server tal cual
+     *     Ejemplo: { category: 'Drinks', price_gte: 5, price_lte: 12 }
+     * 
+     * RETORNA: Promise<{ items, total, page, limit, hasMore }>
+     *   - items: Productos de esta página
+     *   - total: Productos que cumplen los filtros (cabecera X-Total-Count)
+     *   - hasMore: Si quedan páginas después de esta
+     * 
+     * SE USA EN:
+     * - menuView: Scroll infinito del grid (la siguiente página al llegar al final)
+     * 
+     * FLUJO:
+     * 1. GET /products?_page=2&_limit=12&_sort=price&_order=asc&category=Drinks
+     *    con fullResponse para poder leer las cabeceras
+     * 2. json-server devuelve la página y el total en X-Total-Count
+     *    (si faltara, se toma lo recibido como total: no hay más páginas)
+     * 3. Guarda los productos en la caché (getProductById no volverá a pedirlos)
+     * 
+     * EJEMPLO:
+     * const { items, total } = await jsonService.getProductsPage({ page: 1, filters: { category: 'Burgers' } });
+     */
+    async getProductsPage({
+        page = 1,
+        limit = PAGINATION_CONFIG.PAGE_SIZE,
+        sort,
+        order = 'asc',
+        filters = {}
+    } = {}) {
+        try {
+            // 1. Página pedida (los parámetros vacíos los omite httpClient)
+            const { data, headers } = await http.get(API_URLS.PRODUCTS, {
+                query: {
+                    ...filters,
+                    _page: page,
+                    _limit: limit,
+                    _sort: sort,
+                    _order: sort ? order : undefined
+                },
+                fullResponse: true
+            });
+
+            // 2. Total de productos que cumplen los filtros
+            const items = Array.isArray(data) ? data : [];
+            const header = headers.get('X-Total-Count');
+            const total = header === null
+                ? (page - 1) * limit + items.length
+                : Number(header);
+
+            // 3. Rellenar la caché
+            cacheProducts(items);
+            return { items, total, page, limit, hasMore: page * limit < total };
+        } catch (error) {
+            console.error(`Products page ${page} not obtained`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * MÉTODO: countProducts(filters)
+     * -------------------------------
+     * PROPÓSITO: Cuántos productos cumplen unos filtros, sin descargarlos
+     * 
+     * RETORNA: Promise<number> - X-Total-Count de una página de 1 producto
+     * SE USA EN: menuView (nº de productos de cada botón de categoría)
+     */
+    async countProducts(filters = {}) {
+        const { total } = await this.getProductsPage({ limit: 1, filters });
+        return total;
+    }
+
+    /**
+     * MÉTODO: getProductsByIds(productIds)
+     * -------------------------------------
+     * PROPÓSITO: Obtener varios productos a la vez
+     * 
+     * PARÁMETROS:
+     *   - productIds: Array<string|number>
+     * 
+     * RETORNA: Promise<Array<Object>> - En el mismo orden que productIds
+     * 
+     * FLUJO:
+     * - Los que están en caché se devuelven directamente
+     * - El resto se piden en UNA petición (todas las llamadas a
+     *   getProductById ocurren en el mismo tick y comparten lote)
+     */
+    async getProductsByIds(productIds) {
+        return Promise.all(productIds.map(id => this.getProductById(id)));
+    }
+
+    /**
+     * MÉTODO: getComboComponents(combos)
+     * -----------------------------------
+     * PROPÓSITO: Obtener SOLO los productos que ofrecen los huecos de unos combos
+     * 
+     * PARÁMETROS:
+     *   - combos: Array<Object> - Combos (product.slots)
+     * 
+     * RETORNA: Promise<Array<Object>> - Componentes (sin repetir), para expandCombo
+     * 
+     * SE USA EN:
+     * - menuView: Páginas del grid con combos (su stock y precio dependen de
+     *   los componentes), sin descargar todo el catálogo
+     * 
+     * FLUJO:
+     * 1. Reúne los productIds y las categorías (slot.category) de los huecos
+     * 2. Como mucho dos peticiones a la vez (json-server combina con AND
+     *    parámetros distintos, por eso no van juntas):
+     *    - GET /products?id=a&id=b con los IDs que no están en caché
+     *    - GET /products?category=Drinks&category=Sides
+     * 3. Guarda el resultado en la caché
+     * 
+     * NOTA: Un ID que ya no existe simplemente no vuelve (el hueco queda sin
+     * ese producto), a diferencia de getProductsByIds que lanza NotFoundError
+     */
+    async getComboComponents(combos) {
+        try {
+            // 1. IDs y categorías de todos los huecos
+            const slots = combos.flatMap(combo => combo.slots || []);
+            const ids = [...new Set(slots.flatMap(slot => slot.productIds || []).map(String))];
+            const categories = [...new Set(slots.map(slot => slot.category).filter(Boolean))];
+            const missingIds = ids.filter(id => !productCache.has(id));
+
+            // 2. Solo lo que falta
+            const [byId, byCategory] = await Promise.all([
+                missingIds.length > 0 ? http.get(API_URLS.PRODUCTS, { query: { id: missingIds } }) : [],
+                categories.length > 0 ? http.get(API_URLS.PRODUCTS, { query: { category: categories } }) : []
+            ]);
+
+            // 3. Rellenar la caché
+            cacheProducts([...byId, ...byCategory]);
+
+            const components = new Map();
+            ids.filter(id => productCache.has(id))
+                .forEach(id => components.set(id, productCache.get(id)));
+            byCategory.forEach(product => components.set(String(product.id), product));
+            return [...components.values()];
+        } catch (error) {
+            console.error('Combo components not obtained', error);
+            throw error;
         }
     }
 
+    /**
+     * MÉTODO: clearProductCache()
+     * ----------------------------
+     * PROPÓSITO: Vaciar la caché de productos
+     * SE USA EN: Cuando los datos pueden haber cambiado en el servidor
+     *            por otra vía (ej: otro admin editó el menú)
+     */
+    clearProductCache() {
+        productCache.clear();
+    }
+
     /**
      * MÉTODO: createProduct(product)
      * -------------------------------
@@ -198,17 +572,19 @@ export default class JsonService {
      * FLUJO:
      * 1. Usuario admin llena formulario de nuevo producto
      * 2. menuView llama a createProduct(datos)
-     * 3. Hace POST a /products con el objeto product
+     * 3. Hace POST a /products con el objeto product y createdAt (fecha actual)
      * 4. json-server genera un ID automáticamente
      * 5. Retorna el producto con su nuevo ID
      * 
+     * NOTA: createdAt permite ordenar el menú por "Newest" (utils/menuSort.js)
+     * 
      * HTTP METHOD: POST
      * - Usado para CREAR nuevos recursos
      * - Body contiene los datos del recurso
      * - Servidor genera el ID (no lo enviamos nosotros)
      * 
      * HEADERS:
-     * - Content-Type: application/json
+     * - Content-Type: application/json (lo añade httpClient al enviar body)
      *   Indica que enviamos datos en formato JSON
      * 
      * CÓMO REUTILIZAR EN OTROS PROYECTOS:
@@ -219,25 +595,16 @@ export default class JsonService {
     async createProduct(product) {
         try {
             // POST /products con los datos del nuevo producto
-            const response = await fetch('http://localhost:3000/products', {
-                method: 'POST', // Método HTTP para crear
-                headers: { 
-                    'Content-Type': 'application/json' // Formato de los datos
-                },
-                // Convertir objeto JavaScript a JSON string
-                body: window.JSON.stringify(product) // o simplemente JSON.stringify
+            // Retorna el producto creado (con ID generado)
+            const created = await http.post(API_URLS.PRODUCTS, {
+                ...product,
+                createdAt: new Date().toISOString()
             });
-
-            // Verificar que la creación fue exitosa
-            if (!response.ok) {
-                throw new Error('Error HTTP ' + response.status);
-            }
-
-            // Retornar el producto creado (con ID generado)
-            return await response.json();
+            cacheProducts([created]);
+            return created;
         } catch (error) {
             console.error('Product not created', error);
-            throw new Error('Could not connect to the Products API.');
+            throw error;
         }
     }
 
@@ -279,15 +646,15 @@ export default class JsonService {
      * 3. Considerar implementar "undo" para recuperar eliminaciones
      */
     async deleteProduct(id) {
-        // DELETE /products/{id}
-        const res = await fetch(`http://localhost:3000/products/${id}`, {
-            method: 'DELETE' // Método HTTP para eliminar
-        });
-        
-        // Verificar que la eliminación fue exitosa
-        if (!res.ok) throw new Error('Error al eliminar producto');
-        
-        return true;
+        try {
+            // DELETE /products/{id} (httpClient lanza error si no es 2xx)
+            await http.delete(`${API_URLS.PRODUCTS}/${id}`);
+            productCache.delete(String(id));
+            return true;
+        } catch (error) {
+            console.error(`Product ${id} not deleted`, error);
+            throw error;
+        }
     }
 
     /**
@@ -331,31 +698,141 @@ export default class JsonService {
     async updateProduct(productId, updates) {
         try {
             // PATCH /products/{productId} con los datos a actualizar
-            const response = await fetch(`${API_URLS.PRODUCTS}/${productId}`, {
-                method: 'PATCH', // Método HTTP para actualizar parcialmente
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                // Solo enviamos los campos que se actualizan
-                body: JSON.stringify(updates),
-            });
-            
-            // Verificar que la actualización fue exitosa
-            if (!response.ok) {
-                throw new Error(`Error HTTP ${response.status}`);
-            }
-            
-            // Retornar el producto actualizado
-            return await response.json();
+            // Retorna el producto actualizado
+            const updated = await http.patch(`${API_URLS.PRODUCTS}/${productId}`, updates);
+            cacheProducts([updated]);
+            return updated;
         } catch (error) {
             console.error(`Product ${productId} not updated`, error);
-            throw new Error('Could not connect to the Products API.');
+            throw error;
         }
     }
 
     /**
-     * MÉTODO: createOrder(orderData)
-     * -------------------------------
+     * MÉTODO: getCategories()
+     * ------------------------
+     * PROPÓSITO: Obtener las categorías del menú
+     * 
+     * RETORNA: Promise<Array<Object>> - Ordenadas por sortOrder (y nombre)
+     *   [{ id, name, sortOrder, icon, visible }]
+     * 
+     * SE USA EN: menuView (filtros y formulario de producto) y
+     *            AdminCategoriesView (tabla de gestión)
+     */
+    async getCategories() {
+        try {
+            const categories = await http.get(API_URLS.CATEGORIES);
+            return sortCategories(categories);
+        } catch (error) {
+            console.error('Categories not obtained', error);
+            throw error;
+        }
+    }
+
+    /**
+     * MÉTODO: createCategory(category)
+     * ---------------------------------
+     * PROPÓSITO: Crear una categoría (solo admin)
+     * 
+     * PARÁMETROS:
+     *   - category: Object - { name, sortOrder, icon, visible }
+     * 
+     * RETORNA: Promise<Object> - Categoría creada (con ID)
+     */
+    async createCategory(category) {
+        try {
+            return await http.post(API_URLS.CATEGORIES, category);
+        } catch (error) {
+            console.error('Category not created', error);
+            throw error;
+        }
+    }
+
+    /**
+     * MÉTODO: updateCategory(categoryId, updates)
+     * --------------------------------------------
+     * PROPÓSITO: Modificar una categoría (solo admin)
+     * 
+     * PARÁMETROS:
+     *   - categoryId: string|number - ID de la categoría
+     *   - updates: Object - Campos a cambiar (PATCH)
+     * 
+     * RETORNA: Promise<Object> - Categoría actualizada
+     * 
+     * RENOMBRAR: Los productos guardan el NOMBRE de su categoría. Si el
+     * nombre cambia, también se actualizan:
+     * 1. Los productos de la categoría (product.category)
+     * 2. Los huecos de combo que ofrecen "cualquier producto" de ella
+     *    (slot.category)
+     * Si alguno falla se relanza el error (la categoría ya está renombrada:
+     * volver a guardar con el mismo nombre no arregla los productos, pero
+     * el admin ve el error y puede editarlos a mano).
+     */
+    async updateCategory(categoryId, updates) {
+        try {
+            const url = `${API_URLS.CATEGORIES}/${categoryId}`;
+            const previous = await http.get(url);
+            const updated = await http.patch(url, updates);
+
+            if (updates.name && updates.name !== previous.name) {
+                const products = await this.getProducts();
+                const affected = products.filter(product =>
+                    product.category === previous.name
+                    || product.slots?.some(slot => slot.category === previous.name)
+                );
+
+                for (const product of affected) {
+                    const changes = {};
+                    if (product.category === previous.name) changes.category = updated.name;
+                    if (product.slots) {
+                        changes.slots = product.slots.map(slot => (
+                            slot.category === previous.name ? { ...slot, category: updated.name } : slot
+                        ));
+                    }
+                    await this.updateProduct(product.id, changes);
+                }
+            }
+
+            return updated;
+        } catch (error) {
+            console.error(`Category ${categoryId} not updated`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * MÉTODO: deleteCategory(categoryId)
+     * -----------------------------------
+     * PROPÓSITO: Eliminar una categoría (solo admin)
+     * 
+     * RETORNA: Promise<boolean> - true si se eliminó
+     * 
+     * LANZA: CategoryInUseError si algún producto la usa todavía
+     *        (hay que moverlos a otra categoría antes). Cuentan también los
+     *        combos con un hueco "cualquier producto" de ella (slot.category):
+     *        sin la categoría, ese hueco quedaría vacío y el combo agotado
+     */
+    async deleteCategory(categoryId) {
+        try {
+            const url = `${API_URLS.CATEGORIES}/${categoryId}`;
+            const category = await http.get(url);
+            const products = getProductsUsingCategory(await http.get(API_URLS.PRODUCTS), category.name);
+
+            if (products.length > 0) {
+                throw new CategoryInUseError(category.name, products.length);
+            }
+
+            await http.delete(url);
+            return true;
+        } catch (error) {
+            console.error(`Category ${categoryId} not deleted`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * MÉTODO: createOrder(orderData, options)
+     * ----------------------------------------
      * PROPÓSITO: Crear un nuevo pedido en la base de datos
      * 
      * PARÁMETROS:
@@ -363,10 +840,14 @@ export default class JsonService {
      *     Estructura: {
      *       userId: string,
      *       user: { name, email },
-     *       items: [{ productId, name, price, quantity }],
+     *       items: [{ productId, name, price, quantity, options, components? }],
      *       total: number,
      *       status: string
      *     }
+     *   - options.idempotencyKey: String (opcional) - Clave del intento de
+     *     checkout. Se envía en la cabecera Idempotency-Key y se guarda en
+     *     el pedido: server/idempotency.js devuelve el pedido original si
+     *     llega otro POST con la misma clave (y así el POST se puede reintentar)
      * 
      * RETORNA: Promise<Object>
      *   - Objeto del pedido creado (con ID y fecha generados)
@@ -389,49 +870,289 @@ export default class JsonService {
      * 
      * DATOS AUTOMÁTICOS:
      * - createdAt: Se agrega automáticamente con new Date().toISOString()
+     *   (salvo que orderData ya traiga uno, ver placeOrder())
      *   Formato: "2024-06-15T14:30:00.000Z" (ISO 8601)
+     * - status: Siempre ORDER_STATUS.PENDING (se ignora el que venga en orderData)
+     * - statusHistory: [{ status: 'pending', at: createdAt }]
+     * - idempotencyKey: La de options (si se pasó)
      * 
      * ESTRUCTURA DEL PEDIDO:
      * - userId: Para asociar pedido con usuario
      * - user: Copia de datos del usuario (denormalización para performance)
      * - items: Array de productos con cantidad
      * - total: Precio total calculado en el frontend
-     * - status: Estado inicial (pending, preparing, ready, delivered)
+     * - status: Estado actual (ver ORDER_STATUS en constants.js)
+     * - statusHistory: Cambios de estado con su fecha
      * - createdAt: Timestamp de creación
      * 
      * CÓMO REUTILIZAR EN OTROS PROYECTOS:
      * 1. Adaptar estructura según tu modelo de pedidos
      * 2. Agregar campos adicionales: deliveryAddress, paymentMethod, etc.
      * 3. Validar en backend: stock disponible, precios correctos, etc.
-     * 4. Considerar transacciones: crear pedido + reducir stock en una sola operación
+     * 4. Para descontar stock usar placeOrder(), que llama a este método
      */
-    async createOrder(orderData) {
+    async createOrder(orderData, { idempotencyKey } = {}) {
         try {
-            // POST /orders con los datos del pedido
-            const response = await fetch(`${API_URLS.ORDERS}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    // Agregar timestamp de creación
-                    createdAt: new Date().toISOString(),
-                    // Spread de todos los datos del pedido
-                    ...orderData
-                }),
-            });
-            
-            // Verificar que la creación fue exitosa
-            if (!response.ok) {
-                throw new Error(`Error HTTP ${response.status}`);
+            const createdAt = orderData.createdAt || new Date().toISOString();
+            const order = {
+                // Agregar timestamp de creación
+                createdAt,
+                // Spread de todos los datos del pedido
+                ...orderData,
+                // Todo pedido nace 'pending' (va después del spread para no poder saltárselo)
+                status: ORDER_STATUS.PENDING,
+                statusHistory: [{ status: ORDER_STATUS.PENDING, at: createdAt }]
+            };
+
+            // Sin clave: POST normal (nunca se reintenta)
+            if (!idempotencyKey) {
+                return await http.post(API_URLS.ORDERS, order);
             }
-            
-            // Retornar el pedido creado
-            return await response.json();
 
-        }catch (error) {
+            // Con clave: el servidor descarta duplicados y httpClient reintenta
+            // Retorna el pedido creado (o el original si ya existía)
+            return await http.post(API_URLS.ORDERS, { ...order, idempotencyKey }, {
+                headers: { [IDEMPOTENCY_HEADER]: idempotencyKey }
+            });
+        } catch (error) {
             console.error('Order not created', error);
-            throw new Error('Could not connect to the Orders API.');
+            throw error;
+        }
+    }
+
+    /**
+     * MÉTODO: placeOrder(orderData, options)
+     * ---------------------------------------
+     * PROPÓSITO: Checkout completo: descontar el stock de cada producto
+     *            y crear el pedido, o no hacer ninguna de las dos cosas
+     * 
+     * PARÁMETROS:
+     *   - orderData: Object - Mismo formato que createOrder()
+     *     (items: [{ productId, name, price, quantity, options }])
+     *     Puede haber varias líneas del mismo producto (distintas opciones).
+     *     Los combos llevan components: [{ productId, name, quantity }] y se
+     *     descuenta el stock de cada componente, no el del combo
+     *   - options.idempotencyKey: String (opcional) - Ver createOrder()
+     * 
+     * RETORNA: Promise<Object> - Pedido creado (o el que ya existía)
+     *   Al terminar, la caché de productos tiene el stock ACTUAL del servidor
+     *   de todos los productos del pedido (getProductsByIds sin petición)
+     * 
+     * LANZA:
+     *   - OutOfStockError si algún producto no tiene unidades suficientes
+     *     (error.items dice cuántas quedan de cada uno)
+     *   - Errores de httpClient si falla alguna petición
+     * 
+     * FLUJO:
+     * 0. Con idempotencyKey: GET /orders?idempotencyKey=... Si el pedido ya
+     *    existe (recarga o doble click en otra pestaña) se devuelve tal cual,
+     *    SIN volver a descontar stock (solo se refresca su stock en la caché)
+     * 1. GET /products?id=a&id=b con el stock ACTUAL del servidor
+     *    (no se usa la caché: otro cliente pudo comprar hace un segundo)
+     * 2. Se comprueban TODOS los productos antes de tocar nada (sumando sus
+     *    líneas); si alguno no llega se lanza OutOfStockError sin haber
+     *    modificado el stock
+     * 3. PATCH /products/{id} { stock: disponible - cantidad } uno a uno,
+     *    apuntando cada descuento que se guarda
+     * 4. createOrder(orderData, { idempotencyKey })
+     *    Si el servidor devuelve un pedido con otro createdAt, lo creó OTRA
+     *    llamada con la misma clave (otra pestaña): se devuelve ese pedido y
+     *    se deshace el descuento de stock de esta llamada
+     * 5. Si falla el paso 3 o el 4, restoreStock() devuelve las unidades
+     *    ya descontadas (rollback) y se relanza el error original
+     * 
+     * LIMITACIÓN: json-server no tiene transacciones. Entre el paso 1 y el 3
+     * otro pedido podría descontar el mismo producto; la validación definitiva
+     * debe hacerla un backend real en una sola operación.
+     * 
+     * SE USA EN: menuView (botón "Confirm Order")
+     */
+    async placeOrder(orderData, { idempotencyKey } = {}) {
+        const decremented = [];
+
+        try {
+            const requested = groupByProduct(orderData.items);
+            const ids = requested.map(item => item.productId);
+
+            // 0. ¿Este intento de checkout ya se completó?
+            if (idempotencyKey) {
+                const [existing] = await http.get(API_URLS.ORDERS, { query: { idempotencyKey } });
+                if (existing) {
+                    cacheProducts(await http.get(API_URLS.PRODUCTS, { query: { id: ids } }));
+                    return existing;
+                }
+            }
+
+            // 1. Stock actual de todos los productos del pedido (una petición)
+            const products = await http.get(API_URLS.PRODUCTS, { query: { id: ids } });
+            cacheProducts(products);
+
+            // 2. Validar todo antes de descontar nada
+            const shortages = requested
+                .map(item => {
+                    const product = products.find(p => String(p.id) === String(item.productId));
+                    return {
+                        productId: item.productId,
+                        name: item.name,
+                        requested: item.quantity,
+                        available: getAvailableStock(product)
+                    };
+                })
+                .filter(item => item.available < item.requested);
+
+            if (shortages.length > 0) {
+                throw new OutOfStockError(shortages);
+            }
+
+            // 3. Descontar uno a uno (si uno falla, se sabe cuáles deshacer)
+            for (const item of requested) {
+                const product = productCache.get(String(item.productId));
+                const updated = await http.patch(`${API_URLS.PRODUCTS}/${item.productId}`, {
+                    stock: getAvailableStock(product) - item.quantity
+                });
+                decremented.push({ productId: item.productId, quantity: item.quantity });
+                cacheProducts([updated]);
+            }
+
+            // 4. Crear el pedido (createdAt propio para reconocer "mi" pedido)
+            const createdAt = new Date().toISOString();
+            const order = await this.createOrder({ ...orderData, createdAt }, { idempotencyKey });
+
+            if (order.createdAt !== createdAt) {
+                // Duplicado: el pedido original ya descontó su stock
+                await restoreStock(decremented);
+            }
+            return order;
+        } catch (error) {
+            // 5. Rollback de lo que ya se había descontado
+            if (decremented.length > 0) {
+                await restoreStock(decremented);
+            }
+            console.error('Order not placed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * MÉTODO: getOrders(filters)
+     * ---------------------------
+     * PROPÓSITO: Obtener pedidos, opcionalmente filtrados por cualquier campo
+     * 
+     * PARÁMETROS:
+     *   - filters: Object (opcional) - Se envía como query string a json-server
+     *     Ejemplo: { userId: 'u001' } → GET /orders?userId=u001
+     * 
+     * RETORNA: Promise<Array<Object>>
+     * 
+     * SE USA EN:
+     * - orderView: Historial del usuario (filtra por userId en el servidor)
+     * - adminDashboardView: Métricas y últimos pedidos (sin filtros)
+     */
+    async getOrders(filters = {}) {
+        try {
+            // GET /orders?campo=valor
+            return await http.get(API_URLS.ORDERS, { query: filters });
+        } catch (error) {
+            console.error('Orders not obtained', error);
+            throw error;
+        }
+    }
+
+    /**
+     * MÉTODO: getOrderLines(productId)
+     * ---------------------------------
+     * PROPÓSITO: Qué se pidió junto a un producto, sin descargar los pedidos
+     * 
+     * PARÁMETROS:
+     *   - productId: string|number - Producto de la ficha
+     * 
+     * RETORNA: Promise<Array<{ status, items: [{ productId }] }>> - Solo los
+     *          pedidos que lo contienen (GET /order-lines?productId=..., middleware
+     *          server/orderLines.js). Sin usuario, email ni precios: lo puede
+     *          pedir cualquier visitante
+     * 
+     * SE USA EN:
+     * - productDetail.js: "Customers also ordered" (getAlsoOrdered)
+     */
+    async getOrderLines(productId) {
+        try {
+            return await http.get(API_URLS.ORDER_LINES, { query: { productId } });
+        } catch (error) {
+            console.error('Order lines not obtained', error);
+            throw error;
+        }
+    }
+
+    /**
+     * MÉTODO: getPopularity()
+     * ------------------------
+     * PROPÓSITO: Unidades pedidas de cada producto, sin descargar los pedidos
+     * 
+     * RETORNA: Promise<Object> - { [productId]: { [estado]: unidades } }
+     *          (GET /popularity, middleware server/popularity.js). Solo
+     *          cifras agregadas: lo puede pedir cualquier visitante
+     * 
+     * SE USA EN:
+     * - menu.js: orden "Most popular" (menuSort.getPopularity lo convierte en Map)
+     */
+    async getPopularity() {
+        try {
+            return await http.get(API_URLS.POPULARITY);
+        } catch (error) {
+            console.error('Popularity not obtained', error);
+            throw error;
+        }
+    }
+
+    /**
+     * MÉTODO: updateOrderStatus(orderId, nextStatus, options)
+     * --------------------------------------------------------
+     * PROPÓSITO: Avanzar (o cancelar/reembolsar) un pedido respetando
+     *            la máquina de estados de utils/orderStatus.js
+     * 
+     * PARÁMETROS:
+     *   - orderId: string|number - ID del pedido
+     *   - nextStatus: string - Estado destino (ORDER_STATUS.*)
+     *   - options.changedBy: Object (opcional) - { id, name } de quien hace el cambio
+     * 
+     * RETORNA: Promise<Object> - Pedido actualizado
+     * 
+     * LANZA:
+     *   - OrderStatusError si el cambio no está permitido (ej: delivered → pending)
+     *   - NotFoundError si el pedido no existe
+     * 
+     * FLUJO:
+     * 1. GET /orders/{id}: se valida contra el estado ACTUAL del servidor,
+     *    no contra el que muestra la tabla (otro admin pudo cambiarlo)
+     * 2. canTransition(actual, nextStatus) o se lanza OrderStatusError
+     * 3. PATCH con el nuevo estado y una entrada más en statusHistory:
+     *    { status, at: ISO date, by: { id, name } }
+     * 
+     * SE USA EN: adminDashboardView (botones de acción de la tabla de pedidos)
+     */
+    async updateOrderStatus(orderId, nextStatus, { changedBy = null } = {}) {
+        try {
+            // 1. Estado actual en el servidor
+            const order = await http.get(`${API_URLS.ORDERS}/${orderId}`);
+            const currentStatus = normalizeStatus(order.status);
+
+            // 2. Validar la transición
+            if (!canTransition(currentStatus, nextStatus)) {
+                throw new OrderStatusError(currentStatus, nextStatus);
+            }
+
+            // 3. Guardar estado + historial
+            const entry = { status: nextStatus, at: new Date().toISOString() };
+            if (changedBy) entry.by = { id: changedBy.id, name: changedBy.name };
+
+            const history = Array.isArray(order.statusHistory) ? order.statusHistory : [];
+            return await http.patch(`${API_URLS.ORDERS}/${orderId}`, {
+                status: nextStatus,
+                statusHistory: [...history, entry]
+            });
+        } catch (error) {
+            console.error(`Order ${orderId} status not updated`, error);
+            throw error;
         }
     }
     
@@ -447,15 +1168,14 @@ export default class JsonService {
      *   - Objeto con datos del pedido completo
      * 
      * SE USA EN:
-     * - OrderCard.js: Para obtener datos de un pedido y mostrarlo
-     * - orderView: Para listar pedidos del usuario
-     * - adminDashboardView: Para mostrar todos los pedidos
+     * - orderView (#orders/:id): Detalle de un pedido concreto
+     *   (el listado usa getOrders() y pasa cada pedido a OrderCard)
      * 
      * FLUJO:
-     * 1. OrderCard recibe un orderId
+     * 1. orderView recibe el id desde la ruta
      * 2. Llama a getOrderById(orderId)
      * 3. Obtiene datos completos del pedido
-     * 4. Renderiza la tarjeta con los datos
+     * 4. Pasa el pedido a OrderCard(order) para renderizarlo
      * 
      * DATOS QUE RETORNA:
      * - id: ID único del pedido
@@ -473,18 +1193,8 @@ export default class JsonService {
      */
     async getOrderById(orderId) {
         try {
-            // GET /orders/{orderId}
-            const response = await fetch(`${API_URLS.ORDERS}/${orderId}`);
-
-            // Verificar que la petición fue exitosa
-            if (!response.ok) {
-                throw new Error(`No se pudo obtener la orden con id ${orderId}`);
-            }
-
-            // Convertir respuesta a objeto
-            const order = await response.json();
-            
-            return order;
+            // GET /orders/{orderId} (NotFoundError si no existe)
+            return await http.get(`${API_URLS.ORDERS}/${orderId}`);
         } catch (error) {
             console.error('getOrderById error:', error);
             throw error;
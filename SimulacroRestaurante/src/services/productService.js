@@ -8,16 +8,18 @@
 // DIFERENCIA CON jsonService:
 // - jsonService: Clase con métodos estáticos para múltiples recursos
 // - productService: Clase específica solo para productos
+// AMBOS usan el mismo cliente HTTP (httpClient.js), así no se duplica fetch
 // ============================================================================
 
 /**
- * IMPORT: JsonService
- * -------------------
- * ORIGEN: ./JsonService.js
- * PROPÓSITO: Hereda o compone funcionalidad de JsonService
- * NOTA: Actualmente se instancia pero no se usa mucho
+ * IMPORTS: API_URLS, http
+ * -----------------------
+ * ORIGEN: ../utils/constants.js y ./httpClient.js
+ * PROPÓSITO: Endpoint de productos y cliente HTTP compartido
+ *            (timeouts, reintentos y errores tipados como NotFoundError)
  */
-import JsonService from './JsonService.js';
+import { API_URLS } from '../utils/constants.js';
+import { http } from './httpClient.js';
 
 /**
  * CLASE: ProductService
@@ -40,7 +42,7 @@ import JsonService from './JsonService.js';
  * 
  * MÉTODOS DISPONIBLES:
  * - getAll(): Obtener todos los productos
- * - getById(id): Obtener un producto por ID
+ * - getById(id): Obtener un producto por ID (NotFoundError si no existe)
  * - create(product): Crear nuevo producto
  * - update(id, product): Actualizar producto (PUT completo)
  * - remove(id): Eliminar producto
@@ -66,12 +68,12 @@ class ProductService {
      * -----------
      * Inicializa el servicio con sus dependencias y configuración
      */
-    constructor() {
-        // Instancia de JsonService (actualmente no se usa mucho)
-        this.service = new JsonService();
+    constructor(client = http) {
+        // Cliente HTTP (se puede inyectar otro, ej: en tests)
+        this.http = client;
         
         // URL base del endpoint de productos
-        this.baseUrl = 'http://localhost:3000/products';
+        this.baseUrl = API_URLS.PRODUCTS;
     }
 
     /**
@@ -82,9 +84,7 @@ class ProductService {
      * HTTP: GET /products
      */
     async getAll() {
-        const res = await fetch(this.baseUrl);
-        if (!res.ok) throw new Error('Error al obtener productos');
-        return res.json();
+        return this.http.get(this.baseUrl);
     }
 
     /**
@@ -96,9 +96,7 @@ class ProductService {
      * HTTP: GET /products/{id}
      */
     async getById(id) {
-        const res = await fetch(`${this.baseUrl}/${id}`);
-        if (!res.ok) throw new Error('Producto no encontrado');
-        return res.json();
+        return this.http.get(`${this.baseUrl}/${id}`);
     }
 
     /**
@@ -110,13 +108,7 @@ class ProductService {
      * HTTP: POST /products
      */
     async create(product) {
-        const res = await fetch(this.baseUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(product)
-        });
-        if (!res.ok) throw new Error('Error al crear producto');
-        return res.json();
+        return this.http.post(this.baseUrl, product);
     }
 
     /**
@@ -133,13 +125,8 @@ class ProductService {
      * Si quieres actualización parcial, usa PATCH (como en jsonService)
      */
     async update(id, product) {
-        const res = await fetch(`${this.baseUrl}/${id}`, {
-            method: 'PUT',  // PUT = reemplazo completo
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(product)
-        });
-        if (!res.ok) throw new Error('Error al actualizar producto');
-        return res.json();
+        // PUT = reemplazo completo (idempotente: httpClient puede reintentarlo)
+        return this.http.put(`${this.baseUrl}/${id}`, product);
     }
 
     /**
@@ -151,8 +138,7 @@ class ProductService {
      * HTTP: DELETE /products/{id}
      */
     async remove(id) {
-        const res = await fetch(`${this.baseUrl}/${id}`, { method: 'DELETE' });
-        if (!res.ok) throw new Error('Error al eliminar producto');
+        await this.http.delete(`${this.baseUrl}/${id}`);
         return true;
     }
 }
@@ -0,0 +1,212 @@
+// ============================================================================
+// ARCHIVO: cart.js
+// PROPÓSITO: Reconciliar el carrito guardado con el catálogo actual
+// ============================================================================
+// PROBLEMA: El carrito guardado (services/cartService.js) tiene una COPIA
+// completa de cada producto ({ product, quantity }). Si días después un
+// admin cambia el precio o elimina el producto, el carrito sigue enviando
+// el precio antiguo.
+//
+// SOLUCIÓN: Antes del checkout, menu.js pide los productos actuales y llama
+// a reconcileCart(), que devuelve el carrito corregido y la lista de cambios
+// para mostrarlos al usuario ("Coca-Cola price changed from $5.00 to $6.00").
+//
+// LÍNEAS CON OPCIONES: cada línea es producto + opciones (productOptions.js).
+// Las opciones se vuelven a resolver con el producto actual: si el admin
+// quitó una ("Bacon"), se avisa, y el precio comparado es el unitario
+// (base + suplementos). El stock se reparte entre las líneas del mismo producto.
+//
+// COMBOS (combo.js): se expanden con el catálogo actual; sus unidades
+// consumen el stock de los componentes elegidos, no el del combo. Si algún
+// hueco se queda sin componente (nada en stock), la línea está agotada.
+//
+// Módulo sin peticiones ni DOM (como orderStatus.js y stock.js).
+// SE USA EN: menu.js (handleConfirmOrder)
+// ============================================================================
+
+/**
+ * IMPORT: getAvailableStock
+ * -------------------------
+ * ORIGEN: ./stock.js
+ * PROPÓSITO: Recortar cantidades al stock actual durante la reconciliación
+ */
+import { getAvailableStock, getMaxUnits, reserveUnits } from './stock.js';
+
+/**
+ * IMPORT: expandCombo, hasAllSlots, getStockNeeds
+ * -----------------------------------------------
+ * ORIGEN: ./combo.js
+ * PROPÓSITO: Huecos del combo como opciones, huecos sin componente y
+ *            stock de sus componentes
+ */
+import { expandCombo, hasAllSlots, getStockNeeds } from './combo.js';
+
+/**
+ * IMPORT: opciones de producto
+ * ----------------------------
+ * ORIGEN: ./productOptions.js
+ * PROPÓSITO: Precio unitario y clave de cada línea (producto + opciones)
+ */
+import { resolveOptions, toSelection, getUnitPrice, getLineKey, describeOptions } from './productOptions.js';
+
+/**
+ * CONSTANTE EXPORTADA: CART_CHANGE
+ * --------------------------------
+ * Tipos de cambio que puede detectar reconcileCart()
+ */
+export const CART_CHANGE = {
+    REMOVED: 'removed',           // El producto ya no existe en el catálogo
+    OUT_OF_STOCK: 'out-of-stock', // Existe pero no quedan unidades
+    PRICE: 'price',               // El precio cambió (base + opciones)
+    OPTIONS: 'options',           // Alguna opción elegida ya no se ofrece
+    QUANTITY: 'quantity'          // Hay menos stock que unidades en el carrito
+};
+
+/**
+ * FUNCIÓN HELPER: formatPrice(value)
+ * -----------------------------------
+ * Mismo formato que el total del carrito: $5.00
+ */
+function formatPrice(value) {
+    return `$${Number(value).toFixed(2)}`;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: reconcileCart(cart, products)
+ * -------------------------------------------------
+ * PROPÓSITO: Comparar el carrito con los productos actuales de la API
+ *
+ * PARÁMETROS:
+ *   - cart: Array<{ product, quantity, options? }> - Carrito tal como está en localStorage
+ *   - products: Array<Object> - Productos actuales (GET /products)
+ *
+ * RETORNA: Object
+ *   - cart: Array<{ product, quantity, options }> - Carrito corregido:
+ *       · sin los productos eliminados o agotados
+ *       · con la copia del producto ACTUAL (precio, nombre, imagen)
+ *       · con las opciones que el producto sigue ofreciendo
+ *       · con cantidades recortadas al stock disponible (sumando todas
+ *         las líneas del mismo producto)
+ *       · líneas que han quedado iguales (misma clave) unidas en una
+ *   - changes: Array<{ type, name, from?, to? }> - Un elemento por cambio
+ *     que el usuario debe aceptar (vacío si el carrito estaba al día)
+ *
+ * NOTA: Cambios que no afectan al pedido (imagen, descripción) se
+ *       actualizan sin avisar.
+ *
+ * EJEMPLO:
+ * reconcileCart([{ product: { id: 'p1', name: 'Cola', price: 5 }, quantity: 1 }],
+ *               [{ id: 'p1', name: 'Cola', price: 6, stock: 10 }])
+ * → { cart: [{ product: { ...price: 6 }, options: [], quantity: 1 }],
+ *     changes: [{ type: 'price', name: 'Cola', from: 5, to: 6 }] }
+ */
+export function reconcileCart(cart, products) {
+    const productsById = new Map(products.map(product => [String(product.id), product]));
+    const changes = [];
+    const reconciled = [];
+    const reserved = new Map();   // id del producto → unidades ya asignadas a otras líneas
+    const getStock = productId => getAvailableStock(productsById.get(String(productId)));
+
+    cart.forEach(item => {
+        const saved = item.product;
+        const found = productsById.get(String(saved.id));
+
+        // 1. Eliminado del catálogo
+        if (!found) {
+            changes.push({ type: CART_CHANGE.REMOVED, name: saved.name });
+            return;
+        }
+
+        // 2. Opciones con el producto actual (en combos, componentes con stock)
+        const live = expandCombo(found, products);
+        const savedOptions = item.options || [];
+        const options = resolveOptions(live, toSelection(savedOptions));
+
+        // 3. Sin unidades (no tiene sentido avisar también del precio).
+        //    Un combo con algún hueco sin componente tampoco se puede vender
+        const needs = getStockNeeds(live, options);
+        const available = hasAllSlots(live, options) ? getMaxUnits(needs, getStock, reserved) : 0;
+        if (available <= 0) {
+            changes.push({ type: CART_CHANGE.OUT_OF_STOCK, name: live.name });
+            return;
+        }
+
+        // 4. Opciones que el producto ya no ofrece
+        const liveKeys = options.map(option => `${option.groupId}:${option.optionId}`);
+        const dropped = savedOptions.filter(
+            option => !liveKeys.includes(`${option.groupId}:${option.optionId}`)
+        );
+        if (dropped.length > 0) {
+            changes.push({
+                type: CART_CHANGE.OPTIONS,
+                name: live.name,
+                from: describeOptions(dropped)
+            });
+        }
+
+        // 5. Precio unitario distinto al guardado
+        const savedPrice = getUnitPrice(saved, savedOptions);
+        const livePrice = getUnitPrice(live, options);
+        if (livePrice !== savedPrice) {
+            changes.push({
+                type: CART_CHANGE.PRICE,
+                name: live.name,
+                from: savedPrice,
+                to: livePrice
+            });
+        }
+
+        // 6. Menos stock que unidades en el carrito
+        const quantity = Math.min(item.quantity, available);
+        if (quantity < item.quantity) {
+            changes.push({
+                type: CART_CHANGE.QUANTITY,
+                name: live.name,
+                from: item.quantity,
+                to: quantity
+            });
+        }
+        reserveUnits(reserved, needs, quantity);
+
+        // 7. Si otra línea ya tiene el mismo producto + opciones, se suman
+        const key = getLineKey(live, options);
+        const sameLine = reconciled.find(line => getLineKey(line.product, line.options) === key);
+        if (sameLine) {
+            sameLine.quantity += quantity;
+            return;
+        }
+
+        reconciled.push({ ...item, product: live, options, quantity });
+    });
+
+    return { cart: reconciled, changes };
+}
+
+/**
+ * FUNCIÓN EXPORTADA: describeCartChange(change)
+ * ----------------------------------------------
+ * PROPÓSITO: Texto para el usuario de un cambio de reconcileCart()
+ *
+ * RETORNA: String (texto plano: asignar con textContent o html``)
+ *
+ * EJEMPLOS:
+ * { type: 'price', name: 'Coca-Cola', from: 5, to: 6 } → 'Coca-Cola price changed from $5.00 to $6.00'
+ * { type: 'removed', name: 'Hamburguer' }             → 'Hamburguer no longer available'
+ * { type: 'options', name: 'Hamburguer', from: 'Bacon' } → 'Bacon no longer available for Hamburguer'
+ */
+export function describeCartChange(change) {
+    switch (change.type) {
+        case CART_CHANGE.REMOVED:
+            return `${change.name} no longer available`;
+        case CART_CHANGE.OUT_OF_STOCK:
+            return `${change.name} is out of stock`;
+        case CART_CHANGE.OPTIONS:
+            return `${change.from} no longer available for ${change.name}`;
+        case CART_CHANGE.PRICE:
+            return `${change.name} price changed from ${formatPrice(change.from)} to ${formatPrice(change.to)}`;
+        case CART_CHANGE.QUANTITY:
+            return `Only ${change.to} ${change.name} available (you had ${change.from})`;
+        default:
+            return change.name;
+    }
+}
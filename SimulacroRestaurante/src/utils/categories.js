@@ -0,0 +1,130 @@
+// ============================================================================
+// ARCHIVO: categories.js
+// PROPÓSITO: Reglas de las categorías del menú (orden, visibilidad, conteos)
+// ============================================================================
+// MODELO EN db.json (colección /categories):
+//   { "id": "cat1", "name": "Burgers", "sortOrder": 1, "icon": "🍔", "visible": true }
+//
+// - Los productos guardan el NOMBRE de la categoría (product.category), por
+//   eso renombrar una categoría también actualiza sus productos
+//   (jsonService.updateCategory) y no se puede borrar una que tenga productos
+//   o que ofrezca algún hueco de combo ("any product of Drinks": slot.category)
+// - visible: false → no aparece en los filtros del menú y sus productos no
+//   se muestran a los clientes (ej: carta de temporada). El admin los sigue viendo.
+//
+// Módulo sin peticiones ni DOM (como stock.js y orderStatus.js).
+// SE USA EN: menu.js, adminCategoriesView.js y jsonService.js
+// ============================================================================
+
+/**
+ * CLASE EXPORTADA: CategoryInUseError
+ * -----------------------------------
+ * Se lanza al intentar borrar una categoría que todavía tiene productos
+ * (o que algún combo usa en un hueco).
+ *
+ * PROPIEDADES:
+ * - category: String - Nombre de la categoría
+ * - count: Number - Productos que la usan (getProductsUsingCategory)
+ */
+export class CategoryInUseError extends Error {
+    constructor(category, count) {
+        super(`Category "${category}" still has ${count} product(s)`);
+        this.name = 'CategoryInUseError';
+        this.category = category;
+        this.count = count;
+    }
+}
+
+/**
+ * FUNCIÓN EXPORTADA: sortCategories(categories)
+ * ----------------------------------------------
+ * RETORNA: Array - Copia ordenada por sortOrder y, a igualdad, por nombre
+ *          (sin sortOrder van al final)
+ */
+export function sortCategories(categories) {
+    const order = category => (Number.isFinite(Number(category.sortOrder))
+        ? Number(category.sortOrder)
+        : Infinity);
+
+    return [...categories].sort((a, b) =>
+        order(a) - order(b) || String(a.name).localeCompare(String(b.name))
+    );
+}
+
+/**
+ * FUNCIÓN EXPORTADA: isVisible(category)
+ * ---------------------------------------
+ * RETORNA: Boolean - Solo visible: false oculta (categorías antiguas sin el
+ *          campo se consideran visibles)
+ */
+export function isVisible(category) {
+    return category?.visible !== false;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: countProductsByCategory(products)
+ * -----------------------------------------------------
+ * RETORNA: Map<string, number> - Nombre de la categoría → número de productos
+ *
+ * EJEMPLO:
+ * countProductsByCategory([{ category: 'Drinks' }, { category: 'Drinks' }])
+ * → Map { 'Drinks' => 2 }
+ */
+export function countProductsByCategory(products) {
+    const counts = new Map();
+    products.forEach(product => {
+        counts.set(product.category, (counts.get(product.category) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getProductsUsingCategory(products, name)
+ * ------------------------------------------------------------
+ * RETORNA: Array - Productos de la categoría Y combos con algún hueco que
+ *          ofrece "cualquier producto" de ella (slot.category). Cada
+ *          producto cuenta una vez aunque cumpla las dos cosas
+ *
+ * SE USA EN: jsonService.deleteCategory (borrarla dejaría esos huecos vacíos
+ *            y el combo agotado para siempre)
+ */
+export function getProductsUsingCategory(products, name) {
+    return products.filter(product =>
+        product.category === name
+        || (product.slots || []).some(slot => slot.category === name)
+    );
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getHiddenCategoryNames(categories)
+ * ------------------------------------------------------
+ * RETORNA: Set<string> - Nombres de las categorías ocultas
+ * SE USA EN: menu.js (no mostrar sus productos a los clientes)
+ */
+export function getHiddenCategoryNames(categories) {
+    return new Set(categories.filter(category => !isVisible(category)).map(category => category.name));
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getVisibleCategoryFilter(categories)
+ * --------------------------------------------------------
+ * PROPÓSITO: Filtro de json-server que deja fuera las categorías ocultas
+ *
+ * RETORNA: Object - {} si no hay ocultas; si no, un category_like con una
+ *          expresión regular que NO coincide con sus nombres exactos
+ *          (json-server combina con OR varios category_ne, no sirven)
+ *
+ * EJEMPLO:
+ * getVisibleCategoryFilter([{ name: 'Seasonal', visible: false }, ...])
+ * → { category_like: '^(?!(?:Seasonal)$)' }
+ *
+ * NOTA: json-server descarta los productos sin categoría al aplicar el filtro
+ * SE USA EN: menu.js (páginas y conteos del servidor para los clientes)
+ */
+export function getVisibleCategoryFilter(categories) {
+    const hidden = [...getHiddenCategoryNames(categories)];
+    if (hidden.length === 0) return {};
+
+    const escaped = hidden.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return { category_like: `^(?!(?:${escaped.join('|')})$)` };
+}
@@ -0,0 +1,238 @@
+// ============================================================================
+// ARCHIVO: combo.js
+// PROPÓSITO: Combos / menús (hamburguesa + acompañamiento + bebida)
+// ============================================================================
+// MODELO EN db.json: un combo es un producto con type 'combo' y huecos:
+//
+//   { "id": "c001", "type": "combo", "name": "Burger Meal", "price": 32.99,
+//     "category": "Combos",
+//     "slots": [{ "id": "burger", "name": "Burger", "productIds": ["p001"] },
+//               { "id": "drink", "name": "Drink", "category": "Drinks" }] }
+//
+// - price: precio del combo, más barato que los componentes por separado
+// - slots: cada hueco ofrece productos concretos (productIds) O cualquier
+//   producto de una categoría (category: "any drink from Drinks")
+// - El combo NO tiene stock propio: el checkout descuenta el de cada
+//   producto elegido (items[].components del pedido)
+// - Una línea de combo solo se puede vender con TODOS sus huecos llenos
+//   (hasAllSlots): un hueco sin nada disponible no se resuelve a ninguna
+//   opción y, sin esta comprobación, el combo saldría a precio completo
+//   sin bebida
+// - Alérgenos y dietas del combo: los calcula expandCombo() con TODOS los
+//   componentes posibles de sus huecos (dietary.js, getComboTags)
+//
+// CÓMO ENCAJA: expandCombo() convierte cada hueco en un grupo 'single' de
+// productOptions.js cuyas opciones son productos (con productId). Así el
+// selector, el precio, la clave de la línea y la reconciliación del carrito
+// funcionan igual que con tamaños y extras.
+//
+// Módulo sin peticiones ni DOM (como stock.js y productOptions.js).
+// SE USA EN: menu.js, Card.js, cart.js, productDetail.js
+// ============================================================================
+
+/**
+ * IMPORTS: stock
+ * --------------
+ * ORIGEN: ./stock.js
+ * PROPÓSITO: Ofrecer solo componentes con unidades y calcular el stock del combo
+ */
+import { getAvailableStock, isOutOfStock } from './stock.js';
+
+/**
+ * IMPORTS: opciones de producto
+ * -----------------------------
+ * ORIGEN: ./productOptions.js
+ * PROPÓSITO: Los huecos se convierten en grupos 'single'
+ */
+import { OPTION_GROUP_TYPE, getOptionGroups } from './productOptions.js';
+
+/**
+ * IMPORT: getComboTags
+ * --------------------
+ * ORIGEN: ./dietary.js
+ * PROPÓSITO: Alérgenos (unión) y dietas (intersección) de los componentes
+ */
+import { getComboTags } from './dietary.js';
+
+/**
+ * CONSTANTE EXPORTADA: COMBO_TYPE
+ * -------------------------------
+ * Valor de product.type que identifica un combo
+ */
+export const COMBO_TYPE = 'combo';
+
+/**
+ * FUNCIÓN EXPORTADA: isCombo(product)
+ * ------------------------------------
+ * RETORNA: Boolean - true si el producto es un combo
+ */
+export function isCombo(product) {
+    return product?.type === COMBO_TYPE;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getSlotProducts(slot, products)
+ * ---------------------------------------------------
+ * PROPÓSITO: Productos que se pueden elegir en un hueco
+ *
+ * PARÁMETROS:
+ *   - slot: Object - { id, name, productIds? , category? }
+ *   - products: Array<Object> - Catálogo actual
+ *
+ * RETORNA: Array<Object> - Con productIds: esos productos (en ese orden);
+ *          con category: los de esa categoría. Nunca otros combos.
+ */
+export function getSlotProducts(slot, products) {
+    const candidates = products.filter(product => !isCombo(product));
+
+    if (Array.isArray(slot.productIds) && slot.productIds.length > 0) {
+        return slot.productIds
+            .map(id => candidates.find(product => String(product.id) === String(id)))
+            .filter(Boolean);
+    }
+
+    return candidates.filter(product => product.category === slot.category);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: expandCombo(product, products)
+ * --------------------------------------------------
+ * PROPÓSITO: Preparar un combo para el menú y el carrito
+ *
+ * PARÁMETROS:
+ *   - product: Object - Producto tal como viene de la API
+ *   - products: Array<Object> - Catálogo actual (componentes)
+ *
+ * RETORNA: Object
+ *   - Si no es combo: el mismo producto
+ *   - Si es combo: copia con
+ *       · optionGroups: un grupo 'single' por hueco (solo componentes con
+ *         stock) seguido de los optionGroups propios del combo
+ *       · stock: unidades que se pueden vender (el hueco más escaso manda;
+ *         0 si algún hueco no tiene nada disponible)
+ *       · allergens / dietary: derivados de todos los componentes posibles
+ *         (también los agotados: pueden volver a tener stock)
+ *
+ * NOTA: Se puede llamar varias veces sobre el mismo combo (los grupos de
+ *       los huecos se sustituyen, no se duplican).
+ */
+export function expandCombo(product, products) {
+    if (!isCombo(product)) return product;
+
+    const slots = product.slots || [];
+    const slotIds = slots.map(slot => slot.id);
+
+    // Componentes posibles de cada hueco y, de ellos, los que tienen unidades
+    const possible = slots.map(slot => getSlotProducts(slot, products));
+    const available = possible.map(components => components.filter(component => !isOutOfStock(component)));
+
+    const slotGroups = slots.map((slot, index) => ({
+        id: slot.id,
+        name: slot.name,
+        type: OPTION_GROUP_TYPE.SINGLE,
+        options: available[index].map(component => ({
+            id: component.id,
+            name: component.name,
+            price: 0,   // Incluido en el precio del combo
+            productId: component.id
+        }))
+    }));
+
+    // Cada hueco aporta como mucho el stock de su mejor componente
+    const slotStocks = available.map(components => Math.max(0, ...components.map(getAvailableStock)));
+    const stock = slotStocks.length > 0 ? Math.min(...slotStocks) : 0;
+    const ownGroups = getOptionGroups(product).filter(group => !slotIds.includes(group.id));
+
+    const { allergens, dietary } = getComboTags(product, possible.flat());
+
+    return { ...product, stock, allergens, dietary, optionGroups: [...slotGroups, ...ownGroups] };
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getComponents(options)
+ * ------------------------------------------
+ * PROPÓSITO: Productos elegidos en los huecos de un combo
+ *
+ * PARÁMETROS:
+ *   - options: Array - Opciones elegidas (resolveOptions); solo cuentan
+ *     las que llevan productId
+ *
+ * RETORNA: Array<{ productId, name, quantity }> - Un elemento por producto
+ *          (dos huecos con la misma bebida → quantity: 2)
+ *
+ * SE USA EN: menu.js (items[].components del pedido) y getStockNeeds()
+ */
+export function getComponents(options = []) {
+    const components = [];
+
+    options
+        .filter(option => option.productId !== undefined)
+        .forEach(option => {
+            const existing = components.find(c => String(c.productId) === String(option.productId));
+            if (existing) {
+                existing.quantity += 1;
+            } else {
+                components.push({ productId: option.productId, name: option.name, quantity: 1 });
+            }
+        });
+
+    return components;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: hasAllSlots(product, options)
+ * -------------------------------------------------
+ * PROPÓSITO: ¿Tiene la línea un componente elegido en cada hueco?
+ *
+ * PARÁMETROS:
+ *   - product: Object - Producto (combo o no)
+ *   - options: Array - Opciones elegidas (resolveOptions)
+ *
+ * RETORNA: Boolean - true si no es combo o si cada slot tiene una opción
+ *          con productId; false si algún hueco quedó vacío (nada en stock)
+ *
+ * SE USA EN: cart.js (reconcileCart), menu.js (findStockLimit) y
+ *            productDetail.js (botón "Add to cart")
+ */
+export function hasAllSlots(product, options = []) {
+    if (!isCombo(product)) return true;
+
+    return (product.slots || []).every(slot => options.some(option =>
+        option.groupId === slot.id && option.productId !== undefined
+    ));
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getStockNeeds(product, options)
+ * ---------------------------------------------------
+ * PROPÓSITO: Stock que consume UNA unidad de una línea del carrito
+ *
+ * RETORNA: Array<{ productId, quantity }>
+ *   - Producto normal → [{ productId: product.id, quantity: 1 }]
+ *   - Combo → sus componentes (el combo no tiene stock propio)
+ *
+ * NOTA: Un hueco vacío no aporta nada aquí: comprobar antes hasAllSlots()
+ *
+ * SE USA EN: menu.js y cart.js, junto con getMaxUnits() de stock.js
+ */
+export function getStockNeeds(product, options = []) {
+    if (!isCombo(product)) return [{ productId: product.id, quantity: 1 }];
+
+    return getComponents(options).map(({ productId, quantity }) => ({ productId, quantity }));
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getSeparatePrice(options, products)
+ * -------------------------------------------------------
+ * PROPÓSITO: Lo que costarían los componentes elegidos por separado
+ *            (para mostrar el ahorro del combo)
+ *
+ * RETORNA: Number - Suma de los precios actuales de los componentes
+ */
+export function getSeparatePrice(options, products) {
+    const total = getComponents(options).reduce((sum, component) => {
+        const product = products.find(p => String(p.id) === String(component.productId));
+        return sum + Number(product?.price || 0) * component.quantity;
+    }, 0);
+    return Math.round(total * 100) / 100;
+}
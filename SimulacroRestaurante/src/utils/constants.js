@@ -33,5 +33,150 @@ export const API_URLS = {
     PRODUCTS: 'http://localhost:3000/products',
     
     // Endpoint para gestionar pedidos (crear, listar, actualizar estado)
-    ORDERS : 'http://localhost:3000/orders'
+    ORDERS : 'http://localhost:3000/orders',
+
+    // Endpoint de sesiones (token, usuario y fecha de expiración)
+    SESSIONS: 'http://localhost:3000/sessions',
+
+    // Endpoint de carritos guardados (uno por usuario, id = userId)
+    CARTS: 'http://localhost:3000/carts',
+
+    // Endpoint de categorías del menú (nombre, orden, icono, visibilidad)
+    CATEGORIES: 'http://localhost:3000/categories',
+
+    // Endpoint de productos favoritos (uno por usuario, id = userId)
+    FAVORITES: 'http://localhost:3000/favorites',
+
+    // Líneas de los pedidos que contienen un producto, sin datos del cliente
+    // (middleware server/orderLines.js, para "Customers also ordered")
+    ORDER_LINES: 'http://localhost:3000/order-lines',
+
+    // Unidades pedidas de cada producto, por estado del pedido y sin datos
+    // de clientes (middleware server/popularity.js, orden "Most popular")
+    POPULARITY: 'http://localhost:3000/popularity'
+};
+
+/**
+ * EXPORT: HTTP_CONFIG
+ * -------------------
+ * Valores por defecto del cliente HTTP (services/httpClient.js).
+ * 
+ * - TIMEOUT_MS: Tiempo máximo de espera de cada intento (se cancela con AbortController)
+ * - RETRIES: Reintentos extra para peticiones idempotentes (GET, PUT, DELETE)
+ * - RETRY_DELAY_MS: Espera base entre reintentos (se duplica en cada intento: 300, 600, ...)
+ */
+export const HTTP_CONFIG = {
+    TIMEOUT_MS: 8000,
+    RETRIES: 2,
+    RETRY_DELAY_MS: 300
+};
+
+/**
+ * EXPORT: SESSION_CONFIG
+ * ----------------------
+ * Tiempos (en milisegundos) que controlan la duración de las sesiones.
+ * 
+ * - TTL_MS: Vida máxima de una sesión desde el login (expiresAt en /sessions)
+ * - REVALIDATE_MS: Cada cuánto se vuelve a comprobar el token contra la API
+ * - IDLE_TIMEOUT_MS: Inactividad tras la cual se cierra la sesión automáticamente
+ * - IDLE_WARNING_MS: Antelación con la que se avisa antes del cierre por inactividad
+ * 
+ * SE USA EN: authService.js (sesiones) y main.js (cierre por inactividad)
+ */
+export const SESSION_CONFIG = {
+    TTL_MS: 8 * 60 * 60 * 1000,        // 8 horas
+    REVALIDATE_MS: 5 * 60 * 1000,      // 5 minutos
+    IDLE_TIMEOUT_MS: 15 * 60 * 1000,   // 15 minutos
+    IDLE_WARNING_MS: 60 * 1000         // 1 minuto
+};
+
+/**
+ * EXPORT: ROLES
+ * -------------
+ * Roles de usuario válidos. Usar siempre estas constantes en lugar de
+ * escribir 'admin' o 'customer' a mano (evita errores como 'user' vs 'customer').
+ * 
+ * - CUSTOMER: Cliente (rol por defecto de todo registro público)
+ * - KITCHEN: Personal de cocina (ve el tablero #kitchen y avanza pedidos)
+ * - ADMIN: Administrador (solo otro admin puede asignarlo desde #admin/users)
+ * 
+ * SE USA EN: authService.js (registro, isAdmin, gestión de roles) y vistas admin
+ */
+export const ROLES = {
+    CUSTOMER: 'customer',
+    KITCHEN: 'kitchen',
+    ADMIN: 'admin'
+};
+
+/**
+ * EXPORT: KITCHEN_CONFIG
+ * ----------------------
+ * Ajustes del tablero de cocina (views/kitchenView.js).
+ * 
+ * - REFRESH_MS: Cada cuánto se vuelven a pedir los pedidos a /orders
+ * - LATE_AFTER_MS: A partir de cuánto tiempo desde createdAt un pedido se marca como retrasado
+ */
+export const KITCHEN_CONFIG = {
+    REFRESH_MS: 15 * 1000,             // 15 segundos
+    LATE_AFTER_MS: 20 * 60 * 1000      // 20 minutos
+};
+
+/**
+ * EXPORT: CART_CONFIG
+ * -------------------
+ * Ajustes del carrito (services/cartService.js).
+ * 
+ * - SYNC_DELAY_MS: Espera tras el último cambio antes de guardar el carrito
+ *   en /carts (varios clicks seguidos en "+" acaban en una sola petición)
+ */
+export const CART_CONFIG = {
+    SYNC_DELAY_MS: 1000                // 1 segundo
+};
+
+/**
+ * EXPORT: SEARCH_CONFIG
+ * ---------------------
+ * Ajustes del buscador del menú (views/menu.js).
+ * 
+ * - DEBOUNCE_MS: Espera tras la última tecla antes de buscar (escribir
+ *   "hamburguesa" repinta el grid una vez, no once)
+ */
+export const SEARCH_CONFIG = {
+    DEBOUNCE_MS: 200                   // 0,2 segundos
+};
+
+/**
+ * EXPORT: PAGINATION_CONFIG
+ * -------------------------
+ * Paginación del grid del menú (jsonService.getProductsPage y views/menu.js).
+ * 
+ * - PAGE_SIZE: Productos por página (_limit). El grid pide la siguiente
+ *   página al acercarse al final (scroll infinito)
+ * - PRELOAD_MARGIN: Distancia al final del grid a la que ya se pide la
+ *   siguiente página (rootMargin del IntersectionObserver)
+ */
+export const PAGINATION_CONFIG = {
+    PAGE_SIZE: 12,
+    PRELOAD_MARGIN: '300px'
+};
+
+/**
+ * EXPORT: ORDER_STATUS
+ * --------------------
+ * Estados posibles de un pedido. Las transiciones permitidas entre ellos
+ * (la máquina de estados) están en utils/orderStatus.js.
+ * 
+ * Flujo normal: PENDING → CONFIRMED → PREPARING → READY → DELIVERED
+ * Salidas: CANCELLED (antes de estar listo) y REFUNDED (tras la entrega)
+ * 
+ * SE USA EN: jsonService.js (crear pedido / cambiar estado), orderStatus.js y vistas
+ */
+export const ORDER_STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    PREPARING: 'preparing',
+    READY: 'ready',
+    DELIVERED: 'delivered',
+    CANCELLED: 'cancelled',
+    REFUNDED: 'refunded'
 };
\ No newline at end of file
@@ -0,0 +1,167 @@
+// ============================================================================
+// ARCHIVO: dietary.js
+// PROPÓSITO: Alérgenos y etiquetas dietéticas de los productos
+// ============================================================================
+// MODELO EN db.json (ambos opcionales, ids de las listas de abajo):
+//   { "id": "p001", ..., "allergens": ["gluten", "dairy"], "dietary": [] }
+//   { "id": "6c99", ..., "allergens": [], "dietary": ["vegan", "vegetarian"] }
+//
+// - allergens: lo que CONTIENE el producto (el filtro del menú los excluye)
+// - dietary: para quién es apto (el filtro del menú exige TODAS las marcadas)
+// - Las opciones también pueden llevar allergens ("Extra cheese" → dairy):
+//   getAllergens() los suma a los del producto. Es un filtro de seguridad:
+//   si se puede pedir con ese alérgeno, el producto lo "contiene"
+// - Los combos NO se fían de lo que escriba el admin: expandCombo()
+//   (combo.js) calcula sus etiquetas con getComboTags() a partir de TODOS
+//   los componentes posibles de sus huecos (aunque ahora estén agotados):
+//     · allergens: la unión (más los que marque el admin)
+//     · dietary: la intersección (vegano solo si todo lo elegible lo es)
+//   Así, una bebida con frutos secos añadida a "Drinks" aparece en el combo
+//
+// Módulo sin peticiones ni DOM (como stock.js y categories.js).
+// SE USA EN: Card.js, menu.js, productDetail.js, search.js y combo.js
+// ============================================================================
+
+/**
+ * IMPORT: getOptionGroups
+ * -----------------------
+ * ORIGEN: ./productOptions.js
+ * PROPÓSITO: Sumar los alérgenos de las opciones (extras, tamaños...)
+ */
+import { getOptionGroups } from './productOptions.js';
+
+/**
+ * CONSTANTE EXPORTADA: ALLERGENS
+ * ------------------------------
+ * Alérgenos que se pueden marcar en un producto (orden de los filtros)
+ */
+export const ALLERGENS = [
+    { id: 'gluten', name: 'Gluten', icon: '🌾' },
+    { id: 'dairy', name: 'Dairy', icon: '🥛' },
+    { id: 'eggs', name: 'Eggs', icon: '🥚' },
+    { id: 'nuts', name: 'Nuts', icon: '🥜' },
+    { id: 'soy', name: 'Soy', icon: '🫘' },
+    { id: 'fish', name: 'Fish', icon: '🐟' },
+    { id: 'shellfish', name: 'Shellfish', icon: '🦐' },
+    { id: 'sesame', name: 'Sesame', icon: '🌰' }
+];
+
+/**
+ * CONSTANTE EXPORTADA: DIETARY_TAGS
+ * ---------------------------------
+ * Dietas para las que un producto puede ser apto
+ */
+export const DIETARY_TAGS = [
+    { id: 'vegan', name: 'Vegan', icon: '🌱' },
+    { id: 'vegetarian', name: 'Vegetarian', icon: '🥕' },
+    { id: 'halal', name: 'Halal', icon: '☪️' }
+];
+
+/**
+ * FUNCIÓN HELPER: pickTags(values, list)
+ * ---------------------------------------
+ * RETORNA: Array - Elementos de list cuyos ids están en values, en el
+ *          orden de list (ids desconocidos o repetidos se ignoran)
+ */
+function pickTags(values, list) {
+    const ids = Array.isArray(values) ? values.map(String) : [];
+    return list.filter(tag => ids.includes(tag.id));
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getAllergens(product)
+ * -----------------------------------------
+ * RETORNA: Array<{ id, name, icon }> - Alérgenos del producto y de
+ *          cualquiera de sus opciones ([] si no tiene)
+ *
+ * NOTA: En combos, pasar el combo expandido (expandCombo) para contar
+ *       los alérgenos de sus componentes
+ */
+export function getAllergens(product) {
+    const optionAllergens = getOptionGroups(product)
+        .flatMap(group => group.options || [])
+        .flatMap(option => option.allergens || []);
+
+    return pickTags([...(product?.allergens || []), ...optionAllergens], ALLERGENS);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getDietaryTags(product)
+ * -------------------------------------------
+ * RETORNA: Array<{ id, name, icon }> - Dietas para las que es apto ([] si ninguna)
+ */
+export function getDietaryTags(product) {
+    return pickTags(product?.dietary, DIETARY_TAGS);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getComboTags(combo, components)
+ * ---------------------------------------------------
+ * PROPÓSITO: Etiquetas de un combo a partir de sus componentes
+ *
+ * PARÁMETROS:
+ *   - combo: Object - Combo tal como viene de la API
+ *   - components: Array<Object> - Todos los productos que se pueden elegir
+ *     en sus huecos (getSlotProducts, con o sin stock)
+ *
+ * RETORNA: { allergens: Array<string>, dietary: Array<string> }
+ *   - allergens: los del combo + los de cualquier componente (y sus opciones)
+ *   - dietary: solo las dietas que cumplen TODOS los componentes
+ *     ([] si no hay componentes)
+ *
+ * SE USA EN: combo.js (expandCombo)
+ */
+export function getComboTags(combo, components) {
+    const allergens = pickTags([
+        ...(combo?.allergens || []),
+        ...components.flatMap(component => getAllergens(component).map(tag => tag.id))
+    ], ALLERGENS);
+
+    const dietary = components.length === 0
+        ? []
+        : DIETARY_TAGS.filter(tag =>
+            components.every(component => getDietaryTags(component).some(own => own.id === tag.id))
+        );
+
+    return {
+        allergens: allergens.map(tag => tag.id),
+        dietary: dietary.map(tag => tag.id)
+    };
+}
+
+/**
+ * FUNCIÓN EXPORTADA: matchesDietFilters(product, filters)
+ * --------------------------------------------------------
+ * PROPÓSITO: ¿Pasa el producto los filtros de alérgenos y dieta del menú?
+ *
+ * PARÁMETROS:
+ *   - product: Object
+ *   - filters.excludeAllergens: Array<string> - Ninguno puede estar en el producto
+ *   - filters.dietary: Array<string> - El producto debe tenerlos todos
+ *
+ * RETORNA: Boolean - Sin filtros marcados, siempre true. Cuentan también
+ *          los alérgenos de las opciones; los combos deben llegar expandidos
+ *
+ * EJEMPLO:
+ * matchesDietFilters({ allergens: ['gluten'] }, { excludeAllergens: ['gluten'] }) → false
+ * matchesDietFilters({ dietary: ['vegan', 'vegetarian'] }, { dietary: ['vegan'] }) → true
+ */
+export function matchesDietFilters(product, { excludeAllergens = [], dietary = [] } = {}) {
+    const allergens = getAllergens(product).map(tag => tag.id);
+    const tags = getDietaryTags(product).map(tag => tag.id);
+
+    return excludeAllergens.every(id => !allergens.includes(id))
+        && dietary.every(id => tags.includes(id));
+}
+
+/**
+ * FUNCIÓN EXPORTADA: parseTagList(value, list)
+ * ---------------------------------------------
+ * PROPÓSITO: Leer los filtros del query string ('gluten,nuts')
+ *
+ * RETORNA: Array<string> - Solo ids que existen en list
+ * SE USA EN: menu.js (#menu?exclude=gluten,nuts&diet=vegan)
+ */
+export function parseTagList(value, list) {
+    return pickTags(String(value || '').split(','), list).map(tag => tag.id);
+}
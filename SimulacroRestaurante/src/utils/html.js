@@ -0,0 +1,180 @@
+// ============================================================================
+// ARCHIVO: html.js
+// PROPÓSITO: Plantillas HTML seguras (escape automático contra XSS)
+// ============================================================================
+// PROBLEMA: Interpolar datos en template strings que acaban en innerHTML
+//   card.innerHTML = `<p>${product.description}</p>`
+// ejecuta cualquier HTML que contenga el dato. Una descripción como
+//   <img src=x onerror="alert(document.cookie)">
+// escrita por un admin se ejecutaría en el navegador de TODOS los clientes.
+//
+// SOLUCIÓN: Tagged template `html` que escapa cada valor interpolado:
+//   card.innerHTML = html`<p>${product.description}</p>`
+//   → <p>&lt;img src=x onerror=...&gt;</p>  (se muestra como texto)
+//
+// SE USA EN: Card.js, orderCard.js, menu.js, order.js, adminDashboardView.js, profile.js
+// ============================================================================
+
+/**
+ * CONSTANTE: HTML_ESCAPES
+ * -----------------------
+ * Caracteres con significado especial en HTML y su entidad.
+ * Se escapan también las comillas para que el valor sea seguro
+ * dentro de atributos: value="${valor}" o alt='${valor}'
+ */
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * CONSTANTE: URL_ATTRIBUTE
+ * ------------------------
+ * Detecta si la interpolación está justo después de un atributo que
+ * contiene una URL (href="${...}", src="${...}"). En ese caso, además
+ * de escapar, se valida el protocolo con safeUrl().
+ */
+const URL_ATTRIBUTE = /\b(?:href|src|action|formaction|poster)\s*=\s*["']?$/i;
+
+/**
+ * CONSTANTES: URL_SCHEME / SAFE_SCHEME
+ * ------------------------------------
+ * - Las URLs SIN protocolo (rutas relativas, '#menu', '?q=1') son seguras
+ * - Las URLs CON protocolo solo se permiten si es http(s), mailto o una
+ *   imagen data:image/... Todo lo demás (javascript:, vbscript:,
+ *   data:text/html...) se descarta.
+ */
+const URL_SCHEME = /^[a-z][a-z0-9+.-]*:/i;
+const SAFE_SCHEME = /^(?:https?:|mailto:|data:image\/(?:png|gif|jpe?g|webp);)/i;
+
+/**
+ * CLASE: SafeHtml
+ * ---------------
+ * Envoltorio para HTML ya escapado o de confianza.
+ * El tag `html` no vuelve a escapar valores SafeHtml, lo que permite
+ * anidar plantillas: html`<div>${html`<span>${nombre}</span>`}</div>`
+ *
+ * toString() devuelve el HTML, así que se puede asignar directamente:
+ *   element.innerHTML = html`...`
+ */
+export class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * FUNCIÓN EXPORTADA: escapeHtml(value)
+ * -------------------------------------
+ * PROPÓSITO: Convertir cualquier valor en texto seguro para HTML
+ *
+ * PARÁMETROS:
+ *   - value: any - null/undefined se convierten en ''
+ *
+ * RETORNA: String con & < > " ' ` sustituidos por entidades
+ *
+ * EJEMPLO:
+ * escapeHtml('<b>"Hi"</b>') → '&lt;b&gt;&quot;Hi&quot;&lt;/b&gt;'
+ */
+export function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: safeUrl(url, fallback)
+ * ------------------------------------------
+ * PROPÓSITO: Evitar URLs ejecutables (javascript:...) en href/src
+ *
+ * PARÁMETROS:
+ *   - url: String - URL a validar
+ *   - fallback: String - Valor si la URL no es segura (default '#')
+ *
+ * RETORNA: String - La URL original o el fallback (SIN escapar;
+ *          el tag `html` la escapa después)
+ *
+ * EJEMPLOS:
+ * safeUrl('https://img.com/a.png')  → 'https://img.com/a.png'
+ * safeUrl('#orders/5')              → '#orders/5'
+ * safeUrl('javascript:alert(1)')    → '#'
+ */
+export function safeUrl(url, fallback = '#') {
+    if (url === null || url === undefined) return fallback;
+    // Los navegadores ignoran espacios y caracteres de control en el protocolo
+    // ("java\tscript:"), así que se eliminan antes de validar
+    const normalized = String(url).trim().replace(/[\u0000-\u001F\u007F\s]+/g, '');
+    if (URL_SCHEME.test(normalized) && !SAFE_SCHEME.test(normalized)) return fallback;
+    return String(url).trim();
+}
+
+/**
+ * FUNCIÓN EXPORTADA: raw(value)
+ * ------------------------------
+ * PROPÓSITO: Marcar un string como HTML de confianza (NO se escapa)
+ *
+ * ⚠️ Solo para HTML generado por la propia aplicación (ej: LoadingView()),
+ *    NUNCA para datos del usuario o de la API.
+ *
+ * EJEMPLO:
+ * html`<div>${raw(LoadingView())}</div>`
+ */
+export function raw(value) {
+    return new SafeHtml(value === null || value === undefined ? '' : String(value));
+}
+
+/**
+ * FUNCIÓN HELPER: renderValue(value, isUrl)
+ * ------------------------------------------
+ * Convierte un valor interpolado en HTML seguro:
+ * - SafeHtml → tal cual (plantillas anidadas / raw)
+ * - Array → cada elemento por separado, unidos sin separador
+ *   (permite ${items.map(item => html`...`)} sin .join(''))
+ * - null / undefined / false → '' (permite ${cond && html`...`})
+ * - URL en atributo href/src → safeUrl() + escape
+ * - Resto → escapeHtml()
+ */
+function renderValue(value, isUrl) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(v => renderValue(v, isUrl)).join('');
+    if (value === null || value === undefined || value === false) return '';
+    if (isUrl) return escapeHtml(safeUrl(value));
+    return escapeHtml(value);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: html (tagged template)
+ * ------------------------------------------
+ * PROPÓSITO: Construir HTML escapando automáticamente cada ${valor}
+ *
+ * RETORNA: SafeHtml (asignable a innerHTML, anidable en otras plantillas)
+ *
+ * REGLAS:
+ * - El texto literal de la plantilla se respeta (es código nuestro)
+ * - Cada ${valor} se escapa según renderValue()
+ * - Los atributos deben ir entre comillas: value="${x}" (sin comillas
+ *   un espacio en el valor cortaría el atributo)
+ *
+ * EJEMPLO:
+ * element.innerHTML = html`
+ *     <img src="${product.img}" alt="${product.name}">
+ *     <ul>${product.tags.map(tag => html`<li>${tag}</li>`)}</ul>
+ * `;
+ */
+export function html(strings, ...values) {
+    let result = strings[0];
+
+    values.forEach((value, index) => {
+        const isUrl = URL_ATTRIBUTE.test(strings[index]);
+        result += renderValue(value, isUrl) + strings[index + 1];
+    });
+
+    return new SafeHtml(result);
+}
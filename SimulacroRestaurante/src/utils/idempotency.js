@@ -0,0 +1,81 @@
+// ============================================================================
+// ARCHIVO: idempotency.js
+// PROPÓSITO: Claves de idempotencia para operaciones que no deben repetirse
+// ============================================================================
+// PROBLEMA: Un doble click en dos pestañas, un reintento por red inestable o
+// recargar la página a mitad del checkout pueden enviar el MISMO pedido dos
+// veces → dos pedidos y el doble de stock descontado.
+//
+// SOLUCIÓN: Cada intento de checkout lleva una clave aleatoria
+// (cabecera Idempotency-Key + campo idempotencyKey del pedido). El servidor
+// (server/idempotency.js) no crea un segundo pedido con la misma clave:
+// devuelve el original.
+//
+// La clave se guarda en localStorage junto a una "huella" de los datos:
+// - Mismos datos (reintento, recarga, otra pestaña) → MISMA clave
+// - Datos distintos (el carrito cambió) → clave NUEVA
+//
+// SE USA EN: menu.js (handleConfirmOrder)
+// ============================================================================
+
+/**
+ * CONSTANTE: STORAGE_PREFIX
+ * -------------------------
+ * Las claves se guardan como 'idempotency:<scope>' (ej: 'idempotency:checkout')
+ */
+const STORAGE_PREFIX = 'idempotency:';
+
+/**
+ * FUNCIÓN EXPORTADA: generateIdempotencyKey()
+ * --------------------------------------------
+ * RETORNA: String hexadecimal de 32 caracteres (16 bytes aleatorios)
+ * POR QUÉ getRandomValues: funciona también fuera de HTTPS (a diferencia de randomUUID)
+ */
+export function generateIdempotencyKey() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getIdempotencyKey(scope, payload)
+ * -----------------------------------------------------
+ * PROPÓSITO: Obtener la clave de la operación en curso (o crear una nueva)
+ *
+ * PARÁMETROS:
+ *   - scope: String - Nombre de la operación (ej: 'checkout')
+ *   - payload: Object - Datos que se van a enviar (se usan como huella)
+ *
+ * RETORNA: String - Clave de idempotencia
+ *
+ * FLUJO:
+ * 1. Lee { key, fingerprint } guardado para ese scope
+ * 2. Si la huella coincide con JSON.stringify(payload) → misma clave
+ * 3. Si no (o no había nada) → genera una nueva y la guarda
+ */
+export function getIdempotencyKey(scope, payload) {
+    const storageKey = STORAGE_PREFIX + scope;
+    const fingerprint = JSON.stringify(payload);
+
+    try {
+        const stored = JSON.parse(localStorage.getItem(storageKey));
+        if (stored && stored.fingerprint === fingerprint && stored.key) {
+            return stored.key;
+        }
+    } catch {
+        // localStorage corrupto: se genera una clave nueva
+    }
+
+    const key = generateIdempotencyKey();
+    localStorage.setItem(storageKey, JSON.stringify({ key, fingerprint }));
+    return key;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: clearIdempotencyKey(scope)
+ * ----------------------------------------------
+ * PROPÓSITO: Olvidar la clave cuando la operación terminó bien
+ *            (el siguiente pedido, aunque sea idéntico, es un pedido nuevo)
+ */
+export function clearIdempotencyKey(scope) {
+    localStorage.removeItem(STORAGE_PREFIX + scope);
+}
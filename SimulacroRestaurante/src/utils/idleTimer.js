@@ -0,0 +1,130 @@
+// ============================================================================
+// ARCHIVO: idleTimer.js
+// PROPÓSITO: Detectar inactividad del usuario (sin ratón, teclado ni scroll)
+// ============================================================================
+// Utilidad genérica: no sabe nada de sesiones. Solo avisa cuando el usuario
+// lleva X tiempo sin interactuar (onWarning) y cuando se agota (onTimeout).
+//
+// SE USA EN: main.js (cierre de sesión automático por inactividad)
+// ============================================================================
+
+/**
+ * CONSTANTE: ACTIVITY_EVENTS
+ * --------------------------
+ * Eventos del navegador que cuentan como "actividad" del usuario
+ */
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+
+/**
+ * CONSTANTE: SHARE_THROTTLE_MS
+ * ----------------------------
+ * Con syncKey, la actividad se publica en localStorage como mucho una vez
+ * por este intervalo (mousemove se dispara decenas de veces por segundo)
+ */
+const SHARE_THROTTLE_MS = 5000;
+
+/**
+ * FUNCIÓN EXPORTADA: createIdleTimer(options)
+ * --------------------------------------------
+ * PROPÓSITO: Crear un temporizador de inactividad
+ *
+ * PARÁMETROS:
+ *   - options.timeout: Number - Milisegundos de inactividad hasta onTimeout
+ *   - options.warningBefore: Number - Milisegundos antes del timeout en que se llama a onWarning
+ *   - options.onWarning: Function(remainingMs) - Aviso previo (ej: abrir un diálogo)
+ *   - options.onTimeout: Function() - Se agotó el tiempo de inactividad
+ *   - options.syncKey: String (opcional) - Clave de localStorage para compartir
+ *     la actividad entre pestañas: usar la app en una pestaña cuenta como
+ *     actividad en todas (si no, una pestaña olvidada cerraría la sesión
+ *     de las demás)
+ *
+ * RETORNA: Object
+ *   - start(): Empieza a escuchar actividad y arranca la cuenta atrás
+ *   - reset(): Reinicia la cuenta atrás (ej: el usuario pulsa "Seguir conectado")
+ *   - stop(): Deja de escuchar actividad y cancela los temporizadores
+ *   - isRunning(): Boolean - Si el temporizador está activo
+ *
+ * COMPORTAMIENTO:
+ * - Cualquier evento de ACTIVITY_EVENTS reinicia la cuenta atrás
+ * - Una vez lanzado onWarning, la actividad ya NO reinicia el timer:
+ *   el usuario debe confirmar explícitamente (reset()) que sigue ahí
+ *
+ * CÓMO REUTILIZAR EN OTROS PROYECTOS:
+ * const timer = createIdleTimer({ timeout: 60000, warningBefore: 10000, onWarning, onTimeout });
+ * timer.start();
+ */
+export function createIdleTimer({ timeout, warningBefore = 0, onWarning, onTimeout, syncKey = null }) {
+    let warningId = null;
+    let timeoutId = null;
+    let warned = false;
+    let running = false;
+    let lastShared = 0;
+
+    // Cancelar los temporizadores pendientes
+    const clearTimers = () => {
+        clearTimeout(warningId);
+        clearTimeout(timeoutId);
+        warningId = null;
+        timeoutId = null;
+    };
+
+    // Programar aviso y timeout desde "ahora"
+    const schedule = () => {
+        clearTimers();
+        warned = false;
+
+        if (onWarning && warningBefore > 0 && warningBefore < timeout) {
+            warningId = setTimeout(() => {
+                warned = true;
+                onWarning(warningBefore);
+            }, timeout - warningBefore);
+        }
+
+        timeoutId = setTimeout(() => {
+            stop();
+            onTimeout();
+        }, timeout);
+    };
+
+    // Actividad del usuario: solo reinicia si aún no se mostró el aviso
+    const handleActivity = () => {
+        if (warned) return;
+        schedule();
+
+        // Avisar a las demás pestañas (con syncKey, limitado por SHARE_THROTTLE_MS)
+        if (syncKey && Date.now() - lastShared > SHARE_THROTTLE_MS) {
+            lastShared = Date.now();
+            localStorage.setItem(syncKey, String(lastShared));
+        }
+    };
+
+    // Actividad en OTRA pestaña (evento 'storage'): cuenta como propia
+    const handleRemoteActivity = event => {
+        if (event.key === syncKey && !warned) schedule();
+    };
+
+    function start() {
+        if (running) return;
+        running = true;
+        ACTIVITY_EVENTS.forEach(type =>
+            window.addEventListener(type, handleActivity, { passive: true })
+        );
+        if (syncKey) window.addEventListener('storage', handleRemoteActivity);
+        schedule();
+    }
+
+    function reset() {
+        if (running) schedule();
+    }
+
+    function stop() {
+        running = false;
+        clearTimers();
+        ACTIVITY_EVENTS.forEach(type =>
+            window.removeEventListener(type, handleActivity)
+        );
+        window.removeEventListener('storage', handleRemoteActivity);
+    }
+
+    return { start, reset, stop, isRunning: () => running };
+}
@@ -0,0 +1,189 @@
+// ============================================================================
+// ARCHIVO: menuSort.js
+// PROPÓSITO: Orden del menú (precio, nombre, popularidad, novedades) y
+//            filtro por rango de precio
+// ============================================================================
+// - "Featured" (por defecto) no reordena: orden de la API o, si hay texto
+//   en el buscador, el de relevancia de search.js
+// - "Most popular" usa las unidades vendidas que agrega GET /popularity
+//   (server/popularity.js); getPopularity() descarta cancelados y reembolsados
+// - "Newest" usa product.createdAt (jsonService.createProduct lo guarda);
+//   los productos anteriores a ese campo van detrás, los últimos de la
+//   lista de la API primero (json-server los devuelve en orden de alta)
+// - Todos los órdenes son estables: a igual precio se mantiene el orden previo
+// - getServerSort() traduce los órdenes que json-server sabe hacer a
+//   _sort/_order (el grid los pide ya ordenados, página a página)
+//
+// Módulo sin peticiones ni DOM (como stock.js y search.js).
+// SE USA EN: menu.js
+// ============================================================================
+
+/**
+ * IMPORT: ORDER_STATUS
+ * --------------------
+ * ORIGEN: ./constants.js
+ * PROPÓSITO: Los pedidos cancelados o reembolsados no cuentan para la popularidad
+ */
+import { ORDER_STATUS } from './constants.js';
+
+/**
+ * IMPORT: normalizeStatus
+ * -----------------------
+ * ORIGEN: ./orderStatus.js
+ * PROPÓSITO: Reconocer también los estados antiguos ('canceled', 'Cancelled ')
+ */
+import { normalizeStatus } from './orderStatus.js';
+
+/**
+ * CONSTANTE: NON_SALE_STATUSES
+ * ----------------------------
+ * Estados cuyas unidades no se vendieron (igual que los ingresos del
+ * dashboard de admin)
+ */
+const NON_SALE_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED];
+
+/**
+ * CONSTANTE EXPORTADA: SORT_OPTIONS
+ * ---------------------------------
+ * Órdenes disponibles (value del <select> y de ?sort= en la URL)
+ */
+export const SORT_OPTIONS = [
+    { id: 'featured', name: 'Featured' },
+    { id: 'price-asc', name: 'Price: low to high' },
+    { id: 'price-desc', name: 'Price: high to low' },
+    { id: 'name', name: 'Name (A-Z)' },
+    { id: 'popular', name: 'Most popular' },
+    { id: 'newest', name: 'Newest' }
+];
+
+/**
+ * CONSTANTE EXPORTADA: DEFAULT_SORT
+ * ---------------------------------
+ * Orden sin ?sort= en la URL
+ */
+export const DEFAULT_SORT = 'featured';
+
+/**
+ * FUNCIÓN EXPORTADA: parseSort(value)
+ * ------------------------------------
+ * RETORNA: String - value si es un orden conocido; si no, DEFAULT_SORT
+ */
+export function parseSort(value) {
+    return SORT_OPTIONS.some(option => option.id === value) ? value : DEFAULT_SORT;
+}
+
+/**
+ * CONSTANTE: SERVER_SORTS
+ * -----------------------
+ * Órdenes que se pueden pedir a json-server (_sort / _order)
+ * - 'popular' depende de /orders y 'newest' de createdAt, que los productos
+ *   antiguos no tienen (json-server los pondría delante): los ordena el cliente
+ */
+const SERVER_SORTS = {
+    'featured': {},
+    'price-asc': { sort: 'price', order: 'asc' },
+    'price-desc': { sort: 'price', order: 'desc' },
+    'name': { sort: 'name', order: 'asc' }
+};
+
+/**
+ * FUNCIÓN EXPORTADA: getServerSort(sort)
+ * ---------------------------------------
+ * RETORNA: { sort, order } | {} | null
+ *   - Parámetros para jsonService.getProductsPage ({} = orden de la API)
+ *   - null si el orden solo se puede hacer en el cliente (sortProducts)
+ */
+export function getServerSort(sort) {
+    return SERVER_SORTS[sort] || null;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: parsePrice(value)
+ * -------------------------------------
+ * RETORNA: Number|null - Precio >= 0, o null si está vacío o no es un número
+ * SE USA EN: menu.js (inputs Min/Max y ?min= / ?max= de la URL)
+ */
+export function parsePrice(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const price = Number(value);
+    return Number.isFinite(price) && price >= 0 ? price : null;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: matchesPriceRange(product, range)
+ * -----------------------------------------------------
+ * PARÁMETROS:
+ *   - product: Object
+ *   - range: { min: Number|null, max: Number|null } - null = sin límite
+ *
+ * RETORNA: Boolean - true si product.price está dentro (límites incluidos)
+ */
+export function matchesPriceRange(product, { min = null, max = null } = {}) {
+    const price = Number(product.price);
+    return (min === null || price >= min) && (max === null || price <= max);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getPopularity(unitsByStatus)
+ * ------------------------------------------------
+ * PROPÓSITO: Unidades vendidas de cada producto
+ *
+ * PARÁMETROS:
+ *   - unitsByStatus: Object - Respuesta de GET /popularity
+ *     { [productId]: { [estado tal cual en db.json]: unidades } }
+ *
+ * RETORNA: Map<string, number> - id del producto → unidades pedidas
+ *          (sin pedidos cancelados ni reembolsados, con normalizeStatus)
+ *
+ * EJEMPLO:
+ * getPopularity({ p001: { delivered: 3, canceled: 1, refunded: 2 } }) → Map { 'p001' => 3 }
+ */
+export function getPopularity(unitsByStatus = {}) {
+    const units = new Map();
+
+    Object.entries(unitsByStatus || {}).forEach(([productId, byStatus]) => {
+        const sold = Object.entries(byStatus || {})
+            .filter(([status]) => !NON_SALE_STATUSES.includes(normalizeStatus(status)))
+            .reduce((sum, [, count]) => sum + (Number(count) || 0), 0);
+        if (sold > 0) units.set(String(productId), sold);
+    });
+
+    return units;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: sortProducts(products, sort, context)
+ * ---------------------------------------------------------
+ * PROPÓSITO: Ordenar la lista ya filtrada del menú
+ *
+ * PARÁMETROS:
+ *   - products: Array<Object> - Productos a ordenar (no se modifica)
+ *   - sort: String - Id de SORT_OPTIONS
+ *   - context.popularity: Map - Resultado de getPopularity() (para 'popular')
+ *   - context.catalog: Array - Lista completa de la API (para 'newest' sin createdAt)
+ *
+ * RETORNA: Array<Object> - Copia ordenada ('featured': mismo orden)
+ */
+export function sortProducts(products, sort, { popularity = new Map(), catalog = products } = {}) {
+    const sorted = [...products];
+    const price = product => Number(product.price) || 0;
+    const position = product => catalog.findIndex(p => String(p.id) === String(product.id));
+    const created = product => Date.parse(product.createdAt) || 0;
+
+    switch (sort) {
+    case 'price-asc':
+        return sorted.sort((a, b) => price(a) - price(b));
+    case 'price-desc':
+        return sorted.sort((a, b) => price(b) - price(a));
+    case 'name':
+        return sorted.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    case 'popular':
+        return sorted.sort((a, b) =>
+            (popularity.get(String(b.id)) || 0) - (popularity.get(String(a.id)) || 0)
+        );
+    case 'newest':
+        return sorted.sort((a, b) => created(b) - created(a) || position(b) - position(a));
+    default:
+        return sorted;
+    }
+}
@@ -0,0 +1,138 @@
+// ============================================================================
+// ARCHIVO: orderStatus.js
+// PROPÓSITO: Máquina de estados del ciclo de vida de un pedido
+// ============================================================================
+// Define QUÉ cambios de estado están permitidos. No hace peticiones:
+// jsonService.updateOrderStatus() la consulta antes de guardar, y las
+// vistas la usan para saber qué botones de acción mostrar.
+//
+//   pending ──→ confirmed ──→ preparing ──→ ready ──→ delivered ──→ refunded
+//      │            │             │
+//      └────────────┴─────────────┴──→ cancelled
+//
+// SE USA EN: jsonService.js, orderCard.js y adminDashboardView.js
+// ============================================================================
+
+/**
+ * IMPORT: ORDER_STATUS
+ * --------------------
+ * ORIGEN: ./constants.js
+ * PROPÓSITO: Nombres de los estados (evita escribir strings a mano)
+ */
+import { ORDER_STATUS } from './constants.js';
+
+/**
+ * CONSTANTE EXPORTADA: ORDER_TRANSITIONS
+ * --------------------------------------
+ * Estado actual → estados a los que puede pasar.
+ * Un array vacío indica un estado final.
+ */
+export const ORDER_TRANSITIONS = {
+    [ORDER_STATUS.PENDING]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PREPARING, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.PREPARING]: [ORDER_STATUS.READY, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.READY]: [ORDER_STATUS.DELIVERED],
+    [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.REFUNDED],
+    [ORDER_STATUS.CANCELLED]: [],
+    [ORDER_STATUS.REFUNDED]: []
+};
+
+/**
+ * CONSTANTE EXPORTADA: STATUS_LABELS
+ * ----------------------------------
+ * Texto que se muestra en los badges de estado
+ */
+export const STATUS_LABELS = {
+    [ORDER_STATUS.PENDING]: 'Pending',
+    [ORDER_STATUS.CONFIRMED]: 'Confirmed',
+    [ORDER_STATUS.PREPARING]: 'Preparing',
+    [ORDER_STATUS.READY]: 'Ready',
+    [ORDER_STATUS.DELIVERED]: 'Delivered',
+    [ORDER_STATUS.CANCELLED]: 'Cancelled',
+    [ORDER_STATUS.REFUNDED]: 'Refunded'
+};
+
+/**
+ * CONSTANTE EXPORTADA: ACTION_LABELS
+ * ----------------------------------
+ * Texto del botón que lleva un pedido AL estado indicado
+ */
+export const ACTION_LABELS = {
+    [ORDER_STATUS.CONFIRMED]: 'Confirm',
+    [ORDER_STATUS.PREPARING]: 'Start preparing',
+    [ORDER_STATUS.READY]: 'Mark ready',
+    [ORDER_STATUS.DELIVERED]: 'Mark delivered',
+    [ORDER_STATUS.CANCELLED]: 'Cancel',
+    [ORDER_STATUS.REFUNDED]: 'Refund'
+};
+
+/**
+ * CONSTANTE: LEGACY_STATUS
+ * ------------------------
+ * Valores antiguos que aún pueden existir en db.json
+ */
+const LEGACY_STATUS = {
+    processing: ORDER_STATUS.PREPARING,
+    canceled: ORDER_STATUS.CANCELLED
+};
+
+/**
+ * CLASE EXPORTADA: OrderStatusError
+ * ---------------------------------
+ * Se lanza al intentar un cambio de estado no permitido
+ * (ej: delivered → pending).
+ *
+ * PROPIEDADES:
+ * - from / to: Estado actual y estado pedido
+ */
+export class OrderStatusError extends Error {
+    constructor(from, to) {
+        super(`Cannot change order status from "${from}" to "${to}"`);
+        this.name = 'OrderStatusError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+/**
+ * FUNCIÓN EXPORTADA: normalizeStatus(status)
+ * -------------------------------------------
+ * PROPÓSITO: Convertir cualquier valor recibido de la API a un estado válido
+ *
+ * - Ignora mayúsculas/espacios: 'Pending ' → 'pending'
+ * - Traduce valores antiguos: 'Processing' → 'preparing'
+ * - Vacío o desconocido → 'pending'
+ */
+export function normalizeStatus(status) {
+    const value = String(status || '').trim().toLowerCase();
+    if (LEGACY_STATUS[value]) return LEGACY_STATUS[value];
+    return value in ORDER_TRANSITIONS ? value : ORDER_STATUS.PENDING;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getNextStatuses(status)
+ * -------------------------------------------
+ * RETORNA: Array<string> - Estados a los que puede pasar el pedido
+ * SE USA EN: adminDashboardView.js (un botón por cada estado siguiente)
+ */
+export function getNextStatuses(status) {
+    return ORDER_TRANSITIONS[normalizeStatus(status)];
+}
+
+/**
+ * FUNCIÓN EXPORTADA: canTransition(from, to)
+ * -------------------------------------------
+ * RETORNA: Boolean - Si el cambio from → to está permitido
+ */
+export function canTransition(from, to) {
+    return getNextStatuses(from).includes(to);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: isFinalStatus(status)
+ * -----------------------------------------
+ * RETORNA: Boolean - true si el pedido ya no puede cambiar (cancelled, refunded)
+ */
+export function isFinalStatus(status) {
+    return getNextStatuses(status).length === 0;
+}
@@ -0,0 +1,154 @@
+// ============================================================================
+// ARCHIVO: password.js
+// PROPÓSITO: Hashear y verificar contraseñas con PBKDF2 (Web Crypto API)
+// ============================================================================
+// Las contraseñas NUNCA se guardan en texto plano en db.json: se guarda un
+// hash con sal aleatoria. El formato es autodescriptivo para poder cambiar
+// el número de iteraciones en el futuro sin romper cuentas existentes:
+//
+//     pbkdf2_sha256$<iteraciones>$<sal base64>$<hash base64>
+//
+// SE USA EN: authService.js (login, registro y actualización de perfil)
+// ============================================================================
+
+/**
+ * CONSTANTES DE CONFIGURACIÓN
+ * ---------------------------
+ * - PASSWORD_SCHEME: Prefijo que identifica un hash generado por este módulo
+ * - PASSWORD_ITERATIONS: Iteraciones de PBKDF2 (más = más lento de atacar)
+ * - SALT_BYTES: Longitud de la sal aleatoria
+ * - HASH_BITS: Longitud del hash derivado (SHA-256 → 256 bits)
+ */
+const PASSWORD_SCHEME = 'pbkdf2_sha256';
+const PASSWORD_ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+/**
+ * FUNCIÓN HELPER: bytesToBase64(bytes) / base64ToBytes(base64)
+ * ------------------------------------------------------------
+ * Convierten entre Uint8Array y base64 para guardar sal y hash como texto
+ */
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * FUNCIÓN HELPER: deriveHash(password, salt, iterations)
+ * -------------------------------------------------------
+ * PROPÓSITO: Derivar el hash PBKDF2-SHA256 de una contraseña
+ *
+ * RETORNA: Promise<Uint8Array> - Bytes del hash
+ */
+async function deriveHash(password, salt, iterations) {
+    // 1. Importar la contraseña como clave base para PBKDF2
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+
+    // 2. Derivar los bits del hash con la sal y las iteraciones indicadas
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        keyMaterial,
+        HASH_BITS
+    );
+
+    return new Uint8Array(bits);
+}
+
+/**
+ * FUNCIÓN HELPER: constantTimeEqual(a, b)
+ * ----------------------------------------
+ * PROPÓSITO: Comparar dos strings sin cortar en la primera diferencia
+ * POR QUÉ: Evita filtrar cuántos caracteres coinciden por el tiempo de respuesta
+ */
+function constantTimeEqual(a, b) {
+    if (a.length !== b.length) return false;
+
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: isPasswordHash(stored)
+ * ------------------------------------------
+ * PROPÓSITO: Saber si un valor guardado ya es un hash o es texto plano (legacy)
+ *
+ * RETORNA: Boolean
+ */
+export function isPasswordHash(stored) {
+    return typeof stored === 'string' && stored.startsWith(`${PASSWORD_SCHEME}$`);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: hashPassword(password)
+ * ------------------------------------------
+ * PROPÓSITO: Generar el hash con sal que se guarda en db.json
+ *
+ * PARÁMETROS:
+ *   - password: String - Contraseña en texto plano
+ *
+ * RETORNA: Promise<string>
+ *   - 'pbkdf2_sha256$100000$<sal>$<hash>'
+ *
+ * SE USA EN:
+ * - register(): Antes de crear el usuario
+ * - updateProfile(): Al cambiar la contraseña
+ * - login(): Para rehashear cuentas legacy en texto plano
+ */
+export async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const hash = await deriveHash(password, salt, PASSWORD_ITERATIONS);
+
+    return [
+        PASSWORD_SCHEME,
+        PASSWORD_ITERATIONS,
+        bytesToBase64(salt),
+        bytesToBase64(hash)
+    ].join('$');
+}
+
+/**
+ * FUNCIÓN EXPORTADA: verifyPassword(password, stored)
+ * ----------------------------------------------------
+ * PROPÓSITO: Comprobar una contraseña contra el valor guardado en db.json
+ *
+ * PARÁMETROS:
+ *   - password: String - Contraseña introducida por el usuario
+ *   - stored: String - Valor del campo password del usuario
+ *
+ * RETORNA: Promise<Object>
+ *   - valid: Boolean - La contraseña es correcta
+ *   - needsRehash: Boolean - El valor guardado debe regenerarse
+ *     (texto plano legacy o hash con menos iteraciones de las actuales)
+ *
+ * MIGRACIÓN DE CUENTAS LEGACY:
+ * - Si stored no es un hash, se compara como texto plano
+ * - Si coincide, needsRehash = true y login() guarda el hash nuevo
+ */
+export async function verifyPassword(password, stored) {
+    // 1. Cuenta legacy: contraseña guardada en texto plano
+    if (!isPasswordHash(stored)) {
+        const valid = typeof stored === 'string' && constantTimeEqual(password, stored);
+        return { valid, needsRehash: valid };
+    }
+
+    // 2. Hash: extraer iteraciones y sal, y recalcular con la contraseña introducida
+    const [, iterationsText, saltBase64, hashBase64] = stored.split('$');
+    const iterations = Number(iterationsText);
+    const hash = await deriveHash(password, base64ToBytes(saltBase64), iterations);
+
+    const valid = constantTimeEqual(bytesToBase64(hash), hashBase64);
+    return { valid, needsRehash: valid && iterations < PASSWORD_ITERATIONS };
+}
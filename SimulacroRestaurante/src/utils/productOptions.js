@@ -0,0 +1,182 @@
+// ============================================================================
+// ARCHIVO: productOptions.js
+// PROPÓSITO: Opciones de producto (tamaños, extras, ingredientes a quitar)
+// ============================================================================
+// MODELO EN db.json: cada producto puede tener optionGroups (opcional):
+//
+//   "optionGroups": [
+//     { "id": "size", "name": "Size", "type": "single",
+//       "options": [{ "id": "regular", "name": "Regular", "price": 0 },
+//                   { "id": "large", "name": "Large", "price": 2 }] },
+//     { "id": "extras", "name": "Extras", "type": "multiple",
+//       "options": [{ "id": "bacon", "name": "Bacon", "price": 1.5 }] }
+//   ]
+//
+// - type 'single'   → se elige exactamente UNA (por defecto la primera)
+// - type 'multiple' → se eligen cero o más (extras, "No onion"...)
+// - price           → suplemento sobre el precio base (0 = gratis)
+// - allergens       → (opcional) alérgenos que añade la opción, ej:
+//                     "Extra cheese" → ["dairy"] (dietary.js, getAllergens)
+//
+// SELECCIÓN: { [groupId]: [optionId, ...] } (lo que devuelve el formulario)
+// OPCIONES ELEGIDAS: [{ groupId, group, optionId, name, price }] (lo que se
+// guarda en el carrito y en items[].options del pedido)
+// En los combos (combo.js) cada hueco es un grupo 'single' cuyas opciones
+// son productos: esas opciones llevan además productId.
+//
+// LÍNEA DEL CARRITO: la identifica producto + opciones (getLineKey), así
+// "Hamburguer Large + Bacon" y "Hamburguer Regular" son líneas distintas.
+//
+// Módulo sin peticiones ni DOM (como stock.js y cart.js).
+// SE USA EN: Card.js, menu.js, cart.js, cartService.js, orderCard.js y kitchenView.js
+// ============================================================================
+
+/**
+ * CONSTANTE EXPORTADA: OPTION_GROUP_TYPE
+ * --------------------------------------
+ * Tipos de grupo de opciones
+ */
+export const OPTION_GROUP_TYPE = {
+    SINGLE: 'single',       // Radio: una opción obligatoria
+    MULTIPLE: 'multiple'    // Checkbox: cualquier número de opciones
+};
+
+/**
+ * FUNCIÓN HELPER: roundPrice(value)
+ * ----------------------------------
+ * Redondea a céntimos (29.99 + 1.5 no siempre da 31.49 exacto en coma flotante)
+ */
+function roundPrice(value) {
+    return Math.round(Number(value) * 100) / 100;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getOptionGroups(product)
+ * --------------------------------------------
+ * RETORNA: Array - Grupos de opciones del producto ([] si no tiene)
+ */
+export function getOptionGroups(product) {
+    return Array.isArray(product?.optionGroups) ? product.optionGroups : [];
+}
+
+/**
+ * FUNCIÓN EXPORTADA: hasOptions(product)
+ * ---------------------------------------
+ * RETORNA: Boolean - true si hay que mostrar el selector antes de añadirlo
+ * SE USA EN: Card.js (texto del botón) y menu.js (abrir el selector)
+ */
+export function hasOptions(product) {
+    return getOptionGroups(product).some(group => group.options?.length > 0);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getDefaultSelection(product)
+ * ------------------------------------------------
+ * RETORNA: Object - Selección inicial del selector:
+ *   - grupos 'single': su primera opción
+ *   - grupos 'multiple': ninguna
+ */
+export function getDefaultSelection(product) {
+    const selection = {};
+    getOptionGroups(product).forEach(group => {
+        const first = group.options?.[0];
+        selection[group.id] = group.type === OPTION_GROUP_TYPE.SINGLE && first ? [first.id] : [];
+    });
+    return selection;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: resolveOptions(product, selection)
+ * ------------------------------------------------------
+ * PROPÓSITO: Convertir una selección en la lista de opciones elegidas,
+ *            descartando lo que el producto ya no ofrece
+ *
+ * PARÁMETROS:
+ *   - product: Object - Producto con optionGroups
+ *   - selection: Object - { [groupId]: [optionId, ...] }
+ *
+ * RETORNA: Array<{ groupId, group, optionId, name, price, productId? }>
+ *   En el orden de los grupos y opciones del producto (no el de la
+ *   selección): así la misma elección siempre produce la misma línea.
+ *
+ * REGLAS:
+ * - Ids que no existen en el producto se ignoran
+ * - Grupo 'single' sin opción válida → su primera opción
+ * - Grupo 'single' con varias → solo la primera
+ */
+export function resolveOptions(product, selection = {}) {
+    const resolved = [];
+
+    getOptionGroups(product).forEach(group => {
+        const options = group.options || [];
+        const selectedIds = (selection[group.id] || []).map(String);
+        let chosen = options.filter(option => selectedIds.includes(String(option.id)));
+
+        if (group.type === OPTION_GROUP_TYPE.SINGLE) {
+            chosen = chosen.length > 0 ? [chosen[0]] : options.slice(0, 1);
+        }
+
+        chosen.forEach(option => resolved.push({
+            groupId: group.id,
+            group: group.name,
+            optionId: option.id,
+            name: option.name,
+            price: roundPrice(option.price || 0),
+            // Solo en huecos de combo: producto componente (stock)
+            ...(option.productId !== undefined && { productId: option.productId })
+        }));
+    });
+
+    return resolved;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: toSelection(options)
+ * ----------------------------------------
+ * PROPÓSITO: Lo contrario de resolveOptions(): opciones elegidas → selección
+ * SE USA EN: cart.js (volver a resolver las opciones con el producto actual)
+ */
+export function toSelection(options = []) {
+    const selection = {};
+    options.forEach(option => {
+        (selection[option.groupId] ||= []).push(option.optionId);
+    });
+    return selection;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getUnitPrice(product, options)
+ * --------------------------------------------------
+ * RETORNA: Number - Precio base + suplementos de las opciones elegidas
+ *
+ * EJEMPLO:
+ * getUnitPrice({ price: 29.99 }, [{ name: 'Large', price: 2 }]) → 31.99
+ */
+export function getUnitPrice(product, options = []) {
+    const extras = options.reduce((sum, option) => sum + Number(option.price || 0), 0);
+    return roundPrice(Number(product.price) + extras);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getLineKey(product, options)
+ * ------------------------------------------------
+ * PROPÓSITO: Identificador de una línea del carrito (producto + opciones)
+ *
+ * RETORNA: String
+ *   - Sin opciones → el id del producto (compatible con carritos antiguos)
+ *   - Con opciones → 'p001|size:large|extras:bacon'
+ */
+export function getLineKey(product, options = []) {
+    const parts = options.map(option => `${option.groupId}:${option.optionId}`);
+    return [String(product.id), ...parts].join('|');
+}
+
+/**
+ * FUNCIÓN EXPORTADA: describeOptions(options)
+ * --------------------------------------------
+ * RETORNA: String - Texto para el usuario ('Large, Bacon, No onion')
+ *          o '' si no hay opciones (texto plano: asignar con html``)
+ */
+export function describeOptions(options = []) {
+    return options.map(option => option.name).join(', ');
+}
@@ -0,0 +1,261 @@
+// ============================================================================
+// ARCHIVO: search.js
+// PROPÓSITO: Búsqueda del menú (nombre, descripción, categoría y etiquetas)
+// ============================================================================
+// Antes el menú solo comprobaba product.name.includes(texto). Ahora:
+//
+// - SIN ACENTOS NI MAYÚSCULAS: "hamburguesa" = "Hamburguesa", "cafe" = "café"
+// - VARIOS CAMPOS: nombre, categoría, etiquetas (alérgenos, dietas, opciones)
+//   y descripción ("queso" encuentra la hamburguesa con queso en la descripción)
+// - TOLERANCIA A ERRORES: "burgr" → "Burgers", "hamburguesa" → "Hamburguer"
+//   (distancia de edición; 1 error en palabras cortas, 2 en las largas)
+// - RANKING: cada palabra buscada puntúa según el campo (nombre > categoría >
+//   etiquetas > descripción) y el tipo de coincidencia (exacta > prefijo >
+//   dentro de la palabra > aproximada). Todas las palabras deben coincidir.
+//
+// El índice se construye una vez con buildSearchIndex() y se reutiliza en
+// cada pulsación. Guarda ids, no productos: el stock puede cambiar sin
+// reconstruirlo (menu.js lo rehace solo cuando cambian los textos).
+//
+// Módulo sin peticiones ni DOM (como stock.js y dietary.js).
+// SE USA EN: menu.js (ranking) y Card.js (highlight de lo encontrado)
+// ============================================================================
+
+/**
+ * IMPORTS: html
+ * -------------
+ * ORIGEN: ./html.js
+ * PROPÓSITO: highlight() devuelve SafeHtml con los textos escapados
+ */
+import { html } from './html.js';
+
+/**
+ * IMPORTS: alérgenos, dietas y opciones
+ * -------------------------------------
+ * ORIGEN: ./dietary.js y ./productOptions.js
+ * PROPÓSITO: "vegan" o "bacon" también encuentran productos
+ */
+import { getAllergens, getDietaryTags } from './dietary.js';
+import { getOptionGroups } from './productOptions.js';
+
+/**
+ * CONSTANTE: FIELD_WEIGHTS
+ * ------------------------
+ * Peso de cada campo en el ranking
+ */
+const FIELD_WEIGHTS = {
+    name: 4,
+    category: 2,
+    tags: 1.5,
+    description: 1
+};
+
+/**
+ * CONSTANTE: MATCH_SCORES
+ * -----------------------
+ * Puntuación según cómo coincide una palabra buscada con una del producto
+ */
+const MATCH_SCORES = {
+    EXACT: 1,       // "cola" = "cola"
+    PREFIX: 0.8,    // "ham" → "hamburguer"
+    INFIX: 0.6,     // "burger" → "hamburger"
+    FUZZY: 0.4      // "burgr" → "burger" (menos por cada error)
+};
+
+// Palabras buscadas más cortas no admiten errores ("te" no debe encontrar "tea" y "ten")
+const MIN_FUZZY_LENGTH = 4;
+
+// Letras (con sus acentos) y números de cualquier alfabeto: lo que se considera una palabra
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+/**
+ * FUNCIÓN EXPORTADA: normalizeText(text)
+ * ---------------------------------------
+ * RETORNA: String - Minúsculas y sin acentos ('Café Con Leche' → 'cafe con leche')
+ */
+export function normalizeText(text) {
+    return String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * FUNCIÓN EXPORTADA: tokenize(text)
+ * ----------------------------------
+ * RETORNA: Array<string> - Palabras normalizadas ('Coca-Cola!' → ['coca', 'cola'])
+ */
+export function tokenize(text) {
+    return normalizeText(text).match(WORD_PATTERN) || [];
+}
+
+/**
+ * FUNCIÓN HELPER: editDistance(a, b, max)
+ * ----------------------------------------
+ * PROPÓSITO: Distancia de Levenshtein (letras a cambiar, quitar o poner)
+ *
+ * RETORNA: Number - La distancia, o max + 1 en cuanto se sabe que la supera
+ *          (no hace falta el valor exacto de palabras muy distintas)
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * FUNCIÓN HELPER: matchToken(term, token)
+ * ----------------------------------------
+ * PROPÓSITO: Cómo de bien coincide una palabra buscada con una del producto
+ *
+ * RETORNA: Number - 0 si no coincide; si no, un valor de MATCH_SCORES
+ *
+ * NOTA: La coincidencia aproximada compara también con el PRINCIPIO de la
+ *       palabra (el usuario aún está escribiendo: "hamburgues" → "hamburguesa")
+ */
+function matchToken(term, token) {
+    if (token === term) return MATCH_SCORES.EXACT;
+    if (token.startsWith(term)) return MATCH_SCORES.PREFIX;
+    if (term.length >= 3 && token.includes(term)) return MATCH_SCORES.INFIX;
+    if (term.length < MIN_FUZZY_LENGTH) return 0;
+
+    const maxErrors = term.length >= 7 ? 2 : 1;
+    const candidates = [token, token.slice(0, term.length), token.slice(0, term.length + 1)];
+    const errors = Math.min(...candidates.map(candidate => editDistance(term, candidate, maxErrors)));
+
+    return errors <= maxErrors ? MATCH_SCORES.FUZZY / errors : 0;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: buildSearchIndex(products)
+ * ----------------------------------------------
+ * PROPÓSITO: Preparar las palabras de cada producto una sola vez
+ *
+ * RETORNA: Array<{ id, fields: { name, category, tags, description } }>
+ *          donde cada campo es la lista de palabras normalizadas
+ */
+export function buildSearchIndex(products) {
+    return products.map(product => ({
+        id: String(product.id),
+        fields: {
+            name: tokenize(product.name),
+            category: tokenize(product.category),
+            tags: [
+                ...getDietaryTags(product).map(tag => tag.name),
+                ...getAllergens(product).map(tag => tag.name),
+                ...getOptionGroups(product).flatMap(group => (group.options || []).map(option => option.name))
+            ].flatMap(tokenize),
+            description: tokenize(product.description)
+        }
+    }));
+}
+
+/**
+ * FUNCIÓN EXPORTADA: searchProducts(index, query)
+ * ------------------------------------------------
+ * PROPÓSITO: Productos que coinciden con el texto buscado, ordenados
+ *
+ * PARÁMETROS:
+ *   - index: Array - Resultado de buildSearchIndex()
+ *   - query: String - Texto del buscador
+ *
+ * RETORNA: Array<{ id, score, terms }> | null
+ *   - null si el texto no tiene ninguna palabra (no hay que filtrar)
+ *   - Si no: de más a menos relevante. terms son las palabras DEL PRODUCTO
+ *     que coincidieron (para highlight())
+ *
+ * REGLAS:
+ * - Cada palabra buscada suma la mejor coincidencia de cada campo × su peso
+ * - Una palabra que no coincide en ningún campo descarta el producto
+ */
+export function searchProducts(index, query) {
+    const queryTerms = tokenize(query);
+    if (queryTerms.length === 0) return null;
+
+    const results = [];
+
+    index.forEach(entry => {
+        let score = 0;
+        const terms = new Set();
+
+        const allMatch = queryTerms.every(term => {
+            let termScore = 0;
+
+            Object.entries(entry.fields).forEach(([field, tokens]) => {
+                // Mejor coincidencia del campo (solo esas palabras se resaltan:
+                // "cola" resalta "Cola", no también "Coca" por aproximación)
+                let best = 0;
+                let bestTokens = [];
+                tokens.forEach(token => {
+                    const match = matchToken(term, token);
+                    if (match > best) {
+                        best = match;
+                        bestTokens = [token];
+                    } else if (match > 0 && match === best) {
+                        bestTokens.push(token);
+                    }
+                });
+                bestTokens.forEach(token => terms.add(token));
+                termScore += best * FIELD_WEIGHTS[field];
+            });
+
+            score += termScore;
+            return termScore > 0;
+        });
+
+        if (allMatch) results.push({ id: entry.id, score, terms: [...terms] });
+    });
+
+    return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: highlight(text, terms)
+ * ------------------------------------------
+ * PROPÓSITO: Marcar con <mark> las palabras encontradas
+ *
+ * PARÁMETROS:
+ *   - text: String - Texto original (con sus acentos y mayúsculas)
+ *   - terms: Array<string> - Palabras normalizadas (searchProducts().terms)
+ *
+ * RETORNA: SafeHtml - Texto escapado; cada palabra cuya forma normalizada
+ *          está en terms va dentro de <mark class="search-match">
+ *
+ * EJEMPLO:
+ * highlight('Hamburguesa con queso', ['queso'])
+ * → 'Hamburguesa con <mark class="search-match">queso</mark>'
+ */
+export function highlight(text, terms = []) {
+    const value = String(text ?? '');
+    if (terms.length === 0) return html`${value}`;
+
+    const wanted = new Set(terms);
+    const parts = [];
+    let last = 0;
+
+    for (const match of value.matchAll(WORD_PATTERN)) {
+        if (!wanted.has(normalizeText(match[0]))) continue;
+        parts.push(value.slice(last, match.index));
+        parts.push(html`<mark class="search-match">${match[0]}</mark>`);
+        last = match.index + match[0].length;
+    }
+    parts.push(value.slice(last));
+
+    return html`${parts}`;
+}
@@ -0,0 +1,112 @@
+// ============================================================================
+// ARCHIVO: stock.js
+// PROPÓSITO: Reglas de stock de los productos (disponible, agotado, límites)
+// ============================================================================
+// Igual que orderStatus.js, este módulo NO hace peticiones: solo decide.
+// - Card.js lo usa para pintar el badge "Out of stock" y desactivar el botón
+// - menu.js lo usa para no dejar pedir más unidades de las que hay
+// - jsonService.placeOrder() lo usa para validar contra el stock del servidor
+// - cart.js lo usa para repartir el stock entre líneas (getMaxUnits)
+//
+// SE USA EN: Card.js, menu.js, cart.js, combo.js y jsonService.js
+// ============================================================================
+
+/**
+ * CLASE EXPORTADA: OutOfStockError
+ * --------------------------------
+ * Se lanza en el checkout cuando alguno de los productos no tiene
+ * unidades suficientes en el servidor.
+ *
+ * PROPIEDADES:
+ * - items: Array<{ productId, name, requested, available }>
+ *   Un elemento por cada producto que no llega (no solo el primero),
+ *   para que la vista pueda ajustar todo el carrito de una vez.
+ */
+export class OutOfStockError extends Error {
+    constructor(items) {
+        const names = items.map(item => item.name || item.productId).join(', ');
+        super(`Not enough stock for: ${names}`);
+        this.name = 'OutOfStockError';
+        this.items = items;
+    }
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getAvailableStock(product)
+ * ----------------------------------------------
+ * RETORNA: Number - Unidades disponibles (entero >= 0)
+ *
+ * - Valores vacíos o no numéricos cuentan como 0 (el formulario de
+ *   producto también guarda 0 por defecto)
+ * - Un stock negativo (dato corrupto) también se trata como 0
+ */
+export function getAvailableStock(product) {
+    const stock = Math.floor(Number(product?.stock));
+    return Number.isFinite(stock) && stock > 0 ? stock : 0;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: isOutOfStock(product)
+ * -----------------------------------------
+ * RETORNA: Boolean - true si no queda ninguna unidad
+ * SE USA EN: Card.js (badge + botón desactivado) y menu.js (addToCart)
+ */
+export function isOutOfStock(product) {
+    return getAvailableStock(product) === 0;
+}
+
+/**
+ * FUNCIÓN EXPORTADA: canAddQuantity(product, currentQuantity)
+ * ------------------------------------------------------------
+ * RETORNA: Boolean - Si se puede añadir UNA unidad más al carrito
+ *
+ * EJEMPLO:
+ * canAddQuantity({ stock: 3 }, 2) → true   (pasaría a 3)
+ * canAddQuantity({ stock: 3 }, 3) → false  (ya tiene todo el stock)
+ */
+export function canAddQuantity(product, currentQuantity = 0) {
+    return currentQuantity < getAvailableStock(product);
+}
+
+/**
+ * FUNCIÓN EXPORTADA: getMaxUnits(needs, getStock, reserved)
+ * ----------------------------------------------------------
+ * PROPÓSITO: Cuántas unidades de una línea caben en el stock cuando la
+ *            línea consume VARIOS productos (un combo: hamburguesa + bebida)
+ *
+ * PARÁMETROS:
+ *   - needs: Array<{ productId, quantity }> - Lo que consume UNA unidad
+ *     (ver getStockNeeds() en combo.js)
+ *   - getStock: Function(productId) → Number - Stock disponible del producto
+ *   - reserved: Map<string, number> - Unidades ya asignadas a otras líneas
+ *
+ * RETORNA: Number - Entero >= 0 (el producto más escaso decide)
+ *
+ * EJEMPLO:
+ * getMaxUnits([{ productId: 'p001', quantity: 1 }, { productId: '6c99', quantity: 1 }],
+ *             id => ({ p001: 10, '6c99': 3 })[id], new Map([['6c99', 1]])) → 2
+ */
+export function getMaxUnits(needs, getStock, reserved = new Map()) {
+    if (needs.length === 0) return 0;   // Línea sin nada que consumir (combo vacío)
+
+    const limits = needs.map(need => {
+        const left = getStock(need.productId) - (reserved.get(String(need.productId)) || 0);
+        return Math.floor(left / need.quantity);
+    });
+    return Math.max(0, Math.min(...limits));
+}
+
+/**
+ * FUNCIÓN EXPORTADA: reserveUnits(reserved, needs, units)
+ * --------------------------------------------------------
+ * PROPÓSITO: Apuntar en reserved el stock que consumen `units` unidades
+ *            de una línea (para que las siguientes líneas no lo cuenten)
+ *
+ * MODIFICA: reserved (Map<string, number>)
+ */
+export function reserveUnits(reserved, needs, units) {
+    needs.forEach(need => {
+        const id = String(need.productId);
+        reserved.set(id, (reserved.get(id) || 0) + need.quantity * units);
+    });
+}
@@ -0,0 +1,68 @@
+// ============================================================================
+// ARCHIVO: suggestions.js
+// PROPÓSITO: "Customers also ordered": productos que suelen pedirse juntos
+// ============================================================================
+// Se calcula con los pedidos existentes (orders[].items, o las líneas de
+// jsonService.getOrderLines(), que solo traen status e items[].productId): dos productos
+// "coinciden" cuando aparecen en el mismo pedido. Se cuenta una vez por
+// pedido (pedir 3 Coca-Colas no pesa más que pedir 1).
+//
+// - Los pedidos cancelados no cuentan (nadie se los llevó)
+// - Solo se sugieren productos que siguen en el catálogo
+//
+// Módulo sin peticiones ni DOM (como stock.js y categories.js).
+// SE USA EN: productDetail.js
+// ============================================================================
+
+/**
+ * IMPORT: ORDER_STATUS
+ * --------------------
+ * ORIGEN: ./constants.js
+ * PROPÓSITO: Ignorar los pedidos cancelados
+ */
+import { ORDER_STATUS } from './constants.js';
+
+/**
+ * FUNCIÓN EXPORTADA: getAlsoOrdered(productId, orders, products, limit)
+ * ----------------------------------------------------------------------
+ * PROPÓSITO: Productos pedidos junto a productId, de más a menos frecuente
+ *
+ * PARÁMETROS:
+ *   - productId: string|number - Producto de la ficha
+ *   - orders: Array<Object> - Pedidos (con items[].productId)
+ *   - products: Array<Object> - Catálogo actual (los que se pueden sugerir)
+ *   - limit: Number - Máximo de sugerencias (default 4)
+ *
+ * RETORNA: Array<{ product, count }> - count = pedidos en los que coinciden.
+ *          A igual count, por nombre (el resultado no cambia entre recargas)
+ *
+ * EJEMPLO:
+ * Pedidos: [Hamburguer + Coca-Cola], [Hamburguer + Coca-Cola + Fries]
+ * getAlsoOrdered('p001', ...) → [{ Coca-Cola, 2 }, { Fries, 1 }]
+ */
+export function getAlsoOrdered(productId, orders, products, limit = 4) {
+    const id = String(productId);
+    const counts = new Map();   // id del producto → pedidos en los que coincide
+
+    orders
+        .filter(order => order.status !== ORDER_STATUS.CANCELLED)
+        .forEach(order => {
+            // Los pedidos más antiguos de db.json guardan la lista en order.products
+            const lines = order.items || order.products || [];
+            const ids = new Set(lines.map(item => String(item.productId)));
+            if (!ids.has(id)) return;
+
+            ids.forEach(otherId => {
+                if (otherId !== id) counts.set(otherId, (counts.get(otherId) || 0) + 1);
+            });
+        });
+
+    return [...counts]
+        .map(([otherId, count]) => ({
+            product: products.find(product => String(product.id) === otherId),
+            count
+        }))
+        .filter(suggestion => suggestion.product)
+        .sort((a, b) => b.count - a.count || String(a.product.name).localeCompare(String(b.product.name)))
+        .slice(0, limit);
+}
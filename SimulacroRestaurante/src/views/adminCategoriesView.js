@@ -0,0 +1,382 @@
+/**
+ * ===================================================================
+ * VISTA DE GESTIÓN DE CATEGORÍAS (Admin Categories View)
+ * ===================================================================
+ *
+ * PROPÓSITO:
+ * Pantalla exclusiva para administradores donde se crean, editan,
+ * ordenan, ocultan y eliminan las categorías del menú. Los filtros del
+ * menú y el selector de categoría del formulario de producto se generan
+ * a partir de estos datos (colección /categories).
+ *
+ * PATRÓN DE DISEÑO:
+ * - Dashboard Pattern: Tabla de datos + sidebar, igual que AdminUsersView
+ * - Service Layer: getCategories() y CRUD de categorías de jsonService
+ * - Route Guard: La ruta '#admin/categories' declara roles: ['admin']
+ *
+ * IMPORTS (de dónde vienen y por qué):
+ * - getCurrentUser: '../services/authService.js' - Datos del admin en el sidebar
+ * - JsonService: '../services/jsonService.js' - CRUD de /categories y productos (conteos)
+ * - categories.js: '../utils/categories.js' - Conteo por categoría y CategoryInUseError
+ * - html: '../utils/html.js' - Plantillas con escape automático
+ *
+ * EXPORTS (hacia dónde va):
+ * - AdminCategoriesView(): Se importa en 'src/router/router.js' y se mapea
+ *   a '#admin/categories'
+ *
+ * FLUJO DE DATOS:
+ * 1. Admin navega a #admin/categories → Router verifica rol y llama a la vista
+ * 2. Se cargan categorías y productos a la vez (Promise.all)
+ * 3. Cada fila muestra icono, nombre, orden, visibilidad, nº de productos
+ *    y botones Edit / Delete
+ * 4. El formulario de arriba crea una categoría o, tras "Edit", la modifica
+ * 5. Delete pide confirmación; si la categoría tiene productos, el
+ *    servicio lanza CategoryInUseError y se muestra el aviso
+ * 6. Tras cada cambio se vuelve a cargar la tabla
+ *
+ * ===================================================================
+ */
+
+import { getCurrentUser } from '../services/authService.js';
+import JsonService from '../services/jsonService.js';
+import { countProductsByCategory, isVisible, CategoryInUseError } from '../utils/categories.js';
+import { html } from '../utils/html.js';
+
+/**
+ * FUNCIÓN PRINCIPAL: AdminCategoriesView()
+ *
+ * @returns {Promise<HTMLElement>} Elemento <main> con formulario y tabla de categorías
+ *
+ * USO EN ROUTER:
+ * const routes = {
+ *   '#admin/categories': { view: AdminCategoriesView, title: 'Categories', auth: true, roles: ['admin'] },
+ *   // ...
+ * };
+ */
+export async function AdminCategoriesView() {
+    // El guard del router (roles: ['admin']) ya verificó sesión y rol
+    const user = getCurrentUser();
+    const jsonService = new JsonService();
+
+    // ==== CONTENEDOR PRINCIPAL ====
+    const main = document.createElement('main');
+    main.classList.add('layout', 'dashboard-layout');
+
+    // ==== COLUMNA DE CONTENIDO (FORMULARIO + TABLA) ====
+    const content = document.createElement('section');
+    content.classList.add('content');
+
+    const header = document.createElement('div');
+    header.classList.add('section-header');
+    header.innerHTML = `
+        <h1 class="page-title">Categories</h1>
+        <span class="profile-role">Admin panel</span>
+    `;
+
+    // Mensaje de error de las acciones (oculto por defecto)
+    const errorEl = document.createElement('p');
+    errorEl.classList.add('auth-error', 'hidden');
+
+    // Formulario de alta / edición
+    const form = document.createElement('form');
+    form.classList.add('form', 'category-form');
+    form.innerHTML = `
+        <div class="field">
+            <label class="label" for="categoryName">Name</label>
+            <input class="input" type="text" id="categoryName" required>
+        </div>
+        <div class="field">
+            <label class="label" for="categoryIcon">Icon</label>
+            <input class="input" type="text" id="categoryIcon" maxlength="4" placeholder="🍔">
+        </div>
+        <div class="field">
+            <label class="label" for="categoryOrder">Sort order</label>
+            <input class="input" type="number" id="categoryOrder" step="1">
+        </div>
+        <div class="field">
+            <label class="option-choice">
+                <input type="checkbox" id="categoryVisible" checked>
+                <span>Visible in the menu</span>
+            </label>
+        </div>
+        <div class="modal-actions">
+            <button type="button" class="button tertiary hidden" id="cancelCategoryEditBtn">Cancel</button>
+            <button type="submit" class="button primary" id="saveCategoryBtn">Add category</button>
+        </div>
+    `;
+
+    const tableContainer = document.createElement('div');
+    tableContainer.classList.add('table-container');
+    tableContainer.innerHTML = `
+        <table class="table">
+            <thead>
+                <tr>
+                    <th>Icon</th>
+                    <th>Name</th>
+                    <th>Order</th>
+                    <th>Visible</th>
+                    <th>Products</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody id="admin-categories-body">
+                <tr>
+                    <td colspan="6" style="text-align:center;padding:1.5rem;">
+                        Loading categories...
+                    </td>
+                </tr>
+            </tbody>
+        </table>
+    `;
+
+    content.appendChild(header);
+    content.appendChild(errorEl);
+    content.appendChild(form);
+    content.appendChild(tableContainer);
+
+    // ==== SIDEBAR ====
+    const sidebar = document.createElement('aside');
+    sidebar.classList.add('sidebar');
+    sidebar.innerHTML = `
+        <div class="profile-card">
+            <div class="avatar">
+                <img alt="">
+            </div>
+            <h2 class="profile-name"></h2>
+            <p class="profile-email"></p>
+            <span class="profile-role">Admin</span>
+        </div>
+
+        <nav class="menu-list">
+            <a href="#dashboard" class="menu-item">
+                <span>Volver al dashboard</span>
+            </a>
+            <a href="#menu" class="menu-item">
+                <span>Volver al menú</span>
+            </a>
+        </nav>
+    `;
+
+    const avatar = sidebar.querySelector('.avatar img');
+    avatar.src = `https://ui-avatars.com/api/?name=${encodeURIComponent(user.name || 'Admin')}&background=00D26B&color=fff&size=120`;
+    avatar.alt = user.name || '';
+    sidebar.querySelector('.profile-name').textContent = user.name;
+    sidebar.querySelector('.profile-email').textContent = user.email;
+
+    // ==== ENSAMBLAR LAYOUT ====
+    main.appendChild(content);
+    main.appendChild(sidebar);
+
+    // ==== CARGA Y EVENTOS ====
+    // state.categories: última lista cargada (para rellenar el formulario al editar)
+    // state.editingId: categoría en edición (null = el formulario crea una nueva)
+    const state = { categories: [], editingId: null };
+    const tbody = tableContainer.querySelector('#admin-categories-body');
+    const reload = () => loadCategories(jsonService, tbody, state);
+
+    attachFormEvents(form, errorEl, jsonService, state, reload);
+    attachTableEvents(tbody, form, errorEl, jsonService, state, reload);
+    reload();
+
+    return main;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: loadCategories(jsonService, tbody, state)
+ *
+ * Carga categorías y productos en paralelo y pinta una fila por categoría
+ * con el número de productos que la usan.
+ *
+ * @param {JsonService} jsonService
+ * @param {HTMLElement} tbody - <tbody> de la tabla
+ * @param {Object} state - Estado de la vista (guarda las categorías cargadas)
+ */
+async function loadCategories(jsonService, tbody, state) {
+    try {
+        const [categories, products] = await Promise.all([
+            jsonService.getCategories(),
+            jsonService.getProducts()
+        ]);
+        const counts = countProductsByCategory(products);
+        state.categories = categories;
+
+        if (categories.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" style="text-align:center;padding:1.5rem;">
+                        No categories yet.
+                    </td>
+                </tr>`;
+            return;
+        }
+
+        tbody.innerHTML = html`${categories.map(category =>
+            buildCategoryRow(category, counts.get(category.name) || 0)
+        )}`;
+    } catch (error) {
+        console.error('Categories error:', error);
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" style="text-align:center;padding:1.5rem;color:red;">
+                    Error loading categories.
+                </td>
+            </tr>`;
+    }
+}
+
+/**
+ * FUNCIÓN AUXILIAR: buildCategoryRow(category, count)
+ *
+ * @param {Object} category - Categoría de la fila
+ * @param {number} count - Productos que la usan
+ * @returns {SafeHtml} HTML de la fila (datos escapados)
+ */
+function buildCategoryRow(category, count) {
+    return html`
+        <tr>
+            <td>${category.icon || '-'}</td>
+            <td>${category.name}</td>
+            <td>${category.sortOrder ?? '-'}</td>
+            <td>${isVisible(category) ? 'Yes' : 'Hidden'}</td>
+            <td>${count}</td>
+            <td>
+                <button type="button" class="button small tertiary edit-category-btn"
+                        data-id="${category.id}">Edit</button>
+                <button type="button" class="button small tertiary delete-category-btn"
+                        data-id="${category.id}">Delete</button>
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: showError(errorEl, message)
+ *
+ * Muestra (o, con message vacío, oculta) el mensaje de error de la vista.
+ */
+function showError(errorEl, message) {
+    errorEl.textContent = message || '';
+    errorEl.classList.toggle('hidden', !message);
+}
+
+/**
+ * FUNCIÓN AUXILIAR: resetForm(form, state)
+ *
+ * Vacía el formulario y lo devuelve al modo "Add category".
+ */
+function resetForm(form, state) {
+    state.editingId = null;
+    form.reset();
+    form.querySelector('#saveCategoryBtn').textContent = 'Add category';
+    form.querySelector('#cancelCategoryEditBtn').classList.add('hidden');
+}
+
+/**
+ * FUNCIÓN AUXILIAR: attachFormEvents(form, errorEl, jsonService, state, reload)
+ *
+ * Submit del formulario: crea la categoría o guarda la que se está editando.
+ *
+ * VALIDACIONES:
+ * - Nombre obligatorio
+ * - Nombre único (sin distinguir mayúsculas): los productos se enlazan por nombre
+ * - Sin orden → va al final (mayor orden actual + 1)
+ */
+function attachFormEvents(form, errorEl, jsonService, state, reload) {
+    form.querySelector('#cancelCategoryEditBtn').addEventListener('click', () => {
+        resetForm(form, state);
+        showError(errorEl, '');
+    });
+
+    form.addEventListener('submit', async e => {
+        e.preventDefault();
+        showError(errorEl, '');
+
+        const name = form.querySelector('#categoryName').value.trim();
+        const icon = form.querySelector('#categoryIcon').value.trim();
+        const orderValue = form.querySelector('#categoryOrder').value;
+        const visible = form.querySelector('#categoryVisible').checked;
+
+        if (!name) {
+            showError(errorEl, 'Name is required.');
+            return;
+        }
+
+        const duplicate = state.categories.find(category =>
+            category.name.toLowerCase() === name.toLowerCase()
+            && String(category.id) !== String(state.editingId)
+        );
+        if (duplicate) {
+            showError(errorEl, `A category named "${duplicate.name}" already exists.`);
+            return;
+        }
+
+        const lastOrder = Math.max(0, ...state.categories.map(category => Number(category.sortOrder) || 0));
+        const payload = {
+            name,
+            icon,
+            sortOrder: orderValue === '' ? lastOrder + 1 : parseInt(orderValue, 10),
+            visible
+        };
+
+        const saveBtn = form.querySelector('#saveCategoryBtn');
+        saveBtn.disabled = true;
+
+        try {
+            if (state.editingId) {
+                await jsonService.updateCategory(state.editingId, payload);
+            } else {
+                await jsonService.createCategory(payload);
+            }
+            resetForm(form, state);
+            await reload();
+        } catch (error) {
+            showError(errorEl, 'Error saving category.');
+        } finally {
+            saveBtn.disabled = false;
+        }
+    });
+}
+
+/**
+ * FUNCIÓN AUXILIAR: attachTableEvents(tbody, form, errorEl, jsonService, state, reload)
+ *
+ * Delegación de eventos en el <tbody>:
+ * - Edit → rellena el formulario con la categoría y pasa a modo edición
+ * - Delete → confirmación y deleteCategory(); CategoryInUseError se
+ *   explica al admin (hay que mover antes sus productos y cambiar los
+ *   huecos de combo que la ofrecen)
+ */
+function attachTableEvents(tbody, form, errorEl, jsonService, state, reload) {
+    tbody.addEventListener('click', async e => {
+        const editBtn = e.target.closest('.edit-category-btn');
+        if (editBtn) {
+            const category = state.categories.find(c => String(c.id) === editBtn.dataset.id);
+            if (!category) return;
+
+            state.editingId = category.id;
+            form.querySelector('#categoryName').value = category.name;
+            form.querySelector('#categoryIcon').value = category.icon || '';
+            form.querySelector('#categoryOrder').value = category.sortOrder ?? '';
+            form.querySelector('#categoryVisible').checked = isVisible(category);
+            form.querySelector('#saveCategoryBtn').textContent = 'Save changes';
+            form.querySelector('#cancelCategoryEditBtn').classList.remove('hidden');
+            form.querySelector('#categoryName').focus();
+            return;
+        }
+
+        const deleteBtn = e.target.closest('.delete-category-btn');
+        if (!deleteBtn) return;
+        if (!window.confirm('Delete this category?')) return;
+
+        showError(errorEl, '');
+        try {
+            await jsonService.deleteCategory(deleteBtn.dataset.id);
+            if (String(state.editingId) === deleteBtn.dataset.id) resetForm(form, state);
+            await reload();
+        } catch (error) {
+            showError(errorEl, error instanceof CategoryInUseError
+                ? `"${error.category}" is still used by ${error.count} product(s) or combo slot(s). Move them to another category first.`
+                : 'Error deleting category.');
+        }
+    });
+}
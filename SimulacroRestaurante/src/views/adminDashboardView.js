@@ -9,36 +9,45 @@
  * y una tabla con los últimos 10 pedidos del sistema completo.
  * 
  * PATRÓN DE DISEÑO:
- * - Route Guard: Verifica que el usuario sea admin antes de renderizar
+ * - Route Guard: El router solo ejecuta esta vista si la ruta '#dashboard'
+ *   (declarada con roles: ['admin']) pasa el guard centralizado
  * - Dashboard Pattern: Métricas + tabla de datos en un solo panel
- * - Service Layer: Usa API_URLS para hacer fetch directo a endpoints
+ * - Service Layer: Usa JsonService (sobre httpClient) para pedir productos y pedidos
  * - Component Pattern: Reutiliza LoadingView para feedback visual
  * 
  * IMPORTS (de dónde vienen y por qué):
- * - getCurrentUser: '../services/authService.js' - Obtiene usuario logueado y verifica rol
- * - API_URLS: '../utils/constants.js' - URLs centralizadas de la API (PRODUCTS, ORDERS)
+ * - getCurrentUser: '../services/authService.js' - Obtiene usuario logueado para el sidebar
+ * - JsonService: '../services/jsonService.js' - getProducts() y getOrders()
+ *   (timeouts, reintentos y errores tipados vienen del cliente HTTP compartido)
  * - LoadingView: '../components/Loading.js' - Spinner mostrado mientras cargan las métricas
+ * - html: '../utils/html.js' - Escapa los datos de usuario y pedidos del sidebar y la tabla
+ * - ORDER_STATUS: '../utils/constants.js' - Estados que no cuentan como ingresos
+ * - normalizeStatus, getNextStatuses, STATUS_LABELS, ACTION_LABELS, OrderStatusError:
+ *   '../utils/orderStatus.js' - Máquina de estados: qué botones mostrar en cada pedido
  * 
  * EXPORTS (hacia dónde va):
  * - AdminDashboardView(): Función exportada que se importa en 'src/router/router.js'
- *   El router la mapea a la ruta '#admin' pero SOLO es accesible si se pasa
- *   el middleware requireAdmin() que verifica el rol del usuario
+ *   El router la mapea a la ruta '#dashboard' pero SOLO la ejecuta si el
+ *   guard de la ruta (auth: true, roles: ['admin']) lo permite
  * 
  * FLUJO DE DATOS:
- * 1. Usuario navega a #admin → Router ejecuta requireAdmin() (middleware)
- * 2. requireAdmin() verifica que user.role === 'admin', si no redirige a #menu
+ * 1. Usuario navega a #dashboard → Router evalúa checkAccess() de la ruta
+ * 2. Sin sesión → #login?returnTo=...; sin rol admin → #menu
  * 3. Si pasa la verificación, router llama a AdminDashboardView()
- * 4. AdminDashboardView() hace verificación adicional por seguridad
+ * 4. AdminDashboardView() lee el usuario actual para el sidebar
  * 5. Construye estructura HTML del dashboard (métricas + tabla + sidebar)
- * 6. Llama a loadDashboardData() que hace fetch paralelo a PRODUCTS y ORDERS
+ * 6. Llama a loadDashboardData() que pide en paralelo productos y pedidos
  * 7. loadDashboardData() calcula métricas:
  *    - Total de productos: products.length
  *    - Total de pedidos: orders.length
  *    - Ingresos totales: sum de orders[].total
  * 8. Renderiza métricas en tarjetas visuales con iconos SVG
  * 9. Ordena pedidos por fecha (más recientes primero)
- * 10. Renderiza los primeros 10 pedidos en tabla HTML
- * 11. Muestra errores si falla alguna petición a la API
+ * 10. Renderiza los primeros 10 pedidos en tabla HTML, cada uno con un
+ *     botón por cada estado al que puede avanzar (Confirm, Mark ready, Cancel...)
+ * 11. Click en un botón → JsonService.updateOrderStatus() valida la transición,
+ *     guarda el historial y se repinta solo esa fila
+ * 12. Muestra errores si falla alguna petición a la API
  * 
  * CÓMO REUTILIZAR EN OTROS PROYECTOS:
  * 
@@ -59,9 +68,8 @@
  *    - Fácil de adaptar para pedidos, facturas, tickets, etc.
  * 
  * 4. VERIFICACIÓN DE ROLES (Role-Based Access):
- *    - El patrón de verificar user.role en la propia vista es una capa extra
- *      de seguridad además del middleware del router
- *    - Si el rol no coincide, redirige y muestra mensaje de acceso denegado
+ *    - Los roles se declaran en la definición de la ruta (router.js)
+ *    - El router los verifica en un solo lugar; la vista no repite la lógica
  *    - Importante: la seguridad real debe estar en el backend, esto es solo UX
  * 
  * 5. FETCH PARALELO CON PROMISE.ALL:
@@ -91,8 +99,17 @@
  */
 
 import { getCurrentUser } from '../services/authService.js';
-import { API_URLS } from '../utils/constants.js';
+import JsonService from '../services/jsonService.js';
 import { LoadingView } from '../components/Loading.js';
+import { html } from '../utils/html.js';
+import { ORDER_STATUS } from '../utils/constants.js';
+import {
+    normalizeStatus,
+    getNextStatuses,
+    STATUS_LABELS,
+    ACTION_LABELS,
+    OrderStatusError
+} from '../utils/orderStatus.js';
 
 /**
  * FUNCIÓN PRINCIPAL: AdminDashboardView()
@@ -102,39 +119,25 @@ import { LoadingView } from '../components/Loading.js';
  * fetch de datos antes de poder renderizar las métricas y tabla.
  * 
  * FLUJO INTERNO:
- * 1. Obtiene usuario actual y verifica rol 'admin'
- * 2. Si no es admin, redirige a #menu y muestra mensaje de error
- * 3. Construye estructura HTML: header + metricsWrapper + table + sidebar
- * 4. Llama a loadDashboardData() para poblar métricas y tabla
- * 5. Retorna el elemento <main> completo
+ * 1. Obtiene usuario actual (el router ya garantizó que es admin)
+ * 2. Construye estructura HTML: header + metricsWrapper + table + sidebar
+ * 3. Llama a loadDashboardData() para poblar métricas y tabla
+ * 4. Retorna el elemento <main> completo
  * 
  * @returns {Promise<HTMLElement>} Elemento <main> con todo el dashboard renderizado
  * 
  * USO EN ROUTER:
- * En 'src/router/router.js' se protege con middleware:
+ * En 'src/router/router.js' se protege declarando los roles de la ruta:
  * const routes = {
- *   '#admin': () => requireAdmin(AdminDashboardView),
+ *   '#dashboard': { view: AdminDashboardView, auth: true, roles: ['admin'] },
  *   // ...
  * };
  */
 export async function AdminDashboardView() {
-    // ==== OBTENER Y VERIFICAR USUARIO ADMIN ====
+    // ==== OBTENER USUARIO ADMIN ====
+    // El guard del router (roles: ['admin']) ya verificó sesión y rol
     const user = getCurrentUser();
 
-    // ==== PROTECCIÓN DE ACCESO (ROUTE GUARD) ====
-    // Verificación adicional en la vista por si se bypasea el router
-    // Si el usuario no está logueado O no es admin:
-    // - Redirige al menú principal (#menu)
-    // - Retorna vista de acceso denegado
-    // IMPORTANTE: Esto es solo frontend, el backend debe validar también
-    if (!user || user.role !== 'admin') {
-        window.location.hash = '#menu';
-        const main = document.createElement('main');
-        main.classList.add('container');
-        main.innerHTML = '<p>Acceso no autorizado.</p>';
-        return main;
-    }
-
     // ==== CONTENEDOR PRINCIPAL ====
     // 'layout': CSS Grid de dos columnas
     // 'dashboard-layout': Modificador específico para dashboards de admin
@@ -167,11 +170,12 @@ export async function AdminDashboardView() {
                     <th>Fecha</th>
                     <th>Estado</th>
                     <th class="price">Total</th>
+                    <th>Acciones</th>
                 </tr>
             </thead>
             <tbody id="admin-orders-body">
                 <tr>
-                    <td colspan="5" style="text-align:center;padding:1.5rem;">
+                    <td colspan="6" style="text-align:center;padding:1.5rem;">
                         Cargando pedidos...
                     </td>
                 </tr>
@@ -180,12 +184,17 @@ export async function AdminDashboardView() {
     `;
 
     content.appendChild(header);
+    // Mensaje de error de las acciones de estado (oculto por defecto)
+    const errorEl = document.createElement('p');
+    errorEl.classList.add('auth-error', 'hidden');
+
     content.appendChild(metricsWrapper);
+    content.appendChild(errorEl);
     content.appendChild(tableContainer);
 
     const sidebar = document.createElement('aside');
     sidebar.classList.add('sidebar');
-    sidebar.innerHTML = `
+    sidebar.innerHTML = html`
         <div class="profile-card">
             <div class="avatar">
                 <img src="https://ui-avatars.com/api/?name=${encodeURIComponent(
@@ -209,6 +218,12 @@ export async function AdminDashboardView() {
             <a href="#orders" class="menu-item">
                 <span>Ver pedidos de usuario</span>
             </a>
+            <a href="#admin/users" class="menu-item">
+                <span>Gestionar usuarios</span>
+            </a>
+            <a href="#admin/categories" class="menu-item">
+                <span>Gestionar categorías</span>
+            </a>
         </nav>
 
         <footer class="page-footer">
@@ -224,7 +239,9 @@ export async function AdminDashboardView() {
     // ==== CARGA ASÍNCRONA DE DATOS ====
     // Llamamos a la función auxiliar que hace fetch y puebla las métricas y tabla
     // Le pasamos referencias a los contenedores DOM para que los actualice
-    loadDashboardData(metricsWrapper, tableContainer.querySelector('#admin-orders-body'));
+    const ordersTbody = tableContainer.querySelector('#admin-orders-body');
+    attachStatusEvents(ordersTbody, errorEl, user);
+    loadDashboardData(metricsWrapper, ordersTbody);
 
     // ==== RETORNO ====
     // Devolvemos el elemento <main> inmediatamente
@@ -246,7 +263,7 @@ export async function AdminDashboardView() {
  * @param {HTMLElement} ordersTbody - <tbody> de la tabla donde se insertarán las filas de pedidos
  * 
  * FLUJO:
- * 1. Hace fetch paralelo a API_URLS.PRODUCTS y API_URLS.ORDERS con Promise.all
+ * 1. Pide en paralelo productos y pedidos a JsonService con Promise.all
  * 2. Calcula métricas: total productos, total pedidos, ingresos totales
  * 3. Genera HTML de tarjetas de métricas con iconos y valores
  * 4. Ordena pedidos por fecha (más recientes primero)
@@ -261,25 +278,16 @@ export async function AdminDashboardView() {
  */
 async function loadDashboardData(metricsContainer, ordersTbody) {
     try {
-        // ==== FETCH PARALELO DE DATOS ====
-        // Promise.all ejecuta ambos fetch simultáneamente (más rápido que secuencial)
-        // Desestructuramos el resultado en productsRes y ordersRes
-        const [productsRes, ordersRes] = await Promise.all([
-            fetch(API_URLS.PRODUCTS),  // Endpoint de productos desde constants.js
-            fetch(API_URLS.ORDERS)     // Endpoint de pedidos desde constants.js
+        // ==== PETICIONES EN PARALELO ====
+        // Promise.all ejecuta ambas peticiones simultáneamente (más rápido que secuencial)
+        // Si alguna falla (HTTP 4xx/5xx, red o timeout), JsonService lanza el error
+        // y se gestiona en el catch de abajo
+        const service = new JsonService();
+        const [products, orders] = await Promise.all([
+            service.getProducts(),  // Array de productos
+            service.getOrders()     // Array de pedidos
         ]);
 
-        // ==== VALIDACIÓN DE RESPUESTAS HTTP ====
-        // Si alguna petición falla (status 4xx o 5xx), lanzamos error
-        if (!productsRes.ok || !ordersRes.ok) {
-            throw new Error('Error al cargar datos del servidor');
-        }
-
-        // ==== PARSEO DE JSON ====
-        // Convertimos las respuestas HTTP a objetos JavaScript
-        const products = await productsRes.json();  // Array de productos
-        const orders = await ordersRes.json();      // Array de pedidos
-
         // ==== CÁLCULO DE MÉTRICAS ====
         // Estas son métricas básicas del negocio mostradas en tarjetas
         const totalProducts = products.length;  // Cantidad de productos en catálogo
@@ -288,12 +296,16 @@ async function loadDashboardData(metricsContainer, ordersTbody) {
         // Ingresos totales: suma de todos los totales de pedidos
         // .reduce() itera sobre orders y acumula la suma
         // (o.total || 0) previene errores si total es undefined/null
-        const totalRevenue = orders.reduce((acc, o) => acc + (o.total || 0), 0);
+        // Los pedidos cancelados o reembolsados no cuentan como ingreso
+        const NON_REVENUE = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED];
+        const totalRevenue = orders
+            .filter(o => !NON_REVENUE.includes(normalizeStatus(o.status)))
+            .reduce((acc, o) => acc + (o.total || 0), 0);
 
         // ==== RENDERIZADO DE TARJETAS DE MÉTRICAS ====
         // Cada tarjeta tiene: icono SVG + etiqueta + valor numérico
         // Clases de icono (primary, warning, success) determinan el color
-        metricsContainer.innerHTML = `
+        metricsContainer.innerHTML = html`
             <div class="metric-card">
                 <div class="metric-icon primary">
                     <svg viewBox="0 0 24 24" fill="none">
@@ -353,41 +365,11 @@ async function loadDashboardData(metricsContainer, ordersTbody) {
 
         // ==== GENERACIÓN DE FILAS DE TABLA ====
         // .slice(0, 10): toma solo los primeros 10 pedidos
-        // .map(): convierte cada pedido en una fila <tr> HTML
+        // .map(): convierte cada pedido en una fila <tr> HTML (buildOrderRow)
         // .join(''): une todas las filas en un string HTML
         const rowsHtml = sortedOrders
             .slice(0, 10)
-            .map(o => {
-                // Extraer datos del pedido con valores por defecto
-                const customerName = o.user?.name || 'Invitado';  // Nombre del cliente
-                
-                // Formatear fecha a formato local (ej: "01/02/2026, 10:30:15")
-                // Si no hay fecha, muestra "-"
-                const date = o.createdAt
-                    ? new Date(o.createdAt).toLocaleString()
-                    : '-';
-                
-                const status = o.status || 'pending';  // Estado del pedido
-                const total = (o.total || 0).toFixed(2);  // Total formateado a 2 decimales
-
-                // ==== FILA DE TABLA ====
-                // Cada columna muestra un dato del pedido
-                // El badge de estado usa la clase ${status} para colores dinámicos
-                // CSS tiene reglas como .status-badge.pending, .status-badge.completed, etc.
-                return `
-                    <tr>
-                        <td class="id">#${o.id}</td>
-                        <td>${customerName}</td>
-                        <td>${date}</td>
-                        <td>
-                            <span class="status-badge ${status}">
-                                ${status}
-                            </span>
-                        </td>
-                        <td class="price">$ ${total}</td>
-                    </tr>
-                `;  // Fin de fila de tabla
-            })
+            .map(buildOrderRow)
             .join('');  // Une todas las filas en un string HTML
 
         // ==== ACTUALIZAR TABLA EN EL DOM ====
@@ -395,7 +377,7 @@ async function loadDashboardData(metricsContainer, ordersTbody) {
         // Si no hay pedidos (rowsHtml vacío), mostramos mensaje informativo
         ordersTbody.innerHTML = rowsHtml || `
             <tr>
-                <td colspan="5" style="text-align:center;padding:1.5rem;">
+                <td colspan="6" style="text-align:center;padding:1.5rem;">
                     No hay pedidos registrados.
                 </td>
             </tr>`;
@@ -415,9 +397,121 @@ async function loadDashboardData(metricsContainer, ordersTbody) {
         // Error en tabla: mostramos fila de error
         ordersTbody.innerHTML = `
             <tr>
-                <td colspan="5" style="text-align:center;padding:1.5rem;color:red;">
+                <td colspan="6" style="text-align:center;padding:1.5rem;color:red;">
                     Error cargando pedidos.
                 </td>
             </tr>`;
     }  // Fin del try-catch
 }  // Fin de loadDashboardData()
+
+/**
+ * FUNCIÓN AUXILIAR: buildOrderRow(order)
+ * 
+ * Genera la fila <tr> de un pedido para la tabla del dashboard.
+ * 
+ * COLUMNAS: ID · Cliente · Fecha · Estado (badge) · Total · Acciones
+ * - El badge usa la clase del estado normalizado (.status-badge.pending...)
+ * - Acciones: un botón por cada estado al que puede pasar el pedido según
+ *   la máquina de estados (getNextStatuses). Cancelar/Reembolsar van en
+ *   estilo 'tertiary' para distinguirlos del avance normal.
+ * - El <tr> lleva data-order-id para poder reemplazarlo tras un cambio
+ * 
+ * @param {Object} order - Pedido tal como lo devuelve la API
+ * @returns {SafeHtml} HTML de la fila (datos escapados)
+ */
+function buildOrderRow(order) {
+    // Extraer datos del pedido con valores por defecto
+    const customerName = order.user?.name || 'Invitado';  // Nombre del cliente
+
+    // Formatear fecha a formato local (ej: "01/02/2026, 10:30:15")
+    // Si no hay fecha, muestra "-"
+    const date = order.createdAt
+        ? new Date(order.createdAt).toLocaleString()
+        : '-';
+
+    const status = normalizeStatus(order.status);       // Estado del pedido
+    const total = (order.total || 0).toFixed(2);        // Total formateado a 2 decimales
+
+    // Botones de acción según la máquina de estados
+    const actions = getNextStatuses(status).map(next => {
+        const variant = next === ORDER_STATUS.CANCELLED || next === ORDER_STATUS.REFUNDED
+            ? 'tertiary'
+            : 'secondary';
+        return html`
+            <button type="button" class="button small ${variant}"
+                    data-order-id="${order.id}" data-status="${next}">
+                ${ACTION_LABELS[next]}
+            </button>`;
+    });
+
+    // ==== FILA DE TABLA ====
+    // html`` escapa el nombre del cliente (lo escribió el propio usuario)
+    return html`
+        <tr data-order-id="${order.id}">
+            <td class="id">#${order.id}</td>
+            <td>${customerName}</td>
+            <td>${date}</td>
+            <td>
+                <span class="status-badge ${status}">
+                    ${STATUS_LABELS[status]}
+                </span>
+            </td>
+            <td class="price">$ ${total}</td>
+            <td><div class="order-status-actions">${actions.length ? actions : '-'}</div></td>
+        </tr>
+    `;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: attachStatusEvents(ordersTbody, errorEl, admin)
+ * 
+ * Delegación de eventos: un único listener en el <tbody> gestiona los
+ * botones de estado de todas las filas (también las que se repintan).
+ * 
+ * FLUJO:
+ * 1. Click en un botón con data-status → deshabilitar botones de la fila
+ * 2. JsonService.updateOrderStatus(id, estado, { changedBy: admin })
+ *    (valida la transición contra el servidor y guarda el historial)
+ * 3. Éxito: reemplazar solo esa fila con el pedido actualizado
+ * 4. Error: mostrar mensaje y rehabilitar los botones
+ * 
+ * @param {HTMLElement} ordersTbody - <tbody> de la tabla de pedidos
+ * @param {HTMLElement} errorEl - Párrafo donde mostrar errores
+ * @param {Object} admin - Usuario logueado (queda registrado en statusHistory)
+ */
+function attachStatusEvents(ordersTbody, errorEl, admin) {
+    const service = new JsonService();
+
+    ordersTbody.addEventListener('click', async e => {
+        const button = e.target.closest('button[data-status]');
+        if (!button) return;
+
+        const row = button.closest('tr');
+        const rowButtons = row.querySelectorAll('button[data-status]');
+
+        // 1. Evitar dobles clicks mientras se guarda
+        errorEl.classList.add('hidden');
+        rowButtons.forEach(b => { b.disabled = true; });
+
+        try {
+            // 2. Cambiar estado (lanza OrderStatusError si ya no es válido)
+            const updated = await service.updateOrderStatus(
+                button.dataset.orderId,
+                button.dataset.status,
+                { changedBy: admin }
+            );
+
+            // 3. Repintar la fila (un <tbody> temporal permite parsear un <tr>)
+            const tmp = document.createElement('tbody');
+            tmp.innerHTML = buildOrderRow(updated);
+            row.replaceWith(tmp.firstElementChild);
+        } catch (error) {
+            // 4. Mostrar error y permitir reintentar
+            errorEl.textContent = error instanceof OrderStatusError
+                ? 'El pedido ya cambió de estado. Recarga el panel para ver su estado actual.'
+                : 'No se pudo actualizar el estado del pedido.';
+            errorEl.classList.remove('hidden');
+            rowButtons.forEach(b => { b.disabled = false; });
+        }
+    });
+}
@@ -0,0 +1,261 @@
+/**
+ * ===================================================================
+ * VISTA DE GESTIÓN DE USUARIOS (Admin Users View)
+ * ===================================================================
+ *
+ * PROPÓSITO:
+ * Pantalla exclusiva para administradores donde se listan todas las
+ * cuentas y se puede cambiar su rol (customer, kitchen, admin).
+ * Es la ÚNICA forma de crear administradores o personal de cocina:
+ * el registro público siempre crea cuentas 'customer'.
+ *
+ * PATRÓN DE DISEÑO:
+ * - Dashboard Pattern: Tabla de datos + sidebar, igual que AdminDashboardView
+ * - Service Layer: getUsers() y updateUserRole() de authService
+ * - Route Guard: La ruta '#admin/users' declara roles: ['admin']
+ *
+ * IMPORTS (de dónde vienen y por qué):
+ * - getCurrentUser, getUsers, updateUserRole: '../services/authService.js'
+ *   Listado de usuarios y cambio de rol con sus reglas (no cambiar el propio
+ *   rol, no degradar al último admin)
+ * - ROLES: '../utils/constants.js' - Nombres de rol válidos
+ *
+ * EXPORTS (hacia dónde va):
+ * - AdminUsersView(): Se importa en 'src/router/router.js' y se mapea a '#admin/users'
+ *
+ * FLUJO DE DATOS:
+ * 1. Admin navega a #admin/users → Router verifica rol y llama a AdminUsersView()
+ * 2. Se construye el layout y se cargan los usuarios con getUsers()
+ * 3. Cada fila muestra nombre, email, rol y un selector de rol
+ * 4. Cambio en el selector → updateUserRole(id, nuevoRol)
+ * 5. Si éxito: se vuelve a pintar la fila; si falla: se muestra el error
+ *    y el selector vuelve al rol anterior
+ *
+ * ===================================================================
+ */
+
+import { getCurrentUser, getUsers, updateUserRole } from '../services/authService.js';
+import { ROLES } from '../utils/constants.js';
+
+/**
+ * CONSTANTE: ROLE_LABELS
+ * ----------------------
+ * Texto de cada rol en el selector de la tabla
+ */
+const ROLE_LABELS = {
+    [ROLES.CUSTOMER]: 'Customer',
+    [ROLES.KITCHEN]: 'Kitchen',
+    [ROLES.ADMIN]: 'Admin'
+};
+
+/**
+ * FUNCIÓN PRINCIPAL: AdminUsersView()
+ *
+ * @returns {Promise<HTMLElement>} Elemento <main> con la tabla de usuarios
+ *
+ * USO EN ROUTER:
+ * const routes = {
+ *   '#admin/users': { view: AdminUsersView, title: 'Users', auth: true, roles: ['admin'] },
+ *   // ...
+ * };
+ */
+export async function AdminUsersView() {
+    // El guard del router (roles: ['admin']) ya verificó sesión y rol
+    const user = getCurrentUser();
+
+    // ==== CONTENEDOR PRINCIPAL ====
+    const main = document.createElement('main');
+    main.classList.add('layout', 'dashboard-layout');
+
+    // ==== COLUMNA DE CONTENIDO (TABLA) ====
+    const content = document.createElement('section');
+    content.classList.add('content');
+
+    const header = document.createElement('div');
+    header.classList.add('section-header');
+    header.innerHTML = `
+        <h1 class="page-title">Users</h1>
+        <span class="profile-role">Admin panel</span>
+    `;
+
+    // Mensaje de error de las acciones (oculto por defecto)
+    const errorEl = document.createElement('p');
+    errorEl.classList.add('auth-error', 'hidden');
+
+    const tableContainer = document.createElement('div');
+    tableContainer.classList.add('table-container');
+    tableContainer.innerHTML = `
+        <table class="table">
+            <thead>
+                <tr>
+                    <th>Name</th>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Member since</th>
+                    <th>Change role</th>
+                </tr>
+            </thead>
+            <tbody id="admin-users-body">
+                <tr>
+                    <td colspan="5" style="text-align:center;padding:1.5rem;">
+                        Loading users...
+                    </td>
+                </tr>
+            </tbody>
+        </table>
+    `;
+
+    content.appendChild(header);
+    content.appendChild(errorEl);
+    content.appendChild(tableContainer);
+
+    // ==== SIDEBAR ====
+    const sidebar = document.createElement('aside');
+    sidebar.classList.add('sidebar');
+    sidebar.innerHTML = `
+        <div class="profile-card">
+            <div class="avatar">
+                <img alt="">
+            </div>
+            <h2 class="profile-name"></h2>
+            <p class="profile-email"></p>
+            <span class="profile-role">Admin</span>
+        </div>
+
+        <nav class="menu-list">
+            <a href="#dashboard" class="menu-item">
+                <span>Volver al dashboard</span>
+            </a>
+            <a href="#menu" class="menu-item">
+                <span>Volver al menú</span>
+            </a>
+        </nav>
+    `;
+
+    const avatar = sidebar.querySelector('.avatar img');
+    avatar.src = `https://ui-avatars.com/api/?name=${encodeURIComponent(user.name || 'Admin')}&background=00D26B&color=fff&size=120`;
+    avatar.alt = user.name || '';
+    sidebar.querySelector('.profile-name').textContent = user.name;
+    sidebar.querySelector('.profile-email').textContent = user.email;
+
+    // ==== ENSAMBLAR LAYOUT ====
+    main.appendChild(content);
+    main.appendChild(sidebar);
+
+    // ==== CARGA Y EVENTOS ====
+    const tbody = tableContainer.querySelector('#admin-users-body');
+    attachRoleEvents(tbody, errorEl);
+    loadUsers(tbody, user);
+
+    return main;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: loadUsers(tbody, currentUser)
+ *
+ * Carga los usuarios con getUsers() y pinta una fila por cada uno.
+ *
+ * @param {HTMLElement} tbody - <tbody> de la tabla de usuarios
+ * @param {Object} currentUser - Admin logueado (su fila no tiene selector)
+ */
+async function loadUsers(tbody, currentUser) {
+    const result = await getUsers();
+
+    if (!result.success) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="5" style="text-align:center;padding:1.5rem;color:red;">
+                    Error loading users.
+                </td>
+            </tr>`;
+        return;
+    }
+
+    tbody.innerHTML = '';
+    result.users.forEach(u => tbody.appendChild(buildUserRow(u, currentUser)));
+}
+
+/**
+ * FUNCIÓN AUXILIAR: buildUserRow(user, currentUser)
+ *
+ * Construye la fila de un usuario. Los datos se asignan con textContent.
+ * El selector lleva en data-* el id del usuario y su rol actual
+ * (para restaurarlo si el cambio falla).
+ *
+ * @param {Object} user - Usuario de la fila
+ * @param {Object} currentUser - Admin logueado
+ * @returns {HTMLTableRowElement}
+ */
+function buildUserRow(user, currentUser) {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td class="user-name"></td>
+        <td class="user-email"></td>
+        <td><span class="profile-role"></span></td>
+        <td class="user-created"></td>
+        <td class="user-actions"></td>
+    `;
+
+    row.querySelector('.user-name').textContent = user.name;
+    row.querySelector('.user-email').textContent = user.email;
+    row.querySelector('.profile-role').textContent = user.role;
+    row.querySelector('.user-created').textContent = user.createdAt
+        ? new Date(user.createdAt).toLocaleDateString()
+        : '-';
+
+    // El admin logueado no puede cambiarse su propio rol
+    if (user.id === currentUser.id) {
+        row.querySelector('.user-actions').textContent = 'You';
+        return row;
+    }
+
+    const select = document.createElement('select');
+    select.classList.add('input', 'select');
+    select.dataset.userId = user.id;
+    select.dataset.role = user.role;
+    select.setAttribute('aria-label', `Role of ${user.name}`);
+
+    Object.values(ROLES).forEach(role => {
+        const option = document.createElement('option');
+        option.value = role;
+        option.textContent = ROLE_LABELS[role];
+        option.selected = role === user.role;
+        select.appendChild(option);
+    });
+    row.querySelector('.user-actions').appendChild(select);
+
+    return row;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: attachRoleEvents(tbody, errorEl)
+ *
+ * Delegación de eventos: un único listener 'change' en el <tbody> gestiona
+ * los selectores de todas las filas (también las que se pintan después).
+ *
+ * @param {HTMLElement} tbody - <tbody> de la tabla de usuarios
+ * @param {HTMLElement} errorEl - Párrafo donde mostrar errores
+ */
+function attachRoleEvents(tbody, errorEl) {
+    tbody.addEventListener('change', async e => {
+        const select = e.target.closest('select[data-user-id]');
+        if (!select) return;
+
+        errorEl.classList.add('hidden');
+        select.disabled = true;
+
+        const result = await updateUserRole(select.dataset.userId, select.value);
+
+        if (!result.success) {
+            // Volver al rol anterior: el cambio no se guardó
+            select.value = select.dataset.role;
+            select.disabled = false;
+            errorEl.textContent = result.error;
+            errorEl.classList.remove('hidden');
+            return;
+        }
+
+        // Reemplazar solo la fila modificada
+        select.closest('tr').replaceWith(buildUserRow(result.user, getCurrentUser()));
+    });
+}
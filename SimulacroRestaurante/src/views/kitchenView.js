@@ -0,0 +1,312 @@
+/**
+ * ===================================================================
+ * VISTA DE COCINA (Kitchen Display System)
+ * ===================================================================
+ *
+ * PROPÓSITO:
+ * Tablero para el personal de cocina con una columna por estado:
+ * New (pending + confirmed), Preparing y Ready. Cada ticket muestra los
+ * productos, cantidades y el tiempo transcurrido desde que se hizo el
+ * pedido. Un toque en el botón del ticket lo avanza al siguiente estado.
+ *
+ * PATRÓN DE DISEÑO:
+ * - Kanban Board: Una columna por estado del pedido
+ * - Polling: Se vuelve a pedir /orders cada KITCHEN_CONFIG.REFRESH_MS
+ * - View Lifecycle: El intervalo se detiene con onLeave() al salir de la ruta
+ * - Route Guard: La ruta '#kitchen' declara roles: ['kitchen', 'admin']
+ *
+ * IMPORTS (de dónde vienen y por qué):
+ * - JsonService: '../services/jsonService.js' - getOrders() y updateOrderStatus()
+ * - getCurrentUser: '../services/authService.js' - Quién avanza el pedido (statusHistory)
+ * - onLeave: '../router/lifecycle.js' - Parar el polling al cambiar de ruta
+ * - ORDER_STATUS, KITCHEN_CONFIG: '../utils/constants.js' - Estados y tiempos del tablero
+ * - normalizeStatus, getNextStatuses, STATUS_LABELS, ACTION_LABELS, OrderStatusError:
+ *   '../utils/orderStatus.js' - Máquina de estados de los pedidos
+ * - html: '../utils/html.js' - Plantillas con escape automático
+ * - describeOptions: '../utils/productOptions.js' - Opciones de cada item (tamaño, extras, sin cebolla)
+ *
+ * EXPORTS (hacia dónde va):
+ * - KitchenView(): Se importa en 'src/router/router.js' y se mapea a '#kitchen'
+ *
+ * FLUJO DE DATOS:
+ * 1. Cocina navega a #kitchen → Router verifica rol y llama a KitchenView()
+ * 2. Se construye el tablero vacío y se cargan los pedidos activos
+ *    (GET /orders?status=pending&status=confirmed&status=preparing&status=ready)
+ * 3. Cada pedido se pinta como ticket en la columna de su estado (más antiguo primero)
+ * 4. Cada REFRESH_MS se repite la carga (nuevos pedidos, tiempos actualizados)
+ * 5. Toque en el botón del ticket → updateOrderStatus(id, siguiente estado)
+ *    → el ticket pasa a la siguiente columna (o desaparece al entregarse)
+ * 6. Al navegar a otra ruta, onLeave() detiene el intervalo
+ *
+ * ===================================================================
+ */
+
+import JsonService from '../services/jsonService.js';
+import { getCurrentUser } from '../services/authService.js';
+import { onLeave } from '../router/lifecycle.js';
+import { ORDER_STATUS, KITCHEN_CONFIG } from '../utils/constants.js';
+import {
+    normalizeStatus,
+    getNextStatuses,
+    STATUS_LABELS,
+    ACTION_LABELS,
+    OrderStatusError
+} from '../utils/orderStatus.js';
+import { html } from '../utils/html.js';
+import { describeOptions } from '../utils/productOptions.js';
+
+/**
+ * CONSTANTE: BOARD_COLUMNS
+ * ------------------------
+ * Columnas del tablero y estados que agrupa cada una.
+ * Los pedidos entregados, cancelados o reembolsados no aparecen.
+ */
+const BOARD_COLUMNS = [
+    { id: 'new', title: 'New', statuses: [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED] },
+    { id: 'preparing', title: 'Preparing', statuses: [ORDER_STATUS.PREPARING] },
+    { id: 'ready', title: 'Ready', statuses: [ORDER_STATUS.READY] }
+];
+
+/**
+ * CONSTANTE: ACTIVE_STATUSES
+ * --------------------------
+ * Todos los estados visibles en el tablero (filtro de la petición a /orders)
+ */
+const ACTIVE_STATUSES = BOARD_COLUMNS.flatMap(column => column.statuses);
+
+/**
+ * FUNCIÓN PRINCIPAL: KitchenView()
+ *
+ * @returns {Promise<HTMLElement>} Elemento <main> con el tablero de cocina
+ *
+ * USO EN ROUTER:
+ * const routes = {
+ *   '#kitchen': { view: KitchenView, title: 'Kitchen', auth: true, roles: ['kitchen', 'admin'] },
+ *   // ...
+ * };
+ */
+export async function KitchenView() {
+    // El guard del router (roles: ['kitchen', 'admin']) ya verificó sesión y rol
+    const user = getCurrentUser();
+    const service = new JsonService();
+
+    // ==== ESTADO DE LA VISTA ====
+    let orders = [];        // Pedidos activos cargados
+    let loading = false;    // Evita solapar dos cargas (polling + botón Refresh)
+
+    // ==== CONTENEDOR PRINCIPAL ====
+    const main = document.createElement('main');
+    main.classList.add('kitchen-layout');
+
+    const header = document.createElement('div');
+    header.classList.add('section-header');
+    header.innerHTML = `
+        <h1 class="page-title">Kitchen</h1>
+        <div class="kitchen-toolbar">
+            <span class="kitchen-updated"></span>
+            <button type="button" class="button small secondary" id="kitchenRefreshBtn">Refresh</button>
+        </div>
+    `;
+    const updatedLabel = header.querySelector('.kitchen-updated');
+
+    // Mensaje de error (oculto por defecto)
+    const errorEl = document.createElement('p');
+    errorEl.classList.add('auth-error', 'hidden');
+
+    // ==== TABLERO: UNA COLUMNA POR GRUPO DE ESTADOS ====
+    const board = document.createElement('div');
+    board.classList.add('kitchen-board');
+    board.innerHTML = html`${BOARD_COLUMNS.map(column => html`
+        <section class="kitchen-column" data-column="${column.id}">
+            <header class="kitchen-column-header">
+                <h2 class="kitchen-column-title">${column.title}</h2>
+                <span class="order-count">0</span>
+            </header>
+            <div class="kitchen-tickets">
+                <p class="subtitle">Loading orders...</p>
+            </div>
+        </section>
+    `)}`;
+
+    main.appendChild(header);
+    main.appendChild(errorEl);
+    main.appendChild(board);
+
+    /**
+     * renderBoard()
+     * -------------
+     * Reparte los pedidos en sus columnas (más antiguo primero) y
+     * actualiza los contadores. Se llama tras cada carga o cambio de estado.
+     */
+    function renderBoard() {
+        const now = Date.now();
+        const sorted = [...orders].sort(
+            (a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+        );
+
+        BOARD_COLUMNS.forEach(column => {
+            const section = board.querySelector(`[data-column="${column.id}"]`);
+            const columnOrders = sorted.filter(order =>
+                column.statuses.includes(normalizeStatus(order.status))
+            );
+
+            section.querySelector('.order-count').textContent = columnOrders.length;
+            section.querySelector('.kitchen-tickets').innerHTML = columnOrders.length
+                ? html`${columnOrders.map(order => buildTicket(order, now))}`
+                : `<p class="subtitle">No orders</p>`;
+        });
+    }
+
+    /**
+     * refresh()
+     * ---------
+     * Pide los pedidos activos y repinta el tablero.
+     * Si la pestaña no está visible o ya hay una carga en curso, no hace nada.
+     */
+    async function refresh() {
+        if (loading || document.hidden) return;
+        loading = true;
+
+        try {
+            orders = await service.getOrders({ status: ACTIVE_STATUSES });
+            renderBoard();
+            updatedLabel.textContent = `Updated ${new Date().toLocaleTimeString()}`;
+            errorEl.classList.add('hidden');
+        } catch (error) {
+            console.error('Kitchen board error:', error);
+            errorEl.textContent = 'Could not load orders. Retrying automatically...';
+            errorEl.classList.remove('hidden');
+        } finally {
+            loading = false;
+        }
+    }
+
+    // ==== EVENTOS ====
+
+    // Botón Refresh: carga inmediata
+    header.querySelector('#kitchenRefreshBtn').addEventListener('click', refresh);
+
+    // Tap-to-advance (delegación: un listener para todos los tickets)
+    board.addEventListener('click', async e => {
+        const button = e.target.closest('button[data-status]');
+        if (!button) return;
+
+        button.disabled = true;
+        errorEl.classList.add('hidden');
+
+        try {
+            const updated = await service.updateOrderStatus(
+                button.dataset.orderId,
+                button.dataset.status,
+                { changedBy: user }
+            );
+
+            // Sustituir el pedido en memoria; si ya no está activo
+            // (entregado), desaparece del tablero
+            orders = orders
+                .map(order => (String(order.id) === String(updated.id) ? updated : order))
+                .filter(order => ACTIVE_STATUSES.includes(normalizeStatus(order.status)));
+            renderBoard();
+        } catch (error) {
+            button.disabled = false;
+            errorEl.textContent = error instanceof OrderStatusError
+                ? 'This order was already updated. The board has been refreshed.'
+                : 'Could not update the order. Please try again.';
+            errorEl.classList.remove('hidden');
+
+            // Otro dispositivo cambió el pedido: traer el estado real
+            if (error instanceof OrderStatusError) refresh();
+        }
+    });
+
+    // ==== CARGA INICIAL + POLLING ====
+    refresh();
+    const intervalId = setInterval(refresh, KITCHEN_CONFIG.REFRESH_MS);
+
+    // Al salir de #kitchen se detiene el polling (ver router/lifecycle.js)
+    onLeave(() => clearInterval(intervalId));
+
+    return main;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: getAdvanceStatus(status)
+ *
+ * Siguiente estado del flujo normal (ignora cancelar/reembolsar, que
+ * siguen en manos del admin desde el dashboard).
+ *
+ * @param {string} status - Estado actual
+ * @returns {string|undefined} Estado al que avanza el botón del ticket
+ */
+function getAdvanceStatus(status) {
+    return getNextStatuses(status).find(
+        next => next !== ORDER_STATUS.CANCELLED && next !== ORDER_STATUS.REFUNDED
+    );
+}
+
+/**
+ * FUNCIÓN AUXILIAR: formatElapsed(createdAt, now)
+ *
+ * @param {string} createdAt - Fecha ISO de creación del pedido
+ * @param {number} now - Timestamp actual (el mismo para todo el tablero)
+ * @returns {string} Tiempo transcurrido: '< 1 min', '12 min', '1 h 05 min'
+ */
+function formatElapsed(createdAt, now) {
+    if (!createdAt) return '-';
+
+    const minutes = Math.max(0, Math.floor((now - new Date(createdAt).getTime()) / 60000));
+    if (minutes < 1) return '< 1 min';
+    if (minutes < 60) return `${minutes} min`;
+
+    const hours = Math.floor(minutes / 60);
+    return `${hours} h ${String(minutes % 60).padStart(2, '0')} min`;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: buildTicket(order, now)
+ *
+ * Construye el ticket de un pedido: ID, estado, cliente, tiempo
+ * transcurrido, productos con cantidades y botón para avanzar.
+ * Los pedidos con más de KITCHEN_CONFIG.LATE_AFTER_MS llevan la clase 'late'.
+ *
+ * @param {Object} order - Pedido tal como lo devuelve la API
+ * @param {number} now - Timestamp actual
+ * @returns {SafeHtml} HTML del ticket (datos escapados)
+ */
+function buildTicket(order, now) {
+    const status = normalizeStatus(order.status);
+    const next = getAdvanceStatus(status);
+    const isLate = order.createdAt
+        && now - new Date(order.createdAt).getTime() > KITCHEN_CONFIG.LATE_AFTER_MS;
+
+    return html`
+        <article class="card kitchen-ticket ${isLate ? 'late' : ''}" data-order-id="${order.id}">
+            <div class="kitchen-ticket-header">
+                <span class="order-id">#${order.id}</span>
+                <span class="status-badge ${status}">${STATUS_LABELS[status]}</span>
+            </div>
+            <p class="order-meta">
+                ${order.user?.name || 'Guest'} ·
+                <span class="kitchen-elapsed">${formatElapsed(order.createdAt, now)}</span>
+            </p>
+            <div class="detail-items">
+                ${(order.items || []).map(item => html`
+                    <div class="detail-item">
+                        <span class="item-quantity">${item.quantity}x</span>
+                        <div>
+                            <div class="item-title">${item.name}</div>
+                            ${item.options?.length > 0
+                && html`<div class="item-note">${describeOptions(item.options)}</div>`}
+                        </div>
+                    </div>
+                `)}
+            </div>
+            ${next && html`
+                <button type="button" class="button primary kitchen-advance"
+                        data-order-id="${order.id}" data-status="${next}">
+                    ${ACTION_LABELS[next]}
+                </button>
+            `}
+        </article>
+    `;
+}
@@ -16,10 +16,23 @@
 import {login} from '../services/authService.js';
 
 /**
- * FUNCIÓN EXPORTADA: LoginView()
- * -------------------------------
+ * IMPORT: mergeGuestCart
+ * ----------------------
+ * ORIGEN: ../services/cartService.js
+ * PROPÓSITO: Pasar al carrito del usuario lo que añadió como invitado
+ * FLUJO: login correcto → mergeGuestCart(user) → redirección
+ */
+import {mergeGuestCart} from '../services/cartService.js';
+
+/**
+ * FUNCIÓN EXPORTADA: LoginView({ query })
+ * ----------------------------------------
  * PROPÓSITO: Crear y retornar la vista completa de login
  * 
+ * PARÁMETROS:
+ *   - query.returnTo: String (opcional) - Ruta a la que volver tras el login
+ *   - query.reason: String (opcional) - 'idle' si la sesión se cerró por inactividad
+ * 
  * RETORNA: HTMLElement (main)
  *   - Elemento <main> con formulario de login completo
  * 
@@ -41,9 +54,18 @@ import {login} from '../services/authService.js';
  * 4. Se asignan eventos (submit del form)
  * 5. Usuario llena email/password y hace submit
  * 6. handleLogin() valida y llama a authService.login()
- * 7. Si éxito: guarda sesión y redirige a #menu
+ * 7. Si éxito: guarda sesión, fusiona el carrito de invitado con el del
+ *    usuario y redirige a returnTo (o #menu por defecto)
  * 8. Si error: muestra mensaje de error
  * 
+ * RETURN-TO:
+ * - Si el router bloqueó una ruta protegida, llega aquí como #login?returnTo=%23orders
+ * - Tras el login se vuelve a esa ruta en lugar de ir siempre al menú
+ * 
+ * CIERRE POR INACTIVIDAD:
+ * - main.js llama a logout({ reason: 'idle' }) → #login?reason=idle
+ * - Se muestra un aviso explicando por qué hay que volver a entrar
+ * 
  * EVENTOS:
  * - submit: Se ejecuta handleLogin()
  * 
@@ -59,7 +81,10 @@ import {login} from '../services/authService.js';
  * 4. Personalizar estilos y mensajes
  * 5. Agregar opciones: "Recordarme", "Olvidé contraseña"
  */
-export function LoginView() {
+export function LoginView({ query = {} } = {}) {
+    // 0. Ruta a la que volver tras el login (validada)
+    const returnTo = getSafeReturnTo(query.returnTo);
+
     // 1. Crear contenedor principal de la vista
     const main = document.createElement('main');
     main.classList.add('container');
@@ -114,6 +139,11 @@ export function LoginView() {
             <button type="submit" class="button primary">
             <a href="#menu"></a>Sign In</button>
             
+            <!-- Aviso de sesión cerrada por inactividad (oculto por defecto) -->
+            <p class="auth-info ${query.reason === 'idle' ? '' : 'hidden'}" id="auth-info">
+              You were logged out after a period of inactivity. Please sign in again.
+            </p>
+
             <!-- Mensaje de error (oculto por defecto) -->
             <p class="auth-error hidden" id="auth-error">
               Credenciales inválidas. Intenta nuevamente.
@@ -142,7 +172,7 @@ export function LoginView() {
     //    POR QUÉ: El innerHTML se inyecta de forma síncrona, pero los event listeners
     //             deben esperar a que el navegador procese el HTML
     setTimeout(() => {
-        attachEventListeners();
+        attachEventListeners(returnTo);
     }, 0);
 
     // 4. Retornar el elemento main completo con todo el HTML y eventos
@@ -150,10 +180,31 @@ export function LoginView() {
 }
 
 /**
- * FUNCIÓN HELPER: attachEventListeners()
- * ---------------------------------------
+ * FUNCIÓN HELPER: getSafeReturnTo(returnTo)
+ * ------------------------------------------
+ * PROPÓSITO: Validar la ruta de retorno recibida en el query string
+ * 
+ * RETORNA: String - Hash de la app al que redirigir tras el login
+ * 
+ * REGLAS:
+ * - Debe ser un hash interno (empieza por '#'), nunca una URL externa
+ * - No puede volver a #login ni a #register (bucle sin sentido)
+ * - En cualquier otro caso se usa '#menu'
+ */
+function getSafeReturnTo(returnTo) {
+    if (!returnTo || !returnTo.startsWith('#')) return '#menu';
+    if (returnTo.startsWith('#login') || returnTo.startsWith('#register')) return '#menu';
+    return returnTo;
+}
+
+/**
+ * FUNCIÓN HELPER: attachEventListeners(returnTo)
+ * -----------------------------------------------
  * PROPÓSITO: Asignar evento submit al formulario de login
  * 
+ * PARÁMETROS:
+ *   - returnTo: String - Hash al que redirigir cuando el login sea exitoso
+ * 
  * POR QUÉ SEPARAR ESTA FUNCIÓN:
  * - Organización del código
  * - Facilita debugging
@@ -164,23 +215,24 @@ export function LoginView() {
  * 2. Si existe, asigna evento submit
  * 3. El evento ejecutará handleLogin()
  */
-function attachEventListeners() {
+function attachEventListeners(returnTo) {
     // Buscar el formulario en el DOM
     const form = document.getElementById('loginForm');
 
     if (form) {
         console.log('[LOGIN] Formulario encontrado');
         // Asignar evento submit al formulario
-        form.addEventListener('submit', handleLogin);
+        form.addEventListener('submit', event => handleLogin(event, returnTo));
     }
 }
 /**
- * FUNCIÓN ASYNC: handleLogin(event)
- * ----------------------------------
+ * FUNCIÓN ASYNC: handleLogin(event, returnTo)
+ * --------------------------------------------
  * PROPÓSITO: Manejar el envío del formulario de login
  * 
  * PARÁMETROS:
  *   - event: Event - Evento submit del formulario
+ *   - returnTo: String - Hash al que redirigir tras el login (default '#menu')
  * 
  * FLUJO COMPLETO:
  * 1. Prevenir recarga de página (preventDefault)
@@ -190,7 +242,7 @@ function attachEventListeners() {
  * 5. Si éxito:
  *    - Mostrar mensaje de éxito
  *    - Esperar 1 segundo
- *    - Redirigir a #menu
+ *    - Redirigir a returnTo (#menu por defecto)
  * 6. Si error:
  *    - Mostrar mensaje de error
  * 
@@ -202,7 +254,7 @@ function attachEventListeners() {
  * - Se usan console.log para seguir el flujo
  * - Útil para depurar problemas de autenticación
  */
-async function handleLogin(event) {
+async function handleLogin(event, returnTo = '#menu') {
     // 1. Prevenir comportamiento por defecto (recargar página)
     event.preventDefault();
 
@@ -232,14 +284,19 @@ async function handleLogin(event) {
     if (result.success) {
         // LOGIN EXITOSO
         console.log('[LOGIN] Login exitoso:', result.user);
+
+        // Lo añadido al carrito sin sesión pasa al carrito del usuario
+        // (no lanza: si /carts falla se fusiona solo con el carrito local)
+        await mergeGuestCart(result.user);
+
         showSuccess('¡Inicio de sesión exitoso! Redirigiendo...');
 
         // Esperar 1 segundo antes de redirigir (para que usuario vea el mensaje)
         console.log('[LOGIN] Esperando 1 segundos antes de redirigir...');
         setTimeout(() => {
-            console.log('[LOGIN] Redirigiendo a menu...');
-            window.location.hash = '#menu'; // Cambiar URL a #menu
-            console.log('[LOGIN] Hash cambiado a #menu');
+            console.log('[LOGIN] Redirigiendo a', returnTo);
+            window.location.hash = returnTo; // Volver a la ruta solicitada (o #menu)
+            console.log('[LOGIN] Hash cambiado a', returnTo);
         }, 1000);
     } else {
         // LOGIN FALLIDO
@@ -9,12 +9,25 @@
  * Es la "tienda" donde usuarios compran y admins gestionan productos.
  * 
  * FUNCIONALIDADES PRINCIPALES:
- * 1. CATÁLOGO: Grid de productos con Card components
+ * 1. CATÁLOGO: Grid de productos con Card components, por páginas con
+ *    scroll infinito ("Showing X of N products"); el servidor filtra y
+ *    ordena lo que sabe (jsonService.getProductsPage) y el resto se hace
+ *    en memoria con el catálogo completo
  * 2. CARRITO: Sidebar con items, cantidades, total, y checkout
- * 3. BÚSQUEDA: Input de texto para filtrar productos
- * 4. FILTROS: Botones por categoría (All, Burgers, Sides, Drinks)
- * 5. CRUD ADMIN: Modal para crear/editar/eliminar productos (solo admin)
- * 6. PERSISTENCIA: localStorage para mantener carrito entre sesiones
+ * 3. BÚSQUEDA: Nombre, descripción, categoría y etiquetas, sin acentos y
+ *    tolerante a errores (utils/search.js), ordenada por relevancia y con
+ *    las palabras encontradas resaltadas en cada Card
+ * 4. FILTROS: Botones por categoría generados desde /categories (icono,
+ *    orden y nº de productos; las ocultas solo las ve el admin), más
+ *    "Exclude" (alérgenos) y "Dietary" (vegan, halal...) que se combinan
+ *    con la categoría y la búsqueda
+ * 4b. ORDEN Y PRECIO: "Sort by" (precio, nombre, popularidad, novedades) y
+ *    rango Min/Max de precio (utils/menuSort.js). Todos los filtros se
+ *    guardan en la URL (syncUrl) y sobreviven a una recarga
+ * 4c. FAVORITOS: Corazón en cada Card (favoritesService, por usuario) y
+ *    botón "♥ Favorites" junto a las categorías que deja solo los guardados
+ * 5. CRUD ADMIN: Modal para crear/editar/eliminar productos y combos (solo admin)
+ * 6. PERSISTENCIA: Carrito por usuario (localStorage + /carts) con cartService
  * 
  * PATRÓN DE DISEÑO:
  * - Component Pattern: Usa Card para renderizar cada producto
@@ -26,8 +39,27 @@
  * IMPORTS:
  * - Card: '../components/Card.js' - Tarjeta de producto reutilizable
  * - LoadingView: '../components/Loading.js' - Spinner durante carga
- * - JsonService: '../services/JsonService.js' - API REST wrapper
+ * - JsonService: '../services/jsonService.js' - API REST wrapper
  * - getCurrentUser: '../services/authService.js' - Usuario logueado
+ * - cartService: '../services/cartService.js' - Carrito guardado por usuario (local + /carts)
+ *   y onCartChange() para sincronizarlo con otras pestañas
+ * - favoritesService: '../services/favoritesService.js' - Favoritos del usuario (/favorites)
+ * - onLeave: '../router/lifecycle.js' - Dejar de escuchar otras pestañas al salir
+ * - html: '../utils/html.js' - Plantillas con escape automático (carrito y modal)
+ * - stock.js: '../utils/stock.js' - Límites de cantidad según stock y OutOfStockError
+ * - cart.js: '../utils/cart.js' - reconcileCart(): precios/productos actuales antes del checkout
+ * - openDialog: '../components/Dialog.js' - El usuario acepta los cambios del carrito
+ * - OptionGroups: '../components/OptionGroups.js' - Campos del selector de opciones
+ * - idempotency.js: '../utils/idempotency.js' - Clave del intento de checkout (sin pedidos duplicados)
+ * - productOptions.js: '../utils/productOptions.js' - Opciones (tamaño, extras), precio unitario y
+ *   clave de cada línea del carrito
+ * - combo.js: '../utils/combo.js' - Combos: huecos como opciones y stock de los componentes
+ * - categories.js: '../utils/categories.js' - Visibilidad y conteo de productos por categoría
+ * - dietary.js: '../utils/dietary.js' - Alérgenos y dietas (filtros y modal de producto)
+ * - search.js: '../utils/search.js' - Índice de búsqueda y ranking de resultados
+ * - menuSort.js: '../utils/menuSort.js' - Orden del grid, popularidad y rango de precio
+ * - SEARCH_CONFIG / PAGINATION_CONFIG: '../utils/constants.js' - Espera (debounce)
+ *   del buscador y tamaño de página del grid
  * 
  * EXPORTS:
  * - menuView(): Función async que genera toda la vista
@@ -36,14 +68,20 @@
  * FLUJO DE DATOS COMPLETO:
  * 1. Router llama a menuView() cuando usuario va a #menu
  * 2. menuView() construye HTML del layout (productos + carrito)
- * 3. Carga productos desde API con jsonService.getProducts()
- * 4. Renderiza productos usando Card() en Promise.all
+ * 3. Carga las categorías (getCategories), genera los botones de filtro
+ *    con renderFilters() y pide sus conteos (loadCategoryCounts)
+ * 4. resetFeed() pinta la primera página con Card(product); las siguientes
+ *    llegan con loadNextPage() al hacer scroll
  * 5. Carga carrito desde localStorage
  * 6. Usuario interactúa:
- *    a) Busca/filtra → renderProducts() actualiza grid
- *    b) Añade al carrito → addToCart() actualiza sidebar y localStorage
+ *    a) Busca/filtra/ordena → applyFilters() actualiza la URL y el grid
+ *    b) Añade al carrito → si el producto tiene opciones, chooseOptions()
+ *       muestra el selector; addToCart() actualiza sidebar y localStorage
+ *       (nunca más unidades que el stock del producto, sumando sus líneas)
  *    c) Modifica cantidades → updateSidebarUI() recalcula totales
- *    d) Confirma pedido → handleConfirmOrder() crea order en API
+ *    d) Confirma pedido → handleConfirmOrder() compara el carrito con el
+ *       catálogo actual (diálogo si algo cambió) → placeOrder() descuenta
+ *       stock y crea order en API
  *    e) Admin CRUD → openProductModal() + submit actualiza productos
  * 
  * REUTILIZACIÓN:
@@ -56,10 +94,50 @@
  * ===================================================================
  */
 
-import { Card } from '../components/Card.js';
+import { Card, FavoriteButton } from '../components/Card.js';
 import { LoadingView } from "../components/Loading.js";
-import JsonService from "../services/JsonService.js";  // ← CORREGIDO: JsonService con J mayúscula
+import JsonService from "../services/jsonService.js";
 import { getCurrentUser } from "../services/authService.js";
+import { loadCart, saveCart, refreshCart, onCartChange } from "../services/cartService.js";
+import { loadFavorites, toggleFavorite } from "../services/favoritesService.js";
+import { onLeave } from "../router/lifecycle.js";
+import { html } from "../utils/html.js";
+import { getAvailableStock, getMaxUnits, reserveUnits, OutOfStockError } from "../utils/stock.js";
+import { reconcileCart, describeCartChange } from "../utils/cart.js";
+import { openDialog } from "../components/Dialog.js";
+import { OptionGroups, readOptions } from "../components/OptionGroups.js";
+import { getIdempotencyKey, clearIdempotencyKey } from "../utils/idempotency.js";
+import {
+    hasOptions,
+    getDefaultSelection,
+    getUnitPrice,
+    getLineKey,
+    describeOptions
+} from "../utils/productOptions.js";
+import {
+    COMBO_TYPE,
+    isCombo,
+    expandCombo,
+    getSlotProducts,
+    hasAllSlots,
+    getStockNeeds,
+    getComponents,
+    getSeparatePrice
+} from "../utils/combo.js";
+import { isVisible, getHiddenCategoryNames, getVisibleCategoryFilter } from "../utils/categories.js";
+import { ALLERGENS, DIETARY_TAGS, matchesDietFilters, parseTagList } from "../utils/dietary.js";
+import { buildSearchIndex, searchProducts } from "../utils/search.js";
+import { SEARCH_CONFIG, PAGINATION_CONFIG } from "../utils/constants.js";
+import {
+    SORT_OPTIONS,
+    DEFAULT_SORT,
+    parseSort,
+    getServerSort,
+    parsePrice,
+    matchesPriceRange,
+    getPopularity,
+    sortProducts
+} from "../utils/menuSort.js";
 
 /**
  * FUNCIÓN PRINCIPAL: menuView()
@@ -67,9 +145,25 @@ import { getCurrentUser } from "../services/authService.js";
  * Construye y retorna la vista completa del menú con todas sus funcionalidades.
  * Es async porque necesita esperar a cargar productos de la API.
  * 
+ * ESTADO DESDE LA URL:
+ * El router pasa el query string del hash, así los filtros sobreviven a
+ * recargas y se pueden compartir enlaces:
+ * - #menu?category=Drinks     → Filtro de categoría activo (si existe y es visible)
+ * - #menu?q=cola              → Texto de búsqueda precargado
+ * - #menu?exclude=gluten,nuts  → Sin esos alérgenos
+ * - #menu?diet=vegan          → Solo productos aptos para esas dietas
+ * - #menu?sort=price-asc      → Orden del grid (SORT_OPTIONS; sin él, "Featured")
+ * - #menu?min=5&max=12        → Rango de precio (límites incluidos, cualquiera opcional)
+ * - #menu?favorites=1         → Solo los favoritos del usuario (con sesión)
+ * 
+ * Al cambiar cualquier filtro, syncUrl() reescribe el hash con replaceState
+ * (no dispara hashchange: la vista no se vuelve a montar)
+ * 
+ * @param {Object} [route] - Datos de la ruta que pasa el router
+ * @param {Object} [route.query] - Query string del hash ({ category, q, exclude, diet, sort, min, max, favorites })
  * @returns {Promise<HTMLElement>} Elemento <main> con layout completo
  */
-export async function menuView() {
+export async function menuView({ query = {} } = {}) {
     // ==== CONTENEDOR PRINCIPAL ====
     // Layout de dos columnas: productos (izq) + carrito (der)
     const main = document.createElement('main');
@@ -86,12 +180,11 @@ export async function menuView() {
     const isAdmin = currentUser && currentUser.role === 'admin';
 
     // Cabecera con título y botón de "Add product" sólo si es admin
-    contentColumn.innerHTML = `
+    contentColumn.innerHTML = html`
         <div class="section-header">
             <h1 class="page-title">Our Menu</h1>
             ${isAdmin
-        ? `<button class="button primary" id="openProductModalBtn">+ Add product</button>`
-        : ''}
+        && html`<button class="button primary" id="openProductModalBtn">+ Add product</button>`}
         </div>
     `;
 
@@ -107,14 +200,36 @@ export async function menuView() {
     `;
 
     // ==== FILTROS POR CATEGORÍA ====
+    // Los botones se generan con renderFilters() al cargar /categories
     const filterGroup = document.createElement('div');
     filterGroup.classList.add('filter-group');
     filterGroup.id = 'filterContainer';
-    filterGroup.innerHTML = `
-        <button class="filter-button active" data-category="All">All</button>
-        <button class="filter-button" data-category="Burgers">Burgers</button>
-        <button class="filter-button" data-category="Sides">Sides</button>
-        <button class="filter-button" data-category="Drinks">Drinks</button>
+
+    // ==== FILTROS DE ALÉRGENOS Y DIETA ====
+    // Botones conmutables (aria-pressed); se pintan con renderDietFilters()
+    const dietFilters = document.createElement('div');
+    dietFilters.classList.add('diet-filters');
+    dietFilters.id = 'dietFilters';
+
+    // ==== ORDEN Y RANGO DE PRECIO ====
+    // Los valores iniciales se ponen con el estado de la URL (más abajo)
+    const sortBar = document.createElement('div');
+    sortBar.classList.add('sort-bar');
+    sortBar.innerHTML = html`
+        <label class="sort-field">
+            <span class="diet-filters-label">Sort by:</span>
+            <select class="input select sort-select" id="sortSelect">
+                ${SORT_OPTIONS.map(option => html`<option value="${option.id}">${option.name}</option>`)}
+            </select>
+        </label>
+        <div class="sort-field">
+            <span class="diet-filters-label">Price:</span>
+            <input class="input price-input" type="number" id="minPriceInput"
+                   min="0" step="0.5" placeholder="Min" aria-label="Minimum price">
+            <span>–</span>
+            <input class="input price-input" type="number" id="maxPriceInput"
+                   min="0" step="0.5" placeholder="Max" aria-label="Maximum price">
+        </div>
     `;
 
     // ==== GRID DE PRODUCTOS ====
@@ -123,10 +238,24 @@ export async function menuView() {
     // Mientras carga productos mostramos "loading"
     productGrid.innerHTML = LoadingView();
 
+    // ==== ESTADO DEL SCROLL INFINITO ====
+    // "Showing 12 of 40 products" + botón "Load more". Cuando se acerca a
+    // la pantalla, el IntersectionObserver pide la siguiente página solo
+    // (el botón queda para teclado y navegadores sin IntersectionObserver)
+    const feedStatus = document.createElement('div');
+    feedStatus.classList.add('feed-status');
+    feedStatus.innerHTML = `
+        <p class="feed-count" id="feedCount" aria-live="polite"></p>
+        <button class="button secondary hidden" id="loadMoreBtn">Load more</button>
+    `;
+
     // Añadimos secciones a la columna de contenido
     contentColumn.appendChild(searchSection);
     contentColumn.appendChild(filterGroup);
+    contentColumn.appendChild(dietFilters);
+    contentColumn.appendChild(sortBar);
     contentColumn.appendChild(productGrid);
+    contentColumn.appendChild(feedStatus);
 
     // ==== SIDEBAR (CARRITO) ====
     const sidebarColumn = document.createElement('aside');
@@ -164,10 +293,29 @@ export async function menuView() {
     // ESTADO EN MEMORIA (STATE MANAGEMENT)
     // ==============================
     // Estas variables mantienen el estado de la aplicación en esta vista
-    let cart = loadCartFromStorage();  // Carrito: array de {product, quantity}
-    let allProducts = [];              // Productos cargados desde API
+    let cart = loadCartFromStorage();  // Carrito: array de {product, quantity, options}
+    let allProducts = [];              // Productos conocidos: páginas ya vistas o el catálogo entero
+    let catalogLoaded = false;         // true = allProducts tiene TODO el catálogo (loadCatalog)
+    let searchIndex = null;            // Índice de búsqueda (null = rehacer con los textos actuales)
+    let categories = [];               // Categorías de /categories (ya ordenadas)
+    let categoryCounts = null;         // { total, byName: Map } de X-Total-Count (null = sin cargar)
+    let activeCategory = 'All';        // Filtro seleccionado ('All' o nombre de categoría)
+    let excludedAllergens = [];        // Ids de alérgenos que el producto NO puede tener
+    let dietaryFilters = [];           // Ids de dietas que el producto debe cumplir
+    let sortKey = DEFAULT_SORT;        // Orden del grid (id de SORT_OPTIONS)
+    let priceRange = { min: null, max: null };  // Rango de precio (null = sin límite)
+    let popularity = null;             // Unidades vendidas por producto (se carga al ordenar por 'popular')
+    let favoriteIds = new Set();       // Ids de los favoritos del usuario (vacío sin sesión)
+    let showFavorites = false;         // Filtro "♥ Favorites" activo
     let editingProduct = null;         // Producto en edición (modal CRUD)
 
+    // Páginas del grid (ver resetFeed / loadNextPage más abajo)
+    // - token: cambia con cada filtro nuevo; las respuestas de otro token se descartan
+    // - items: productos ya pintados, en orden
+    // - results: lista completa ya filtrada cuando el filtrado es en memoria
+    // - terms: id → palabras encontradas por el buscador (resaltado de la Card)
+    const feed = { token: 0, page: 0, total: 0, items: [], results: null, terms: new Map(), loading: false };
+
     // ==============================
     // FUNCIONES DEL CARRITO (Shopping Cart Logic)
     // ==============================
@@ -178,20 +326,15 @@ export async function menuView() {
      * PROPÓSITO: Recuperar carrito guardado de sesiones anteriores
      * 
      * FLUJO:
-     * 1. Lee clave 'shoppingCart' de localStorage
-     * 2. Si existe, parsea JSON a array
-     * 3. Si no existe o hay error, retorna array vacío
+     * 1. cartService.loadCart() lee el carrito DEL USUARIO ACTUAL
+     *    ('cart:user:<id>', o 'cart:guest' sin sesión)
+     * 2. Si no existe o hay error, retorna array vacío
      * 
-     * REUTILIZACIÓN: Patrón universal para persistencia cliente
+     * NOTA: Es síncrono. La versión del servidor (otro dispositivo) se
+     *       trae después con refreshCart() en la inicialización
      */
     function loadCartFromStorage() {
-        try {
-            const stored = localStorage.getItem('shoppingCart');
-            return stored ? JSON.parse(stored) : [];
-        } catch {
-            // Protección contra localStorage corrupto
-            return [];
-        }
+        return loadCart();
     }
 
     /**
@@ -200,10 +343,11 @@ export async function menuView() {
      * PROPÓSITO: Persistir carrito actual para mantenerlo entre sesiones
      * 
      * SE LLAMA: Cada vez que cart cambia (añadir, eliminar, modificar)
-     * REUTILIZACIÓN: Guardar cualquier estado en localStorage
+     * DESTINO: Carrito del usuario actual en localStorage y, con sesión,
+     *          también en /carts (cartService agrupa los cambios seguidos)
      */
     function saveCartToStorage() {
-        localStorage.setItem('shoppingCart', JSON.stringify(cart));
+        saveCart(cart);
     }
 
     /**
@@ -213,35 +357,251 @@ export async function menuView() {
      * 
      * RETORNA: { totalItems: number, totalPrice: number }
      * - totalItems: Suma de todas las cantidades
-     * - totalPrice: Suma de precio × cantidad de cada item
+     * - totalPrice: Suma de precio unitario (base + opciones) × cantidad
      * 
      * REUTILIZACIÓN: Patrón reduce() para agregaciones
      */
     function calculateCartTotals() {
         const totalItems = cart.reduce((sum, item) => sum + item.quantity, 0);
         const totalPrice = cart.reduce(
-            (sum, item) => sum + item.product.price * item.quantity,
+            (sum, item) => sum + getUnitPrice(item.product, item.options) * item.quantity,
             0
         );
         return { totalItems, totalPrice };
     }
 
+    // Unidades de cada producto que ya ocupa el carrito: suma todas sus
+    // líneas (Large y Regular) y los componentes de los combos
+    // RETORNA: Map<string, number> - id del producto → unidades
+    function getReservedStock() {
+        const reserved = new Map();
+        cart.forEach(item => {
+            reserveUnits(reserved, getStockNeeds(item.product, item.options), item.quantity);
+        });
+        return reserved;
+    }
+
+    // Stock disponible de un producto (el de la API si está en allProducts;
+    // si no, el de la copia guardada en el carrito)
+    function getStockOf(productId, fallback = null) {
+        const product = allProducts.find(p => String(p.id) === String(productId)) || fallback;
+        return getAvailableStock(product);
+    }
+
+    /**
+     * getLiveProduct(product)
+     * -----------------------
+     * PROPÓSITO: Versión actual de un producto del carrito
+     * 
+     * El carrito guarda una COPIA del producto en localStorage (con el stock
+     * de cuando se añadió). Para los límites de cantidad se usa el producto
+     * recién cargado de la API si está en allProducts.
+     * Los combos se devuelven expandidos (huecos como optionGroups).
+     */
+    function getLiveProduct(product) {
+        const live = allProducts.find(p => String(p.id) === String(product.id)) || product;
+        return expandCombo(live, allProducts);
+    }
+
+    /**
+     * findStockLimit(product, options)
+     * --------------------------------
+     * PROPÓSITO: ¿Se puede añadir UNA unidad más de esta línea?
+     * 
+     * RETORNA: Object|null - El producto que se ha quedado sin unidades
+     *          (en un combo, el componente; el propio combo, agotado, si
+     *          algún hueco no tiene componente) o null si hay stock
+     */
+    function findStockLimit(product, options) {
+        if (!hasAllSlots(product, options)) return { ...getLiveProduct(product), stock: 0 };
+
+        const reserved = getReservedStock();
+        const blocking = getStockNeeds(product, options).find(need =>
+            getMaxUnits([need], id => getStockOf(id, product), reserved) < 1
+        );
+        if (!blocking) return null;
+        return allProducts.find(p => String(p.id) === String(blocking.productId)) || product;
+    }
+
+    // Muestra en el sidebar que no quedan más unidades de un producto
+    function showStockLimitMessage(product) {
+        const messageEl = sidebarColumn.querySelector('#orderMessage');
+        const available = getAvailableStock(product);
+        messageEl.textContent = available > 0
+            ? `Only ${available} ${product.name} available.`
+            : `${product.name} is out of stock.`;
+        messageEl.style.color = 'var(--color-warning)';
+    }
+
+    /**
+     * applyStockLevels(levels)
+     * ------------------------
+     * PROPÓSITO: Actualizar el stock de allProducts sin recargar de la API
+     * 
+     * PARÁMETROS:
+     * @param {Map<string, number>} levels - id del producto → stock nuevo
+     * 
+     * FLUJO:
+     * 1. Sustituye los productos afectados en allProducts
+     * 2. Recorta las cantidades del carrito que superen el nuevo stock
+     *    (repartido entre las líneas del producto y los combos que lo
+     *    usan, en orden) y quita las líneas que se quedan sin unidades
+     * 3. Repinta el grid (badges "Out of stock") y el sidebar
+     * 
+     * SE LLAMA: Tras un pedido (se descontó stock) o un OutOfStockError
+     */
+    function applyStockLevels(levels) {
+        allProducts = allProducts.map(product => (
+            levels.has(String(product.id))
+                ? { ...product, stock: levels.get(String(product.id)) }
+                : product
+        ));
+
+        const reserved = new Map();   // id del producto → unidades ya asignadas
+        cart = cart
+            .map(item => {
+                const needs = getStockNeeds(item.product, item.options);
+                const left = hasAllSlots(item.product, item.options)
+                    ? getMaxUnits(needs, id => getStockOf(id, item.product), reserved)
+                    : 0;
+                const quantity = Math.min(item.quantity, left);
+                reserveUnits(reserved, needs, quantity);
+                return { ...item, quantity };
+            })
+            .filter(item => item.quantity > 0);
+
+        repaintFeed();
+        updateSidebarUI();
+    }
+
+    /**
+     * syncUrl()
+     * ---------
+     * PROPÓSITO: Guardar los filtros actuales en el hash (#menu?category=...&sort=...)
+     * 
+     * - Solo se escriben los que no tienen su valor por defecto
+     * - history.replaceState() cambia la URL sin añadir entradas al
+     *   historial ni disparar hashchange (el router no vuelve a montar la vista)
+     * - Al recargar, menuView() lee los mismos parámetros de route.query
+     */
+    function syncUrl() {
+        const params = new URLSearchParams();
+        const search = searchSection.querySelector('#searchInput').value.trim();
+
+        if (activeCategory !== 'All') params.set('category', activeCategory);
+        if (search) params.set('q', search);
+        if (excludedAllergens.length > 0) params.set('exclude', excludedAllergens.join(','));
+        if (dietaryFilters.length > 0) params.set('diet', dietaryFilters.join(','));
+        if (sortKey !== DEFAULT_SORT) params.set('sort', sortKey);
+        if (priceRange.min !== null) params.set('min', priceRange.min);
+        if (priceRange.max !== null) params.set('max', priceRange.max);
+        if (showFavorites) params.set('favorites', '1');
+
+        const queryString = params.toString();
+        history.replaceState(null, '', `#menu${queryString ? `?${queryString}` : ''}`);
+    }
+
+    // Un filtro cambió: URL al día y grid desde la primera página
+    function applyFilters() {
+        syncUrl();
+        resetFeed();
+    }
+
+    /**
+     * setPriceRange(min, max)
+     * -----------------------
+     * PROPÓSITO: Guardar el rango de precio (de los inputs o de la URL)
+     * 
+     * - Valores vacíos o no válidos = sin límite
+     * - Si min > max se intercambian (el usuario los escribió al revés)
+     * - Los inputs se actualizan con el rango que queda
+     */
+    function setPriceRange(min, max) {
+        let low = parsePrice(min);
+        let high = parsePrice(max);
+        if (low !== null && high !== null && low > high) [low, high] = [high, low];
+
+        priceRange = { min: low, max: high };
+        sortBar.querySelector('#minPriceInput').value = low ?? '';
+        sortBar.querySelector('#maxPriceInput').value = high ?? '';
+    }
+
+    /**
+     * loadPopularity()
+     * ----------------
+     * PROPÓSITO: Calcular las unidades vendidas la primera vez que se ordena
+     *            por "Most popular" (el resto de órdenes no las necesitan)
+     * 
+     * Pide las cifras ya agregadas (GET /popularity), nunca /orders: un
+     * invitado no debe descargar los pedidos de otros clientes.
+     * Si falla, se usa un mapa vacío: el grid queda en el orden de
+     * la API en vez de mostrar un error
+     */
+    async function loadPopularity() {
+        if (popularity) return;
+        try {
+            popularity = getPopularity(await jsonService.getPopularity());
+        } catch (error) {
+            console.error('Popularity not loaded', error);
+            popularity = new Map();
+        }
+    }
+
+    /**
+     * confirmCartChanges(changes)
+     * ---------------------------
+     * PROPÓSITO: Enseñar al usuario qué cambió en su carrito y esperar su OK
+     * 
+     * PARÁMETROS:
+     * @param {Array} changes - Cambios devueltos por reconcileCart()
+     * 
+     * RETORNA: Promise<boolean> - true si acepta seguir con el pedido
+     * 
+     * NOTA: Los textos se asignan con html`` (nombres de producto escapados)
+     */
+    async function confirmCartChanges(changes) {
+        const body = document.createElement('div');
+        body.innerHTML = html`
+            <p>Some items in your cart changed since you added them:</p>
+            <ul class="cart-changes">
+                ${changes.map(change => html`<li>${describeCartChange(change)}</li>`)}
+            </ul>
+        `;
+
+        const { result } = openDialog({
+            title: 'Your cart was updated',
+            body,
+            confirmText: 'Accept and place order',
+            cancelText: 'Review cart'
+        });
+        return result;
+    }
+
     // Devuelve el HTML de un item del carrito
+    // html`` escapa nombre, opciones e imagen (vienen de la API / localStorage)
+    // Los botones llevan data-key (producto + opciones): identifican la LÍNEA
+    // El botón "+" se desactiva al llegar al stock disponible del producto
+    // (o de algún componente, si es un combo)
     function buildCartItemHTML(item) {
         const product = item.product;
-        return `
+        const key = getLineKey(product, item.options);
+        const optionsText = describeOptions(item.options);
+        const atStockLimit = findStockLimit(product, item.options) !== null;
+        return html`
             <div class="order-item">
                 <img src="${product.img || 'https://via.placeholder.com/80'}"
                      alt="${product.name}"
                      class="item-image">
                 <div class="item-details">
                     <h4 class="item-name">${product.name}</h4>
-                    <p class="item-price">$${product.price}</p>
+                    ${optionsText && html`<p class="item-note">${optionsText}</p>`}
+                    <p class="item-price">$${getUnitPrice(product, item.options).toFixed(2)}</p>
                     <div class="quantity-control">
-                        <button class="quantity-button decrease" data-id="${product.id}">-</button>
+                        <button class="quantity-button decrease" data-key="${key}">-</button>
                         <span class="quantity">${item.quantity}</span>
-                        <button class="quantity-button increase" data-id="${product.id}">+</button>
-                        <button class="remove-button remove" data-id="${product.id}">Remove</button>
+                        <button class="quantity-button increase" data-key="${key}"
+                                ${atStockLimit ? 'disabled' : ''}>+</button>
+                        <button class="remove-button remove" data-key="${key}">Remove</button>
                     </div>
                 </div>
             </div>
@@ -287,35 +647,116 @@ export async function menuView() {
     }
 
     /**
-     * addToCart(productId)
-     * --------------------
+     * addToCart(productId, options)
+     * -----------------------------
      * PROPÓSITO: Agregar producto al carrito o incrementar cantidad
      * 
+     * PARÁMETROS:
+     * @param {string} productId - ID del producto
+     * @param {Array} [options] - Opciones elegidas en chooseOptions() ([] si no tiene)
+     * 
      * LÓGICA:
      * 1. Buscar producto en allProducts[] por ID
-     * 2. Si ya está en cart[], incrementar quantity
-     * 3. Si es nuevo, agregar con quantity: 1
-     * 4. Actualizar UI y localStorage
+     * 2. Si está agotado o el carrito ya tiene todo su stock (sumando
+     *    todas sus líneas y combos; en un combo, el de cada componente
+     *    elegido), avisar y salir
+     * 3. Si ya hay una línea con el mismo producto Y opciones, incrementar quantity
+     * 4. Si es nueva, agregar con quantity: 1
+     * 5. Actualizar UI y localStorage
      * 
      * LLAMADO DESDE: Click en botón "Add to Cart" de cada Card
      * REUTILIZACIÓN: Patrón estándar para carritos de compra
      */
-    function addToCart(productId) {
+    function addToCart(productId, options = []) {
         const product = allProducts.find(p => p.id == productId);
         if (!product) return;  // Producto no encontrado
 
-        const existingItem = cart.find(item => item.product.id == productId);
+        // Límite de stock (el botón de la Card ya está desactivado si está agotado)
+        const limited = findStockLimit(product, options);
+        if (limited) {
+            showStockLimitMessage(limited);
+            return;
+        }
+
+        const key = getLineKey(product, options);
+        const existingItem = cart.find(item => getLineKey(item.product, item.options) === key);
+
         if (existingItem) {
             // Ya existe: incrementar cantidad
             existingItem.quantity += 1;
         } else {
             // Nuevo: agregar al carrito
-            cart.push({ product, quantity: 1 });
+            cart.push({ product, quantity: 1, options });
         }
 
         updateSidebarUI();  // Refrescar UI
     }
 
+    /**
+     * chooseOptions(product)
+     * ----------------------
+     * PROPÓSITO: Selector de opciones (tamaño, extras...) antes de añadir
+     * 
+     * PARÁMETROS:
+     * @param {Object} product - Producto con optionGroups (combos ya expandidos)
+     * 
+     * RETORNA: Promise<Array|null> - Opciones elegidas (resolveOptions) o
+     *          null si el usuario cancela
+     * 
+     * FLUJO:
+     * 1. Formulario con un fieldset por grupo (OptionGroups): radios para
+     *    'single' (con la primera opción marcada) y checkboxes para 'multiple'
+     * 2. El botón principal muestra el precio con las opciones marcadas
+     *    y se actualiza en cada cambio. En los combos se muestra además
+     *    el ahorro frente a pedir los componentes por separado
+     * 3. Al confirmar se leen las opciones con readOptions() (FormData)
+     * 
+     * NOTA: Nombres y precios se escapan con html`` (los escribe un admin)
+     */
+    async function chooseOptions(product) {
+        const selection = getDefaultSelection(product);
+        const body = document.createElement('form');
+        body.classList.add('product-options');
+        body.innerHTML = html`
+            ${isCombo(product) && html`<p class="combo-savings"></p>`}
+            ${OptionGroups(product, selection)}
+        `;
+
+        const dialog = openDialog({
+            title: product.name,
+            body,
+            confirmText: 'Add to order',
+            cancelText: 'Cancel'
+        });
+
+        // Precio en el botón principal: "Add to order · $31.99"
+        const confirmBtn = dialog.element.querySelector('[data-action="confirm"]');
+        const savingsEl = body.querySelector('.combo-savings');
+        const updatePrice = () => {
+            const options = readOptions(body, product);
+            const unitPrice = getUnitPrice(product, options);
+            confirmBtn.textContent = `Add to order · $${unitPrice.toFixed(2)}`;
+
+            // Combo: "Separately $34.99 · You save $2.00"
+            if (savingsEl) {
+                const separate = getSeparatePrice(options, allProducts);
+                savingsEl.textContent = separate > unitPrice
+                    ? `Separately $${separate.toFixed(2)} · You save $${(separate - unitPrice).toFixed(2)}`
+                    : '';
+            }
+        };
+        updatePrice();
+        body.addEventListener('change', updatePrice);
+
+        // Enter dentro del formulario = confirmar
+        body.addEventListener('submit', e => {
+            e.preventDefault();
+            dialog.close(true);
+        });
+
+        return (await dialog.result) ? readOptions(body, product) : null;
+    }
+
     // ==============================
     // CONFIRMAR PEDIDO (CHECKOUT)
     // ==============================
@@ -330,10 +771,20 @@ export async function menuView() {
      * 2. Usuario autenticado (si no, redirige a login)
      * 
      * FLUJO:
-     * 1. Construir objeto orderData con items y totales
-     * 2. Llamar a jsonService.createOrder()
-     * 3. Si éxito: vaciar carrito, mostrar mensaje
-     * 4. Si error: mostrar mensaje de error
+     * 1. Pedir los productos actuales y reconciliar el carrito (reconcileCart):
+     *    el carrito de localStorage puede tener precios de hace días
+     * 2. Si algo cambió: actualizar carrito y grid, y mostrar un diálogo con
+     *    los cambios. Si el usuario no acepta, no se crea el pedido
+     * 3. Construir objeto orderData con items y totales (precios actuales)
+     * 4. Llamar a jsonService.placeOrder() (descuenta stock + crea pedido)
+     *    con una clave de idempotencia: si el mismo carrito se envía otra vez
+     *    (otra pestaña, recarga a mitad de petición) se reutiliza la clave y
+     *    el servidor devuelve el pedido original en lugar de duplicarlo
+     * 5. Si éxito: vaciar carrito, poner en pantalla el stock del servidor
+     *    que dejó placeOrder() en la caché, mostrar mensaje
+     * 6. Si falta stock (OutOfStockError): ajustar carrito al stock real
+     *    y pedir al usuario que revise el pedido
+     * 7. Otro error: mostrar mensaje de error (el stock ya se restauró)
      * 
      * REUTILIZACIÓN: Patrón de checkout para e-commerce
      */
@@ -349,39 +800,81 @@ export async function menuView() {
             return;
         }
 
-        // Si no hay usuario logueado, redirigimos a login
+        // Si no hay usuario logueado, redirigimos a login (volviendo al menú después)
         if (!user) {
             alert('You must be logged in to order.');
-            window.location.hash = '#login';
+            window.location.hash = `#login?returnTo=${encodeURIComponent(window.location.hash || '#menu')}`;
             return;
         }
 
-        // Estructura del pedido que se enviará a la API
-        const orderData = {
-            userId: user.id,
-            user: { name: user.name, email: user.email },
-            items: cart.map(item => ({
-                productId: item.product.id,
-                name: item.product.name,
-                price: item.product.price,
-                quantity: item.quantity
-            })),
-            total: cart.reduce(
-                (sum, item) => sum + item.product.price * item.quantity,
-                0
-            ),
-            status: 'pending'
-        };
-
         const originalText = btn.textContent;
         btn.textContent = 'Processing...';
         btn.disabled = true;
 
         try {
-            await jsonService.createOrder(orderData);
+            // 1. Catálogo actual (no la copia guardada en el carrito)
+            allProducts = await jsonService.getProducts();
+            catalogLoaded = true;
+            searchIndex = null;
+            const reconciled = reconcileCart(cart, allProducts);
+            cart = reconciled.cart;
+
+            // 2. Cambios de precio / productos eliminados: el usuario decide
+            if (reconciled.changes.length > 0) {
+                repaintFeed();
+                updateSidebarUI();
+
+                const accepted = await confirmCartChanges(reconciled.changes);
+                if (!accepted || cart.length === 0) {
+                    messageEl.textContent = cart.length === 0
+                        ? 'None of the items in your cart are available.'
+                        : 'Please review your cart before ordering.';
+                    messageEl.style.color = 'var(--color-warning)';
+                    return;
+                }
+            }
+
+            // 3. Estructura del pedido que se enviará a la API
+            const orderData = {
+                userId: user.id,
+                user: { name: user.name, email: user.email },
+                // price: precio UNITARIO con las opciones (base + suplementos)
+                // options: lo elegido, para el ticket de cocina y el historial
+                // components: en combos, productos cuyo stock se descuenta
+                items: cart.map(item => ({
+                    productId: item.product.id,
+                    name: item.product.name,
+                    price: getUnitPrice(item.product, item.options),
+                    quantity: item.quantity,
+                    options: (item.options || []).map(option => ({
+                        group: option.group,
+                        name: option.name,
+                        price: option.price
+                    })),
+                    ...(isCombo(item.product) && { components: getComponents(item.options) })
+                })),
+                total: calculateCartTotals().totalPrice
+                // status y statusHistory los asigna createOrder() ('pending')
+            };
+
+            // 4. Checkout (misma clave mientras el carrito no cambie)
+            const idempotencyKey = getIdempotencyKey('checkout', orderData);
+            await jsonService.placeOrder(orderData, { idempotencyKey });
+            clearIdempotencyKey('checkout');
+
+            // Stock que queda en el servidor (para badges y límites sin recargar),
+            // componentes de los combos incluidos. Se lee de la caché que deja
+            // placeOrder(): restar el carrito aquí sería un error si el pedido ya
+            // existía (recarga, otra pestaña) y no descontó nada esta vez
+            const remaining = await jsonService.getProductsByIds([...getReservedStock().keys()]);
+            const levels = new Map(remaining.map(product => [
+                String(product.id),
+                getAvailableStock(product)
+            ]));
+
             // Si el pedido se crea bien, vaciamos carrito y actualizamos UI
             cart = [];
-            updateSidebarUI();
+            applyStockLevels(levels);
             messageEl.textContent = 'Order placed successfully!';
             messageEl.style.color = 'var(--color-success)';
             setTimeout(() => {
@@ -389,6 +882,20 @@ export async function menuView() {
             }, 3000);
         } catch (error) {
             console.error('Order error:', error);
+
+            if (error instanceof OutOfStockError) {
+                // Otro cliente compró antes: ajustar carrito al stock real
+                applyStockLevels(new Map(error.items.map(item => [
+                    String(item.productId),
+                    item.available
+                ])));
+                messageEl.textContent =
+                    `Not enough stock for ${error.items.map(item => item.name).join(', ')}. ` +
+                    'Your cart was updated, please review it.';
+                messageEl.style.color = 'var(--color-warning)';
+                return;
+            }
+
             messageEl.textContent = 'Error placing order.';
             messageEl.style.color = 'var(--color-error)';
         } finally {
@@ -398,71 +905,524 @@ export async function menuView() {
     }
 
     // ==============================
-    // RENDERIZADO DE PRODUCTOS (CORE DE LA VISTA)
+    // FILTROS DE CATEGORÍA
     // ==============================
 
     /**
-     * renderProducts(categoryFilter, searchTerm)
-     * ------------------------------------------
-     * PROPÓSITO: Filtrar y renderizar productos en el grid
-     * 
-     * PARÁMETROS:
-     * @param {string} categoryFilter - 'All' o categoría específica
-     * @param {string} searchTerm - Texto de búsqueda (opcional)
+     * getVisibleProducts()
+     * --------------------
+     * PROPÓSITO: Productos que puede ver el usuario actual
      * 
-     * FLUJO:
-     * 1. Mostrar LoadingView() mientras filtra
-     * 2. Filtrar allProducts[] por categoría Y búsqueda
-     * 3. Generar HTML de cada producto con Card()
-     * 4. Actualizar productGrid.innerHTML
+     * RETORNA: Array - Admin: todos. Clientes: sin los de categorías ocultas
+     * (un producto con una categoría que no está en /categories se sigue
+     * mostrando en "All")
+     */
+    function getVisibleProducts() {
+        if (isAdmin) return allProducts;
+
+        const hidden = getHiddenCategoryNames(categories);
+        return allProducts.filter(product => !hidden.has(product.category));
+    }
+
+    /**
+     * renderFilters()
+     * ---------------
+     * PROPÓSITO: Generar los botones de filtro desde las categorías cargadas
      * 
-     * SE LLAMA:
-     * - Al cargar la vista (sin filtros)
-     * - Al cambiar categoría (click en filtro)
-     * - Al escribir en buscador (input event)
-     * - Después de CRUD de productos (crear/editar/eliminar)
+     * - "All (N)" seguido de una categoría por botón: icono, nombre y nº de
+     *   productos visibles, en el orden de sortOrder
+     * - Con sesión, "♥ Favorites (N)" tras "All": se combina con la categoría
+     *   (data-favorites, aria-pressed) en vez de sustituirla
+     * - Los números salen de categoryCounts; hasta que llegan, no se pintan
+     * - Las categorías ocultas solo se pintan para el admin (marcadas)
+     * - Si la categoría activa ya no existe o se ocultó, vuelve a "All"
      * 
-     * REUTILIZACIÓN: Patrón de filtrado + renderizado para listas
+     * SE LLAMA: Al cargar la vista y cuando llegan los conteos (loadCategoryCounts)
      */
-    async function renderProducts(categoryFilter = 'All', searchTerm = '') {
-        // Mientras hacemos filtro/petición, mostramos pantalla de carga
-        productGrid.innerHTML = LoadingView();
+    function renderFilters() {
+        const shown = categories.filter(category => isAdmin || isVisible(category));
+        const count = value => categoryCounts && html`<span class="filter-count">(${value || 0})</span>`;
+
+        if (!shown.some(category => category.name === activeCategory)) {
+            activeCategory = 'All';
+        }
 
+        filterGroup.innerHTML = html`
+            <button class="filter-button ${activeCategory === 'All' ? 'active' : ''}" data-category="All">
+                All ${count(categoryCounts?.total)}
+            </button>
+            ${currentUser && html`
+                <button class="filter-button favorites-filter ${showFavorites ? 'active' : ''}"
+                        data-favorites aria-pressed="${showFavorites ? 'true' : 'false'}">
+                    ♥ Favorites <span class="filter-count">(${favoriteIds.size})</span>
+                </button>
+            `}
+            ${shown.map(category => html`
+                <button class="filter-button ${activeCategory === category.name ? 'active' : ''} ${isVisible(category) ? '' : 'is-hidden'}"
+                        data-category="${category.name}"
+                        ${isVisible(category) ? '' : html`title="Hidden from customers"`}>
+                    ${category.icon || ''} ${category.name}
+                    ${count(categoryCounts?.byName.get(category.name))}
+                </button>
+            `)}
+        `;
+    }
+
+    /**
+     * loadCategoryCounts()
+     * --------------------
+     * PROPÓSITO: Contar los productos de cada botón de categoría sin
+     *            descargar el catálogo (X-Total-Count de json-server)
+     * 
+     * - "All": todos los visibles (el admin también ve los de categorías ocultas)
+     * - Cada categoría: GET /products?category=X&_limit=1 (en paralelo)
+     * - Si falla, los botones se quedan sin número (no es un error para el usuario)
+     * 
+     * SE LLAMA: Al cargar la vista y después de crear/editar/eliminar productos
+     */
+    async function loadCategoryCounts() {
         try {
-            // Filtramos en memoria según categoría y texto de búsqueda
-            const filteredProducts = allProducts.filter(product => {
-                const matchesCategory =
-                    categoryFilter === 'All' || product.category === categoryFilter;
+            const [total, ...perCategory] = await Promise.all([
+                jsonService.countProducts(isAdmin ? {} : getVisibleCategoryFilter(categories)),
+                ...categories.map(category => jsonService.countProducts({ category: category.name }))
+            ]);
+            categoryCounts = {
+                total,
+                byName: new Map(categories.map((category, index) => [category.name, perCategory[index]]))
+            };
+        } catch (error) {
+            console.error('Category counts not loaded', error);
+            categoryCounts = null;
+        }
+        renderFilters();
+    }
+
+    /**
+     * renderDietFilters()
+     * -------------------
+     * PROPÓSITO: Pintar los botones "Exclude" (alérgenos) y "Dietary"
+     * 
+     * - Pulsado = filtro activo (clase active + aria-pressed="true")
+     * - "Exclude 🌾 Gluten" oculta los productos que contienen gluten
+     * - "🌱 Vegan" deja solo los productos marcados como veganos
+     */
+    function renderDietFilters() {
+        const chip = (tag, type, active) => html`
+            <button type="button" class="filter-chip ${active ? 'active' : ''}"
+                    data-${type}="${tag.id}" aria-pressed="${active ? 'true' : 'false'}">
+                ${tag.icon} ${tag.name}
+            </button>
+        `;
+
+        dietFilters.innerHTML = html`
+            <span class="diet-filters-label">Exclude:</span>
+            ${ALLERGENS.map(tag => chip(tag, 'allergen', excludedAllergens.includes(tag.id)))}
+            <span class="diet-filters-label">Dietary:</span>
+            ${DIETARY_TAGS.map(tag => chip(tag, 'diet', dietaryFilters.includes(tag.id)))}
+        `;
+    }
+
+    // ==============================
+    // RENDERIZADO DE PRODUCTOS (CORE DE LA VISTA)
+    // ==============================
+
+    // Índice de búsqueda de allProducts (combos expandidos: etiquetas de sus
+    // componentes); se rehace solo cuando se pone a null (productos
+    // recargados, creados, editados o eliminados)
+    function getSearchIndex() {
+        if (!searchIndex) searchIndex = buildSearchIndex(allProducts.map(product => expandCombo(product, allProducts)));
+        return searchIndex;
+    }
+
+    /**
+     * loadCatalog()
+     * -------------
+     * PROPÓSITO: Traer TODO el catálogo la primera vez que hace falta
+     *
+     * El grid normalmente pide al servidor solo la página que se ve. Hace
+     * falta el catálogo entero para:
+     * - Filtrar en memoria (búsqueda, alérgenos/dietas, "Most popular", "Newest")
+     * - El editor de productos del admin (huecos de combo)
+     *
+     * Los productos de las páginas ya vistas se sustituyen por los del catálogo
+     * (misma petición: jsonService.getProducts() no pide dos veces a la vez)
+     */
+    async function loadCatalog() {
+        if (catalogLoaded) return;
+        allProducts = await jsonService.getProducts();
+        catalogLoaded = true;
+        searchIndex = null;
+    }
+
+    // Añade (o actualiza) en allProducts los productos de una página del servidor
+    function rememberProducts(products) {
+        products.forEach(product => {
+            const index = allProducts.findIndex(p => String(p.id) === String(product.id));
+            if (index === -1) {
+                allProducts.push(product);
+            } else {
+                allProducts[index] = product;
+            }
+        });
+    }
+
+    /**
+     * getServerQuery()
+     * ----------------
+     * PROPÓSITO: Traducir los filtros actuales a parámetros de json-server
+     *
+     * RETORNA: Object|null - Opciones para jsonService.getProductsPage()
+     *          ({ sort, order, filters }), o null si algún filtro solo se
+     *          puede aplicar en memoria:
+     *          - Texto buscado (sin acentos y con errores: search.js)
+     *          - Alérgenos y dietas
+     *          - "Most popular" y "Newest" (getServerSort los descarta)
+     *          - "Favorites" sin ningún favorito (el servidor devolvería todo)
+     *
+     * Categoría, rango de precio y favoritos sí los filtra el servidor:
+     *   category=Drinks, price_gte=5, price_lte=12, id=p001&id=6c99
+     * Los clientes en "All" no reciben las categorías ocultas (category_like)
+     */
+    function getServerQuery() {
+        const searchTerm = searchSection.querySelector('#searchInput').value;
+        const serverSort = getServerSort(sortKey);
+
+        if (!serverSort || searchTerm.trim() || excludedAllergens.length > 0 || dietaryFilters.length > 0
+            || (showFavorites && favoriteIds.size === 0)) {
+            return null;
+        }
+
+        const filters = activeCategory !== 'All'
+            ? { category: activeCategory }
+            : (isAdmin ? {} : getVisibleCategoryFilter(categories));
+        if (priceRange.min !== null) filters.price_gte = priceRange.min;
+        if (priceRange.max !== null) filters.price_lte = priceRange.max;
+        if (showFavorites) filters.id = [...favoriteIds];
 
-                const matchesSearch = product.name
-                    .toLowerCase()
-                    .includes(searchTerm.toLowerCase());
+        return { ...serverSort, filters };
+    }
 
-                return matchesCategory && matchesSearch;
+    /**
+     * getMatchingProducts()
+     * ---------------------
+     * PROPÓSITO: Filtrar y ordenar el catálogo en memoria (cuando el
+     *            servidor no puede: ver getServerQuery)
+     *
+     * FLUJO:
+     * 1. Filtrar los productos visibles (getVisibleProducts) por categoría,
+     *    alérgenos/dieta (excludedAllergens, dietaryFilters), rango de
+     *    precio (priceRange), favoritos (showFavorites) Y búsqueda
+     * 2. Con texto buscado: ordenar por relevancia (searchProducts) y guardar
+     *    en feed.terms las palabras encontradas para resaltarlas en la Card
+     * 3. Aplicar el orden elegido (sortKey). Es estable: con búsqueda, a
+     *    igual precio/nombre sigue primero el más relevante
+     *
+     * RETORNA: Array - Todos los productos que cumplen los filtros, en orden
+     * REQUIERE: loadCatalog() (y loadPopularity() para 'popular')
+     */
+    function getMatchingProducts() {
+        const searchTerm = searchSection.querySelector('#searchInput').value;
+
+        // Resultados de la búsqueda (null = buscador vacío, no se filtra)
+        const matches = searchProducts(getSearchIndex(), searchTerm);
+        const matchById = new Map((matches || []).map(match => [match.id, match]));
+        feed.terms = new Map((matches || []).map(match => [match.id, match.terms]));
+
+        // Filtramos en memoria según categoría, dieta, precio y texto de búsqueda
+        const filteredProducts = getVisibleProducts().filter(product => {
+            const matchesCategory =
+                activeCategory === 'All' || product.category === activeCategory;
+
+            // Combos expandidos: alérgenos/dietas de sus componentes
+            const matchesDiet = matchesDietFilters(expandCombo(product, allProducts), {
+                excludeAllergens: excludedAllergens,
+                dietary: dietaryFilters
             });
 
-            // Si no hay resultados, mensaje vacío
-            if (filteredProducts.length === 0) {
-                productGrid.innerHTML = `<p class="subtitle">No items found.</p>`;
-                return;
+            const matchesPrice = matchesPriceRange(product, priceRange);
+
+            const matchesFavorites = !showFavorites || favoriteIds.has(String(product.id));
+
+            const matchesSearch = !matches || matchById.has(String(product.id));
+
+            return matchesCategory && matchesDiet && matchesPrice && matchesFavorites && matchesSearch;
+        });
+
+        // Con búsqueda, los más relevantes primero
+        if (matches) {
+            const rank = id => matches.indexOf(matchById.get(String(id)));
+            filteredProducts.sort((a, b) => rank(a.id) - rank(b.id));
+        }
+
+        // Orden elegido en "Sort by" ('featured' no cambia nada)
+        return sortProducts(filteredProducts, sortKey, {
+            popularity: popularity || new Map(),
+            catalog: allProducts
+        });
+    }
+
+    /**
+     * fetchPage(page)
+     * ---------------
+     * PROPÓSITO: Siguiente página del grid, venga de donde venga
+     *
+     * - Filtros que entiende el servidor: GET /products?_page=N&_limit=...
+     *   (si la página trae combos, se piden solo sus componentes)
+     * - Si no: catálogo en memoria (getMatchingProducts, calculado una vez
+     *   por filtro en feed.results) troceado en páginas del mismo tamaño
+     *
+     * RETORNA: Promise<{ items, total }>
+     */
+    async function fetchPage(page) {
+        const limit = PAGINATION_CONFIG.PAGE_SIZE;
+        const serverQuery = getServerQuery();
+
+        if (serverQuery) {
+            const { items, total } = await jsonService.getProductsPage({ page, limit, ...serverQuery });
+            const combos = items.filter(isCombo);
+            if (combos.length > 0 && !catalogLoaded) {
+                rememberProducts(await jsonService.getComboComponents(combos));
             }
+            rememberProducts(items);
+            return { items, total };
+        }
 
-            // Para cada producto generamos su tarjeta (Card devuelve HTML)
-            const cardPromises = filteredProducts.map(product =>
-                Card(product.id, isAdmin)
-            );
-            const cardsHtml = await Promise.all(cardPromises);
-            productGrid.innerHTML = cardsHtml.join('');
+        if (!feed.results) {
+            await loadCatalog();
+            if (sortKey === 'popular') await loadPopularity();
+            feed.results = getMatchingProducts();
+        }
+        return {
+            items: feed.results.slice((page - 1) * limit, page * limit),
+            total: feed.results.length
+        };
+    }
+
+    // HTML de las Cards de unos productos (los combos se expanden: su
+    // stock depende de los componentes)
+    function buildCards(products) {
+        return products
+            .map(product => Card(
+                expandCombo(product, allProducts),
+                isAdmin,
+                feed.terms.get(String(product.id)),
+                favoriteIds.has(String(product.id))
+            ))
+            .join('');
+    }
+
+    // "Showing X of N products" y botón "Load more" (solo si quedan)
+    function updateFeedStatus() {
+        const countEl = feedStatus.querySelector('#feedCount');
+        const hasMore = feed.items.length < feed.total;
+
+        countEl.textContent = feed.total > 0
+            ? `Showing ${feed.items.length} of ${feed.total} product${feed.total === 1 ? '' : 's'}`
+            : '';
+        feedStatus.querySelector('#loadMoreBtn').classList.toggle('hidden', !hasMore || feed.loading);
+    }
+
+    /**
+     * loadNextPage()
+     * --------------
+     * PROPÓSITO: Pedir la siguiente página y AÑADIR sus Cards al grid
+     *
+     * FLUJO:
+     * 1. Nada que hacer si ya hay una en curso o se cargó todo
+     * 2. fetchPage(page + 1)
+     * 3. Si mientras tanto cambiaron los filtros (otro token), se descarta
+     * 4. Añade las Cards al final (las anteriores no se vuelven a pintar)
+     * 5. Vuelve a observar el final del grid: si la página no llenó la
+     *    pantalla, el IntersectionObserver pide la siguiente enseguida
+     *
+     * SE LLAMA: resetFeed(), IntersectionObserver y botón "Load more"
+     */
+    async function loadNextPage() {
+        if (feed.loading || (feed.page > 0 && feed.items.length >= feed.total)) return;
+
+        const token = feed.token;
+        feed.loading = true;
+        updateFeedStatus();
+
+        try {
+            const { items, total } = await fetchPage(feed.page + 1);
+            if (token !== feed.token) return;
+
+            feed.page++;
+            feed.total = total;
+            feed.items.push(...items);
+
+            // Primera página: sustituye al "loading"; las demás se añaden
+            if (feed.page === 1) {
+                productGrid.innerHTML = total === 0
+                    ? `<p class="subtitle">No items found.</p>`
+                    : buildCards(items);
+            } else {
+                productGrid.insertAdjacentHTML('beforeend', buildCards(items));
+            }
         } catch (error) {
+            if (token !== feed.token) return;
             console.error('Error displaying products', error);
-            productGrid.innerHTML = `<p class="error">Error loading menu.</p>`;
+
+            // Sin ninguna página: error en el grid. Si ya había, se puede reintentar
+            if (feed.page === 0) {
+                productGrid.innerHTML = `<p class="error">Could not connect to API.</p>`;
+            } else {
+                feedStatus.querySelector('#feedCount').textContent = 'Could not load more products.';
+            }
+            return;
+        } finally {
+            if (token === feed.token) feed.loading = false;
+        }
+
+        updateFeedStatus();
+        if (observer && feed.items.length < feed.total) {
+            observer.unobserve(feedStatus);
+            observer.observe(feedStatus);
         }
     }
 
+    /**
+     * resetFeed()
+     * -----------
+     * PROPÓSITO: Volver a pedir el grid desde la primera página con los
+     *            filtros actuales (categoría, búsqueda, dieta, orden, precio)
+     *
+     * RENDIMIENTO: Solo se pinta una página (PAGINATION_CONFIG.PAGE_SIZE);
+     * el resto llega con el scroll. En memoria no hay peticiones: escribir
+     * en el buscador no toca la red una vez cargado el catálogo.
+     *
+     * SE LLAMA:
+     * - Al cargar la vista
+     * - Al cambiar cualquier filtro (applyFilters)
+     * - Después de CRUD de productos (crear/editar/eliminar)
+     *
+     * RETORNA: Promise - Se resuelve con la primera página pintada
+     */
+    function resetFeed() {
+        feed.token++;
+        feed.page = 0;
+        feed.total = 0;
+        feed.items = [];
+        feed.results = null;
+        feed.terms = new Map();
+        feed.loading = false;
+
+        productGrid.innerHTML = LoadingView();
+        updateFeedStatus();
+        return loadNextPage();
+    }
+
+    /**
+     * repaintFeed()
+     * -------------
+     * PROPÓSITO: Repintar las Cards ya cargadas con los datos actuales de
+     *            allProducts (stock tras un pedido, precios del checkout)
+     *            sin volver a pedir las páginas ni perder el scroll
+     *
+     * Los productos que ya no están en allProducts se quitan del grid
+     */
+    function repaintFeed() {
+        if (feed.page === 0) return;
+
+        const byId = new Map(allProducts.map(product => [String(product.id), product]));
+        const current = list => list
+            .map(product => byId.get(String(product.id)))
+            .filter(Boolean);
+
+        const removed = feed.items.length - current(feed.items).length;
+        feed.items = current(feed.items);
+        if (feed.results) {
+            feed.results = current(feed.results);
+            feed.total = feed.results.length;
+        } else {
+            feed.total -= removed;
+        }
+
+        productGrid.innerHTML = feed.items.length > 0
+            ? buildCards(feed.items)
+            : `<p class="subtitle">No items found.</p>`;
+        updateFeedStatus();
+    }
+
     // ==============================
     // MODAL DE PRODUCTO (CRUD ADMIN)
     // ==============================
 
+    /**
+     * buildSlotRow(slot)
+     * ------------------
+     * PROPÓSITO: Fila del editor de huecos de un combo (modal de producto)
+     * 
+     * Cada fila tiene el nombre del hueco ("Drink") y de dónde se elige:
+     * - "Any Drinks" → value 'category:Drinks' (cualquier producto de la categoría)
+     * - Un producto concreto → value 'product:<id>'
+     * 
+     * @param {Object} [slot] - Hueco existente ({ name, category?, productIds? })
+     * @returns {SafeHtml} HTML de la fila (datos escapados)
+     */
+    function buildSlotRow(slot = {}) {
+        const components = allProducts.filter(product => !isCombo(product));
+        // "Any ..." solo para categorías con componentes (no las de combos)
+        const componentCategories = categories
+            .map(category => category.name)
+            .filter(name => name === slot.category
+                || components.some(product => product.category === name));
+        const selected = slot.productIds?.length > 0
+            ? `product:${slot.productIds[0]}`
+            : `category:${slot.category || componentCategories[0] || ''}`;
+
+        return html`
+            <div class="combo-slot">
+                <input class="input slot-name" type="text" placeholder="Slot name (e.g. Drink)"
+                       value="${slot.name || ''}">
+                <select class="input select slot-source">
+                    ${componentCategories.map(category => html`
+                        <option value="category:${category}"
+                                ${selected === `category:${category}` ? 'selected' : ''}>Any ${category}</option>
+                    `)}
+                    ${components.map(product => html`
+                        <option value="product:${product.id}"
+                                ${selected === `product:${product.id}` ? 'selected' : ''}>${product.name}</option>
+                    `)}
+                </select>
+                <button type="button" class="button small tertiary remove-slot-btn" aria-label="Remove slot">&times;</button>
+            </div>
+        `;
+    }
+
+    /**
+     * readComboSlots(form)
+     * --------------------
+     * PROPÓSITO: Leer los huecos del editor en el formato de db.json
+     * 
+     * RETORNA: Array<{ id, name, category? , productIds? }>
+     * - id: nombre en minúsculas sin espacios ('Side dish' → 'side-dish');
+     *   si se repite se le añade el número de fila. Es parte de la clave de
+     *   las líneas del carrito, así que no cambia mientras no cambie el nombre
+     * - Filas sin nombre se ignoran
+     */
+    function readComboSlots(form) {
+        const ids = new Set();
+
+        return Array.from(form.querySelectorAll('.combo-slot'))
+            .map((row, index) => {
+                const name = row.querySelector('.slot-name').value.trim();
+                const [kind, value] = row.querySelector('.slot-source').value.split(/:(.*)/);
+                return { name, kind, value, index };
+            })
+            .filter(slot => slot.name)
+            .map(({ name, kind, value, index }) => {
+                let id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'slot';
+                if (ids.has(id)) id = `${id}-${index + 1}`;
+                ids.add(id);
+
+                return kind === 'product'
+                    ? { id, name, productIds: [value] }
+                    : { id, name, category: value };
+            });
+    }
+
     /**
      * openProductModal(product)
      * -------------------------
@@ -472,15 +1432,27 @@ export async function menuView() {
      * @param {Object|null} product - Si null: modo creación, si objeto: modo edición
      * 
      * FLUJO:
+     * 0. Cargar el catálogo si aún no está (el editor de huecos de combo
+     *    lista todos los productos; si falla, se usan los ya cargados)
      * 1. Guardar product en editingProduct (variable de estado)
      * 2. Crear backdrop (fondo oscuro) y modal
      * 3. Rellenar formulario con datos del producto (si es edición)
+     *    - El selector de categoría sale de /categories (incluidas las
+     *      ocultas, y la del producto aunque ya no exista para no perderla)
+     *    - Combos: casilla "Combo" + editor de huecos (buildSlotRow); el
+     *      precio es el del combo y no se pide stock (es el de los componentes)
      * 4. Insertar modal en document.body
      * 5. Asignar event listeners con attachProductModalEvents()
      * 
      * REUTILIZACIÓN: Patrón de modal para formularios CRUD
      */
-    function openProductModal(product = null) {
+    async function openProductModal(product = null) {
+        try {
+            await loadCatalog();
+        } catch (error) {
+            console.error('Catalog not loaded for the product editor', error);
+        }
+
         editingProduct = product;
 
         const backdrop = document.createElement('div');
@@ -489,17 +1461,28 @@ export async function menuView() {
 
         const title = product ? 'Edit product' : 'Add product';
 
+        const categoryNames = categories.map(category => category.name);
+        if (product?.category && !categoryNames.includes(product.category)) {
+            categoryNames.push(product.category);
+        }
+
         // Valores iniciales del formulario: si es edición, rellenamos con datos del producto
         const values = {
             name: product?.name || '',
             price: product?.price || '',
             description: product?.description || '',
             img: product?.img || '',
-            category: product?.category || 'Burgers',
-            stock: product?.stock ?? 0
+            category: product?.category || categories[0]?.name || '',
+            stock: product?.stock ?? 0,
+            isCombo: isCombo(product),
+            slots: product?.slots || [],
+            allergens: product?.allergens || [],
+            dietary: product?.dietary || []
         };
 
-        backdrop.innerHTML = `
+        // html`` escapa los valores: un nombre con comillas ya no rompe
+        // el atributo value="..." ni permite inyectar atributos
+        backdrop.innerHTML = html`
             <div class="modal">
                 <div class="modal-header">
                     <h2 class="modal-title">${title}</h2>
@@ -522,18 +1505,55 @@ export async function menuView() {
                         <label class="label" for="productCategory">Category</label>
                         <div class="input-wrapper">
                             <select class="input select" id="productCategory">
-                                <option value="Burgers" ${values.category === 'Burgers' ? 'selected' : ''}>Burgers</option>
-                                <option value="Sides" ${values.category === 'Sides' ? 'selected' : ''}>Sides</option>
-                                <option value="Drinks" ${values.category === 'Drinks' ? 'selected' : ''}>Drinks</option>
+                                ${categoryNames.map(name => html`
+                                    <option value="${name}" ${values.category === name ? 'selected' : ''}>${name}</option>
+                                `)}
                             </select>
                         </div>
                     </div>
                     <div class="field">
+                        <label class="option-choice">
+                            <input type="checkbox" id="productIsCombo" ${values.isCombo ? 'checked' : ''}>
+                            <span>Combo (meal deal): the price above is the bundle price</span>
+                        </label>
+                    </div>
+                    <div class="field ${values.isCombo ? '' : 'hidden'}" id="comboSlotsField">
+                        <span class="label">Combo slots</span>
+                        <div class="combo-slots" id="comboSlots">
+                            ${values.slots.map(buildSlotRow)}
+                        </div>
+                        <button type="button" class="button small tertiary" id="addSlotBtn">+ Add slot</button>
+                    </div>
+                    <div class="field ${values.isCombo ? 'hidden' : ''}" id="productStockField">
                         <label class="label" for="productStock">Stock</label>
                         <div class="input-wrapper">
                             <input class="input" type="number" id="productStock" value="${values.stock}">
                         </div>
                     </div>
+                    <fieldset class="field option-group">
+                        <legend class="label">Allergens (contains)</legend>
+                        <div class="tag-choices">
+                            ${ALLERGENS.map(tag => html`
+                                <label class="option-choice">
+                                    <input type="checkbox" name="allergens" value="${tag.id}"
+                                           ${values.allergens.includes(tag.id) ? 'checked' : ''}>
+                                    <span>${tag.icon} ${tag.name}</span>
+                                </label>
+                            `)}
+                        </div>
+                    </fieldset>
+                    <fieldset class="field option-group">
+                        <legend class="label">Dietary</legend>
+                        <div class="tag-choices">
+                            ${DIETARY_TAGS.map(tag => html`
+                                <label class="option-choice">
+                                    <input type="checkbox" name="dietary" value="${tag.id}"
+                                           ${values.dietary.includes(tag.id) ? 'checked' : ''}>
+                                    <span>${tag.icon} ${tag.name}</span>
+                                </label>
+                            `)}
+                        </div>
+                    </fieldset>
                     <div class="field">
                         <label class="label" for="productImg">Image URL</label>
                         <div class="input-wrapper">
@@ -583,6 +1603,29 @@ export async function menuView() {
         closeBtn.addEventListener('click', handleClose);
         cancelBtn.addEventListener('click', handleClose);
 
+        // ==== Editor de combo ====
+        const comboCheckbox = form.querySelector('#productIsCombo');
+        const slotsField = form.querySelector('#comboSlotsField');
+        const slotsContainer = form.querySelector('#comboSlots');
+
+        const addSlotRow = () => slotsContainer.insertAdjacentHTML('beforeend', buildSlotRow());
+
+        // Marcar "Combo" muestra los huecos (con una fila vacía) y oculta el stock
+        comboCheckbox.addEventListener('change', () => {
+            slotsField.classList.toggle('hidden', !comboCheckbox.checked);
+            form.querySelector('#productStockField').classList.toggle('hidden', comboCheckbox.checked);
+            if (comboCheckbox.checked && !slotsContainer.querySelector('.combo-slot')) {
+                addSlotRow();
+            }
+        });
+
+        form.querySelector('#addSlotBtn').addEventListener('click', addSlotRow);
+
+        slotsContainer.addEventListener('click', e => {
+            const removeBtn = e.target.closest('.remove-slot-btn');
+            if (removeBtn) removeBtn.closest('.combo-slot').remove();
+        });
+
         // Cerrar haciendo click fuera del modal
         backdrop.addEventListener('click', e => {
             if (e.target === backdrop) {
@@ -603,6 +1646,11 @@ export async function menuView() {
             const stock = parseInt(form.querySelector('#productStock').value || '0', 10);
             const img = form.querySelector('#productImg').value.trim();
             const description = form.querySelector('#productDescription').value.trim();
+            const combo = comboCheckbox.checked;
+            const slots = combo ? readComboSlots(form) : [];
+            const formData = new FormData(form);
+            const allergens = formData.getAll('allergens');
+            const dietary = formData.getAll('dietary');
 
             // Validación mínima
             if (!name || isNaN(price)) {
@@ -611,15 +1659,35 @@ export async function menuView() {
                 return;
             }
 
+            // Un combo necesita al menos un hueco con productos para elegir
+            if (combo && (slots.length === 0
+                || slots.some(slot => getSlotProducts(slot, allProducts).length === 0))) {
+                errorEl.textContent = 'A combo needs at least one slot, and every slot needs products.';
+                errorEl.classList.remove('hidden');
+                return;
+            }
+
             const payload = {
                 name,
                 price,
                 category,
                 stock,
                 img,
-                description
+                description,
+                allergens,
+                dietary
             };
 
+            // Combos: sin stock propio. Un combo que deja de serlo pierde sus huecos
+            if (combo) {
+                payload.type = COMBO_TYPE;
+                payload.slots = slots;
+                delete payload.stock;
+            } else if (isCombo(editingProduct)) {
+                payload.type = null;
+                payload.slots = null;
+            }
+
             try {
                 if (editingProduct) {
                     // Modo edición: actualizamos el producto en API y en memoria
@@ -632,18 +1700,18 @@ export async function menuView() {
                     if (index !== -1) {
                         allProducts[index] = updated;
                     }
+                    searchIndex = null;
                 } else {
                     // Modo creación: creamos en API y lo añadimos a la lista local
                     const created = await jsonService.createProduct(payload);
                     allProducts.push(created);
+                    searchIndex = null;
                 }
 
-                // Volvemos a renderizar productos con el filtro y búsqueda actuales
-                const activeCategory =
-                    filterGroup.querySelector('.filter-button.active').dataset.category;
-                const currentSearch = searchSection.querySelector('#searchInput').value;
-
-                await renderProducts(activeCategory, currentSearch);
+                // Volvemos a contar los productos de cada filtro y a pedir
+                // el grid con el filtro y búsqueda actuales
+                loadCategoryCounts();
+                resetFeed();
                 closeProductModal();
             } catch (err) {
                 console.error(err);
@@ -664,7 +1732,9 @@ export async function menuView() {
      * VENTAJA: Performance - no crear listener por cada Card
      * 
      * MANEJA:
-     * 1. Click en "Add to Cart" → addToCart()
+     * 1. Click en "Add to Cart" → addToCart() (antes chooseOptions() si
+     *    el producto tiene opciones; cancelar no añade nada)
+     * 1b. Click en el corazón → toggleFavorite() (sin sesión, a login)
      * 2. Click en "Edit" (admin) → openProductModal(product)
      * 3. Click en "Delete" (admin) → deleteProduct() + re-render
      * 
@@ -675,10 +1745,41 @@ export async function menuView() {
         const addBtn = e.target.closest('.add-to-cart-btn');
         if (addBtn) {
             const id = addBtn.dataset.id;
+            const found = allProducts.find(p => String(p.id) === String(id));
+            const product = found && getLiveProduct(found);
+            if (product && hasOptions(product)) {
+                const options = await chooseOptions(product);
+                if (options) addToCart(id, options);
+                return;
+            }
             addToCart(id);
             return;
         }
 
+        // Guardar/quitar de favoritos (solo se repinta el corazón pulsado)
+        const favoriteBtn = e.target.closest('.favorite-btn');
+        if (favoriteBtn) {
+            if (!currentUser) {
+                window.location.hash = `#login?returnTo=${encodeURIComponent(window.location.hash || '#menu')}`;
+                return;
+            }
+
+            const id = favoriteBtn.dataset.id;
+            favoriteBtn.disabled = true;
+            try {
+                favoriteIds = await toggleFavorite(id);
+                favoriteBtn.outerHTML = FavoriteButton(id, favoriteIds.has(String(id)));
+                renderFilters();
+
+                // Con el filtro "Favorites" activo, el producto quitado sale del grid
+                if (showFavorites) resetFeed();
+            } catch (err) {
+                favoriteBtn.disabled = false;
+                alert('Could not update your favorites.');
+            }
+            return;
+        }
+
         // Si no es admin, no permitimos editar/eliminar
         if (!isAdmin) return;
 
@@ -702,12 +1803,10 @@ export async function menuView() {
                 await jsonService.deleteProduct(id);
                 // Quitamos el producto eliminado de la lista local
                 allProducts = allProducts.filter(p => String(p.id) !== String(id));
+                searchIndex = null;
 
-                const activeCategory =
-                    filterGroup.querySelector('.filter-button.active').dataset.category;
-                const currentSearch = searchSection.querySelector('#searchInput').value;
-
-                await renderProducts(activeCategory, currentSearch);
+                loadCategoryCounts();
+                resetFeed();
             } catch (err) {
                 console.error(err);
                 alert('Error deleting product');
@@ -721,21 +1820,21 @@ export async function menuView() {
      * MANEJA TODOS LOS CLICKS DEL CARRITO:
      * 
      * 1. Botones de cantidad:
-     *    - "+" → Incrementar quantity
+     *    - "+" → Incrementar quantity (hasta el stock disponible)
      *    - "-" → Decrementar quantity (o eliminar si llega a 0)
      * 2. Botón "Remove" → Eliminar item del carrito
      * 3. Botón "Clear all" → Vaciar todo el carrito
      * 4. Botón "Confirm Order" → Procesar checkout
      * 
-     * IDENTIFICACIÓN: data-id en botones de items individuales
+     * IDENTIFICACIÓN: data-key (producto + opciones) en botones de cada línea
      * ACTUALIZACIÓN: Siempre llama a updateSidebarUI() al final
      */
     sidebarColumn.addEventListener('click', e => {
         const target = e.target;
-        const id = target.getAttribute('data-id');
+        const key = target.getAttribute('data-key');
 
-        // Click sin data-id: botones generales del sidebar
-        if (!id) {
+        // Click sin data-key: botones generales del sidebar
+        if (!key) {
             if (target.id === 'clearCartBtn') {
                 cart = [];
                 updateSidebarUI();
@@ -745,11 +1844,18 @@ export async function menuView() {
             return;
         }
 
-        // Click con data-id: botones de un item del carrito
-        const itemIndex = cart.findIndex(item => item.product.id == id);
+        // Click con data-key: botones de una línea del carrito
+        const itemIndex = cart.findIndex(item => getLineKey(item.product, item.options) === key);
         if (itemIndex === -1) return;
 
         if (target.classList.contains('increase')) {
+            // No superar el stock disponible (todas las líneas del producto
+            // y, en combos, el de cada componente)
+            const limited = findStockLimit(cart[itemIndex].product, cart[itemIndex].options);
+            if (limited) {
+                showStockLimitMessage(limited);
+                return;
+            }
             cart[itemIndex].quantity++;
         } else if (target.classList.contains('decrease')) {
             if (cart[itemIndex].quantity > 1) {
@@ -766,27 +1872,108 @@ export async function menuView() {
     });
 
     // ==== Filtros de categoría ====
-    const filterButtons = filterGroup.querySelectorAll('.filter-button');
-    filterButtons.forEach(btn => {
-        btn.addEventListener('click', e => {
-            // Marcamos sólo el botón pulsado como activo
-            filterButtons.forEach(b => b.classList.remove('active'));
-            e.currentTarget.classList.add('active');
-
-            const category = e.currentTarget.getAttribute('data-category');
-            const searchTerm = searchSection.querySelector('#searchInput').value;
-            renderProducts(category, searchTerm);
-        });
+    // Delegación: los botones se regeneran con renderFilters()
+    filterGroup.addEventListener('click', e => {
+        const btn = e.target.closest('.filter-button');
+        if (!btn) return;
+
+        // "♥ Favorites" se activa/desactiva sin cambiar la categoría
+        if (btn.hasAttribute('data-favorites')) {
+            showFavorites = !showFavorites;
+            renderFilters();
+            applyFilters();
+            return;
+        }
+
+        // Marcamos sólo el botón de categoría pulsado como activo
+        activeCategory = btn.dataset.category;
+        filterGroup.querySelectorAll('.filter-button[data-category]').forEach(b =>
+            b.classList.toggle('active', b === btn)
+        );
+        applyFilters();
+    });
+
+    // ==== Filtros de alérgenos y dieta ====
+    // Cada botón se activa/desactiva y se combina con categoría y búsqueda
+    dietFilters.addEventListener('click', e => {
+        const btn = e.target.closest('.filter-chip');
+        if (!btn) return;
+
+        const toggle = (list, id) => (list.includes(id)
+            ? list.filter(item => item !== id)
+            : [...list, id]);
+
+        if (btn.dataset.allergen) {
+            excludedAllergens = toggle(excludedAllergens, btn.dataset.allergen);
+        } else if (btn.dataset.diet) {
+            dietaryFilters = toggle(dietaryFilters, btn.dataset.diet);
+        }
+        renderDietFilters();
+        applyFilters();
+    });
+
+    // ==== Orden y rango de precio ====
+    // "Most popular" necesita los pedidos: fetchPage() los carga antes de pintar
+    sortBar.querySelector('#sortSelect').addEventListener('change', e => {
+        sortKey = parseSort(e.target.value);
+        applyFilters();
+    });
+
+    // 'change' (al salir del input o pulsar Enter), no en cada tecla
+    sortBar.addEventListener('change', e => {
+        if (!e.target.classList.contains('price-input')) return;
+        setPriceRange(
+            sortBar.querySelector('#minPriceInput').value,
+            sortBar.querySelector('#maxPriceInput').value
+        );
+        applyFilters();
     });
 
     // ==== Búsqueda por texto ====
+    // Debounce: se busca cuando el usuario deja de escribir SEARCH_CONFIG.DEBOUNCE_MS
     const searchInput = searchSection.querySelector('#searchInput');
-    searchInput.addEventListener('input', e => {
-        const activeCategory = filterGroup
-            .querySelector('.filter-button.active')
-            .getAttribute('data-category');
-        renderProducts(activeCategory, e.target.value);
+    let searchTimer = null;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(applyFilters, SEARCH_CONFIG.DEBOUNCE_MS);
+    });
+    onLeave(() => clearTimeout(searchTimer));
+
+    // ==== Scroll infinito ====
+    // Cuando el final del grid (feedStatus) se acerca a la pantalla se pide
+    // la siguiente página. Sin IntersectionObserver queda el botón "Load more"
+    const observer = 'IntersectionObserver' in window
+        ? new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) loadNextPage();
+        }, { rootMargin: PAGINATION_CONFIG.PRELOAD_MARGIN })
+        : null;
+    observer?.observe(feedStatus);
+    onLeave(() => observer?.disconnect());
+
+    feedStatus.querySelector('#loadMoreBtn').addEventListener('click', () => loadNextPage());
+
+    // ==== Estado inicial desde la URL (#menu?category=...&q=...&sort=...) ====
+    // La categoría se comprueba en renderFilters() cuando llegan las
+    // categorías: si no existe (o está oculta) queda "All"
+    activeCategory = query.category || 'All';
+    excludedAllergens = parseTagList(query.exclude, ALLERGENS);
+    dietaryFilters = parseTagList(query.diet, DIETARY_TAGS);
+    renderDietFilters();
+    sortKey = parseSort(query.sort);
+    sortBar.querySelector('#sortSelect').value = sortKey;
+    setPriceRange(query.min, query.max);
+    searchInput.value = query.q || '';
+    showFavorites = Boolean(currentUser) && query.favorites === '1';
+
+    // ==== Sincronización entre pestañas ====
+    // Si otra pestaña cambia el carrito (añadir, vaciar, pedido confirmado),
+    // se repinta el sidebar. updateSidebarUI() vuelve a guardar, pero
+    // saveCart() no escribe si el contenido es el mismo (no hay bucle)
+    const stopCartSync = onCartChange(items => {
+        cart = items;
+        updateSidebarUI();
     });
+    onLeave(stopCartSync);
 
     // ==== Botón "Add product" (sólo admin) ====
     if (isAdmin) {
@@ -806,22 +1993,32 @@ export async function menuView() {
      * Se ejecuta automáticamente al cargar la vista.
      * 
      * ORDEN CRÍTICO:
-     * 1. Cargar productos de API → allProducts[]
-     * 2. Renderizar productos en grid
-     * 3. Actualizar UI del carrito con datos de localStorage
+     * 1. Cargar categorías de API → categories[] y los favoritos del
+     *    usuario (en paralelo), generar los filtros y pedir sus conteos
+     *    (llegan después, sin bloquear). Sin favoritos el menú funciona igual
+     * 2. Pedir la PRIMERA página del grid con los filtros de la URL
+     *    (el resto llega con el scroll; el catálogo entero solo si hace falta)
+     * 3. Traer el carrito del servidor si es más reciente (otro dispositivo)
+     *    y actualizar UI del carrito
      * 4. Si falla, mostrar mensaje de error
      * 
      * NOTA: Todo esto ocurre antes de retornar main
      * El usuario ve LoadingView() hasta que termine
      */
     try {
-        // PASO 1: Fetch de productos desde API
-        allProducts = await jsonService.getProducts();
+        // PASO 1: Categorías (botones de filtro y cuáles están ocultas) y favoritos
+        [categories, favoriteIds] = await Promise.all([
+            jsonService.getCategories(),
+            loadFavorites().catch(() => new Set())
+        ]);
+        renderFilters();
+        loadCategoryCounts();
         
-        // PASO 2: Renderizar todos los productos (sin filtros)
-        await renderProducts();
+        // PASO 2: Primera página con la categoría/búsqueda/orden de la URL
+        await resetFeed();
         
-        // PASO 3: Restaurar carrito de localStorage
+        // PASO 3: Restaurar carrito (localStorage o /carts, el más reciente)
+        cart = await refreshCart();
         updateSidebarUI();
     } catch (error) {
         console.error('Products error:', error);
@@ -16,23 +16,29 @@
  * 
  * IMPORTS (de dónde vienen y por qué):
  * - LoadingView: '../components/Loading.js' - Muestra spinner mientras se cargan los pedidos
- * - JsonService: '../services/JsonService.js' - Servicio para llamadas CRUD a la API
+ * - JsonService: '../services/jsonService.js' - Servicio para llamadas CRUD a la API
  * - OrderCard: '../components/orderCard.js' - Componente que renderiza cada pedido individual
- * - getCurrentUser: '../services/authService.js' - Obtiene el usuario logueado de localStorage
+ * - getCurrentUser: '../services/authService.js' - Obtiene el usuario de la sesión validada
+ * - html: '../utils/html.js' - Escapa nombre/email/rol del usuario en el sidebar
  * 
  * EXPORTS (hacia dónde va):
  * - orderView(): Función exportada que se importa en 'src/router/router.js'
  *   El router la mapea a la ruta '#orders' para que se ejecute cuando
  *   el usuario navega a esa URL
  * 
+ * RUTAS:
+ * - #orders      → Historial completo de pedidos del usuario
+ * - #orders/:id  → Un pedido concreto (deep-link), el router pasa params.id
+ * 
  * FLUJO DE DATOS:
  * 1. Usuario navega a #orders → Router llama a orderView()
  * 2. orderView() obtiene usuario actual con getCurrentUser()
+ *    (la ruta declara auth: true, el router garantiza que hay sesión)
  * 3. Construye estructura HTML del layout (contenido + sidebar)
  * 4. Muestra LoadingView() mientras hace fetch a API
  * 5. Fetch a 'http://localhost:3000/orders' para obtener todos los pedidos
  * 6. Filtra pedidos por userId para mostrar solo los del usuario actual
- * 7. Genera HTML de cada pedido usando OrderCard(order.id) en Promise.all
+ * 7. Genera HTML de cada pedido usando OrderCard(order) (sin peticiones extra)
  * 8. Reemplaza loading por las tarjetas de pedido renderizadas
  * 9. Muestra error si falla la conexión con la API
  * 
@@ -73,9 +79,11 @@
  */
 
 import { LoadingView } from '../components/Loading.js';
-import JsonService from '../services/JsonService.js';
+import JsonService from '../services/jsonService.js';
+import { NotFoundError } from '../services/httpClient.js';
 import { OrderCard } from '../components/orderCard.js';
 import { getCurrentUser } from '../services/authService.js';
+import { html } from '../utils/html.js';
 
 /**
  * FUNCIÓN PRINCIPAL: orderView()
@@ -84,20 +92,26 @@ import { getCurrentUser } from '../services/authService.js';
  * Es una función asíncrona porque necesita esperar a que se carguen los
  * pedidos desde la API antes de renderizarlos.
  * 
+ * @param {Object} [route] - Datos de la ruta que pasa el router
+ * @param {Object} [route.params] - Parámetros de la ruta (params.id en #orders/:id)
  * @returns {Promise<HTMLElement>} Elemento <main> con toda la vista renderizada
  * 
  * USO EN ROUTER:
  * En 'src/router/router.js' se mapea así:
  * const routes = {
  *   '#orders': orderView,
+ *   '#orders/:id': orderView,
  *   // ...
  * };
- * Cuando el usuario navega a #orders, el router ejecuta await orderView()
+ * Cuando el usuario navega a #orders, el router ejecuta await orderView({ params, query })
  * y el resultado se pasa a la función render() que lo monta en el DOM.
  */
-export async function orderView() {
+export async function orderView({ params = {} } = {}) {
+    // ID del pedido a mostrar si se entró por #orders/:id (undefined en #orders)
+    const orderId = params.id;
+
     // ==== OBTENER USUARIO ACTUAL ====
-    // getCurrentUser() lee de localStorage la sesión activa
+    // getCurrentUser() devuelve el usuario de la sesión validada por el router
     // Si no hay usuario logueado, retorna null
     const user = getCurrentUser();
 
@@ -119,6 +133,12 @@ export async function orderView() {
         <a href="#orders" class="link">View All</a>
     `;
 
+    // En modo detalle el título muestra el ID del pedido
+    // Se usa textContent porque el ID viene de la URL (no confiable)
+    if (orderId) {
+        header.querySelector('.page-title').textContent = `Order #${orderId}`;
+    }
+
     const orderList = document.createElement('div');
     orderList.classList.add('list');
     orderList.innerHTML = LoadingView();
@@ -129,7 +149,7 @@ export async function orderView() {
 
     const sidebarColumn = document.createElement('aside');
     sidebarColumn.classList.add('sidebar');
-    sidebarColumn.innerHTML = ` <div class="profile-card">
+    sidebarColumn.innerHTML = html` <div class="profile-card">
                 <div class="avatar">
                     <img src="https://ui-avatars.com/api/?name=Alex+Student&background=00D26B&color=fff&size=120" alt="Alex Student">
                     <div class="avatar-badge">
@@ -204,35 +224,44 @@ export async function orderView() {
     // Patrón: "Render first, load later"
     // Ya renderizamos la estructura con LoadingView, ahora cargamos datos reales
     try {
-        // Instanciar servicio JSON (aunque en este caso no lo usamos directamente)
+        // Instanciar servicio JSON
         const service = new JsonService();
         
         // Obtener usuario actual para filtrar pedidos
         const currentUser = getCurrentUser();
-        
-        // Fetch directo a la API de pedidos
-        // Nota: Idealmente usaríamos service.getOrders() si estuviera disponible
-        const response = await fetch('http://localhost:3000/orders');
-        if (!response.ok) throw new Error('Error HTTP ' + response.status);
 
-        // Parsear respuesta JSON a array de pedidos
-        let orders = await response.json();
+        // ==== MODO DETALLE (#orders/:id) ====
+        // Solo se pide ese pedido; un usuario no puede ver pedidos ajenos
+        if (orderId) {
+            let order;
+            try {
+                order = await service.getOrderById(orderId);
+            } catch (error) {
+                // Un id inexistente no es un fallo de conexión
+                if (!(error instanceof NotFoundError)) throw error;
+                orderList.innerHTML = `<p class="error">Order not found.</p>`;
+                return main;
+            }
 
-        // ==== FILTRADO POR USUARIO ====
-        // Solo mostrar pedidos del usuario actual
-        // Esto evita que un usuario vea pedidos de otros
-        if (currentUser) {
-            orders = orders.filter(o => o.userId === currentUser.id);
+            if (currentUser && currentUser.role !== 'admin' && order.userId !== currentUser.id) {
+                orderList.innerHTML = `<p class="error">Order not found.</p>`;
+                return main;
+            }
+
+            orderList.innerHTML = OrderCard(order);
+            return main;
         }
+        
+        // ==== PEDIDOS DEL USUARIO ====
+        // Solo se piden los pedidos del usuario actual (GET /orders?userId=...)
+        // Esto evita que un usuario vea pedidos de otros
+        const orders = await service.getOrders({ userId: currentUser.id });
 
         // ==== GENERACIÓN DE TARJETAS DE PEDIDO ====
-        // Promise.all ejecuta OrderCard() para cada pedido en paralelo
-        // OrderCard() es una función async que hace fetch del pedido y genera HTML
-        // .map() transforma el array de pedidos en array de promesas
-        // Promise.all espera a que todas se resuelvan y retorna array de strings HTML
-        const cardsHtml = await Promise.all(
-            orders.map(order => OrderCard(order.id))
-        );
+        // Los pedidos ya vienen completos: OrderCard() solo genera HTML
+        // (sin peticiones extra por pedido)
+        // .map() transforma el array de pedidos en array de strings HTML
+        const cardsHtml = orders.map(order => OrderCard(order));
 
         // Reemplazar el loading spinner por las tarjetas reales
         // .join('') convierte el array de strings en un solo string HTML
@@ -0,0 +1,328 @@
+/**
+ * ===================================================================
+ * VISTA DE DETALLE DE PRODUCTO (Product Detail View)
+ * ===================================================================
+ *
+ * PROPÓSITO:
+ * Ficha completa de un producto en su propia ruta (#menu/product/:id):
+ * imagen grande, descripción entera, estado del stock, selector de
+ * opciones, cantidad y sugerencias "Customers also ordered". La Card del
+ * menú solo muestra un resumen y enlaza aquí.
+ *
+ * PATRÓN DE DISEÑO:
+ * - Layout de dos columnas (como el menú): ficha a la izquierda y caja de
+ *   compra en el sidebar
+ * - Service Layer: productos, categorías y líneas de pedidos con JsonService
+ * - Component Pattern: OptionGroups (mismos campos que el diálogo del menú)
+ *
+ * IMPORTS (de dónde vienen y por qué):
+ * - LoadingView: '../components/Loading.js' - Spinner mientras carga
+ * - OptionGroups: '../components/OptionGroups.js' - Campos de opciones y readOptions()
+ * - ProductTags: '../components/Card.js' - Iconos de alérgenos y dietas
+ * - JsonService: '../services/jsonService.js' - Productos, categorías y líneas de
+ *   los pedidos que contienen el producto (getOrderLines, sin datos de clientes)
+ * - getCurrentUser: '../services/authService.js' - Las categorías ocultas solo las ve el admin
+ * - cartService: '../services/cartService.js' - Añadir al carrito del usuario actual
+ * - html: '../utils/html.js' - Plantillas con escape automático
+ * - stock.js, productOptions.js, combo.js: Límites de stock, precio y línea del carrito
+ * - categories.js: '../utils/categories.js' - Productos de categorías ocultas
+ * - suggestions.js: '../utils/suggestions.js' - Coincidencias en pedidos anteriores
+ * - dietary.js: '../utils/dietary.js' - Alérgenos y dietas del producto (con su nombre)
+ *
+ * EXPORTS (hacia dónde va):
+ * - productDetailView(): Se importa en 'src/router/router.js' y se mapea
+ *   a '#menu/product/:id' (el router pasa params.id)
+ *
+ * FLUJO DE DATOS:
+ * 1. Router llama a productDetailView({ params: { id } })
+ * 2. Se cargan productos y categorías. Las sugerencias se piden DESPUÉS de
+ *    devolver la ficha (loadSuggestions sin await) con las líneas de los
+ *    pedidos que contienen el producto
+ * 3. Producto inexistente, o de una categoría oculta para un cliente → "Product not found."
+ * 4. Cambiar opciones o cantidad actualiza el precio y el máximo de unidades
+ *    (stock menos lo que ya hay en el carrito; en combos, el de cada componente).
+ *    Un combo con algún hueco sin componente disponible no se puede añadir
+ * 5. "Add to order" suma la línea al carrito (saveCart) y enlaza al menú,
+ *    donde está el checkout
+ *
+ * ===================================================================
+ */
+
+import { LoadingView } from '../components/Loading.js';
+import { ProductTags } from '../components/Card.js';
+import { OptionGroups, readOptions } from '../components/OptionGroups.js';
+import JsonService from '../services/jsonService.js';
+import { getCurrentUser } from '../services/authService.js';
+import { loadCart, saveCart } from '../services/cartService.js';
+import { html } from '../utils/html.js';
+import { getAvailableStock, getMaxUnits, reserveUnits } from '../utils/stock.js';
+import { hasOptions, getDefaultSelection, getUnitPrice, getLineKey } from '../utils/productOptions.js';
+import { isCombo, expandCombo, hasAllSlots, getStockNeeds, getSeparatePrice } from '../utils/combo.js';
+import { getHiddenCategoryNames } from '../utils/categories.js';
+import { getAlsoOrdered } from '../utils/suggestions.js';
+import { getAllergens, getDietaryTags } from '../utils/dietary.js';
+
+// Por debajo de estas unidades se avisa "Only N left"
+const LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * FUNCIÓN PRINCIPAL: productDetailView()
+ *
+ * @param {Object} [route] - Datos de la ruta que pasa el router
+ * @param {Object} [route.params] - params.id en #menu/product/:id
+ * @returns {Promise<HTMLElement>} Elemento <main> con la ficha del producto
+ */
+export async function productDetailView({ params = {} } = {}) {
+    const currentUser = getCurrentUser();
+    const isAdmin = currentUser && currentUser.role === 'admin';
+    const jsonService = new JsonService();
+
+    // ==== CONTENEDOR PRINCIPAL ====
+    const main = document.createElement('main');
+    main.classList.add('layout');
+
+    const contentColumn = document.createElement('section');
+    contentColumn.classList.add('content');
+    contentColumn.innerHTML = `
+        <a href="#menu" class="link-button back-link">&larr; Back to menu</a>
+        <div id="productDetail">${LoadingView()}</div>
+        <div id="alsoOrdered"></div>
+    `;
+
+    const sidebarColumn = document.createElement('aside');
+    sidebarColumn.classList.add('sidebar');
+
+    main.appendChild(contentColumn);
+    main.appendChild(sidebarColumn);
+
+    const detailEl = contentColumn.querySelector('#productDetail');
+
+    // ==== CARGA DEL PRODUCTO ====
+    let products;
+    let categories;
+    try {
+        [products, categories] = await Promise.all([
+            jsonService.getProducts(),
+            jsonService.getCategories()
+        ]);
+    } catch (error) {
+        console.error('Product detail error:', error);
+        detailEl.innerHTML = `<p class="error">Could not connect to API.</p>`;
+        return main;
+    }
+
+    const found = products.find(p => String(p.id) === String(params.id));
+    const hidden = getHiddenCategoryNames(categories);
+
+    // Un cliente no puede abrir productos de una categoría oculta
+    if (!found || (!isAdmin && hidden.has(found.category))) {
+        detailEl.innerHTML = `<p class="error">Product not found.</p>`;
+        return main;
+    }
+
+    // Los combos se expanden: huecos como opciones y stock de los componentes
+    const product = expandCombo(found, products);
+    const allergens = getAllergens(product);
+    const dietary = getDietaryTags(product);
+
+    detailEl.innerHTML = html`
+        <article class="product-detail">
+            <img src="${product.img}" alt="${product.name}" class="product-detail-image">
+            <div class="product-detail-info">
+                <span class="badge">${product.category}</span>
+                <h1 class="page-title">${product.name}</h1>
+                <p class="product-price">$ ${Number(product.price).toFixed(2)}</p>
+                <p class="product-detail-description">${product.description}</p>
+                ${ProductTags({ allergens, dietary })}
+                ${(allergens.length > 0 || dietary.length > 0) && html`
+                    <p class="product-tags-text">
+                        ${dietary.length > 0 && html`Suitable for: ${dietary.map(tag => tag.name).join(', ')}.`}
+                        ${allergens.length > 0 && html`Contains: ${allergens.map(tag => tag.name).join(', ')}.`}
+                    </p>`}
+                ${isCombo(product) && html`
+                    <p class="product-options-note">
+                        Meal deal: ${(product.slots || []).map(slot => slot.name).join(' + ')}
+                    </p>`}
+            </div>
+        </article>
+    `;
+
+    // ==== CAJA DE COMPRA (SIDEBAR) ====
+    sidebarColumn.innerHTML = html`
+        <div class="sidebar-header">
+            <h2 class="sidebar-title">Add to your order</h2>
+        </div>
+        <p class="stock-status" id="stockStatus"></p>
+        <form class="product-options" id="productOptionsForm">
+            ${isCombo(product) && html`<p class="combo-savings"></p>`}
+            ${hasOptions(product) && OptionGroups(product, getDefaultSelection(product))}
+            <div class="field">
+                <span class="label">Quantity</span>
+                <div class="quantity-control">
+                    <button type="button" class="quantity-button decrease" aria-label="Decrease">-</button>
+                    <input class="input quantity-input" type="number" id="quantityInput"
+                           min="1" value="1" aria-label="Quantity">
+                    <button type="button" class="quantity-button increase" aria-label="Increase">+</button>
+                </div>
+            </div>
+            <button type="submit" class="button primary" id="addToOrderBtn" style="width:100%;">
+                Add to order
+            </button>
+        </form>
+        <p id="detailMessage" style="text-align:center; margin-top:10px; font-size: 0.9rem;"></p>
+    `;
+
+    const form = sidebarColumn.querySelector('#productOptionsForm');
+    const quantityInput = form.querySelector('#quantityInput');
+    const addBtn = form.querySelector('#addToOrderBtn');
+    const stockStatus = sidebarColumn.querySelector('#stockStatus');
+    const messageEl = sidebarColumn.querySelector('#detailMessage');
+    const savingsEl = form.querySelector('.combo-savings');
+
+    // Stock actual de un producto del catálogo (0 si ya no existe)
+    const getStockOf = id => getAvailableStock(products.find(p => String(p.id) === String(id)));
+
+    // Unidades de esta línea que todavía caben: stock menos lo que ya ocupa
+    // el carrito (todas sus líneas y los componentes de los combos).
+    // 0 si está agotado o si algún hueco del combo se ha quedado sin componente
+    function getUnitsLeft(options) {
+        if (getAvailableStock(product) === 0 || !hasAllSlots(product, options)) return 0;
+
+        const reserved = new Map();
+        loadCart().forEach(item => {
+            reserveUnits(reserved, getStockNeeds(item.product, item.options), item.quantity);
+        });
+        return getMaxUnits(getStockNeeds(product, options), getStockOf, reserved);
+    }
+
+    /**
+     * updateSummary()
+     * ---------------
+     * PROPÓSITO: Sincronizar la caja de compra con las opciones y la cantidad
+     *
+     * - Estado del stock: "In stock" / "Only N left" / "Out of stock"
+     * - Cantidad limitada a las unidades que quedan (mínimo 1)
+     * - Botón "Add 2 to order · $63.98" (desactivado si no queda nada o
+     *   si algún hueco del combo no tiene componente)
+     * - Combos: ahorro frente a los componentes por separado
+     */
+    function updateSummary() {
+        const options = readOptions(form, product);
+        const unitPrice = getUnitPrice(product, options);
+        const complete = hasAllSlots(product, options);
+        const available = complete ? getAvailableStock(product) : 0;
+        const left = getUnitsLeft(options);
+
+        if (available === 0) {
+            stockStatus.textContent = 'Out of stock';
+            stockStatus.style.color = 'var(--color-error)';
+        } else if (available <= LOW_STOCK_THRESHOLD) {
+            stockStatus.textContent = `Only ${available} left`;
+            stockStatus.style.color = 'var(--color-warning)';
+        } else {
+            stockStatus.textContent = 'In stock';
+            stockStatus.style.color = 'var(--color-success)';
+        }
+
+        const quantity = Math.min(Math.max(1, parseInt(quantityInput.value, 10) || 1), Math.max(1, left));
+        quantityInput.value = quantity;
+        quantityInput.max = Math.max(1, left);
+
+        addBtn.disabled = left < 1;
+        addBtn.textContent = left < 1
+            ? (available === 0 ? 'Out of stock' : 'All available units are in your order')
+            : `Add ${quantity} to order · $${(unitPrice * quantity).toFixed(2)}`;
+
+        // Combo: "Separately $34.99 · You save $2.00"
+        if (savingsEl) {
+            const separate = getSeparatePrice(options, products);
+            savingsEl.textContent = separate > unitPrice
+                ? `Separately $${separate.toFixed(2)} · You save $${(separate - unitPrice).toFixed(2)}`
+                : '';
+        }
+    }
+
+    form.addEventListener('change', updateSummary);
+
+    // Botones - / + de la cantidad
+    form.addEventListener('click', e => {
+        const step = e.target.closest('.quantity-button');
+        if (!step) return;
+        const current = parseInt(quantityInput.value, 10) || 1;
+        quantityInput.value = step.classList.contains('increase') ? current + 1 : Math.max(1, current - 1);
+        updateSummary();
+    });
+
+    // "Add to order": suma la línea (producto + opciones) al carrito guardado
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const options = readOptions(form, product);
+        const quantity = Math.min(parseInt(quantityInput.value, 10) || 1, getUnitsLeft(options));
+        if (quantity < 1) {
+            updateSummary();
+            return;
+        }
+
+        const cart = loadCart();
+        const key = getLineKey(found, options);
+        const existingItem = cart.find(item => getLineKey(item.product, item.options) === key);
+
+        if (existingItem) {
+            existingItem.quantity += quantity;
+        } else {
+            // Como en el menú, el carrito guarda el producto de la API (sin expandir)
+            cart.push({ product: found, quantity, options });
+        }
+        saveCart(cart);
+
+        messageEl.innerHTML = html`
+            Added ${quantity} × ${product.name} to your order.
+            <a href="#menu" class="link-button">View order</a>
+        `;
+        messageEl.style.color = 'var(--color-success)';
+        quantityInput.value = 1;
+        updateSummary();
+    });
+
+    updateSummary();
+
+    // ==== "CUSTOMERS ALSO ORDERED" ====
+    // Sin await: la ficha se devuelve ya y las sugerencias aparecen al llegar
+    loadSuggestions();
+
+    /**
+     * loadSuggestions()
+     * -----------------
+     * PROPÓSITO: Rellenar "Customers also ordered"
+     *
+     * - Pide solo las líneas de los pedidos que contienen este producto
+     *   (jsonService.getOrderLines): nunca los pedidos con datos de clientes
+     * - Las sugerencias son un extra: si fallan, la ficha sigue igual
+     */
+    async function loadSuggestions() {
+        try {
+            const orderLines = await jsonService.getOrderLines(found.id);
+            const visibleProducts = isAdmin ? products : products.filter(p => !hidden.has(p.category));
+            const suggestions = getAlsoOrdered(found.id, orderLines, visibleProducts);
+
+            if (suggestions.length > 0) {
+                contentColumn.querySelector('#alsoOrdered').innerHTML = html`
+                    <h2 class="related-title">Customers also ordered</h2>
+                    <div class="related-products">
+                        ${suggestions.map(({ product: related }) => html`
+                            <a class="card related-product" href="#menu/product/${encodeURIComponent(related.id)}">
+                                <img src="${related.img}" alt="${related.name}" class="related-product-image">
+                                <span class="product-title">${related.name}</span>
+                                <span class="product-price">$ ${Number(related.price).toFixed(2)}</span>
+                            </a>
+                        `)}
+                    </div>
+                `;
+            }
+        } catch (error) {
+            console.error('Suggestions error:', error);
+        }
+    }
+
+    return main;
+}
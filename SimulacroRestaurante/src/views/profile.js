@@ -0,0 +1,321 @@
+/**
+ * ===================================================================
+ * VISTA DE PERFIL DEL USUARIO (Profile View)
+ * ===================================================================
+ *
+ * PROPÓSITO:
+ * Permite al usuario logueado consultar y editar los datos de su cuenta:
+ * nombre, email y contraseña. Cualquier cambio exige confirmar con la
+ * contraseña actual. El sidebar muestra la tarjeta de perfil con la
+ * fecha de alta de la cuenta y la lista de productos favoritos.
+ *
+ * PATRÓN DE DISEÑO:
+ * - Form Pattern: Formulario con validación en cliente
+ * - Service Layer: Usa authService.updateProfile() para guardar cambios
+ * - Profile Layout: Layout de dos columnas (formulario + sidebar), igual que orderView
+ *
+ * IMPORTS (de dónde vienen y por qué):
+ * - getCurrentUser: '../services/authService.js' - Datos de la sesión actual
+ * - updateProfile: '../services/authService.js' - Verifica la contraseña actual,
+ *   hace PATCH a /users/:id y sincroniza el usuario de la sesión
+ * - loadFavorites: '../services/favoritesService.js' - Ids de los productos favoritos
+ * - JsonService: '../services/jsonService.js' - Datos actuales de cada favorito
+ * - html: '../utils/html.js' - Escapa nombres de producto al pintar la lista
+ *
+ * EXPORTS (hacia dónde va):
+ * - ProfileView(): Se importa en 'src/router/router.js' y se mapea a '#profile'
+ *   La ruta declara auth: true, así que siempre hay usuario al ejecutarse
+ *
+ * FLUJO DE DATOS:
+ * 1. Usuario navega a #profile → Router verifica sesión y llama a ProfileView()
+ * 2. ProfileView() construye formulario precargado con nombre y email
+ * 3. Usuario modifica campos e introduce su contraseña actual
+ * 4. VALIDACIONES:
+ *    a) Nombre y email obligatorios
+ *    b) Contraseña actual obligatoria
+ *    c) Nueva contraseña === confirmación (si se quiere cambiar)
+ * 5. Llama a updateProfile(user.id, cambios, contraseñaActual)
+ * 6. Si éxito: refresca la tarjeta del sidebar y limpia los campos de contraseña
+ * 7. Si falla: muestra el mensaje de error en el formulario
+ * 8. En paralelo, la tarjeta de favoritos se rellena al llegar los productos
+ *
+ * ===================================================================
+ */
+
+import { getCurrentUser, updateProfile } from '../services/authService.js';
+import { loadFavorites } from '../services/favoritesService.js';
+import JsonService from '../services/jsonService.js';
+import { html } from '../utils/html.js';
+
+/**
+ * FUNCIÓN PRINCIPAL: ProfileView()
+ *
+ * Genera y retorna la vista de perfil con el formulario de edición
+ * y la tarjeta de perfil en el sidebar.
+ *
+ * @returns {HTMLElement} Elemento <main> con toda la vista renderizada
+ *
+ * USO EN ROUTER:
+ * const routes = {
+ *   '#profile': { view: ProfileView, title: 'Profile', auth: true },
+ *   // ...
+ * };
+ */
+export function ProfileView() {
+    // ==== USUARIO ACTUAL ====
+    // El guard del router (auth: true) garantiza que hay sesión
+    const user = getCurrentUser();
+
+    // ==== CONTENEDOR PRINCIPAL ====
+    const main = document.createElement('main');
+    main.classList.add('layout', 'profile-layout');
+
+    // ==== COLUMNA DE CONTENIDO (FORMULARIO) ====
+    const contentColumn = document.createElement('section');
+    contentColumn.classList.add('content');
+
+    const header = document.createElement('div');
+    header.classList.add('section-header');
+    header.innerHTML = `<h1 class="page-title">My Profile</h1>`;
+
+    // Formulario dentro de una tarjeta (mismos estilos que register)
+    // Los valores se asignan después con .value para no interpolar datos del usuario
+    const formCard = document.createElement('div');
+    formCard.classList.add('card');
+    formCard.innerHTML = `
+        <form class="form" id="profileForm">
+            <div class="field">
+                <label for="profileName" class="label">Full Name</label>
+                <div class="input-wrapper">
+                    <input type="text" id="profileName" class="input">
+                </div>
+            </div>
+
+            <div class="field">
+                <label for="profileEmail" class="label">Email Address</label>
+                <div class="input-wrapper">
+                    <input type="email" id="profileEmail" class="input">
+                </div>
+            </div>
+
+            <div class="field">
+                <label for="profileNewPassword" class="label">New Password</label>
+                <div class="input-wrapper">
+                    <input type="password" id="profileNewPassword" class="input"
+                           placeholder="Leave empty to keep current password">
+                </div>
+            </div>
+
+            <div class="field">
+                <label for="profileConfirmPassword" class="label">Confirm New Password</label>
+                <div class="input-wrapper">
+                    <input type="password" id="profileConfirmPassword" class="input" placeholder="••••••••">
+                </div>
+            </div>
+
+            <div class="field">
+                <label for="profileCurrentPassword" class="label">Current Password</label>
+                <div class="input-wrapper">
+                    <input type="password" id="profileCurrentPassword" class="input"
+                           placeholder="Required to save changes">
+                </div>
+            </div>
+
+            <button type="submit" class="button primary" id="saveProfileBtn">Save changes</button>
+
+            <!-- Mensajes de error/éxito (ocultos por defecto) -->
+            <p class="auth-error hidden" id="profile-error"></p>
+            <p class="auth-success hidden" id="profile-success"></p>
+        </form>
+    `;
+
+    const form = formCard.querySelector('#profileForm');
+    form.querySelector('#profileName').value = user.name || '';
+    form.querySelector('#profileEmail').value = user.email || '';
+
+    contentColumn.appendChild(header);
+    contentColumn.appendChild(formCard);
+
+    // ==== SIDEBAR (TARJETA DE PERFIL) ====
+    const sidebarColumn = document.createElement('aside');
+    sidebarColumn.classList.add('sidebar');
+    sidebarColumn.appendChild(buildProfileCard(user));
+    sidebarColumn.appendChild(buildFavoritesCard());
+
+    // ==== ENSAMBLAR LAYOUT ====
+    main.appendChild(contentColumn);
+    main.appendChild(sidebarColumn);
+
+    // ==== EVENTOS DEL FORMULARIO ====
+    attachProfileFormEvents(form, user, sidebarColumn);
+
+    return main;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: buildProfileCard(user)
+ *
+ * Construye la tarjeta del sidebar con avatar, nombre, email, rol y
+ * fecha de alta. Se usa textContent para los datos del usuario.
+ *
+ * @param {Object} user - Usuario de la sesión
+ * @returns {HTMLElement} Tarjeta .profile-card
+ */
+function buildProfileCard(user) {
+    const card = document.createElement('div');
+    card.classList.add('profile-card');
+    card.innerHTML = `
+        <div class="avatar">
+            <img alt="">
+        </div>
+        <h2 class="profile-name"></h2>
+        <p class="profile-email"></p>
+        <span class="profile-role"></span>
+
+        <div class="stats">
+            <div class="stat">
+                <p class="stat-label">MEMBER SINCE</p>
+                <p class="stat-value" id="profileCreatedAt"></p>
+            </div>
+        </div>
+    `;
+
+    const avatar = card.querySelector('.avatar img');
+    avatar.src = `https://ui-avatars.com/api/?name=${encodeURIComponent(user.name || 'User')}&background=00D26B&color=fff&size=120`;
+    avatar.alt = user.name || '';
+
+    card.querySelector('.profile-name').textContent = user.name;
+    card.querySelector('.profile-email').textContent = user.email;
+    card.querySelector('.profile-role').textContent = user.role;
+
+    // Cuentas antiguas pueden no tener createdAt
+    card.querySelector('#profileCreatedAt').textContent = user.createdAt
+        ? new Date(user.createdAt).toLocaleDateString()
+        : 'Unknown';
+
+    return card;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: buildFavoritesCard()
+ *
+ * Construye la tarjeta "Favorites" del sidebar. Se devuelve enseguida
+ * con "Loading..." y se rellena cuando llegan los productos (no retrasa
+ * el formulario). Cada favorito enlaza a su ficha (#menu/product/:id);
+ * "Show in menu" abre el menú con el filtro de favoritos.
+ *
+ * Los productos borrados desde que se guardaron no se muestran.
+ *
+ * @returns {HTMLElement} Tarjeta .favorites-card
+ */
+function buildFavoritesCard() {
+    const card = document.createElement('div');
+    card.classList.add('favorites-card');
+    card.innerHTML = `
+        <div class="favorites-header">
+            <h2 class="sidebar-title">Favorites</h2>
+            <a href="#menu?favorites=1" class="favorites-link">Show in menu</a>
+        </div>
+        <div class="favorites-list">
+            <p class="subtitle">Loading...</p>
+        </div>
+    `;
+    const list = card.querySelector('.favorites-list');
+
+    loadFavorites()
+        .then(ids => {
+            const jsonService = new JsonService();
+            return Promise.allSettled([...ids].map(id => jsonService.getProductById(id)));
+        })
+        .then(results => {
+            const products = results
+                .filter(result => result.status === 'fulfilled' && result.value)
+                .map(result => result.value);
+
+            list.innerHTML = products.length === 0
+                ? html`<p class="subtitle">No favorites yet. Tap ♡ on a product in the menu to save it.</p>`
+                : html`${products.map(product => html`
+                    <a href="#menu/product/${encodeURIComponent(product.id)}" class="favorite-item">
+                        <span class="favorite-name">${product.name}</span>
+                        <span class="favorite-price">$${Number(product.price || 0).toFixed(2)}</span>
+                    </a>
+                `)}`;
+        })
+        .catch(error => {
+            console.error('Favorites not displayed', error);
+            list.innerHTML = `<p class="error">Could not load your favorites.</p>`;
+        });
+
+    return card;
+}
+
+/**
+ * FUNCIÓN AUXILIAR: attachProfileFormEvents(form, user, sidebarColumn)
+ *
+ * Valida el formulario y llama a updateProfile(). Si el guardado es
+ * exitoso, reemplaza la tarjeta del sidebar con los datos nuevos.
+ *
+ * @param {HTMLFormElement} form - Formulario de perfil
+ * @param {Object} user - Usuario de la sesión al abrir la vista
+ * @param {HTMLElement} sidebarColumn - Sidebar donde vive la tarjeta de perfil
+ */
+function attachProfileFormEvents(form, user, sidebarColumn) {
+    const errorEl = form.querySelector('#profile-error');
+    const successEl = form.querySelector('#profile-success');
+    const saveBtn = form.querySelector('#saveProfileBtn');
+
+    // Mostrar un mensaje y ocultar el otro
+    const showMessage = (element, message) => {
+        errorEl.classList.add('hidden');
+        successEl.classList.add('hidden');
+        element.textContent = message;
+        element.classList.remove('hidden');
+    };
+
+    form.addEventListener('submit', async e => {
+        e.preventDefault();
+
+        // ==== EXTRACCIÓN DE VALORES ====
+        const name = form.querySelector('#profileName').value.trim();
+        const email = form.querySelector('#profileEmail').value.trim();
+        const newPassword = form.querySelector('#profileNewPassword').value;
+        const confirmPassword = form.querySelector('#profileConfirmPassword').value;
+        const currentPassword = form.querySelector('#profileCurrentPassword').value;
+
+        // ==== VALIDACIONES ====
+        if (!name || !email) {
+            showMessage(errorEl, 'Name and email are required.');
+            return;
+        }
+
+        if (newPassword !== confirmPassword) {
+            showMessage(errorEl, 'New passwords do not match.');
+            return;
+        }
+
+        if (!currentPassword) {
+            showMessage(errorEl, 'Enter your current password to save changes.');
+            return;
+        }
+
+        // ==== GUARDAR CAMBIOS ====
+        saveBtn.disabled = true;
+        const result = await updateProfile(user.id, { name, email, newPassword }, currentPassword);
+        saveBtn.disabled = false;
+
+        if (!result.success) {
+            showMessage(errorEl, result.error);
+            return;
+        }
+
+        // Limpiar campos de contraseña y refrescar la tarjeta del sidebar
+        form.querySelector('#profileNewPassword').value = '';
+        form.querySelector('#profileConfirmPassword').value = '';
+        form.querySelector('#profileCurrentPassword').value = '';
+        sidebarColumn.replaceChild(
+            buildProfileCard(result.user),
+            sidebarColumn.querySelector('.profile-card')
+        );
+        showMessage(successEl, 'Profile updated successfully.');
+    });
+}
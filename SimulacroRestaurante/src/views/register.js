@@ -6,7 +6,7 @@
  * PROPÓSITO:
  * Formulario de registro que permite a nuevos usuarios crear una cuenta
  * en la aplicación. Incluye validación de campos, confirmación de contraseña,
- * selección de rol (user/admin), y manejo de errores.
+ * y manejo de errores. Toda cuenta nueva se crea como 'customer'.
  * 
  * PATRÓN DE DISEÑO:
  * - Form Pattern: Formulario controlado con validación en cliente
@@ -50,9 +50,10 @@
  *    - Mostrar errores: elemento <p> con .style.display y .textContent
  *    - Este patrón es reutilizable para cualquier formulario
  * 
- * 3. SELECCIÓN DE ROL:
- *    - El <select> de rol permite elegir entre 'user' y 'admin'
- *    - Útil para aplicaciones con múltiples tipos de usuario
+ * 3. ROL DE LAS CUENTAS NUEVAS:
+ *    - El registro público NO permite elegir rol: authService.register()
+ *      crea siempre cuentas ROLES.CUSTOMER
+ *    - Los admins promocionan usuarios desde #admin/users (adminUsersView.js)
  *    - IMPORTANTE: validar rol en backend, no confiar solo en frontend
  * 
  * 4. ESTRUCTURA DE FORMULARIO DE AUTENTICACIÓN:
@@ -99,7 +100,6 @@ import {register} from "../services/authService.js";
  *   2. Email Address (email input)
  *   3. Password (password input)
  *   4. Confirm Password (password input)
- *   5. Select Role (select: user/admin)
  * - Error display: Párrafo oculto para mostrar mensajes de error
  * - Submit button: "Sign Up"
  * - Footer: Enlace a login si ya tiene cuenta
@@ -188,20 +188,6 @@ export function RegisterView() {
                 </div>
             </div>
 
-            <div class="field field-full">
-                <label for="role" class="label">Select Role</label>
-                <div class="input-wrapper">
-                    <svg class="input-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                        <path d="M20 7H4C2.89543 7 2 7.89543 2 9V19C2 20.1046 2.89543 21 4 21H20C21.1046 21 22 20.1046 22 19V9C22 7.89543 21.1046 7 20 7Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                        <path d="M16 21V5C16 4.46957 15.7893 3.96086 15.4142 3.58579C15.0391 3.21071 14.5304 3 14 3H10C9.46957 3 8.96086 3.21071 8.58579 3.58579C8.21071 3.96086 8 4.46957 8 5V21" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                    </svg>
-                    <select id="role" class="input select">
-                        <option value="user">User</option>
-                        <option value="admin">Admin</option>
-                    </select>
-                </div>
-            </div>
-            
             <p id="register-error" class="form-error" style="display:none;color:red;"></p>
 
             <button type="submit" class="button primary button-full">Sign Up</button>
@@ -291,7 +277,6 @@ function registerRequest(main) {
         const email = form.querySelector('#email').value.trim();
         const password = form.querySelector('#password').value;  // No trim en password
         const confirmPassword = form.querySelector('#confirm-password').value;
-        const role = form.querySelector('#role').value;  // 'user' o 'admin'
 
         // ==== VALIDACIÓN 1: CAMPOS OBLIGATORIOS ====
         // Si alguno de los campos está vacío, mostramos error y detenemos
@@ -314,7 +299,7 @@ function registerRequest(main) {
         try {
             // Llamar a authService.register() con los datos del usuario
             // Esta función hace POST a /users y valida email duplicado
-            const usuario = await register({ name, email, password, role });
+            const usuario = await register({ name, email, password });
 
             // ==== VERIFICACIÓN DE RESPUESTA ====
             // authService.register() retorna { success: true } si todo OK